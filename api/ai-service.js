@@ -0,0 +1,507 @@
+/**
+ * AI Service
+ * Model access behind /api/summarize: sign-in and plan checks, usage logging, requests to the
+ * AI service, stream relaying and the summary cache shared across users.
+ */
+
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import db from './db.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'CHANGE_THIS_SECRET_IN_PRODUCTION';
+export const FREE_TIER_LIMIT = 3;
+
+// Shared summary cache: entries live this long (0 turns the cache off)
+const SUMMARY_CACHE_TTL_HOURS = Number(process.env.SUMMARY_CACHE_TTL_HOURS ?? 168);
+// Whether summaries served from the cache count against the free tier like fresh ones
+export const COUNT_CACHED_SUMMARIES = process.env.COUNT_CACHED_SUMMARIES !== 'false';
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+const EVENT_STREAM_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache, no-transform',
+  Connection: 'keep-alive',
+};
+
+/**
+ * Get the model from environment or use default
+ */
+export function getModel() {
+  return process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514';
+}
+
+/**
+ * Check the request's access token and the user's plan, sending the error response when the
+ * request can't go ahead
+ * @returns {Promise<Object|null>} - { userId, email, isPremium }, or null after an error
+ */
+export async function authenticateUser(req, res) {
+  // Get token from Authorization header
+  const authHeader = req.headers.authorization;
+  const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+
+  if (!token) {
+    res.status(401).json({
+      success: false,
+      error: 'Authentication required. Please sign in to use Kuiqlee.',
+      requiresAuth: true,
+    });
+    return null;
+  }
+
+  // Verify JWT
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: 'Invalid or expired token. Please sign in again.',
+      requiresAuth: true,
+    });
+    return null;
+  }
+
+  // Tokens of signed-out sessions stay valid JWTs until they expire
+  const tokenResult = await db.tokens.verify(sha256(token));
+  if (!tokenResult.success || !tokenResult.valid) {
+    res.status(401).json({
+      success: false,
+      error: 'Token is invalid or has been revoked',
+      requiresAuth: true,
+    });
+    return null;
+  }
+
+  // Check subscription status
+  const subscriptionResult = await db.subscriptions.hasActiveSubscription(decoded.userId);
+  if (!subscriptionResult.success) {
+    res.status(500).json({
+      success: false,
+      error: 'Database error checking subscription',
+    });
+    return null;
+  }
+
+  // The free tier is for confirmed addresses only, so throwaway sign ups don't each get it
+  if (!subscriptionResult.hasSubscription) {
+    const userResult = await db.users.findById(decoded.userId);
+    if (!userResult.success) {
+      res.status(500).json({
+        success: false,
+        error: 'Database error checking account',
+      });
+      return null;
+    }
+
+    if (!userResult.user?.email_verified) {
+      res.status(403).json({
+        success: false,
+        error: 'Confirm your email address to use your free summaries.',
+        requiresVerification: true,
+      });
+      return null;
+    }
+  }
+
+  return {
+    userId: decoded.userId,
+    email: decoded.email,
+    isPremium: subscriptionResult.hasSubscription,
+  };
+}
+
+/**
+ * Check the free tier limit for a summary on a domain, sending the error response when it
+ * is reached
+ * @returns {Promise<boolean>} - True if the summary can go ahead
+ */
+export async function checkUsageLimit(res, { userId, isPremium, domain }) {
+  if (isPremium) {
+    return true;
+  }
+
+  // Free-tier usage is counted per domain, so every request (chat included) must name one
+  if (!domain) {
+    res.status(400).json({
+      success: false,
+      error: 'Domain is required',
+    });
+    return false;
+  }
+
+  // Check if domain is already used
+  const domainCheckResult = await db.usage.hasDomain({ userId, domain });
+  if (!domainCheckResult.success) {
+    res.status(500).json({
+      success: false,
+      error: 'Database error checking usage',
+    });
+    return false;
+  }
+
+  // Summaries on a domain already used don't count again
+  if (domainCheckResult.exists) {
+    return true;
+  }
+
+  const usageResult = await db.usage.getCount(userId);
+  if (!usageResult.success) {
+    res.status(500).json({
+      success: false,
+      error: 'Database error checking usage count',
+    });
+    return false;
+  }
+
+  const used = usageResult.count;
+
+  if (used >= FREE_TIER_LIMIT) {
+    res.status(403).json({
+      success: false,
+      error: `Free tier limit reached (${FREE_TIER_LIMIT} summaries). Upgrade to Premium for unlimited access.`,
+      limitReached: true,
+      used,
+      limit: FREE_TIER_LIMIT,
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Log usage for non-premium users after a successful summary
+ */
+export async function logSummaryUsage({ isPremium, userId, email, domain, url }) {
+  if (isPremium || !domain) {
+    return;
+  }
+
+  const logResult = await db.usage.log({ userId, domain, url });
+  if (!logResult.success) {
+    console.error('⚠️ Failed to log usage:', logResult.error);
+    // Don't fail the request if logging fails
+  } else {
+    console.log(`📊 Usage logged for user ${email} on domain ${domain}`);
+  }
+}
+
+/**
+ * Send a request to the AI service, sending the error response when it fails
+ * @param {Object} request - { maxTokens, temperature, stream, system, messages }
+ * @returns {Promise<Response|null>} - AI service response, or null after an error
+ */
+export async function requestModel(res, { maxTokens, temperature, stream, system, messages }) {
+  // Get AI API key from environment
+  const apiKey = process.env.CLAUDE_API_KEY;
+  if (!apiKey) {
+    console.error('❌ AI API key not found in environment variables');
+    res.status(500).json({
+      success: false,
+      error: 'AI service configuration error',
+    });
+    return null;
+  }
+
+  const model = getModel();
+
+  console.log(`🔄 [API] Making request to AI service with model: ${model}`);
+
+  // Make request to AI API
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+    },
+    body: JSON.stringify({
+      model: model,
+      max_tokens: maxTokens,
+      temperature,
+      stream: stream === true,
+      ...(system ? { system } : {}),
+      messages,
+    }),
+  });
+
+  if (response.ok) {
+    return response;
+  }
+
+  const errorData = await response.json().catch(() => ({}));
+  console.error('❌ AI API error:', {
+    status: response.status,
+    statusText: response.statusText,
+    error: errorData,
+  });
+
+  // Handle specific AI API errors
+  if (response.status === 401) {
+    res.status(500).json({
+      success: false,
+      error: 'AI service authentication failed',
+    });
+  } else if (response.status === 429) {
+    res.status(429).json({
+      success: false,
+      error: 'AI service rate limit exceeded. Please try again in a moment.',
+    });
+  } else if (response.status === 529) {
+    res.status(529).json({
+      success: false,
+      error: 'AI service temporarily unavailable. Please try again later.',
+    });
+  } else {
+    res.status(500).json({
+      success: false,
+      error: 'AI service temporarily unavailable',
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Answer an unexpected error in an endpoint
+ */
+export function sendServerError(res, error) {
+  console.error('❌ API route error:', error);
+
+  // Handle fetch errors (network issues, etc.)
+  if (error.message && error.message.includes('fetch')) {
+    return res.status(503).json({
+      success: false,
+      error: 'Network error connecting to AI service',
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: 'AI service temporarily unavailable',
+  });
+}
+
+/**
+ * Relay the AI service's event stream to the client as simplified server-sent events:
+ *   data: {"type":"delta","text":"..."}
+ *   data: {"type":"done","usage":{...},...}
+ *   data: {"type":"error","error":"..."}
+ * onComplete receives the full text, usage and stop reason once the stream ends, and returns
+ * the fields to add to the done event. Errors it throws with `expose` set reach the client
+ * with their message.
+ */
+export async function relayStream(aiResponse, res, { onComplete }) {
+  res.writeHead(200, EVENT_STREAM_HEADERS);
+
+  const sendEvent = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+
+  const reader = aiResponse.body.getReader();
+  const decoder = new TextDecoder();
+  const usage = {};
+  let buffer = '';
+  let text = '';
+  let stopReason = null;
+  let completed = false;
+
+  try {
+    while (!completed) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const rawEvent of events) {
+        const dataLine = rawEvent.split('\n').find((line) => line.startsWith('data:'));
+        if (!dataLine) continue;
+
+        let event;
+        try {
+          event = JSON.parse(dataLine.slice(5).trim());
+        } catch (error) {
+          continue;
+        }
+
+        switch (event.type) {
+          case 'message_start':
+            Object.assign(usage, event.message?.usage);
+            break;
+          case 'content_block_delta':
+            if (event.delta?.type === 'text_delta') {
+              text += event.delta.text;
+              sendEvent({ type: 'delta', text: event.delta.text });
+            }
+            break;
+          case 'message_delta':
+            Object.assign(usage, event.usage);
+            stopReason = event.delta?.stop_reason || stopReason;
+            break;
+          case 'message_stop':
+            completed = true;
+            break;
+          case 'error':
+            throw new Error(event.error?.message || 'AI stream error');
+        }
+      }
+    }
+
+    if (!completed) {
+      throw new Error('AI stream ended unexpectedly');
+    }
+
+    console.log('✅ [API] AI stream completed');
+
+    const fields = await onComplete({ text, usage, stopReason });
+    sendEvent({ type: 'done', usage, ...fields });
+  } catch (error) {
+    console.error('❌ AI stream error:', error);
+    sendEvent({
+      type: 'error',
+      error: error.expose ? error.message : 'AI service temporarily unavailable',
+    });
+  }
+
+  res.end();
+}
+
+/**
+ * Answer with a finished result as server-sent events, for streaming clients
+ * @param {Array<Object>} events - Event payloads in order
+ */
+export function sendEventStream(res, events) {
+  res.writeHead(200, EVENT_STREAM_HEADERS);
+  events.forEach((payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`));
+  res.end();
+}
+
+// Cache invalidation handler: removes one entry by cache key, or every entry for a page URL
+export async function handleCacheInvalidation(req, res) {
+  const adminKey = process.env.SUMMARY_CACHE_ADMIN_KEY;
+  if (!adminKey || !safeEqual(req.headers['x-admin-key'] || '', adminKey)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not allowed to invalidate the summary cache',
+    });
+  }
+
+  const { cacheKey, url } = req.body || {};
+  const normalizedUrl = cacheKey ? null : normalizeUrl(url);
+
+  if (!cacheKey && !normalizedUrl) {
+    return res.status(400).json({
+      success: false,
+      error: 'A cache key or an http(s) URL is required',
+    });
+  }
+
+  const result = cacheKey
+    ? await db.summaryCache.invalidate(cacheKey)
+    : await db.summaryCache.invalidateUrl(normalizedUrl);
+
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      error: 'Database error invalidating the summary cache',
+    });
+  }
+
+  console.log(`🗑️ Summary cache invalidated for ${cacheKey || normalizedUrl}`);
+
+  return res.status(200).json({ success: true, removed: result.count ?? null });
+}
+
+/**
+ * Normalize a page URL for the summary cache: no fragment or tracking parameters, sorted
+ * query, lowercase host and no trailing slash
+ * @returns {string|null} - Normalized URL, or null for anything but http(s) URLs
+ */
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  [...parsed.searchParams.keys()]
+    .filter((key) => TRACKING_PARAMS.test(key))
+    .forEach((key) => parsed.searchParams.delete(key));
+  parsed.searchParams.sort();
+
+  const path = parsed.pathname.replace(/\/+$/, '');
+  return `${parsed.protocol}//${parsed.host}${path}${parsed.search}`;
+}
+
+/**
+ * Describe the cache entry for a request. The content is whatever the response depends on
+ * (a prompt embeds the page text and the summary options), so its hash changes whenever any
+ * of it does and a hit needs the same text.
+ * @param {Object} request - { url, content, options } where options are the generation
+ *   settings
+ * @returns {Object|null} - { cacheKey, url, contentHash, optionsHash, model }, or null when
+ *   the request can't be cached
+ */
+export function buildCacheEntry({ url, content, options }) {
+  const normalizedUrl = normalizeUrl(url);
+  if (!normalizedUrl || !(SUMMARY_CACHE_TTL_HOURS > 0)) {
+    return null;
+  }
+
+  const model = getModel();
+  const contentHash = sha256(content);
+  const optionsHash = sha256(JSON.stringify(options));
+
+  return {
+    cacheKey: sha256([normalizedUrl, contentHash, optionsHash, model].join('\n')),
+    url: normalizedUrl,
+    contentHash,
+    optionsHash,
+    model,
+  };
+}
+
+/**
+ * Look up a cached response. Cache errors are logged and treated as a miss.
+ * @returns {Promise<Object|null>} - Cache entry or null
+ */
+export async function getCachedResponse(cache) {
+  if (!cache) {
+    return null;
+  }
+
+  const result = await db.summaryCache.get(cache.cacheKey);
+  return result.success ? result.entry : null;
+}
+
+/**
+ * Cache a complete response. Responses cut off at the token limit aren't shared.
+ */
+export async function storeCachedResponse(cache, { text, usage, stopReason }) {
+  if (!cache || !text || stopReason === 'max_tokens') {
+    return;
+  }
+
+  await db.summaryCache.set({
+    ...cache,
+    response: text,
+    usage,
+    expiresAt: new Date(Date.now() + SUMMARY_CACHE_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+  });
+}
+
+export function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Compare secrets without leaking where they differ through timing
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(sha256(a), 'hex'), Buffer.from(sha256(b), 'hex'));
+}
@@ -1,20 +1,52 @@
 /**
  * Consolidated Auth API Routes
- * Handles: /api/auth?action=register|login|logout|verify
+ * Handles: /api/auth?action=register|login|logout|verify|refresh|sessions|forgot-password|
+ *   reset-password|verify-email|resend-verification
+ *
+ * Sign-ins get a short-lived access token (JWT) and a refresh token. Each refresh returns a new
+ * refresh token and retires the old one; a retired token presented again means it leaked, so
+ * the whole session is revoked.
+ *
+ * Sign-in, sign-up, verification emails and the email code actions are rate limited per IP
+ * address and per email, with lockouts that double each time in a row. Limited requests get a
+ * 429 with `retryAfter` (seconds); when attempts can't be counted the request is refused with
+ * a 503.
  */
 
 import db from './db.js';
+import { sendEmail, buildVerificationEmail, buildPasswordResetEmail } from './email-sender.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'CHANGE_THIS_SECRET_IN_PRODUCTION';
-const JWT_EXPIRY = '30d';
+const ACCESS_TOKEN_EXPIRY_SECONDS = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const EMAIL_VERIFICATION_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_EXPIRY_MS = 30 * 60 * 1000; // 30 minutes
+
+// Attempts allowed per window before a lockout. Every request counts, before it is checked;
+// a successful sign-in clears its email's count.
+const RATE_LIMITS = {
+  login: { ip: 20, email: 5 },
+  register: { ip: 10 },
+  'forgot-password': { ip: 10, email: 3 },
+  'reset-password': { ip: 10 },
+  'verify-email': { ip: 10 },
+  'resend-verification': { ip: 10, email: 3 },
+};
+const RATE_LIMIT_WINDOW_SECONDS = 15 * 60; // 15 minutes
+const LOCKOUT_BASE_SECONDS = 60; // First lockout; doubles with each lockout in a row
+const LOCKOUT_MAX_SECONDS = 60 * 60; // 1 hour
+
+// Compared against for unknown emails, so a sign-in takes as long whether or not the account
+// exists
+const DUMMY_PASSWORD_HASH = '$2a$10$A5cDNapgNKR.RpWm7DuNGOUeG6uyRyfKkddjgMDn2MJn21e9ZuL7q';
 
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
@@ -33,6 +65,18 @@ export default async function handler(req, res) {
         return await handleLogout(req, res);
       case 'verify':
         return await handleVerifyToken(req, res);
+      case 'refresh':
+        return await handleRefresh(req, res);
+      case 'sessions':
+        return await handleSessions(req, res);
+      case 'forgot-password':
+        return await handleForgotPassword(req, res);
+      case 'reset-password':
+        return await handleResetPassword(req, res);
+      case 'verify-email':
+        return await handleVerifyEmail(req, res);
+      case 'resend-verification':
+        return await handleResendVerification(req, res);
       default:
         return res.status(400).json({ success: false, error: 'Invalid action parameter' });
     }
@@ -54,6 +98,12 @@ async function handleRegister(req, res) {
     return res.status(400).json({ success: false, error: 'Email and password are required' });
   }
 
+  // Limit sign-ups per IP
+  const attempt = await recordAttempt(req, 'register');
+  if (!attempt.allowed) {
+    return sendAttemptRefused(res, attempt);
+  }
+
   // Validate email format
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   if (!emailRegex.test(email)) {
@@ -89,29 +139,26 @@ async function handleRegister(req, res) {
 
   const user = createResult.user;
 
-  // Generate JWT token
-  const token = jwt.sign({ userId: user.id, email: user.email, isPremium: false }, JWT_SECRET, {
-    expiresIn: JWT_EXPIRY,
-  });
+  // Start a session
+  const tokens = await createSession(req, user, false);
 
-  // Store token hash
-  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-  const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+  if (!tokens) {
+    return res.status(500).json({ success: false, error: 'Failed to create session' });
+  }
 
-  await db.tokens.create({
-    userId: user.id,
-    tokenHash,
-    expiresAt,
-  });
+  // Send the verification email; the account works meanwhile, so a failed send doesn't fail
+  // registration (the user can ask for another email)
+  await sendVerificationEmail(user);
 
   return res.status(201).json({
     success: true,
     message: 'User registered successfully',
-    token,
+    ...tokens,
     user: {
       id: user.id,
       email: user.email,
       isPremium: false,
+      emailVerified: false,
     },
   });
 }
@@ -128,49 +175,51 @@ async function handleLogin(req, res) {
     return res.status(400).json({ success: false, error: 'Email and password are required' });
   }
 
-  // Find user
-  const userResult = await db.users.findByEmail(email.toLowerCase());
-
-  if (!userResult.success || !userResult.user) {
-    return res.status(401).json({ success: false, error: 'Invalid email or password' });
+  // Count the attempt before checking the password, so parallel guesses can't get past the
+  // limit
+  const attempt = await recordAttempt(req, 'login', email);
+  if (!attempt.allowed) {
+    return sendAttemptRefused(res, attempt);
   }
 
-  const user = userResult.user;
+  // Find user
+  const userResult = await db.users.findByEmail(email.toLowerCase());
+  const user = userResult.success ? userResult.user : null;
 
-  // Verify password
-  const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+  // Verify password (against a placeholder hash for unknown emails, so timing doesn't tell)
+  const passwordMatches = await bcrypt.compare(
+    password,
+    user ? user.password_hash : DUMMY_PASSWORD_HASH,
+  );
+  const isPasswordValid = !!user && passwordMatches;
 
   if (!isPasswordValid) {
     return res.status(401).json({ success: false, error: 'Invalid email or password' });
   }
 
+  // A successful sign-in clears the email's attempts (the IP's stay counted)
+  await db.rateLimits.reset(getEmailRateLimitKey('login', email));
+
   // Check subscription status
   const subscriptionResult = await db.subscriptions.hasActiveSubscription(user.id);
   const isPremium = subscriptionResult.success && subscriptionResult.hasSubscription;
 
-  // Generate JWT token
-  const token = jwt.sign({ userId: user.id, email: user.email, isPremium }, JWT_SECRET, {
-    expiresIn: JWT_EXPIRY,
-  });
-
-  // Store token hash
-  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-  const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+  // Start a session
+  const tokens = await createSession(req, user, isPremium);
 
-  await db.tokens.create({
-    userId: user.id,
-    tokenHash,
-    expiresAt,
-  });
+  if (!tokens) {
+    return res.status(500).json({ success: false, error: 'Failed to create session' });
+  }
 
   return res.status(200).json({
     success: true,
     message: 'Login successful',
-    token,
+    ...tokens,
     user: {
       id: user.id,
       email: user.email,
       isPremium,
+      emailVerified: !!user.email_verified,
     },
   });
 }
@@ -194,6 +243,17 @@ async function handleLogout(req, res) {
   // Revoke the token
   await db.tokens.revoke(tokenHash);
 
+  // End the session too, so its refresh token stops working (an expired access token still
+  // identifies it)
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
+    if (decoded.sid) {
+      await db.sessions.revoke({ sessionId: decoded.sid, userId: decoded.userId });
+    }
+  } catch (error) {
+    // Invalid token - nothing more to revoke
+  }
+
   return res.status(200).json({
     success: true,
     message: 'Logout successful',
@@ -239,6 +299,9 @@ async function handleVerifyToken(req, res) {
     const subscriptionResult = await db.subscriptions.hasActiveSubscription(decoded.userId);
     const isPremium = subscriptionResult.success && subscriptionResult.hasSubscription;
 
+    const userResult = await db.users.findById(decoded.userId);
+    const emailVerified = !!userResult.user?.email_verified;
+
     return res.status(200).json({
       success: true,
       valid: true,
@@ -246,6 +309,7 @@ async function handleVerifyToken(req, res) {
         id: decoded.userId,
         email: decoded.email,
         isPremium,
+        emailVerified,
       },
     });
   } catch (error) {
@@ -268,3 +332,616 @@ async function handleVerifyToken(req, res) {
     throw error;
   }
 }
+
+// Forgot password handler
+async function handleForgotPassword(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ success: false, error: 'Email is required' });
+  }
+
+  // Limit reset emails per IP and per address
+  const attempt = await recordAttempt(req, 'forgot-password', email);
+  if (!attempt.allowed) {
+    return sendAttemptRefused(res, attempt);
+  }
+
+  // Same response whether or not the address has an account, so it can't be used to find
+  // registered emails
+  const response = {
+    success: true,
+    message: 'If an account exists for that email, a reset code is on its way',
+  };
+
+  const userResult = await db.users.findByEmail(email.toLowerCase());
+
+  if (!userResult.success || !userResult.user) {
+    return res.status(200).json(response);
+  }
+
+  const user = userResult.user;
+  const token = await createEmailToken(user.id, 'password_reset', PASSWORD_RESET_EXPIRY_MS);
+
+  if (token) {
+    await sendEmail(buildPasswordResetEmail({ to: user.email, token }));
+  }
+
+  return res.status(200).json(response);
+}
+
+// Reset password handler
+async function handleResetPassword(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({ success: false, error: 'Reset code and password are required' });
+  }
+
+  // Validate password strength
+  if (password.length < 8) {
+    return res
+      .status(400)
+      .json({ success: false, error: 'Password must be at least 8 characters long' });
+  }
+
+  // Limit guessing of reset codes
+  const attempt = await recordAttempt(req, 'reset-password');
+  if (!attempt.allowed) {
+    return sendAttemptRefused(res, attempt);
+  }
+
+  const tokenResult = await db.emailTokens.consume({
+    tokenHash: hashToken(token),
+    purpose: 'password_reset',
+  });
+
+  if (!tokenResult.success) {
+    return res.status(500).json({ success: false, error: 'Failed to reset password' });
+  }
+
+  if (!tokenResult.valid) {
+    return res
+      .status(400)
+      .json({ success: false, error: 'Reset code is invalid, expired or already used' });
+  }
+
+  const userId = tokenResult.token.user_id;
+  const passwordHash = await bcrypt.hash(password, 10);
+  const updateResult = await db.users.updatePassword(userId, passwordHash);
+
+  if (!updateResult.success) {
+    return res.status(500).json({ success: false, error: 'Failed to reset password' });
+  }
+
+  // Sign out every session that used the old password; receiving the code also proves the
+  // user owns the address
+  await db.tokens.revokeAllForUser(userId);
+  await db.sessions.revokeAllForUser(userId);
+  await db.users.markEmailVerified(userId);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Password reset successfully. Please sign in with your new password',
+  });
+}
+
+// Verify email handler
+async function handleVerifyEmail(req, res) {
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  // Links in the email open with GET and get a page back; the extension posts the code
+  const isLink = req.method === 'GET';
+  const token = isLink ? req.query.token : req.body?.token;
+
+  if (!token) {
+    return isLink
+      ? sendVerificationPage(res, 400, 'This verification link is incomplete.')
+      : res.status(400).json({ success: false, error: 'Verification code is required' });
+  }
+
+  // Limit guessing of verification codes
+  const attempt = await recordAttempt(req, 'verify-email');
+  if (!attempt.allowed) {
+    if (!isLink) {
+      return sendAttemptRefused(res, attempt);
+    }
+    return attempt.lockedUntil
+      ? sendVerificationPage(res, 429, 'Too many attempts. Please try again later.')
+      : sendVerificationPage(res, 503, 'Something went wrong. Please try again later.');
+  }
+
+  const tokenResult = await db.emailTokens.consume({
+    tokenHash: hashToken(token),
+    purpose: 'email_verification',
+  });
+
+  if (!tokenResult.success) {
+    return isLink
+      ? sendVerificationPage(res, 500, 'Something went wrong. Please try again later.')
+      : res.status(500).json({ success: false, error: 'Failed to verify email' });
+  }
+
+  if (!tokenResult.valid) {
+    const error = 'Verification code is invalid, expired or already used';
+    return isLink
+      ? sendVerificationPage(res, 400, `${error}. Request a new email from Kuiqlee.`)
+      : res.status(400).json({ success: false, error });
+  }
+
+  const verifyResult = await db.users.markEmailVerified(tokenResult.token.user_id);
+
+  if (!verifyResult.success) {
+    return isLink
+      ? sendVerificationPage(res, 500, 'Something went wrong. Please try again later.')
+      : res.status(500).json({ success: false, error: 'Failed to verify email' });
+  }
+
+  return isLink
+    ? sendVerificationPage(res, 200, 'Your email address is confirmed. You can close this tab.')
+    : res.status(200).json({ success: true, message: 'Email verified successfully' });
+}
+
+// Resend verification handler
+async function handleResendVerification(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const decoded = await authenticate(req, res);
+  if (!decoded) return;
+
+  const userResult = await db.users.findById(decoded.userId);
+
+  if (!userResult.success || !userResult.user) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+
+  if (userResult.user.email_verified) {
+    return res.status(200).json({ success: true, message: 'Email is already verified' });
+  }
+
+  // Limit emails per IP and per address, since anyone can sign up with someone else's email
+  const attempt = await recordAttempt(req, 'resend-verification', userResult.user.email);
+  if (!attempt.allowed) {
+    return sendAttemptRefused(res, attempt);
+  }
+
+  const sent = await sendVerificationEmail(userResult.user);
+
+  if (!sent) {
+    return res.status(500).json({ success: false, error: 'Failed to send verification email' });
+  }
+
+  return res.status(200).json({ success: true, message: 'Verification email sent' });
+}
+
+// Refresh handler
+async function handleRefresh(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res
+      .status(400)
+      .json({ success: false, error: 'Refresh token is required', requiresAuth: true });
+  }
+
+  const refreshTokenHash = hashToken(refreshToken);
+  const tokenResult = await db.refreshTokens.findByHash(refreshTokenHash);
+
+  if (!tokenResult.success) {
+    return res.status(500).json({ success: false, error: 'Failed to refresh session' });
+  }
+
+  const storedToken = tokenResult.token;
+
+  if (!storedToken) {
+    return res
+      .status(401)
+      .json({ success: false, error: 'Invalid refresh token', requiresAuth: true });
+  }
+
+  const sessionResult = await db.sessions.findById(storedToken.session_id);
+
+  if (!sessionResult.success) {
+    return res.status(500).json({ success: false, error: 'Failed to refresh session' });
+  }
+
+  const session = sessionResult.session;
+
+  // Rotate the token; if it was already used, someone else has a copy of it
+  const rotateResult = storedToken.used_at
+    ? { success: true, used: false }
+    : await db.refreshTokens.markUsed(refreshTokenHash);
+
+  if (!rotateResult.success) {
+    return res.status(500).json({ success: false, error: 'Failed to refresh session' });
+  }
+
+  if (!rotateResult.used) {
+    if (session) {
+      console.warn(`⚠️ Refresh token reuse detected, revoking session ${session.id}`);
+      await db.sessions.revoke({ sessionId: session.id, userId: session.user_id });
+    }
+    return res.status(401).json({
+      success: false,
+      error: 'Session was signed out for your security. Please sign in again.',
+      requiresAuth: true,
+    });
+  }
+
+  const now = new Date();
+  const isSessionActive = session && !session.revoked_at && new Date(session.expires_at) > now;
+
+  if (!isSessionActive || new Date(storedToken.expires_at) <= now) {
+    return res
+      .status(401)
+      .json({ success: false, error: 'Session has expired', requiresAuth: true });
+  }
+
+  const userResult = await db.users.findById(session.user_id);
+
+  if (!userResult.success || !userResult.user) {
+    return res.status(401).json({ success: false, error: 'User not found', requiresAuth: true });
+  }
+
+  const user = userResult.user;
+  const subscriptionResult = await db.subscriptions.hasActiveSubscription(user.id);
+  const isPremium = subscriptionResult.success && subscriptionResult.hasSubscription;
+
+  const tokens = await issueTokens(user, isPremium, session.id);
+
+  if (!tokens) {
+    return res.status(500).json({ success: false, error: 'Failed to refresh session' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    ...tokens,
+    user: {
+      id: user.id,
+      email: user.email,
+      isPremium,
+      emailVerified: !!user.email_verified,
+    },
+  });
+}
+
+// Sessions handler (GET lists active sessions, DELETE revokes one by sessionId)
+async function handleSessions(req, res) {
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const decoded = await authenticate(req, res);
+  if (!decoded) return;
+
+  if (req.method === 'DELETE') {
+    const sessionId = req.query.sessionId || req.body?.sessionId;
+
+    if (!sessionId) {
+      return res.status(400).json({ success: false, error: 'Session ID is required' });
+    }
+
+    const revokeResult = await db.sessions.revoke({ sessionId, userId: decoded.userId });
+
+    if (!revokeResult.success) {
+      return res.status(500).json({ success: false, error: 'Failed to revoke session' });
+    }
+
+    if (!revokeResult.revoked) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session revoked',
+      current: sessionId === decoded.sid,
+    });
+  }
+
+  const sessionsResult = await db.sessions.listActive(decoded.userId);
+
+  if (!sessionsResult.success) {
+    return res.status(500).json({ success: false, error: 'Failed to load sessions' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    sessions: sessionsResult.sessions.map((session) => ({
+      id: session.id,
+      deviceName: session.device_name,
+      ipAddress: session.ip_address,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      current: session.id === decoded.sid,
+    })),
+  });
+}
+
+/**
+ * Check the request's access token
+ * Returns the decoded token, or sends a 401 and returns null
+ */
+async function authenticate(req, res) {
+  const authHeader = req.headers.authorization;
+  const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+
+  if (!token) {
+    res.status(401).json({ success: false, error: 'No token provided', requiresAuth: true });
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    res.status(401).json({ success: false, error: 'Invalid or expired token', requiresAuth: true });
+    return null;
+  }
+
+  const tokenResult = await db.tokens.verify(hashToken(token));
+
+  if (!tokenResult.success || !tokenResult.valid) {
+    res.status(401).json({
+      success: false,
+      error: 'Token is invalid or has been revoked',
+      requiresAuth: true,
+    });
+    return null;
+  }
+
+  return decoded;
+}
+
+/**
+ * Start a session for a sign-in on the requesting device
+ * Returns { token, refreshToken, expiresIn }, or null on failure
+ */
+async function createSession(req, user, isPremium) {
+  const userAgent = req.headers['user-agent'] || '';
+  const sessionResult = await db.sessions.create({
+    userId: user.id,
+    deviceName: req.body?.deviceName || describeDevice(userAgent),
+    userAgent,
+    ipAddress: getClientIp(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRY_MS).toISOString(),
+  });
+
+  if (!sessionResult.success) {
+    return null;
+  }
+
+  return issueTokens(user, isPremium, sessionResult.session.id);
+}
+
+/**
+ * Issue an access token and a new refresh token for a session, extending the session
+ * Returns { token, refreshToken, expiresIn }, or null on failure
+ */
+async function issueTokens(user, isPremium, sessionId) {
+  const token = jwt.sign(
+    { userId: user.id, email: user.email, isPremium, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS },
+  );
+
+  const accessResult = await db.tokens.create({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ACCESS_TOKEN_EXPIRY_SECONDS * 1000).toISOString(),
+    sessionId,
+  });
+
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const refreshExpiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRY_MS).toISOString();
+  const refreshResult = await db.refreshTokens.create({
+    sessionId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiresAt,
+  });
+
+  if (!accessResult.success || !refreshResult.success) {
+    return null;
+  }
+
+  await db.sessions.touch(sessionId, refreshExpiresAt);
+
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS };
+}
+
+/**
+ * Name a device from its user agent, e.g. "Chrome on macOS"
+ */
+function describeDevice(userAgent) {
+  const browsers = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'],
+    ['Safari/', 'Safari'],
+  ];
+  const systems = [
+    ['CrOS', 'ChromeOS'],
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Mac OS X', 'macOS'],
+    ['Windows', 'Windows'],
+    ['Linux', 'Linux'],
+  ];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker))?.[1];
+  const system = systems.find(([marker]) => userAgent.includes(marker))?.[1];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
+
+/**
+ * Get the client's IP address (Vercel puts it first in x-forwarded-for)
+ */
+function getClientIp(req) {
+  return (
+    req.headers['x-forwarded-for']?.split(',')[0].trim() ||
+    req.headers['x-real-ip'] ||
+    req.socket?.remoteAddress ||
+    null
+  );
+}
+
+/**
+ * Rate limit key for an action and email (hashed, so addresses aren't stored in the clear)
+ */
+function getEmailRateLimitKey(action, email) {
+  return `${action}:email:${hashToken(email.toLowerCase())}`;
+}
+
+/**
+ * Rate limit keys for an action: the client's IP, plus the email where the action limits it
+ * Returns [{ key, maxAttempts }]
+ */
+function getRateLimitKeys(req, action, email = null) {
+  const limits = RATE_LIMITS[action];
+  const keys = [{ key: `${action}:ip:${getClientIp(req) || 'unknown'}`, maxAttempts: limits.ip }];
+
+  if (limits.email && email) {
+    keys.push({ key: getEmailRateLimitKey(action, email), maxAttempts: limits.email });
+  }
+
+  return keys;
+}
+
+/**
+ * Count an attempt at an action against the client's IP and email, before the attempt is
+ * checked
+ * Returns { allowed, lockedUntil }: lockedUntil (Date) when a key is locked, this attempt
+ * included. An attempt that can't be counted isn't allowed, so a database outage can't lift
+ * the limits.
+ */
+async function recordAttempt(req, action, email = null) {
+  const results = await Promise.all(
+    getRateLimitKeys(req, action, email).map(({ key, maxAttempts }) =>
+      db.rateLimits.recordAttempt({
+        key,
+        maxAttempts,
+        windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+        baseLockoutSeconds: LOCKOUT_BASE_SECONDS,
+        maxLockoutSeconds: LOCKOUT_MAX_SECONDS,
+      }),
+    ),
+  );
+
+  if (results.some((result) => !result.success)) {
+    return { allowed: false, lockedUntil: null };
+  }
+
+  const lockouts = results.map((result) => result.lockedUntil).filter(Boolean);
+  const lockedUntil = lockouts.sort((a, b) => b - a)[0] || null;
+  return { allowed: !lockedUntil, lockedUntil };
+}
+
+/**
+ * Respond to a request whose attempt wasn't allowed: a 429 with the seconds until it may be
+ * retried, or a 503 when the attempt couldn't be counted
+ */
+function sendAttemptRefused(res, { lockedUntil }) {
+  if (!lockedUntil) {
+    return res.status(503).json({
+      success: false,
+      error: 'Service temporarily unavailable. Please try again in a moment.',
+    });
+  }
+
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: 'Too many attempts. Please wait before trying again.',
+    retryAfter,
+    rateLimited: true,
+  });
+}
+
+/**
+ * Hash a token for storage and lookup
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a single-use email token, replacing any unused ones for the same purpose
+ * Returns the raw token (only its hash is stored), or null on failure
+ */
+async function createEmailToken(userId, purpose, expiryMs) {
+  await db.emailTokens.invalidateForUser({ userId, purpose });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const createResult = await db.emailTokens.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiryMs).toISOString(),
+  });
+
+  return createResult.success ? token : null;
+}
+
+/**
+ * Email a user a new verification link and code
+ * Returns true if the email was sent
+ */
+async function sendVerificationEmail(user) {
+  const token = await createEmailToken(
+    user.id,
+    'email_verification',
+    EMAIL_VERIFICATION_EXPIRY_MS,
+  );
+  if (!token) return false;
+
+  // Links are never built from the request's Host header, which the caller controls
+  const apiBaseUrl = process.env.API_BASE_URL;
+  if (!apiBaseUrl) {
+    console.error('❌ API_BASE_URL is not configured; verification emails are disabled');
+    return false;
+  }
+
+  const verifyUrl = `${apiBaseUrl}/auth?action=verify-email&token=${encodeURIComponent(token)}`;
+  const result = await sendEmail(buildVerificationEmail({ to: user.email, token, verifyUrl }));
+
+  return result.success;
+}
+
+/**
+ * Respond to a verification link with a small page
+ */
+function sendVerificationPage(res, status, message) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.status(status).send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Kuiqlee - Email verification</title>
+  </head>
+  <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; text-align: center; padding: 60px 20px;">
+    <h1>Kuiqlee</h1>
+    <p>${message}</p>
+  </body>
+</html>`);
+}
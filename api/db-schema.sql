@@ -9,10 +9,27 @@ CREATE TABLE IF NOT EXISTS users (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   email TEXT UNIQUE NOT NULL,
   password_hash TEXT NOT NULL,
+  email_verified BOOLEAN DEFAULT FALSE,
+  email_verified_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Email verification columns for databases created before they were added. Accounts from
+-- before then were never sent a verification email, so they count as confirmed (with no
+-- email_verified_at); the backfill only runs when the column is first added.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'email_verified'
+  ) THEN
+    ALTER TABLE users ADD COLUMN email_verified BOOLEAN DEFAULT FALSE;
+    UPDATE users SET email_verified = TRUE;
+  END IF;
+END $$;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
 -- Create index on email for faster lookups
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 
@@ -67,6 +84,147 @@ CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_id ON auth_tokens(user_id);
 CREATE INDEX IF NOT EXISTS idx_auth_tokens_token_hash ON auth_tokens(token_hash);
 CREATE INDEX IF NOT EXISTS idx_auth_tokens_expires_at ON auth_tokens(expires_at);
 
+-- Sign-in sessions (one per device sign-in, listed and revoked from the extension)
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device_name TEXT,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create indexes for session lookups
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires_at ON auth_sessions(expires_at);
+
+-- Refresh tokens (rotated on every use; a used token presented again revokes its session)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for refresh token lookups
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+
+-- Access tokens belong to the session that issued them
+ALTER TABLE auth_tokens
+  ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES auth_sessions(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_session_id ON auth_tokens(session_id);
+
+-- Email verification and password reset tokens (single-use, stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS email_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for email token lookups
+CREATE INDEX IF NOT EXISTS idx_email_tokens_user_id ON email_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_email_tokens_expires_at ON email_tokens(expires_at);
+
+-- Auth rate limits (attempt counts and lockouts per IP or email, shared by all API instances)
+CREATE TABLE IF NOT EXISTS auth_rate_limits (
+  key TEXT PRIMARY KEY,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  lockout_count INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create index for cleaning up stale rate limits
+CREATE INDEX IF NOT EXISTS idx_auth_rate_limits_updated_at ON auth_rate_limits(updated_at);
+
+-- Summaries shared across users: a page summarized with the same prompt, options and model
+-- is answered from here instead of calling the model again
+CREATE TABLE IF NOT EXISTS summary_cache (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  cache_key TEXT UNIQUE NOT NULL,
+  url TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  options_hash TEXT NOT NULL,
+  model TEXT NOT NULL,
+  response TEXT NOT NULL,
+  usage JSONB DEFAULT '{}'::jsonb,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_hit_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Create indexes for invalidating a page's entries and removing expired ones
+CREATE INDEX IF NOT EXISTS idx_summary_cache_url ON summary_cache(url);
+CREATE INDEX IF NOT EXISTS idx_summary_cache_expires_at ON summary_cache(expires_at);
+
+-- Count an auth attempt before it is checked and return the key's lockout: the current one
+-- when the key is already locked, or a new one when this attempt goes past the limit within
+-- the window. Each lockout in a row doubles (up to the maximum); a day without attempts
+-- starts over. Runs as one locked transaction so concurrent requests can't slip past the limit.
+CREATE OR REPLACE FUNCTION record_auth_attempt(
+  p_key TEXT,
+  p_max_attempts INTEGER,
+  p_window_seconds INTEGER,
+  p_base_lockout_seconds INTEGER,
+  p_max_lockout_seconds INTEGER
+)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+  limit_row auth_rate_limits%ROWTYPE;
+BEGIN
+  INSERT INTO auth_rate_limits (key) VALUES (p_key) ON CONFLICT (key) DO NOTHING;
+  SELECT * INTO limit_row FROM auth_rate_limits WHERE key = p_key FOR UPDATE;
+
+  IF limit_row.locked_until > NOW() THEN
+    UPDATE auth_rate_limits SET updated_at = NOW() WHERE key = p_key;
+    RETURN limit_row.locked_until;
+  END IF;
+
+  IF limit_row.updated_at < NOW() - INTERVAL '1 day' THEN
+    limit_row.lockout_count := 0;
+  END IF;
+
+  IF limit_row.window_started_at < NOW() - make_interval(secs => p_window_seconds) THEN
+    limit_row.attempts := 0;
+    limit_row.window_started_at := NOW();
+  END IF;
+
+  limit_row.attempts := limit_row.attempts + 1;
+
+  IF limit_row.attempts > p_max_attempts THEN
+    limit_row.locked_until := NOW() + make_interval(secs => LEAST(
+      p_base_lockout_seconds * POWER(2, limit_row.lockout_count),
+      p_max_lockout_seconds
+    ));
+    limit_row.lockout_count := limit_row.lockout_count + 1;
+    limit_row.attempts := 0;
+    limit_row.window_started_at := NOW();
+  END IF;
+
+  UPDATE auth_rate_limits
+  SET attempts = limit_row.attempts,
+      window_started_at = limit_row.window_started_at,
+      lockout_count = limit_row.lockout_count,
+      locked_until = limit_row.locked_until,
+      updated_at = NOW()
+  WHERE key = p_key;
+
+  RETURN limit_row.locked_until;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Function to automatically update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -88,6 +246,12 @@ CREATE OR REPLACE FUNCTION cleanup_expired_tokens()
 RETURNS void AS $$
 BEGIN
   DELETE FROM auth_tokens WHERE expires_at < NOW();
+  DELETE FROM email_tokens WHERE expires_at < NOW();
+  DELETE FROM refresh_tokens WHERE expires_at < NOW();
+  DELETE FROM auth_sessions WHERE expires_at < NOW() OR revoked_at < NOW() - INTERVAL '30 days';
+  DELETE FROM auth_rate_limits
+  WHERE updated_at < NOW() - INTERVAL '1 day' AND (locked_until IS NULL OR locked_until < NOW());
+  DELETE FROM summary_cache WHERE expires_at < NOW();
 END;
 $$ LANGUAGE plpgsql;
 
@@ -134,5 +298,10 @@ COMMENT ON TABLE users IS 'User accounts with authentication credentials';
 COMMENT ON TABLE subscriptions IS 'Stripe subscription data for premium users';
 COMMENT ON TABLE usage_logs IS 'Track summary generation per domain for usage limits';
 COMMENT ON TABLE auth_tokens IS 'JWT tokens for session management and revocation';
+COMMENT ON TABLE auth_sessions IS 'Signed-in devices, each with a chain of rotating refresh tokens';
+COMMENT ON TABLE refresh_tokens IS 'Hashed refresh tokens, kept after use to detect reuse';
+COMMENT ON TABLE auth_rate_limits IS 'Auth attempt counts and lockouts per IP or hashed email';
+COMMENT ON TABLE email_tokens IS 'Single-use email verification and password reset tokens';
+COMMENT ON TABLE summary_cache IS 'Shared summaries keyed by URL, prompt hash, options and model';
 COMMENT ON VIEW active_subscribers IS 'View of all users with active subscriptions';
 COMMENT ON VIEW user_usage_stats IS 'Aggregated usage statistics per user';
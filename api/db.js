@@ -110,6 +110,42 @@ const db = {
         return { success: false, error: error.message };
       }
     },
+
+    /**
+     * Change a user's password hash
+     */
+    async updatePassword(userId, passwordHash) {
+      try {
+        const { error } = await supabase
+          .from('users')
+          .update({ password_hash: passwordHash })
+          .eq('id', userId);
+
+        if (error) throw error;
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Error updating password:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Mark a user's email address as verified
+     */
+    async markEmailVerified(userId) {
+      try {
+        const { error } = await supabase
+          .from('users')
+          .update({ email_verified: true, email_verified_at: new Date().toISOString() })
+          .eq('id', userId);
+
+        if (error) throw error;
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Error marking email verified:', error);
+        return { success: false, error: error.message };
+      }
+    },
   },
 
   /**
@@ -333,11 +369,18 @@ const db = {
     /**
      * Store token hash
      */
-    async create({ userId, tokenHash, expiresAt }) {
+    async create({ userId, tokenHash, expiresAt, sessionId = null }) {
       try {
         const { data, error } = await supabase
           .from('auth_tokens')
-          .insert([{ user_id: userId, token_hash: tokenHash, expires_at: expiresAt }])
+          .insert([
+            {
+              user_id: userId,
+              token_hash: tokenHash,
+              expires_at: expiresAt,
+              session_id: sessionId,
+            },
+          ])
           .select()
           .single();
 
@@ -430,6 +473,429 @@ const db = {
       }
     },
   },
+
+  /**
+   * Sign-in session operations
+   */
+  sessions: {
+    /**
+     * Create a session for a new sign-in
+     */
+    async create({ userId, deviceName, userAgent, ipAddress, expiresAt }) {
+      try {
+        const { data, error } = await supabase
+          .from('auth_sessions')
+          .insert([
+            {
+              user_id: userId,
+              device_name: deviceName,
+              user_agent: userAgent,
+              ip_address: ipAddress,
+              expires_at: expiresAt,
+            },
+          ])
+          .select()
+          .single();
+
+        if (error) throw error;
+        return { success: true, session: data };
+      } catch (error) {
+        console.error('❌ Error creating session:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Find session by ID
+     */
+    async findById(sessionId) {
+      try {
+        const { data, error } = await supabase
+          .from('auth_sessions')
+          .select('*')
+          .eq('id', sessionId)
+          .single();
+
+        if (error && error.code !== 'PGRST116') throw error;
+        return { success: true, session: data };
+      } catch (error) {
+        console.error('❌ Error finding session:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Get a user's active sessions, most recently used first
+     */
+    async listActive(userId) {
+      try {
+        const { data, error } = await supabase
+          .from('auth_sessions')
+          .select('*')
+          .eq('user_id', userId)
+          .is('revoked_at', null)
+          .gt('expires_at', new Date().toISOString())
+          .order('last_used_at', { ascending: false });
+
+        if (error) throw error;
+        return { success: true, sessions: data || [] };
+      } catch (error) {
+        console.error('❌ Error listing sessions:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Record that a session was used and extend it
+     */
+    async touch(sessionId, expiresAt) {
+      try {
+        const { error } = await supabase
+          .from('auth_sessions')
+          .update({ last_used_at: new Date().toISOString(), expires_at: expiresAt })
+          .eq('id', sessionId);
+
+        if (error) throw error;
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Error updating session:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Revoke a user's session and the access tokens it issued
+     */
+    async revoke({ sessionId, userId }) {
+      try {
+        const { data, error } = await supabase
+          .from('auth_sessions')
+          .update({ revoked_at: new Date().toISOString() })
+          .eq('id', sessionId)
+          .eq('user_id', userId)
+          .is('revoked_at', null)
+          .select()
+          .maybeSingle();
+
+        if (error) throw error;
+
+        const { error: tokensError } = await supabase
+          .from('auth_tokens')
+          .update({ revoked: true })
+          .eq('session_id', sessionId);
+
+        if (tokensError) throw tokensError;
+        return { success: true, revoked: !!data };
+      } catch (error) {
+        console.error('❌ Error revoking session:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Revoke all sessions for user
+     */
+    async revokeAllForUser(userId) {
+      try {
+        const { error } = await supabase
+          .from('auth_sessions')
+          .update({ revoked_at: new Date().toISOString() })
+          .eq('user_id', userId)
+          .is('revoked_at', null);
+
+        if (error) throw error;
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Error revoking all sessions for user:', error);
+        return { success: false, error: error.message };
+      }
+    },
+  },
+
+  /**
+   * Refresh token operations
+   */
+  refreshTokens: {
+    /**
+     * Store a refresh token hash for a session
+     */
+    async create({ sessionId, tokenHash, expiresAt }) {
+      try {
+        const { data, error } = await supabase
+          .from('refresh_tokens')
+          .insert([{ session_id: sessionId, token_hash: tokenHash, expires_at: expiresAt }])
+          .select()
+          .single();
+
+        if (error) throw error;
+        return { success: true, token: data };
+      } catch (error) {
+        console.error('❌ Error creating refresh token:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Find a refresh token by hash, used or not
+     */
+    async findByHash(tokenHash) {
+      try {
+        const { data, error } = await supabase
+          .from('refresh_tokens')
+          .select('*')
+          .eq('token_hash', tokenHash)
+          .maybeSingle();
+
+        if (error) throw error;
+        return { success: true, token: data };
+      } catch (error) {
+        console.error('❌ Error finding refresh token:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Mark a refresh token used, only if it is still unused, in one update so two requests
+     * can't both rotate it
+     */
+    async markUsed(tokenHash) {
+      try {
+        const { data, error } = await supabase
+          .from('refresh_tokens')
+          .update({ used_at: new Date().toISOString() })
+          .eq('token_hash', tokenHash)
+          .is('used_at', null)
+          .select()
+          .maybeSingle();
+
+        if (error) throw error;
+        return { success: true, used: !!data };
+      } catch (error) {
+        console.error('❌ Error marking refresh token used:', error);
+        return { success: false, error: error.message };
+      }
+    },
+  },
+
+  /**
+   * Auth rate limit operations
+   */
+  rateLimits: {
+    /**
+     * Count an attempt against a key, locking it once the limit is passed
+     * Returns the key's lockout (Date) when it is locked, this attempt included, or null
+     */
+    async recordAttempt({
+      key,
+      maxAttempts,
+      windowSeconds,
+      baseLockoutSeconds,
+      maxLockoutSeconds,
+    }) {
+      try {
+        const { data, error } = await supabase.rpc('record_auth_attempt', {
+          p_key: key,
+          p_max_attempts: maxAttempts,
+          p_window_seconds: windowSeconds,
+          p_base_lockout_seconds: baseLockoutSeconds,
+          p_max_lockout_seconds: maxLockoutSeconds,
+        });
+
+        if (error) throw error;
+
+        const lockedUntil = data ? new Date(data) : null;
+        return { success: true, lockedUntil: lockedUntil > new Date() ? lockedUntil : null };
+      } catch (error) {
+        console.error('❌ Error recording auth attempt:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Clear a key's attempts and lockout history
+     */
+    async reset(key) {
+      try {
+        const { error } = await supabase.from('auth_rate_limits').delete().eq('key', key);
+
+        if (error) throw error;
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Error resetting rate limit:', error);
+        return { success: false, error: error.message };
+      }
+    },
+  },
+
+  /**
+   * Email token operations (email verification and password reset)
+   */
+  emailTokens: {
+    /**
+     * Store a token hash for a purpose ('email_verification' or 'password_reset')
+     */
+    async create({ userId, purpose, tokenHash, expiresAt }) {
+      try {
+        const { data, error } = await supabase
+          .from('email_tokens')
+          .insert([{ user_id: userId, purpose, token_hash: tokenHash, expires_at: expiresAt }])
+          .select()
+          .single();
+
+        if (error) throw error;
+        return { success: true, token: data };
+      } catch (error) {
+        console.error('❌ Error creating email token:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Use up a token: marks it used only if it is unused and unexpired, in one update so
+     * the same token can't be used twice
+     */
+    async consume({ tokenHash, purpose }) {
+      try {
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+          .from('email_tokens')
+          .update({ used_at: now })
+          .eq('token_hash', tokenHash)
+          .eq('purpose', purpose)
+          .is('used_at', null)
+          .gt('expires_at', now)
+          .select()
+          .maybeSingle();
+
+        if (error) throw error;
+        return { success: true, valid: !!data, token: data };
+      } catch (error) {
+        console.error('❌ Error consuming email token:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Invalidate a user's unused tokens for a purpose (when a new one is sent)
+     */
+    async invalidateForUser({ userId, purpose }) {
+      try {
+        const { error } = await supabase
+          .from('email_tokens')
+          .update({ used_at: new Date().toISOString() })
+          .eq('user_id', userId)
+          .eq('purpose', purpose)
+          .is('used_at', null);
+
+        if (error) throw error;
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Error invalidating email tokens:', error);
+        return { success: false, error: error.message };
+      }
+    },
+  },
+
+  /**
+   * Shared summary cache operations
+   */
+  summaryCache: {
+    /**
+     * Get an unexpired entry by cache key, counting the hit
+     */
+    async get(cacheKey) {
+      try {
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+          .from('summary_cache')
+          .select('*')
+          .eq('cache_key', cacheKey)
+          .gt('expires_at', now)
+          .maybeSingle();
+
+        if (error) throw error;
+
+        if (data) {
+          // Hit counts are only for reporting, so a lost update between two hits is fine
+          await supabase
+            .from('summary_cache')
+            .update({ hit_count: data.hit_count + 1, last_hit_at: now })
+            .eq('id', data.id);
+        }
+
+        return { success: true, entry: data };
+      } catch (error) {
+        console.error('❌ Error reading summary cache:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Store a response, replacing any entry with the same cache key
+     */
+    async set({ cacheKey, url, contentHash, optionsHash, model, response, usage, expiresAt }) {
+      try {
+        const { error } = await supabase.from('summary_cache').upsert(
+          [
+            {
+              cache_key: cacheKey,
+              url,
+              content_hash: contentHash,
+              options_hash: optionsHash,
+              model,
+              response,
+              usage: usage || {},
+              hit_count: 0,
+              created_at: new Date().toISOString(),
+              last_hit_at: null,
+              expires_at: expiresAt,
+            },
+          ],
+          { onConflict: 'cache_key' },
+        );
+
+        if (error) throw error;
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Error writing summary cache:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Remove one entry
+     */
+    async invalidate(cacheKey) {
+      try {
+        const { error } = await supabase.from('summary_cache').delete().eq('cache_key', cacheKey);
+
+        if (error) throw error;
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Error invalidating summary cache entry:', error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    /**
+     * Remove every entry for a (normalized) page URL
+     */
+    async invalidateUrl(url) {
+      try {
+        const { data, error } = await supabase
+          .from('summary_cache')
+          .delete()
+          .eq('url', url)
+          .select('id');
+
+        if (error) throw error;
+        return { success: true, count: (data || []).length };
+      } catch (error) {
+        console.error('❌ Error invalidating summary cache for URL:', error);
+        return { success: false, error: error.message };
+      }
+    },
+  },
 };
 
 export default db;
@@ -0,0 +1,176 @@
+/**
+ * Email Sender
+ * Sends account emails (address verification, password reset) through the transport named in
+ * EMAIL_TRANSPORT:
+ * - resend: the Resend HTTP API (production, needs RESEND_API_KEY)
+ * - file: writes each email as JSON to EMAIL_OUTBOX_DIR (local development)
+ * - console: logs each email (local development default)
+ * Both development transports expose verification and reset codes, so they are refused in
+ * production (VERCEL_ENV or NODE_ENV set to production), where email fails until resend is set.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const IS_PRODUCTION =
+  process.env.VERCEL_ENV === 'production' || process.env.NODE_ENV === 'production';
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (IS_PRODUCTION ? 'resend' : 'console');
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Kuiqlee <no-reply@kuiqlee.com>';
+const EMAIL_OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || '/tmp/kuiqlee-outbox';
+
+const transports = {
+  /**
+   * Log the email instead of sending it
+   */
+  async console(message) {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n\n${message.text}`);
+    return { success: true };
+  },
+
+  /**
+   * Write the email to the outbox directory
+   */
+  async file(message) {
+    await fs.mkdir(EMAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9]+/gi, '_')}.json`;
+    const filePath = path.join(EMAIL_OUTBOX_DIR, fileName);
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+    console.log(`📧 Email to ${message.to} written to ${filePath}`);
+    return { success: true };
+  },
+
+  /**
+   * Send the email with Resend
+   */
+  async resend(message) {
+    const apiKey = process.env.RESEND_API_KEY;
+    if (!apiKey) {
+      throw new Error('RESEND_API_KEY is not configured');
+    }
+
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify(message),
+    });
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      throw new Error(`Resend API error ${response.status}: ${details}`);
+    }
+
+    return { success: true };
+  },
+};
+
+/**
+ * Send an email
+ * @param {Object} email - { to, subject, text, html }
+ * @returns {Promise<Object>} - { success } or { success: false, error }
+ */
+export async function sendEmail({ to, subject, text, html }) {
+  const transport = transports[EMAIL_TRANSPORT];
+  if (!transport) {
+    console.error(`❌ Unknown EMAIL_TRANSPORT: ${EMAIL_TRANSPORT}`);
+    return { success: false, error: 'Email is not configured' };
+  }
+
+  if (IS_PRODUCTION && DEVELOPMENT_TRANSPORTS.includes(EMAIL_TRANSPORT)) {
+    console.error(`❌ EMAIL_TRANSPORT ${EMAIL_TRANSPORT} is for development only`);
+    return { success: false, error: 'Email is not configured' };
+  }
+
+  try {
+    return await transport({ from: EMAIL_FROM, to, subject, text, html });
+  } catch (error) {
+    console.error('❌ Error sending email:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Build the email that confirms an address after sign up
+ * @param {Object} details - { to, token, verifyUrl }
+ * @returns {Object} - { to, subject, text, html }
+ */
+export function buildVerificationEmail({ to, token, verifyUrl }) {
+  return {
+    to,
+    subject: 'Confirm your Kuiqlee email address',
+    text: [
+      'Welcome to Kuiqlee!',
+      '',
+      'Confirm your email address by opening this link:',
+      verifyUrl,
+      '',
+      'Or paste this code into the Kuiqlee sign-in page:',
+      token,
+      '',
+      "The link expires in 24 hours. If you didn't create a Kuiqlee account, ignore this email.",
+    ].join('\n'),
+    html: buildHTML(`
+      <p>Welcome to Kuiqlee!</p>
+      <p><a href="${escapeHtml(verifyUrl)}">Confirm your email address</a></p>
+      <p>Or paste this code into the Kuiqlee sign-in page:</p>
+      <p><code>${escapeHtml(token)}</code></p>
+      <p>The link expires in 24 hours. If you didn't create a Kuiqlee account, ignore this
+      email.</p>
+    `),
+  };
+}
+
+/**
+ * Build the email with a password reset code
+ * @param {Object} details - { to, token }
+ * @returns {Object} - { to, subject, text, html }
+ */
+export function buildPasswordResetEmail({ to, token }) {
+  return {
+    to,
+    subject: 'Reset your Kuiqlee password',
+    text: [
+      'Someone asked to reset the password for your Kuiqlee account.',
+      '',
+      'Paste this code into the Kuiqlee sign-in page to choose a new password:',
+      token,
+      '',
+      "The code expires in 30 minutes and works once. If you didn't ask for it, ignore this " +
+        'email; your password stays the same.',
+    ].join('\n'),
+    html: buildHTML(`
+      <p>Someone asked to reset the password for your Kuiqlee account.</p>
+      <p>Paste this code into the Kuiqlee sign-in page to choose a new password:</p>
+      <p><code>${escapeHtml(token)}</code></p>
+      <p>The code expires in 30 minutes and works once. If you didn't ask for it, ignore this
+      email; your password stays the same.</p>
+    `),
+  };
+}
+
+/**
+ * Wrap email content in a minimal HTML document
+ */
+function buildHTML(body) {
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #101828;">
+    ${body}
+  </body>
+</html>`;
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,556 @@
+/**
+ * Summarize API
+ * Structured summaries: the extension sends content, metadata and summary options, the prompt
+ * is built here (see summary-prompts.js for its version), and the model's JSON is checked
+ * against the summary schema and returned as normalized fields.
+ *
+ * Actions (POST /api/summarize?action=...):
+ * - summary: { content, metadata, options } - multi-format summary of a page, a selected
+ *   passage or a video transcript
+ * - chunk: { content, metadata, chunkIndex, totalChunks } - summary of one part of a long
+ *   document, to be merged later
+ * - merge: { partials, metadata, options } - multi-format summary combining part summaries
+ * - chat: { content, metadata, messages } - answer to the last of alternating user/assistant
+ *   turns about a page, as { answer, quotes } in the reply field
+ * - quiz: { passage, metadata, options: { includeHint } } - multiple-choice question about a
+ *   passage, in the quiz field
+ * - synthesis: { sources: [{ title, url, text }] } - comparison of several pages on one topic,
+ *   in the synthesis field
+ * Every action also takes domain and url (usage limits and the shared summary cache; free-tier
+ * requests must name the page's domain), stream (server-sent events with the raw JSON as it is
+ * written and the result in the done event) and skipCache. Prompts and token limits are always
+ * set here; the API never runs a prompt the client wrote, so readers' own prompt templates
+ * only run with an Anthropic key or a local model in the extension.
+ *
+ * DELETE /api/summarize with an X-Admin-Key header removes cached summaries:
+ * { cacheKey } for one entry or { url } for every entry of a page.
+ */
+
+import {
+  COUNT_CACHED_SUMMARIES,
+  authenticateUser,
+  buildCacheEntry,
+  checkUsageLimit,
+  getCachedResponse,
+  handleCacheInvalidation,
+  logSummaryUsage,
+  relayStream,
+  requestModel,
+  sendEventStream,
+  sendServerError,
+  storeCachedResponse,
+} from './ai-service.js';
+import {
+  DEFAULT_OPTIONS,
+  LENGTH_GUIDELINES,
+  PROMPT_VERSION,
+  TONE_GUIDELINES,
+  buildChatSystemPrompt,
+  buildChunkSummaryPrompt,
+  buildMergePrompt,
+  buildQuizPrompt,
+  buildSummaryPrompt,
+  buildSynthesisPrompt,
+} from './summary-prompts.js';
+import {
+  CHAT_ANSWER_SCHEMA,
+  CHUNK_SUMMARY_SCHEMA,
+  PARTIAL_SUMMARY_SCHEMA,
+  QUIZ_SCHEMA,
+  SYNTHESIS_SCHEMA,
+  getSummarySchema,
+  normalizeChatAnswer,
+  normalizeChunkSummary,
+  normalizeQuiz,
+  normalizeSummary,
+  normalizeSynthesis,
+  parseModelJSON,
+  validate,
+} from './summary-schema.js';
+
+const MAX_CONTENT_LENGTH = 150000; // Characters of content (or part summaries) per request
+const MAX_PARTS = 12;
+const MAX_HIGHLIGHTS = 20;
+const SUMMARY_MAX_TOKENS = 4096;
+const CHUNK_MAX_TOKENS = 1024;
+const TEMPERATURE = 0.3;
+const MAX_CHAT_CONTEXT_LENGTH = 60000; // Characters of page text a chat answer is based on
+const MAX_CHAT_MESSAGES = 21; // Ten earlier question/answer pairs and the new question
+const MAX_CHAT_LENGTH = 40000; // Characters across all chat messages
+const CHAT_MAX_TOKENS = 1024;
+const MAX_QUIZ_PASSAGE_LENGTH = 20000;
+const MIN_SYNTHESIS_SOURCES = 2;
+const MAX_SYNTHESIS_SOURCES = 6;
+const MAX_SYNTHESIS_SOURCE_LENGTH = 12000;
+const CONTENT_TYPES = [
+  'article',
+  'blog',
+  'documentation',
+  'encyclopedia',
+  'news',
+  'pdf',
+  'technical',
+  'tutorial',
+  'video',
+  'selection',
+];
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method === 'DELETE') {
+    return await handleCacheInvalidation(req, res);
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { action } = req.query;
+    const body = req.body || {};
+    let task;
+
+    switch (action) {
+      case 'summary':
+        task = buildSummaryTask(body);
+        break;
+      case 'chunk':
+        task = buildChunkTask(body);
+        break;
+      case 'merge':
+        task = buildMergeTask(body);
+        break;
+      case 'chat':
+        task = buildChatTask(body);
+        break;
+      case 'quiz':
+        task = buildQuizTask(body);
+        break;
+      case 'synthesis':
+        task = buildSynthesisTask(body);
+        break;
+      default:
+        return res.status(400).json({ success: false, error: 'Invalid action' });
+    }
+
+    if (task.error) {
+      return res.status(400).json({ success: false, error: task.error });
+    }
+
+    return await handleTask(req, res, task);
+  } catch (error) {
+    return sendServerError(res, error);
+  }
+}
+
+// Summary task: multi-format summary of a page, a selected passage or a video transcript
+function buildSummaryTask({ content, metadata, options }) {
+  const contentError = validateContent(content);
+  if (contentError) {
+    return { error: contentError };
+  }
+
+  const summaryOptions = readOptions(options);
+  return {
+    prompt: buildSummaryPrompt(content, readMetadata(metadata), summaryOptions),
+    maxTokens: SUMMARY_MAX_TOKENS,
+    schema: getSummarySchema(summaryOptions),
+    normalize: normalizeSummary,
+  };
+}
+
+// Chunk task: summary of one part of a long document
+function buildChunkTask({ content, metadata, chunkIndex, totalChunks }) {
+  const contentError = validateContent(content);
+  if (contentError) {
+    return { error: contentError };
+  }
+
+  if (
+    !Number.isInteger(totalChunks) ||
+    !Number.isInteger(chunkIndex) ||
+    totalChunks < 1 ||
+    totalChunks > MAX_PARTS ||
+    chunkIndex < 0 ||
+    chunkIndex >= totalChunks
+  ) {
+    return { error: `chunkIndex and totalChunks must describe one of at most ${MAX_PARTS} parts` };
+  }
+
+  return {
+    prompt: buildChunkSummaryPrompt(content, readMetadata(metadata), chunkIndex, totalChunks),
+    maxTokens: CHUNK_MAX_TOKENS,
+    schema: CHUNK_SUMMARY_SCHEMA,
+    normalize: normalizeChunkSummary,
+  };
+}
+
+// Merge task: multi-format summary combining the part summaries from chunk tasks
+function buildMergeTask({ partials, metadata, options }) {
+  if (!Array.isArray(partials) || partials.length === 0 || partials.length > MAX_PARTS) {
+    return { error: `Between 1 and ${MAX_PARTS} part summaries are required` };
+  }
+
+  const errors = partials.flatMap((part, index) =>
+    validate(part, PARTIAL_SUMMARY_SCHEMA, `partials[${index}]`),
+  );
+  if (errors.length > 0) {
+    return { error: `Invalid part summaries: ${errors.slice(0, 3).join('; ')}` };
+  }
+
+  if (JSON.stringify(partials).length > MAX_CONTENT_LENGTH) {
+    return { error: 'Part summaries are too long' };
+  }
+
+  const summaryOptions = readOptions(options);
+  return {
+    prompt: buildMergePrompt(partials, readMetadata(metadata), summaryOptions),
+    maxTokens: SUMMARY_MAX_TOKENS,
+    schema: getSummarySchema(summaryOptions),
+    normalize: normalizeSummary,
+  };
+}
+
+// Chat task: answer a question about a page from its text. The system prompt is built here,
+// so the conversation can only be about the page.
+function buildChatTask({ content, metadata, messages }) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: 'Content is required' };
+  }
+
+  if (content.length > MAX_CHAT_CONTEXT_LENGTH) {
+    return { error: `Content is too long (maximum ${MAX_CHAT_CONTEXT_LENGTH} characters)` };
+  }
+
+  const chatError = validateChatMessages(messages);
+  if (chatError) {
+    return { error: chatError };
+  }
+
+  return {
+    system: buildChatSystemPrompt(content, readMetadata(metadata)),
+    messages: messages.map(({ role, content: text }) => ({ role, content: text })),
+    maxTokens: CHAT_MAX_TOKENS,
+    temperature: 0.2,
+    schema: CHAT_ANSWER_SCHEMA,
+    normalize: normalizeChatAnswer,
+    resultField: 'reply',
+    cache: false,
+  };
+}
+
+// Quiz task: multiple-choice question about a passage the reader just finished
+function buildQuizTask({ passage, metadata, options }) {
+  if (typeof passage !== 'string' || !passage.trim()) {
+    return { error: 'Passage is required' };
+  }
+
+  if (passage.length > MAX_QUIZ_PASSAGE_LENGTH) {
+    return { error: `Passage is too long (maximum ${MAX_QUIZ_PASSAGE_LENGTH} characters)` };
+  }
+
+  return {
+    prompt: buildQuizPrompt(passage, readMetadata(metadata), {
+      includeHint: options?.includeHint === true,
+    }),
+    maxTokens: CHUNK_MAX_TOKENS,
+    temperature: 0.5,
+    schema: QUIZ_SCHEMA,
+    normalize: normalizeQuiz,
+    resultField: 'quiz',
+    cache: false,
+  };
+}
+
+// Synthesis task: compare and combine several pages on one topic
+function buildSynthesisTask({ sources }) {
+  if (
+    !Array.isArray(sources) ||
+    sources.length < MIN_SYNTHESIS_SOURCES ||
+    sources.length > MAX_SYNTHESIS_SOURCES
+  ) {
+    return {
+      error: `Between ${MIN_SYNTHESIS_SOURCES} and ${MAX_SYNTHESIS_SOURCES} sources are required`,
+    };
+  }
+
+  const invalid = sources.some(
+    (source) =>
+      typeof source?.text !== 'string' ||
+      !source.text.trim() ||
+      source.text.length > MAX_SYNTHESIS_SOURCE_LENGTH,
+  );
+  if (invalid) {
+    return {
+      error: `Every source needs text of at most ${MAX_SYNTHESIS_SOURCE_LENGTH} characters`,
+    };
+  }
+
+  const prompt = buildSynthesisPrompt(
+    sources.map((source) => ({
+      title: readText(source.title, 300),
+      url: readText(source.url, 2000),
+      text: source.text,
+    })),
+  );
+
+  return {
+    prompt,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    schema: SYNTHESIS_SCHEMA,
+    normalize: (synthesis) => normalizeSynthesis(synthesis, sources.length),
+    resultField: 'synthesis',
+    cache: false,
+  };
+}
+
+/**
+ * Run a summarize task: sign-in and plan checks, the shared cache, the model request and
+ * reading the model's JSON
+ * @param {Object} task - { prompt and/or system and messages, maxTokens, temperature?,
+ *   schema and normalize, resultField? (default 'summary'),
+ *   cache? (false for answers that shouldn't be shared) }
+ */
+async function handleTask(req, res, task) {
+  const { domain, url, stream = false, skipCache = false } = req.body;
+
+  const user = await authenticateUser(req, res);
+  if (!user) {
+    return;
+  }
+
+  const { userId, email, isPremium } = user;
+  const temperature = task.temperature ?? TEMPERATURE;
+  const resultField = task.resultField || 'summary';
+
+  // The prompt embeds the content, metadata and options; skipCache (Regenerate) asks for a
+  // fresh summary, which then replaces the cached one
+  const cache =
+    task.cache === false
+      ? null
+      : buildCacheEntry({
+          url,
+          content: [task.system, task.prompt].filter(Boolean).join('\n\n'),
+          options: { promptVersion: PROMPT_VERSION, maxTokens: task.maxTokens, temperature },
+        });
+  const cached = skipCache ? null : await getCachedResponse(cache);
+  const countsAgainstLimit = !cached || COUNT_CACHED_SUMMARIES;
+
+  // If not premium, check usage limits
+  if (countsAgainstLimit && !(await checkUsageLimit(res, { userId, isPremium, domain }))) {
+    return;
+  }
+
+  if (cached) {
+    console.log('✅ [API] Summary served from cache');
+
+    if (countsAgainstLimit) {
+      await logSummaryUsage({ isPremium, userId, email, domain, url });
+    }
+
+    const result = {
+      [resultField]: JSON.parse(cached.response),
+      promptVersion: PROMPT_VERSION,
+      usage: cached.usage || {},
+      isPremium,
+      cached: true,
+    };
+
+    return stream === true
+      ? sendEventStream(res, [{ type: 'done', ...result }])
+      : res.status(200).json({ success: true, ...result });
+  }
+
+  const response = await requestModel(res, {
+    maxTokens: task.maxTokens,
+    temperature,
+    stream,
+    system: task.system,
+    messages: task.messages || [{ role: 'user', content: task.prompt }],
+  });
+
+  if (!response) {
+    return;
+  }
+
+  // Validated responses are logged, cached (as normalized JSON) and returned
+  const complete = async ({ text, usage, stopReason }) => {
+    const output = readModelResponse(text, task);
+
+    await logSummaryUsage({ isPremium, userId, email, domain, url });
+    await storeCachedResponse(cache, { text: JSON.stringify(output), usage, stopReason });
+
+    return { [resultField]: output, promptVersion: PROMPT_VERSION, isPremium, cached: false };
+  };
+
+  // Streaming clients receive the response as server-sent events
+  if (stream === true) {
+    return await relayStream(response, res, { onComplete: complete });
+  }
+
+  const data = await response.json();
+  const text = data.content?.[0]?.text;
+
+  if (!text) {
+    console.error('❌ Unexpected AI API response structure:', data);
+    return res.status(500).json({
+      success: false,
+      error: 'Invalid response from AI service',
+    });
+  }
+
+  let result;
+  try {
+    result = await complete({ text, usage: data.usage, stopReason: data.stop_reason });
+  } catch (error) {
+    if (!error.expose) {
+      throw error;
+    }
+    return res.status(502).json({ success: false, error: error.message });
+  }
+
+  console.log(`✅ [API] ${req.query.action} request successful`);
+
+  return res.status(200).json({ success: true, usage: data.usage || {}, ...result });
+}
+
+/**
+ * Parse, validate and normalize the model's JSON for a task
+ * @returns {Object} - Normalized result
+ */
+function readModelResponse(text, { schema, normalize }) {
+  let errors;
+  let output;
+
+  try {
+    const json = parseModelJSON(text);
+    errors = validate(json, schema);
+    // Normalizers throw for problems the schema can't describe
+    output = errors.length === 0 ? normalize(json) : null;
+  } catch (error) {
+    errors = [error.message];
+  }
+
+  if (errors.length > 0) {
+    console.error('❌ Response failed schema validation:', errors.slice(0, 10));
+
+    const error = new Error(
+      'The AI service returned a response in an unexpected format. Please try again.',
+    );
+    error.expose = true;
+    throw error;
+  }
+
+  return output;
+}
+
+/**
+ * Check chat turns: alternating user/assistant text messages ending with the user's question,
+ * within the turn and length limits
+ * @returns {string|null} - Error message or null
+ */
+function validateChatMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return 'Messages are required';
+  }
+
+  if (messages.length > MAX_CHAT_MESSAGES) {
+    return `Conversation is too long (maximum ${MAX_CHAT_MESSAGES} messages)`;
+  }
+
+  let length = 0;
+  for (let i = 0; i < messages.length; i++) {
+    const { role, content } = messages[i] || {};
+    const expectedRole = i % 2 === 0 ? 'user' : 'assistant';
+
+    if (role !== expectedRole || typeof content !== 'string' || !content.trim()) {
+      return 'Messages must alternate between user and assistant and contain text';
+    }
+    length += content.length;
+  }
+
+  if (messages.length % 2 === 0) {
+    return 'The last message must be from the user';
+  }
+
+  if (length > MAX_CHAT_LENGTH) {
+    return `Conversation is too long (maximum ${MAX_CHAT_LENGTH} characters)`;
+  }
+
+  return null;
+}
+
+/**
+ * Check the content to summarize
+ * @returns {string|null} - Error message or null
+ */
+function validateContent(content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return 'Content is required';
+  }
+
+  if (content.length > MAX_CONTENT_LENGTH) {
+    return `Content is too long (maximum ${MAX_CONTENT_LENGTH} characters per request)`;
+  }
+
+  return null;
+}
+
+/**
+ * Read the content metadata the prompts use, with defaults for anything missing or invalid
+ */
+function readMetadata(metadata = {}) {
+  const number = (value) => (Number.isFinite(value) ? Math.max(0, Math.round(value)) : 0);
+
+  return {
+    contentType: CONTENT_TYPES.includes(metadata?.contentType) ? metadata.contentType : 'article',
+    wordCount: number(metadata?.wordCount),
+    readabilityScore: Math.min(100, number(metadata?.readabilityScore)),
+    hasHeadings: metadata?.hasHeadings === true,
+    title: readText(metadata?.title, 300),
+  };
+}
+
+/**
+ * Read summary options. Sections are included unless turned off; unknown lengths and tones
+ * fall back to the defaults.
+ */
+function readOptions(options = {}) {
+  const pick = (value, allowed, fallback) => (Object.hasOwn(allowed, value) ? value : fallback);
+  const language = readText(options?.language, 35);
+
+  return {
+    includeQuickSummary: options?.includeQuickSummary !== false,
+    includeDetailedSummary: options?.includeDetailedSummary !== false,
+    includeKeyPoints: options?.includeKeyPoints !== false,
+    includeActionItems: options?.includeActionItems !== false,
+    includeConcepts: options?.includeConcepts !== false,
+    length: pick(options?.length, LENGTH_GUIDELINES, DEFAULT_OPTIONS.length),
+    tone: pick(options?.tone, TONE_GUIDELINES, DEFAULT_OPTIONS.tone),
+    audience: readText(options?.audience, 200) || DEFAULT_OPTIONS.audience,
+    language: /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(language) ? language : 'auto',
+    languageName: readText(options?.languageName, 60),
+    highlights: (Array.isArray(options?.highlights) ? options.highlights : [])
+      .map((highlight) => ({
+        text: readText(highlight?.text, 1000),
+        note: readText(highlight?.note, 500),
+      }))
+      .filter((highlight) => highlight.text)
+      .slice(0, MAX_HIGHLIGHTS),
+  };
+}
+
+/**
+ * Read an optional text field, trimmed and cut to a maximum length
+ */
+function readText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
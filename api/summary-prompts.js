@@ -0,0 +1,473 @@
+/**
+ * Summary Prompts
+ * Builds the prompts behind /api/summarize from page content, metadata and summary options:
+ * summaries, chat answers, quizzes and tab syntheses. They match the
+ * extension's AIPromptBuilder, which own-key and local providers still use.
+ *
+ * Bump PROMPT_VERSION whenever a prompt or the response schema changes: it is returned with
+ * every summary and is part of the summary cache key, so summaries made with older prompts
+ * stop being served.
+ */
+
+export const PROMPT_VERSION = 'summary-v1';
+
+export const DEFAULT_OPTIONS = {
+  includeKeyPoints: true,
+  includeQuickSummary: true,
+  includeDetailedSummary: true,
+  includeActionItems: true,
+  includeConcepts: true,
+  length: 'standard',
+  tone: 'neutral',
+  audience: 'students and professionals',
+};
+
+// Length and tone guidance for summary presets
+export const LENGTH_GUIDELINES = {
+  tweet:
+    'Tweet-length. The quick summary must fit in a single tweet (at most 280 characters). Keep every other section to a few short lines.',
+  brief:
+    'Brief. A 1-2 sentence quick summary, at most 4 key points and a detailed summary of no more than 250 words.',
+  standard: 'Standard. Follow the lengths given in the guidelines below.',
+  thorough:
+    'Thorough. Cover every argument, method and caveat; the detailed summary may run to 1500 words and include 4-8 key points.',
+};
+
+export const TONE_GUIDELINES = {
+  neutral: 'Neutral and informative',
+  direct: 'Direct and decision-oriented. Lead with conclusions and implications',
+  explanatory: 'Patient and explanatory, like a good teacher. Define terms as they appear',
+  precise: 'Precise and technical. Keep exact terminology, numbers, versions and caveats',
+  casual: 'Casual and punchy, in plain everyday language',
+};
+
+const MARKDOWN_GUIDELINES = `
+MARKDOWN FORMATTING REQUIREMENTS:
+- Always add blank lines before and after headings (## Heading)
+- Always add blank lines before and after bullet point lists
+- Use dashes for bullet points: - Item one
+- Use numbers for ordered lists: 1. First item
+- Use **bold** for important terms and *italic* for emphasis
+- Use code blocks with language specification: \`\`\`javascript or \`\`\`python
+- Use tables with proper markdown table syntax including headers and alignment
+- Ensure proper line spacing between sections, code blocks, and tables`;
+
+/**
+ * Build the multi-format summary prompt for a page, a selected passage or a video transcript
+ * @param {string} content - Content to summarize
+ * @param {Object} metadata - { contentType, wordCount, readabilityScore, hasHeadings, title }
+ * @param {Object} options - Summary options
+ * @returns {string} - Complete AI prompt
+ */
+export function buildSummaryPrompt(content, metadata, options) {
+  if (metadata.contentType === 'video') {
+    return buildVideoSummaryPrompt(content, metadata, options);
+  }
+  if (metadata.contentType === 'selection') {
+    return buildSelectionSummaryPrompt(content, metadata, options);
+  }
+
+  return `You are an expert content analyst and summarization specialist. Analyze this ${metadata.contentType} content:
+
+CONTENT TO ANALYZE:
+${content}
+
+${buildMetadataSection(metadata)} and provide summaries in multiple formats for ${options.audience}.
+
+TASK: Create multiple summary formats as requested below. Each format serves different reading needs and time constraints.
+
+${buildSummaryFormatInstructions(options)}`;
+}
+
+/**
+ * Build the summary prompt variant for a passage the user selected on a page
+ */
+function buildSelectionSummaryPrompt(content, metadata, options) {
+  return `You are an expert content analyst and summarization specialist. The reader selected this passage on a web page and wants it summarized on its own.
+
+SELECTED PASSAGE:
+${content}
+
+CONTENT METADATA:
+- Type: passage selected from a web page
+- Page: ${metadata.title || 'Untitled page'}
+- Word Count: ${metadata.wordCount}
+
+TASK: Create multiple summary formats of the selected passage only. Don't describe or guess at the rest of the page; use the page title only to make sense of the passage. Scale every section to the passage: a few paragraphs need a short detailed summary and only the key points and concepts they actually contain. Use "estimated_read_time" for the time needed to read the passage.
+
+${buildSummaryFormatInstructions(options)}`;
+}
+
+/**
+ * Build the summary prompt variant for video transcripts with "(m:ss)" timestamps starting
+ * each paragraph
+ */
+function buildVideoSummaryPrompt(content, metadata, options) {
+  return `You are an expert content analyst and summarization specialist. Analyze this video transcript. Each paragraph starts with the time it is spoken as (m:ss). Captions may lack punctuation, contain speech-recognition errors and include filler words.
+
+TRANSCRIPT TO ANALYZE:
+${content}
+
+CONTENT METADATA:
+- Type: video transcript
+- Word Count: ${metadata.wordCount}
+
+TASK: Create multiple summary formats of what the video says, for viewers deciding whether and which parts to watch. Follow the order of the video, describe the speaker's points rather than the captions, and leave out sponsor messages, greetings and requests to like or subscribe. Use "estimated_read_time" for the time needed to read the summary.
+
+TRANSCRIPT QUOTES: Copy each key point and action item "quote" from the caption text exactly as written, without the (m:ss) timestamp, so it can be linked to the moment in the video where it is said.
+
+${buildSummaryFormatInstructions(options)}`;
+}
+
+/**
+ * Build the "map" prompt for one chunk of a long document
+ * @param {string} chunk - Structure-marked chunk text
+ * @param {Object} metadata - Content metadata for the whole document
+ * @param {number} chunkIndex - Zero-based chunk position
+ * @param {number} totalChunks - Total number of chunks
+ * @returns {string} - Chunk summary prompt
+ */
+export function buildChunkSummaryPrompt(chunk, metadata, chunkIndex, totalChunks) {
+  return `You are an expert content analyst. You are reading part ${chunkIndex + 1} of ${totalChunks} of a long ${metadata.contentType} (${metadata.wordCount} words in total). Structure markers such as [SECTION_HEADER] and [KEY_CONCEPT] describe the role of each paragraph.
+
+CONTENT PART ${chunkIndex + 1}/${totalChunks}:
+${chunk}
+
+TASK: Summarize only this part so it can later be merged with the other parts.
+
+RESPONSE FORMAT - Return a JSON object with the following structure:
+{
+  "section_summary": "4-6 sentence summary of this part, naming the sections it covers",
+  "key_points": [{"point": "Most important finding or argument in this part", "quote": "Verbatim supporting passage"}],
+  "concepts": [{"term": "technical term", "definition": "simple definition"}],
+  "action_items": [{"action": "Practical takeaway mentioned in this part", "quote": "Verbatim supporting passage"}]
+}
+
+- Only use information from this part
+- Each "quote" must be copied word for word from this part (at most 25 words, without structure markers)
+- Keep arrays short (at most 5 items each) and use empty arrays when nothing applies
+
+Return only the JSON object, no additional text.`;
+}
+
+/**
+ * Build the "reduce" prompt that merges chunk summaries into the multi-format summary
+ * @param {Array<Object>} partials - Normalized chunk summaries in document order
+ *   ({ sectionSummary, keyPoints, concepts, actionItems })
+ * @param {Object} metadata - Content metadata for the whole document
+ * @param {Object} options - Summary options
+ * @returns {string} - Merge prompt
+ */
+export function buildMergePrompt(partials, metadata, options) {
+  const parts = partials
+    .map((part, index) => {
+      const keyPoints = part.keyPoints.map((item) => formatSourcedItem(item.point, item.quote));
+      const concepts = part.concepts.map((concept) => `- ${concept.term}: ${concept.definition}`);
+      const actions = part.actionItems.map((item) => formatSourcedItem(item.action, item.quote));
+
+      return `PART ${index + 1}/${partials.length}:
+Summary: ${part.sectionSummary}
+${keyPoints.length ? `Key points:\n${keyPoints.join('\n')}\n` : ''}${
+        concepts.length ? `Concepts:\n${concepts.join('\n')}\n` : ''
+      }${actions.length ? `Action items:\n${actions.join('\n')}` : ''}`;
+    })
+    .join('\n\n');
+
+  return `You are an expert content analyst and summarization specialist. A long ${metadata.contentType} was split into ${partials.length} consecutive parts and each part was summarized separately. Combine these partial summaries into one coherent summary of the whole document.
+
+PARTIAL SUMMARIES:
+${parts}
+
+${buildMetadataSection(metadata)}
+
+TASK: Create multiple summary formats for the complete document. Cover every part in proportion to its importance, follow the document's order, and merge duplicate points and concepts. For key point and action item quotes, reuse the quotes given in the partial summaries exactly; never write new ones.
+
+${buildSummaryFormatInstructions(options)}`;
+}
+
+/**
+ * Build the system prompt for answering questions about a page
+ * @param {string} articleText - Extracted article text
+ * @param {Object} metadata - { contentType, title }
+ * @returns {string} - Chat system prompt
+ */
+export function buildChatSystemPrompt(articleText, metadata) {
+  return `You are a research assistant answering questions about one ${metadata.contentType}${
+    metadata.title ? ` titled "${metadata.title}"` : ''
+  }. Answer ONLY from the article text below. If the article does not contain the answer, say so plainly instead of guessing.
+
+ARTICLE:
+${articleText}
+
+RESPONSE FORMAT - Return a JSON object with the following structure:
+{
+  "answer": "Concise answer in markdown (1-3 short paragraphs or a short list)",
+  "quotes": ["Exact sentence copied from the article that supports the answer"]
+}
+
+- Quotes must be copied word for word from the article (1-3 quotes, each under 300 characters)
+- Use an empty quotes array when the article does not answer the question
+- Refer back to earlier turns of the conversation when the question depends on them
+
+Return only the JSON object, no additional text.`;
+}
+
+/**
+ * Build a prompt for a multiple-choice comprehension question about a passage
+ * @param {string} passage - Text the reader has just finished
+ * @param {Object} metadata - { title }
+ * @param {Object} options - { includeHint }
+ * @returns {string} - Quiz prompt
+ */
+export function buildQuizPrompt(passage, metadata, options) {
+  return `You are a reading tutor checking whether a reader understood a passage${
+    metadata.title ? ` from "${metadata.title}"` : ''
+  }.
+
+PASSAGE:
+${passage}
+
+TASK: Write ONE multiple-choice question that tests understanding of the passage's main idea or an important detail, not trivia.
+
+RESPONSE FORMAT - Return a JSON object with the following structure:
+{
+  "question": "The question",
+  "options": ["Option A", "Option B", "Option C", "Option D"],
+  "correct_index": 0,
+  "hint": "${options.includeHint ? 'A short hint that points to the relevant part of the passage without giving the answer away' : ''}",
+  "explanation": "One sentence explaining why the correct option is right"
+}
+
+- Exactly 4 options, only one correct, with plausible distractors
+- The answer must be answerable from the passage alone
+- Vary the position of the correct option
+
+Return only the JSON object, no additional text.`;
+}
+
+/**
+ * Build the prompt that compares and combines several pages on one topic
+ * @param {Array<Object>} sources - [{ title, url, text }] in the order they are numbered
+ * @returns {string} - Synthesis prompt
+ */
+export function buildSynthesisPrompt(sources) {
+  const sourcesText = sources
+    .map(
+      (source, index) => `SOURCE ${index + 1}: ${source.title || 'Untitled'}
+URL: ${source.url}
+${source.text}`,
+    )
+    .join('\n\n---\n\n');
+
+  return `You are an expert research analyst. A reader opened ${sources.length} pages while researching one topic. Compare them and combine them into a single synthesis, attributing every claim to the numbered sources that make it.
+
+${sourcesText}
+
+TASK: Identify what the sources agree on, where they disagree or contradict each other, and what each source contributes that the others don't.
+
+RESPONSE FORMAT - Return a JSON object with the following structure:
+{
+  "topic": "The shared topic in a few words",
+  "overview": "3-5 sentence synthesis of what the sources say together",
+  "consensus": [
+    {
+      "point": "A point that two or more sources agree on",
+      "sources": [1, 2]
+    }
+  ],
+  "disagreements": [
+    {
+      "issue": "The question the sources disagree on",
+      "positions": [
+        { "source": 1, "position": "What source 1 says about it" },
+        { "source": 3, "position": "What source 3 says instead" }
+      ]
+    }
+  ],
+  "source_summaries": [
+    {
+      "source": 1,
+      "summary": "One or two sentences on this source's main argument",
+      "unique_points": ["Something only this source covers"]
+    }
+  ]
+}
+
+- Use the source numbers exactly as given (1 to ${sources.length})
+- Consensus points need at least two supporting sources; list every source that supports them
+- Only report disagreements that are really in the sources, and use an empty array when there are none
+- Include one source_summaries entry per source, in order
+- Be specific and neutral; do not add information from outside the sources
+
+Return only the JSON object, no additional text.`;
+}
+
+/**
+ * Build the content metadata section of page and merge prompts
+ */
+function buildMetadataSection(metadata) {
+  return `CONTENT METADATA:
+- Type: ${metadata.contentType}
+- Word Count: ${metadata.wordCount}
+- Readability Score: ${metadata.readabilityScore}/100
+- Has Headings: ${metadata.hasHeadings}`;
+}
+
+/**
+ * Format a key point or action item from a partial summary as a bullet line
+ */
+function formatSourcedItem(text, quote) {
+  return quote ? `- ${text} (quote: "${quote}")` : `- ${text}`;
+}
+
+/**
+ * Build the length, tone and audience section for a summary preset
+ */
+function buildStyleInstructions({ length, tone, audience }) {
+  return `STYLE (takes precedence over the lengths suggested in the format above):
+- Audience: ${audience}
+- Tone: ${TONE_GUIDELINES[tone]}
+- Length: ${LENGTH_GUIDELINES[length]}`;
+}
+
+/**
+ * Build the output language section
+ */
+function buildLanguageInstructions({ language, languageName }) {
+  const unchanged = `Keep the JSON keys and the "difficulty_level" and "content_quality" values in English. Copy every "quote" word for word in the content's original language; never translate quotes.`;
+
+  if (!language || language === 'auto' || !languageName) {
+    const detected = languageName ? ` (${languageName})` : '';
+    return `LANGUAGE: Write every JSON value in the same language as the content${detected}. ${unchanged}`;
+  }
+
+  return `LANGUAGE: Write every JSON value (summaries, points, actions, topics, concept terms, definitions, analogies, examples and reading times) in ${languageName}, translating from the content's language where needed. ${unchanged}`;
+}
+
+/**
+ * Build the section listing the passages the reader highlighted, or '' when there are none
+ */
+function buildHighlightInstructions({ highlights }) {
+  if (highlights.length === 0) {
+    return '';
+  }
+
+  const passages = highlights
+    .map((highlight, index) => {
+      const note = highlight.note ? `\n   Reader's note: ${highlight.note}` : '';
+      return `${index + 1}. "${highlight.text}"${note}`;
+    })
+    .join('\n');
+
+  return `
+
+READER HIGHLIGHTS: The reader highlighted these passages as the parts they care about most. Focus the summaries, key points and action items on them and on the reader's notes, while still covering the content as a whole:
+${passages}`;
+}
+
+/**
+ * Build the multi-format JSON response instructions shared by summary and merge prompts
+ */
+function buildSummaryFormatInstructions(options) {
+  const {
+    includeKeyPoints,
+    includeQuickSummary,
+    includeDetailedSummary,
+    includeActionItems,
+    includeConcepts,
+  } = options;
+
+  return `RESPONSE FORMAT - Return a JSON object with the following structure:
+{
+  "quick_summary": {
+    "text": "2-3 sentence overview capturing the main message",
+    "reading_time": "30 seconds"
+  },
+  "detailed_summary": {
+    "markdown": "Comprehensive markdown-formatted summary with detailed analysis, context, examples, and practical insights. Use structured sections with ## headings, proper bullet points (- item), numbered lists (1. item), code snippets, tables, charts, and any other content formats that enhance understanding. Provide clear explanations that help readers understand the subject matter deeply. ENSURE proper markdown formatting with line breaks before and after lists, code blocks, and tables.",
+    "reading_time": "comprehensive"
+  },
+  "eliSummary": "Simplified explanation that a 15-year-old could understand, using analogies and everyday examples. Avoid jargon completely.",
+  "conceptDictionary": [
+    {
+      "term": "technical term 1",
+      "definition": "simple definition in everyday language",
+      "analogy": "comparison to something familiar",
+      "example": "real-world example"
+    }
+  ],
+  "key_points": [
+    {
+      "point": "First major point or finding",
+      "quote": "Short verbatim passage from the content that supports this point"
+    },
+    {
+      "point": "Second important concept or argument",
+      "quote": "Short verbatim passage from the content that supports this point"
+    }
+  ],
+  "action_items": [
+    {
+      "action": "Specific actionable takeaway or next step",
+      "quote": "Short verbatim passage from the content this takeaway is based on"
+    }
+  ],
+  "main_topics": [
+    "Core theme 1",
+    "Core theme 2",
+    "Core theme 3"
+  ],
+  "difficulty_level": "Beginner|Intermediate|Advanced",
+  "estimated_read_time": "X minutes",
+  "content_quality": "High|Medium|Low based on depth and credibility"
+}
+
+${buildStyleInstructions(options)}
+
+${buildLanguageInstructions(options)}${buildHighlightInstructions(options)}
+
+SUMMARY GUIDELINES:
+${
+  includeQuickSummary
+    ? '✅ Include QUICK_SUMMARY: Ultra-concise overview in 2-3 sentences'
+    : '❌ Skip quick summary'
+}
+${
+  includeDetailedSummary
+    ? `✅ Include DETAILED_SUMMARY: Comprehensive, in-depth markdown-formatted analysis with:
+   - # Main title reflecting the content theme
+   - ## Overview, Key Concepts, Main Arguments sections
+   - ## Practical Applications and Critical Analysis sections
+   - ## Future Implications and conclusions
+   - Include code snippets, tables, examples, and detailed explanations
+   - Target complete understanding - be as thorough as needed`
+    : '❌ Skip detailed summary'
+}
+${
+  includeKeyPoints
+    ? '✅ Include KEY_POINTS: 3-6 of the most important points, each with its supporting quote'
+    : '❌ Skip key points'
+}
+${
+  includeActionItems
+    ? '✅ Include ACTION_ITEMS: Practical takeaways, each with the quote it is based on'
+    : '❌ Skip action items'
+}
+
+QUOTES: Every "quote" must be copied word for word from the content (one sentence or less, at most 25 words, without structure markers such as [SECTION_HEADER]). Use an empty string when no single passage supports the item.
+
+✅ ALWAYS Include ELI_SUMMARY: Simplified explanation using analogies and everyday examples
+
+${
+  includeConcepts
+    ? '✅ Include CONCEPT_DICTIONARY: Identify and explain technical terms with simple definitions, analogies, and examples'
+    : '❌ Skip CONCEPT_DICTIONARY'
+}
+
+- Focus on educational value and practical insights
+- Make everything accessible and easy to understand
+- Maintain accuracy while simplifying language
+${MARKDOWN_GUIDELINES}
+
+Return only the JSON object, no additional text.`;
+}
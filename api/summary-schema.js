@@ -0,0 +1,453 @@
+/**
+ * Summary Schema
+ * Reads the JSON the model returns for /api/summarize: pulls the object out of the response
+ * text, checks it against the schema for the task and maps it onto the normalized fields the
+ * extension displays.
+ */
+
+const DIFFICULTY_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+const CONTENT_QUALITIES = ['High', 'Medium', 'Low'];
+
+// Key points and action items: { point|action, quote } objects (plain strings are accepted)
+const sourcedItems = (textKey) => ({
+  type: 'array',
+  items: {
+    type: ['object', 'string'],
+    properties: { [textKey]: { type: 'string' }, quote: { type: 'string' } },
+    required: [textKey],
+  },
+});
+
+const concepts = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      term: { type: 'string' },
+      definition: { type: 'string' },
+      analogy: { type: 'string' },
+      example: { type: 'string' },
+    },
+    required: ['term', 'definition'],
+  },
+};
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Get the schema for a multi-format summary. Sections the options leave out may be missing.
+ * @param {Object} options - Summary options
+ * @returns {Object} - Schema
+ */
+export function getSummarySchema(options) {
+  return {
+    type: 'object',
+    properties: {
+      quick_summary: {
+        type: 'object',
+        properties: { text: { type: 'string' }, reading_time: { type: 'string' } },
+        required: ['text'],
+      },
+      detailed_summary: {
+        type: 'object',
+        properties: {
+          markdown: { type: 'string' },
+          text: { type: 'string' },
+          reading_time: { type: 'string' },
+        },
+        required: ['markdown'],
+      },
+      eliSummary: { type: 'string' },
+      conceptDictionary: concepts,
+      key_points: sourcedItems('point'),
+      action_items: sourcedItems('action'),
+      main_topics: stringList,
+      difficulty_level: { type: 'string' },
+      estimated_read_time: { type: 'string' },
+      content_quality: { type: 'string' },
+    },
+    required: [
+      ...(options.includeQuickSummary ? ['quick_summary'] : []),
+      ...(options.includeDetailedSummary ? ['detailed_summary'] : []),
+      ...(options.includeKeyPoints ? ['key_points'] : []),
+      ...(options.includeActionItems ? ['action_items'] : []),
+      ...(options.includeConcepts ? ['conceptDictionary'] : []),
+    ],
+  };
+}
+
+// Summary of one part of a long document, as the model returns it
+export const CHUNK_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    section_summary: { type: 'string' },
+    key_points: sourcedItems('point'),
+    concepts,
+    action_items: sourcedItems('action'),
+  },
+  required: ['section_summary'],
+};
+
+// Normalized part summaries as the extension sends them back to be merged
+export const PARTIAL_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    sectionSummary: { type: 'string' },
+    keyPoints: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { point: { type: 'string' }, quote: { type: 'string' } },
+        required: ['point'],
+      },
+    },
+    concepts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { term: { type: 'string' }, definition: { type: 'string' } },
+        required: ['term', 'definition'],
+      },
+    },
+    actionItems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { action: { type: 'string' }, quote: { type: 'string' } },
+        required: ['action'],
+      },
+    },
+  },
+  required: ['sectionSummary', 'keyPoints', 'concepts', 'actionItems'],
+};
+
+// Answer to a question about a page
+export const CHAT_ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    answer: { type: 'string' },
+    quotes: stringList,
+  },
+  required: ['answer'],
+};
+
+// Multiple-choice comprehension question
+export const QUIZ_SCHEMA = {
+  type: 'object',
+  properties: {
+    question: { type: 'string' },
+    options: stringList,
+    correct_index: { type: 'number' },
+    hint: { type: 'string' },
+    explanation: { type: 'string' },
+  },
+  required: ['question', 'options', 'correct_index'],
+};
+
+const sourceNumbers = { type: 'array', items: { type: 'number' } };
+
+// Comparison of several pages on one topic, with claims attributed to numbered sources
+export const SYNTHESIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    topic: { type: 'string' },
+    overview: { type: 'string' },
+    consensus: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { point: { type: 'string' }, sources: sourceNumbers },
+        required: ['point'],
+      },
+    },
+    disagreements: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          issue: { type: 'string' },
+          positions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { source: { type: 'number' }, position: { type: 'string' } },
+              required: ['source', 'position'],
+            },
+          },
+        },
+        required: ['issue'],
+      },
+    },
+    source_summaries: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'number' },
+          summary: { type: 'string' },
+          unique_points: stringList,
+        },
+        required: ['source'],
+      },
+    },
+  },
+  required: ['overview'],
+};
+
+/**
+ * Check a value against a schema. Supports type (one or several), properties, required and
+ * items; optional properties may be null.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Name of the value in error messages
+ * @returns {Array<string>} - Errors, empty when the value matches
+ */
+export function validate(value, schema, path = 'response') {
+  const types = [].concat(schema.type);
+  const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+  if (!types.includes(type)) {
+    return [`${path} should be ${types.join(' or ')}, got ${type}`];
+  }
+
+  const errors = [];
+
+  if (type === 'object' && schema.properties) {
+    const required = schema.required || [];
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      if (value[key] === undefined || value[key] === null) {
+        if (required.includes(key)) {
+          errors.push(`${path}.${key} is required`);
+        }
+        return;
+      }
+      errors.push(...validate(value[key], property, `${path}.${key}`));
+    });
+  }
+
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Parse the JSON object in a model response. Models sometimes wrap it in a code block or
+ * leave raw line breaks inside strings.
+ * @param {string} text - Response text
+ * @returns {Object} - Parsed object
+ */
+export function parseModelJSON(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('No JSON object in the response');
+  }
+
+  const json = text.slice(start, end + 1);
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return JSON.parse(escapeControlCharacters(json));
+  }
+}
+
+/**
+ * Escape line breaks and tabs inside JSON strings and drop other control characters
+ */
+function escapeControlCharacters(json) {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+
+  for (const char of json) {
+    if (inString && !escaped && char < ' ') {
+      result += char === '\n' ? '\\n' : char === '\t' ? '\\t' : char === '\r' ? '\\r' : '';
+      continue;
+    }
+
+    if (escaped) {
+      escaped = false;
+    } else if (char === '\\') {
+      escaped = inString;
+    } else if (char === '"') {
+      inString = !inString;
+    }
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Map a validated multi-format summary onto the fields the extension displays
+ * @param {Object} summary - Model JSON matching getSummarySchema()
+ * @returns {Object} - { quickSummary, detailedSummary, eliSummary, conceptDictionary,
+ *   keyPoints, keyPointSources, actionItems, actionItemSources, mainTopics, difficultyLevel,
+ *   estimatedReadTime, contentQuality }
+ */
+export function normalizeSummary(summary) {
+  const quick = summary.quick_summary;
+  const detailed = summary.detailed_summary;
+
+  return {
+    quickSummary: quick?.text
+      ? { text: quick.text, reading_time: quick.reading_time || '30 seconds' }
+      : null,
+    detailedSummary: detailed?.markdown
+      ? {
+          text: detailed.text || detailed.markdown,
+          markdown: detailed.markdown,
+          reading_time: detailed.reading_time || 'comprehensive',
+        }
+      : null,
+    eliSummary: summary.eliSummary || 'ELI5 summary not available',
+    conceptDictionary: (summary.conceptDictionary || [])
+      .filter((concept) => concept.term.trim() && concept.definition.trim())
+      .map(({ term, definition, analogy, example }) => ({
+        term,
+        definition,
+        analogy: analogy || '',
+        example: example || '',
+      })),
+    ...normalizeSourcedItems(summary.key_points, 'point', 'keyPoints', 'keyPointSources'),
+    ...normalizeSourcedItems(
+      summary.action_items,
+      'action',
+      'actionItems',
+      'actionItemSources',
+    ),
+    mainTopics: (summary.main_topics || []).map((topic) => topic.trim()).filter(Boolean),
+    difficultyLevel: matchLabel(summary.difficulty_level, DIFFICULTY_LEVELS, 'Intermediate'),
+    estimatedReadTime: summary.estimated_read_time || 'Unknown',
+    contentQuality: matchLabel(summary.content_quality, CONTENT_QUALITIES, 'Medium'),
+  };
+}
+
+/**
+ * Map a validated part summary onto the fields the merge action takes back
+ * @param {Object} summary - Model JSON matching CHUNK_SUMMARY_SCHEMA
+ * @returns {Object} - { sectionSummary, keyPoints, concepts, actionItems }
+ */
+export function normalizeChunkSummary(summary) {
+  const items = (list, textKey) =>
+    (list || [])
+      .map((item) =>
+        typeof item === 'string'
+          ? { [textKey]: item, quote: '' }
+          : { [textKey]: item[textKey], quote: item.quote || '' },
+      )
+      .filter((item) => item[textKey].trim());
+
+  return {
+    sectionSummary: summary.section_summary,
+    keyPoints: items(summary.key_points, 'point'),
+    concepts: (summary.concepts || [])
+      .filter((concept) => concept.term.trim() && concept.definition.trim())
+      .map(({ term, definition }) => ({ term, definition })),
+    actionItems: items(summary.action_items, 'action'),
+  };
+}
+
+/**
+ * Map a validated chat answer onto { answer, quotes }
+ * @param {Object} reply - Model JSON matching CHAT_ANSWER_SCHEMA
+ * @returns {Object} - { answer, quotes }
+ */
+export function normalizeChatAnswer(reply) {
+  return {
+    answer: reply.answer.trim(),
+    quotes: (reply.quotes || []).map((quote) => quote.trim()).filter(Boolean),
+  };
+}
+
+/**
+ * Map a validated quiz question onto the fields the reading helper shows
+ * @param {Object} quiz - Model JSON matching QUIZ_SCHEMA
+ * @returns {Object} - { question, options, correctIndex, hint, explanation }
+ * @throws {Error} - When there are fewer than two options or the correct index is not one
+ */
+export function normalizeQuiz(quiz) {
+  const correctIndex = quiz.correct_index;
+
+  if (
+    quiz.options.length < 2 ||
+    !Number.isInteger(correctIndex) ||
+    correctIndex < 0 ||
+    correctIndex >= quiz.options.length
+  ) {
+    throw new Error('correct_index should point to one of at least two options');
+  }
+
+  return {
+    question: quiz.question,
+    options: quiz.options,
+    correctIndex,
+    hint: quiz.hint || '',
+    explanation: quiz.explanation || '',
+  };
+}
+
+/**
+ * Map a validated synthesis onto the fields the synthesis page shows, dropping references to
+ * source numbers that don't exist
+ * @param {Object} synthesis - Model JSON matching SYNTHESIS_SCHEMA
+ * @param {number} sourceCount - Number of sources compared
+ * @returns {Object} - { topic, overview, consensus, disagreements, sourceSummaries }
+ */
+export function normalizeSynthesis(synthesis, sourceCount) {
+  const isSource = (number) => Number.isInteger(number) && number >= 1 && number <= sourceCount;
+
+  return {
+    topic: synthesis.topic || '',
+    overview: synthesis.overview,
+    consensus: (synthesis.consensus || [])
+      .map((item) => ({ point: item.point, sources: (item.sources || []).filter(isSource) }))
+      .filter((item) => item.point),
+    disagreements: (synthesis.disagreements || [])
+      .map((item) => ({
+        issue: item.issue,
+        positions: (item.positions || [])
+          .filter((position) => isSource(position.source) && position.position)
+          .map(({ source, position }) => ({ source, position })),
+      }))
+      .filter((item) => item.issue && item.positions.length),
+    sourceSummaries: (synthesis.source_summaries || [])
+      .filter((item) => isSource(item.source))
+      .map((item) => ({
+        source: item.source,
+        summary: item.summary || '',
+        uniquePoints: item.unique_points || [],
+      })),
+  };
+}
+
+/**
+ * Split key points or action items into display text and supporting quotes (null where
+ * missing)
+ */
+function normalizeSourcedItems(items, textKey, itemsField, sourcesField) {
+  const normalized = (items || [])
+    .map((item) =>
+      typeof item === 'string'
+        ? { text: item, quote: null }
+        : { text: item[textKey], quote: item.quote || null },
+    )
+    .filter((item) => item.text.trim());
+
+  return {
+    [itemsField]: normalized.map((item) => item.text),
+    [sourcesField]: normalized.map((item) => item.quote),
+  };
+}
+
+/**
+ * Match a label such as "Advanced" at the start of a value like "advanced - assumes ..."
+ */
+function matchLabel(value, labels, fallback) {
+  const text = (value || '').trim().toLowerCase();
+  return labels.find((label) => text.startsWith(label.toLowerCase())) || fallback;
+}
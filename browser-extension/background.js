@@ -1,8 +1,30 @@
 // Kuiqlee Extension Background Service Worker
 
+importScripts(
+  'js/config.js',
+  'js/html-escape.js',
+  'js/auth-manager.js',
+  'js/ai-client-factory.js',
+  'js/ai-provider-client.js',
+  'js/summary-library.js',
+  'js/content-summary-service.js',
+  'js/summary-queue.js',
+  'js/read-later-list.js',
+  'js/digest-generator.js',
+);
+
 class KuiqleeBackground {
   constructor() {
     this.readfocusUrl = 'http://localhost:3000';
+    this.queueNotificationPrefix = 'kuiqlee-queued-summary:'; // Followed by the page URL
+    this.digestNotificationPrefix = 'kuiqlee-digest:'; // Followed by the digest id
+    this.library = new SummaryLibrary();
+    this.readLater = new ReadLaterList();
+    this.digestGenerator = new DigestGenerator();
+    this.summaryQueue = new SummaryQueue({
+      onComplete: (job, summary) => this.handleQueuedSummaryReady(job, summary),
+      onFailed: (job, error) => this.handleQueuedSummaryFailed(job, error),
+    });
     this.init();
   }
 
@@ -28,7 +50,7 @@ class KuiqleeBackground {
 
     // Handle messages from content scripts and popup
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      this.handleMessage(request, sender, sendResponse);
+      return this.handleMessage(request, sender, sendResponse);
     });
 
     // Handle commands (keyboard shortcuts)
@@ -36,6 +58,28 @@ class KuiqleeBackground {
       this.handleCommand(command);
     });
 
+    // Retry summaries queued while offline
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === this.summaryQueue.alarmName) {
+        this.summaryQueue.process();
+      } else if (alarm.name === this.digestGenerator.alarmName) {
+        this.createScheduledDigest(alarm);
+      }
+    });
+    self.addEventListener('online', () => this.summaryQueue.process());
+    chrome.notifications.onClicked.addListener((notificationId) => {
+      this.handleNotificationClick(notificationId);
+    });
+    this.summaryQueue.process();
+
+    // Build digests on the schedule chosen in settings
+    this.scheduleDigest();
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.readfocusSettings) {
+        this.scheduleDigest();
+      }
+    });
+
     // Listen for tab changes to preload data for new pages
     chrome.tabs.onActivated.addListener((activeInfo) => {
       this.preloadUserData();
@@ -77,15 +121,15 @@ class KuiqleeBackground {
 
   createContextMenu() {
     chrome.contextMenus.create({
-      id: 'readfocus-send-text',
-      title: 'Send to Kuiqlee',
+      id: 'readfocus-summarize-selection',
+      title: 'Summarize Selection with Kuiqlee',
       contexts: ['selection'],
       documentUrlPatterns: ['http://*/*', 'https://*/*'],
     });
 
     chrome.contextMenus.create({
       id: 'readfocus-capture-article',
-      title: 'Capture Article in Kuiqlee',
+      title: 'Save Page for Later in Kuiqlee',
       contexts: ['page'],
       documentUrlPatterns: ['http://*/*', 'https://*/*'],
     });
@@ -94,21 +138,14 @@ class KuiqleeBackground {
   async handleContextMenuClick(info, tab) {
     try {
       switch (info.menuItemId) {
-        case 'readfocus-send-text':
+        case 'readfocus-summarize-selection':
           if (info.selectionText) {
-            await this.sendTextToKuiqlee(info.selectionText, 'Selected Text', tab.url);
+            await this.summarizeSelection(tab, info.selectionText);
           }
           break;
 
         case 'readfocus-capture-article':
-          // Request article extraction from content script
-          const response = await chrome.tabs.sendMessage(tab.id, {
-            action: 'extractArticle',
-          });
-
-          if (response && response.text) {
-            await this.sendTextToKuiqlee(response.text, response.title, tab.url);
-          }
+          this.notifySavedForLater(await this.saveTabForLater(tab.id));
           break;
       }
     } catch (error) {
@@ -148,11 +185,44 @@ class KuiqleeBackground {
           });
         return true; // Keep message channel open
 
+      case 'SAVE_TO_LIBRARY':
+        // Content scripts can't reach the extension's IndexedDB, so they save through here
+        this.saveToLibrary(request.id, request.summary, request.pageDetails).then(sendResponse);
+        return true; // Keep message channel open
+
+      case 'SAVE_FOR_LATER':
+        // Popup "Save for later" button
+        this.saveTabForLater(request.tabId).then(sendResponse);
+        return true; // Keep message channel open
+
+      case 'QUEUE_SUMMARY':
+        // The page went offline mid-summary; finish it from here once the connection is back
+        this.summaryQueue.add(request.job).then(sendResponse);
+        return true; // Keep message channel open
+
+      case 'AI_PROVIDER_REQUEST':
+        // Content scripts are bound by the page's CORS rules, so own-key and local model
+        // requests are made from here, to the saved provider only
+        this.relayProviderRequest(request.request).then(sendResponse);
+        return true; // Keep message channel open
+
+      case 'OPEN_OPTIONS_PAGE':
+        chrome.runtime.openOptionsPage();
+        sendResponse({ success: true });
+        break;
+
       case 'selectionChanged':
         // Forward selection changes to popup if open
         this.notifyPopup(request);
         break;
 
+      case 'REFRESH_AUTH_SESSION':
+        // Refreshes run here, one at a time, so no refresh token is ever sent twice
+        authManager
+          .refreshSession(request.failedToken)
+          .then((success) => sendResponse({ success }));
+        return true; // Keep message channel open
+
       case 'payment_success':
       case 'PREMIUM_STATUS_UPDATED':
         // Payment successful - refresh auth status and show notification
@@ -193,6 +263,181 @@ class KuiqleeBackground {
     }
   }
 
+  /**
+   * Add a generated summary to the summary library
+   * @param {string} id - Summary storage key
+   * @param {Object} summary - Summary result
+   * @param {Object} pageDetails - { url, title, author, publishDate }
+   * @returns {Object} - { success } or { success: false, error }
+   */
+  async saveToLibrary(id, summary, pageDetails) {
+    try {
+      await this.library.save(SummaryLibrary.createEntry(id, summary, pageDetails));
+      return { success: true };
+    } catch (error) {
+      console.error('[Background] Error saving summary to library:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Add a tab's article to the read later list
+   * @param {number} tabId - Tab to save
+   * @returns {Object} - { success, item } or { success: false, error }
+   */
+  async saveTabForLater(tabId) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_READ_LATER_CONTENT' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not read this page.');
+      }
+
+      const item = await this.readLater.add(response.page);
+      return { success: true, item: { id: item.id, title: item.title } };
+    } catch (error) {
+      console.error('[Background] Error saving page for later:', error);
+      const message = error.message?.includes('Receiving end does not exist')
+        ? 'Please refresh the page and try again.'
+        : error.message;
+      return { success: false, error: message };
+    }
+  }
+
+  /**
+   * Confirm a page saved from the context menu
+   * @param {Object} result - Result of saveTabForLater()
+   */
+  notifySavedForLater(result) {
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: result.success ? 'Saved for later' : "Couldn't save this page",
+      message: result.success ? result.item.title : result.error,
+      priority: 0,
+    });
+  }
+
+  /**
+   * Save a summary finished by the offline queue and tell the user it's ready
+   * @param {Object} job - Queued job
+   * @param {Object} summary - Summary result
+   */
+  async handleQueuedSummaryReady(job, summary) {
+    await this.saveToLibrary(job.storageKey, summary, { ...job.pageDetails, url: job.url });
+
+    chrome.notifications.create(`${this.queueNotificationPrefix}${job.url}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: 'Your summary is ready',
+      message: job.pageDetails?.title || job.url,
+      contextMessage: 'Summarized when your connection came back. Click to open the page.',
+      priority: 1,
+    });
+  }
+
+  /**
+   * Tell the user a queued summary was given up on
+   * @param {Object} job - Queued job
+   * @param {Error} error - Last error
+   */
+  handleQueuedSummaryFailed(job, error) {
+    chrome.notifications.create(`${this.queueNotificationPrefix}${job.url}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: "Kuiqlee couldn't finish a summary",
+      message: `${job.pageDetails?.title || job.url}: ${error.message}`,
+      priority: 1,
+    });
+  }
+
+  /**
+   * Set the digest alarm for the schedule chosen in settings
+   */
+  async scheduleDigest() {
+    try {
+      const result = await chrome.storage.sync.get('readfocusSettings');
+      const schedule = result.readfocusSettings?.digestSchedule || CONFIG.DEFAULT_DIGEST_SCHEDULE;
+      await this.digestGenerator.schedule(schedule);
+    } catch (error) {
+      console.error('[Background] Error scheduling digest:', error);
+    }
+  }
+
+  /**
+   * Build the digest for the period that just ended and tell the user it's ready. Periods
+   * without any summaries are skipped.
+   * @param {Object} alarm - Digest alarm
+   */
+  async createScheduledDigest(alarm) {
+    try {
+      const digest = await this.digestGenerator.generate(
+        this.digestGenerator.getAlarmPeriod(alarm),
+      );
+      if (digest.summaryCount === 0) {
+        return;
+      }
+
+      await this.digestGenerator.saveDigest(digest);
+      chrome.notifications.create(`${this.digestNotificationPrefix}${digest.id}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: 'Your Kuiqlee digest is ready',
+        message: `${this.digestGenerator.describeCount(digest)}. Click to read it.`,
+        priority: 0,
+      });
+    } catch (error) {
+      console.error('[Background] Error creating digest:', error);
+    }
+  }
+
+  /**
+   * Open the page of a queued summary notification, or the digest page for a digest one
+   * @param {string} notificationId - Clicked notification
+   */
+  async handleNotificationClick(notificationId) {
+    let url;
+    if (notificationId.startsWith(this.queueNotificationPrefix)) {
+      url = notificationId.slice(this.queueNotificationPrefix.length);
+    } else if (notificationId.startsWith(this.digestNotificationPrefix)) {
+      const id = notificationId.slice(this.digestNotificationPrefix.length);
+      url = chrome.runtime.getURL(`digest.html?id=${encodeURIComponent(id)}`);
+    } else {
+      return;
+    }
+
+    chrome.notifications.clear(notificationId);
+    await chrome.tabs.create({ url });
+  }
+
+  /**
+   * Send a content script's conversation to the saved AI provider. The address and headers
+   * (including the API key) come from the saved settings, never from the message.
+   * @param {Object} request - { messages, options: { system, maxTokens, temperature } }
+   * @returns {Object} - { ok, status, data } or { ok: false, status: 0, error } on failure
+   */
+  async relayProviderRequest({ messages, options } = {}) {
+    const client = new AIProviderClient(await AIClientFactory.loadSettings());
+
+    try {
+      await client.initialize();
+    } catch (error) {
+      return { ok: false, status: 0, error: error.message, rejected: true };
+    }
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return { ok: false, status: 0, error: 'Messages are required', rejected: true };
+    }
+
+    const { system, maxTokens, temperature } = options || {};
+    return client.fetchRequest(
+      client.buildRequest(messages, {
+        system: typeof system === 'string' ? system : null,
+        maxTokens: Number.isInteger(maxTokens) ? maxTokens : undefined,
+        temperature: typeof temperature === 'number' ? temperature : undefined,
+      }),
+    );
+  }
+
   async openSummaryInSidePanel(summary, tab) {
     try {
       // Store summary data for side panel to retrieve
@@ -223,37 +468,31 @@ class KuiqleeBackground {
     }
   }
 
-  async sendTextToKuiqlee(text, title = 'Captured Text', sourceUrl = '') {
-    try {
-      if (!text || text.trim().length < 10) {
-        throw new Error('Text too short');
-      }
+  /**
+   * Summarize the text selected in a tab and show the summary in the side panel
+   * @param {Object} tab - Tab the text is selected in
+   * @param {string} text - Selected text from the context menu
+   */
+  async summarizeSelection(tab, text) {
+    // Open the panel first: it can only be opened while the click is being handled
+    await chrome.sidePanel.open({ windowId: tab.windowId });
 
-      // Store text data for Kuiqlee to pick up
-      const textData = {
-        text: text.trim(),
-        title: title || 'Captured Text',
-        sourceUrl: sourceUrl,
-        timestamp: Date.now(),
-        id: this.generateId(),
-      };
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tab.id, { type: 'SUMMARIZE_SELECTION', text });
+    } catch (error) {
+      // No content script: the page was open before the extension was installed or updated
+      response = { success: false, error: 'Reload the page and select the text again.' };
+    }
 
-      // Store in chrome.storage.local first
-      await chrome.storage.local.set({
-        readfocus_captured_text: textData,
+    if (!response?.success) {
+      chrome.notifications.create({
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: "Couldn't summarize the selection",
+        message: response?.error || 'Please try again.',
+        priority: 0,
       });
-
-      // Create Kuiqlee URL with text data as URL parameters (as backup)
-      const encodedText = encodeURIComponent(textData.text.substring(0, 2000)); // Limit URL length
-      const encodedTitle = encodeURIComponent(textData.title);
-      const readfocusUrl = `${this.readfocusUrl}?source=extension&id=${textData.id}&text=${encodedText}&title=${encodedTitle}`;
-
-      await chrome.tabs.create({ url: readfocusUrl });
-
-      this.showSuccessNotification('Text sent to Kuiqlee!');
-    } catch (error) {
-      console.error('Error sending text to Kuiqlee:', error);
-      this.showErrorNotification('Failed to send text to Kuiqlee');
     }
   }
 
@@ -375,9 +614,10 @@ class KuiqleeBackground {
       }
 
       // Fetch fresh auth verification and usage data
+      const token = (await authManager.getValidToken()) || authData.token;
       const [authResponse, usageResponse] = await Promise.allSettled([
-        this.verifyAuthToken(authData.token),
-        this.fetchUsageData(authData.token),
+        this.verifyAuthToken(token),
+        this.fetchUsageData(token),
       ]);
 
       // Store preloaded data
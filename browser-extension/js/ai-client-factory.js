@@ -0,0 +1,80 @@
+/**
+ * AI Client Factory
+ * Creates the AI client for the provider chosen in settings: the Kuiqlee proxy (default),
+ * the user's own Anthropic key, or a local OpenAI-compatible server.
+ */
+
+class AIClientFactory {
+  /**
+   * Load provider settings from extension storage (local, so API keys never sync)
+   * @returns {Promise<Object>} - Provider settings merged over the defaults
+   */
+  static async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(CONFIG.AI_PROVIDER_STORAGE_KEY);
+      return { ...CONFIG.AI_PROVIDER_DEFAULTS, ...result[CONFIG.AI_PROVIDER_STORAGE_KEY] };
+    } catch (error) {
+      console.error('❌ [AIClientFactory] Failed to load provider settings:', error);
+      return { ...CONFIG.AI_PROVIDER_DEFAULTS };
+    }
+  }
+
+  /**
+   * Save provider settings
+   * @param {Object} settings - Provider settings
+   */
+  static async saveSettings(settings) {
+    await chrome.storage.local.set({
+      [CONFIG.AI_PROVIDER_STORAGE_KEY]: { ...CONFIG.AI_PROVIDER_DEFAULTS, ...settings },
+    });
+  }
+
+  /**
+   * Whether the chosen provider is the hosted proxy, which needs sign-in and counts usage
+   * @returns {Promise<boolean>} - True for the proxy
+   */
+  static async usesProxy() {
+    const settings = await this.loadSettings();
+    return settings.provider === 'proxy';
+  }
+
+  /**
+   * Create a client for the given settings, or for the stored ones
+   * @param {Object|null} settings - Provider settings to use instead of the stored ones
+   * @returns {Promise<Object>} - Initialized ProxyAIClient or AIProviderClient
+   */
+  static async create(settings = null) {
+    const providerSettings = settings || (await this.loadSettings());
+
+    const client =
+      providerSettings.provider === 'proxy'
+        ? new ProxyAIClient()
+        : new AIProviderClient(providerSettings);
+
+    await client.initialize();
+    return client;
+  }
+
+  /**
+   * Call back whenever the provider settings change
+   * @param {Function} callback - Called with the new settings
+   */
+  static onSettingsChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[CONFIG.AI_PROVIDER_STORAGE_KEY];
+      if (areaName === 'local' && change) {
+        callback({ ...CONFIG.AI_PROVIDER_DEFAULTS, ...change.newValue });
+      }
+    });
+  }
+}
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.AIClientFactory = AIClientFactory;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AIClientFactory;
+}
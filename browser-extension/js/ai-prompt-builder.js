@@ -11,6 +11,27 @@ class AIPromptBuilder {
       includeDetailedSummary: true,
       includeActionItems: true,
       includeConcepts: true,
+      length: 'standard',
+      tone: 'neutral',
+      audience: 'students and professionals',
+    };
+
+    // Length and tone guidance for summary presets
+    this.lengthGuidelines = {
+      tweet:
+        'Tweet-length. The quick summary must fit in a single tweet (at most 280 characters). Keep every other section to a few short lines.',
+      brief:
+        'Brief. A 1-2 sentence quick summary, at most 4 key points and a detailed summary of no more than 250 words.',
+      standard: 'Standard. Follow the lengths given in the guidelines below.',
+      thorough:
+        'Thorough. Cover every argument, method and caveat; the detailed summary may run to 1500 words and include 4-8 key points.',
+    };
+    this.toneGuidelines = {
+      neutral: 'Neutral and informative',
+      direct: 'Direct and decision-oriented. Lead with conclusions and implications',
+      explanatory: 'Patient and explanatory, like a good teacher. Define terms as they appear',
+      precise: 'Precise and technical. Keep exact terminology, numbers, versions and caveats',
+      casual: 'Casual and punchy, in plain everyday language',
     };
 
     // Shared formatting guidelines to avoid duplication
@@ -53,6 +74,133 @@ CONTENT METADATA:
    * @returns {string} - Complete AI prompt
    */
   buildSummaryPrompt(content, metadata, options = {}) {
+    if (metadata.contentType === 'video') {
+      return this.buildVideoSummaryPrompt(content, metadata, options);
+    }
+    if (metadata.contentType === 'selection') {
+      return this.buildSelectionSummaryPrompt(content, metadata, options);
+    }
+
+    const basePrompt = this.buildBasePrompt(content, metadata);
+
+    const audience = options.audience || this.defaultOptions.audience;
+
+    return `${basePrompt} and provide summaries in multiple formats for ${audience}.
+
+TASK: Create multiple summary formats as requested below. Each format serves different reading needs and time constraints.
+
+${this.buildSummaryFormatInstructions(options)}`;
+  }
+
+  /**
+   * Build the summary prompt variant for a passage the user selected on a page
+   * @param {string} content - Selected text
+   * @param {Object} metadata - Content metadata ({ wordCount, title })
+   * @param {Object} options - Summary options
+   * @returns {string} - Complete AI prompt
+   */
+  buildSelectionSummaryPrompt(content, metadata, options = {}) {
+    return `You are an expert content analyst and summarization specialist. The reader selected this passage on a web page and wants it summarized on its own.
+
+SELECTED PASSAGE:
+${content}
+
+CONTENT METADATA:
+- Type: passage selected from a web page
+- Page: ${metadata.title || 'Untitled page'}
+- Word Count: ${metadata.wordCount}
+
+TASK: Create multiple summary formats of the selected passage only. Don't describe or guess at the rest of the page; use the page title only to make sense of the passage. Scale every section to the passage: a few paragraphs need a short detailed summary and only the key points and concepts they actually contain. Use "estimated_read_time" for the time needed to read the passage.
+
+${this.buildSummaryFormatInstructions(options)}`;
+  }
+
+  /**
+   * Build the summary prompt variant for video transcripts
+   * @param {string} content - Transcript with "(m:ss)" timestamps starting each paragraph
+   * @param {Object} metadata - Content metadata
+   * @param {Object} options - Summary options
+   * @returns {string} - Complete AI prompt
+   */
+  buildVideoSummaryPrompt(content, metadata, options = {}) {
+    return `You are an expert content analyst and summarization specialist. Analyze this video transcript. Each paragraph starts with the time it is spoken as (m:ss). Captions may lack punctuation, contain speech-recognition errors and include filler words.
+
+TRANSCRIPT TO ANALYZE:
+${content}
+
+CONTENT METADATA:
+- Type: video transcript
+- Word Count: ${metadata.wordCount}
+
+TASK: Create multiple summary formats of what the video says, for viewers deciding whether and which parts to watch. Follow the order of the video, describe the speaker's points rather than the captions, and leave out sponsor messages, greetings and requests to like or subscribe. Use "estimated_read_time" for the time needed to read the summary.
+
+TRANSCRIPT QUOTES: Copy each key point and action item "quote" from the caption text exactly as written, without the (m:ss) timestamp, so it can be linked to the moment in the video where it is said.
+
+${this.buildSummaryFormatInstructions(options)}`;
+  }
+
+  /**
+   * Build the length, tone and audience section for a summary preset
+   * @param {Object} options - Summary options ({ length, tone, audience })
+   * @returns {string} - Style section
+   */
+  buildStyleInstructions(options = {}) {
+    const { length, tone, audience } = { ...this.defaultOptions, ...options };
+
+    return `STYLE (takes precedence over the lengths suggested in the format above):
+- Audience: ${audience}
+- Tone: ${this.toneGuidelines[tone] || tone}
+- Length: ${this.lengthGuidelines[length] || this.lengthGuidelines.standard}`;
+  }
+
+  /**
+   * Build the output language section
+   * @param {Object} options - Summary options ({ language, languageName })
+   * @returns {string} - Language section
+   */
+  buildLanguageInstructions(options = {}) {
+    const { language, languageName } = options;
+    const unchanged = `Keep the JSON keys and the "difficulty_level" and "content_quality" values in English. Copy every "quote" word for word in the content's original language; never translate quotes.`;
+
+    if (!language || language === 'auto' || !languageName) {
+      const detected = languageName ? ` (${languageName})` : '';
+      return `LANGUAGE: Write every JSON value in the same language as the content${detected}. ${unchanged}`;
+    }
+
+    return `LANGUAGE: Write every JSON value (summaries, points, actions, topics, concept terms, definitions, analogies, examples and reading times) in ${languageName}, translating from the content's language where needed. ${unchanged}`;
+  }
+
+  /**
+   * Build the section listing the passages the reader highlighted, when the summary should
+   * focus on them
+   * @param {Object} options - Summary options ({ highlights: [{ text, note }] })
+   * @returns {string} - Highlights section, or '' when there are none
+   */
+  buildHighlightInstructions(options = {}) {
+    const highlights = (options.highlights || []).filter((highlight) => highlight?.text);
+    if (highlights.length === 0) {
+      return '';
+    }
+
+    const passages = highlights
+      .map((highlight, index) => {
+        const note = highlight.note ? `\n   Reader's note: ${highlight.note}` : '';
+        return `${index + 1}. "${highlight.text}"${note}`;
+      })
+      .join('\n');
+
+    return `
+
+READER HIGHLIGHTS: The reader highlighted these passages as the parts they care about most. Focus the summaries, key points and action items on them and on the reader's notes, while still covering the content as a whole:
+${passages}`;
+  }
+
+  /**
+   * Build the multi-format JSON response instructions shared by summary and merge prompts
+   * @param {Object} options - Summary options
+   * @returns {string} - Response format and guideline section
+   */
+  buildSummaryFormatInstructions(options = {}) {
     const promptOptions = { ...this.defaultOptions, ...options };
 
     const {
@@ -63,13 +211,7 @@ CONTENT METADATA:
       includeConcepts,
     } = promptOptions;
 
-    const basePrompt = this.buildBasePrompt(content, metadata);
-
-    return `${basePrompt} and provide comprehensive summaries in multiple formats for students and professionals.
-
-TASK: Create multiple summary formats as requested below. Each format serves different reading needs and time constraints.
-
-RESPONSE FORMAT - Return a JSON object with the following structure:
+    return `RESPONSE FORMAT - Return a JSON object with the following structure:
 {
   "quick_summary": {
     "text": "2-3 sentence overview capturing the main message",
@@ -89,14 +231,20 @@ RESPONSE FORMAT - Return a JSON object with the following structure:
     }
   ],
   "key_points": [
-    "• First major point or finding",
-    "• Second important concept or argument",
-    "• Third critical insight or conclusion",
-    "• Fourth significant detail or implication"
+    {
+      "point": "First major point or finding",
+      "quote": "Short verbatim passage from the content that supports this point"
+    },
+    {
+      "point": "Second important concept or argument",
+      "quote": "Short verbatim passage from the content that supports this point"
+    }
   ],
   "action_items": [
-    "Specific actionable takeaway or next step",
-    "Another practical application or recommendation"
+    {
+      "action": "Specific actionable takeaway or next step",
+      "quote": "Short verbatim passage from the content this takeaway is based on"
+    }
   ],
   "main_topics": [
     "Core theme 1",
@@ -108,6 +256,10 @@ RESPONSE FORMAT - Return a JSON object with the following structure:
   "content_quality": "High|Medium|Low based on depth and credibility"
 }
 
+${this.buildStyleInstructions(promptOptions)}
+
+${this.buildLanguageInstructions(promptOptions)}${this.buildHighlightInstructions(promptOptions)}
+
 SUMMARY GUIDELINES:
 ${
   includeQuickSummary
@@ -127,10 +279,16 @@ ${
 }
 ${
   includeKeyPoints
-    ? '✅ Include KEY_POINTS: 3-6 bullet points of most important information'
+    ? '✅ Include KEY_POINTS: 3-6 of the most important points, each with its supporting quote'
     : '❌ Skip key points'
 }
-${includeActionItems ? '✅ Include ACTION_ITEMS: Practical takeaways' : '❌ Skip action items'}
+${
+  includeActionItems
+    ? '✅ Include ACTION_ITEMS: Practical takeaways, each with the quote it is based on'
+    : '❌ Skip action items'
+}
+
+QUOTES: Every "quote" must be copied word for word from the content (one sentence or less, at most 25 words, without structure markers such as [SECTION_HEADER]). Use an empty string when no single passage supports the item.
 
 ✅ ALWAYS Include ELI_SUMMARY: Simplified explanation using analogies and everyday examples
 
@@ -145,6 +303,213 @@ ${
 - Maintain accuracy while simplifying language
 ${this.markdownGuidelines}
 
+Return only the JSON object, no additional text.`;
+  }
+
+  /**
+   * Build the "map" prompt for one chunk of a long document
+   * @param {string} chunk - Structure-marked chunk text
+   * @param {Object} metadata - Content metadata for the whole document
+   * @param {number} chunkIndex - Zero-based chunk position
+   * @param {number} totalChunks - Total number of chunks
+   * @returns {string} - Chunk summary prompt
+   */
+  buildChunkSummaryPrompt(chunk, metadata, chunkIndex, totalChunks) {
+    return `You are an expert content analyst. You are reading part ${chunkIndex + 1} of ${totalChunks} of a long ${metadata.contentType} (${metadata.wordCount} words in total). Structure markers such as [SECTION_HEADER] and [KEY_CONCEPT] describe the role of each paragraph.
+
+CONTENT PART ${chunkIndex + 1}/${totalChunks}:
+${chunk}
+
+TASK: Summarize only this part so it can later be merged with the other parts.
+
+RESPONSE FORMAT - Return a JSON object with the following structure:
+{
+  "section_summary": "4-6 sentence summary of this part, naming the sections it covers",
+  "key_points": [{"point": "Most important finding or argument in this part", "quote": "Verbatim supporting passage"}],
+  "concepts": [{"term": "technical term", "definition": "simple definition"}],
+  "action_items": [{"action": "Practical takeaway mentioned in this part", "quote": "Verbatim supporting passage"}]
+}
+
+- Only use information from this part
+- Each "quote" must be copied word for word from this part (at most 25 words, without structure markers)
+- Keep arrays short (at most 5 items each) and use empty arrays when nothing applies
+
+Return only the JSON object, no additional text.`;
+  }
+
+  /**
+   * Build the "reduce" prompt that merges chunk summaries into the multi-format summary
+   * @param {Array<Object>} partialSummaries - Parsed chunk summaries in document order
+   * @param {Object} metadata - Content metadata for the whole document
+   * @param {Object} options - Summary options
+   * @returns {string} - Merge prompt
+   */
+  buildMergePrompt(partialSummaries, metadata, options = {}) {
+    const parts = partialSummaries
+      .map((part, index) => {
+        const keyPoints = (part.key_points || [])
+          .map((item) => this.formatSourcedItem(item, 'point'))
+          .join('\n');
+        const concepts = (part.concepts || [])
+          .map((concept) => `- ${concept.term}: ${concept.definition}`)
+          .join('\n');
+        const actions = (part.action_items || [])
+          .map((item) => this.formatSourcedItem(item, 'action'))
+          .join('\n');
+
+        return `PART ${index + 1}/${partialSummaries.length}:
+Summary: ${part.section_summary || ''}
+${keyPoints ? `Key points:\n${keyPoints}\n` : ''}${concepts ? `Concepts:\n${concepts}\n` : ''}${
+          actions ? `Action items:\n${actions}` : ''
+        }`;
+      })
+      .join('\n\n');
+
+    return `You are an expert content analyst and summarization specialist. A long ${metadata.contentType} was split into ${partialSummaries.length} consecutive parts and each part was summarized separately. Combine these partial summaries into one coherent summary of the whole document.
+
+PARTIAL SUMMARIES:
+${parts}
+
+CONTENT METADATA:
+- Type: ${metadata.contentType}
+- Word Count: ${metadata.wordCount}
+- Readability Score: ${metadata.readabilityScore}/100
+- Has Headings: ${metadata.hasHeadings}
+
+TASK: Create multiple summary formats for the complete document. Cover every part in proportion to its importance, follow the document's order, and merge duplicate points and concepts. For key point and action item quotes, reuse the quotes given in the partial summaries exactly; never write new ones.
+
+${this.buildSummaryFormatInstructions(options)}`;
+  }
+
+  /**
+   * Format a key point or action item from a partial summary as a bullet line
+   * @param {Object|string} item - { point|action, quote } or a plain string
+   * @param {string} textKey - Field holding the item text
+   * @returns {string} - Bullet line including the supporting quote
+   */
+  formatSourcedItem(item, textKey) {
+    if (typeof item === 'string') {
+      return `- ${item}`;
+    }
+
+    const text = item?.[textKey] || item?.text || '';
+    return item?.quote ? `- ${text} (quote: "${item.quote}")` : `- ${text}`;
+  }
+
+  /**
+   * Build the prompt that compares and combines several pages on one topic
+   * @param {Array<Object>} sources - [{ title, url, text }] in the order they are numbered
+   * @returns {string} - Synthesis prompt
+   */
+  buildSynthesisPrompt(sources) {
+    const sourcesText = sources
+      .map(
+        (source, index) => `SOURCE ${index + 1}: ${source.title || 'Untitled'}
+URL: ${source.url}
+${source.text}`,
+      )
+      .join('\n\n---\n\n');
+
+    return `You are an expert research analyst. A reader opened ${sources.length} pages while researching one topic. Compare them and combine them into a single synthesis, attributing every claim to the numbered sources that make it.
+
+${sourcesText}
+
+TASK: Identify what the sources agree on, where they disagree or contradict each other, and what each source contributes that the others don't.
+
+RESPONSE FORMAT - Return a JSON object with the following structure:
+{
+  "topic": "The shared topic in a few words",
+  "overview": "3-5 sentence synthesis of what the sources say together",
+  "consensus": [
+    {
+      "point": "A point that two or more sources agree on",
+      "sources": [1, 2]
+    }
+  ],
+  "disagreements": [
+    {
+      "issue": "The question the sources disagree on",
+      "positions": [
+        { "source": 1, "position": "What source 1 says about it" },
+        { "source": 3, "position": "What source 3 says instead" }
+      ]
+    }
+  ],
+  "source_summaries": [
+    {
+      "source": 1,
+      "summary": "One or two sentences on this source's main argument",
+      "unique_points": ["Something only this source covers"]
+    }
+  ]
+}
+
+- Use the source numbers exactly as given (1 to ${sources.length})
+- Consensus points need at least two supporting sources; list every source that supports them
+- Only report disagreements that are really in the sources, and use an empty array when there are none
+- Include one source_summaries entry per source, in order
+- Be specific and neutral; do not add information from outside the sources
+
+Return only the JSON object, no additional text.`;
+  }
+
+  /**
+   * Build a prompt for a multiple-choice comprehension question about a passage
+   * @param {string} passage - Text the reader has just finished
+   * @param {Object} metadata - Content metadata (title)
+   * @param {Object} options - Quiz options (includeHint)
+   * @returns {string} - Quiz prompt
+   */
+  buildQuizPrompt(passage, metadata = {}, options = {}) {
+    return `You are a reading tutor checking whether a reader understood a passage${
+      metadata.title ? ` from "${metadata.title}"` : ''
+    }.
+
+PASSAGE:
+${passage}
+
+TASK: Write ONE multiple-choice question that tests understanding of the passage's main idea or an important detail, not trivia.
+
+RESPONSE FORMAT - Return a JSON object with the following structure:
+{
+  "question": "The question",
+  "options": ["Option A", "Option B", "Option C", "Option D"],
+  "correct_index": 0,
+  "hint": "${options.includeHint ? 'A short hint that points to the relevant part of the passage without giving the answer away' : ''}",
+  "explanation": "One sentence explaining why the correct option is right"
+}
+
+- Exactly 4 options, only one correct, with plausible distractors
+- The answer must be answerable from the passage alone
+- Vary the position of the correct option
+
+Return only the JSON object, no additional text.`;
+  }
+
+  /**
+   * Build the system prompt for answering questions about a page
+   * @param {string} articleText - Extracted article text
+   * @param {Object} metadata - Content metadata
+   * @returns {string} - Chat system prompt
+   */
+  buildChatSystemPrompt(articleText, metadata = {}) {
+    return `You are a research assistant answering questions about one ${
+      metadata.contentType || 'article'
+    }${metadata.title ? ` titled "${metadata.title}"` : ''}. Answer ONLY from the article text below. If the article does not contain the answer, say so plainly instead of guessing.
+
+ARTICLE:
+${articleText}
+
+RESPONSE FORMAT - Return a JSON object with the following structure:
+{
+  "answer": "Concise answer in markdown (1-3 short paragraphs or a short list)",
+  "quotes": ["Exact sentence copied from the article that supports the answer"]
+}
+
+- Quotes must be copied word for word from the article (1-3 quotes, each under 300 characters)
+- Use an empty quotes array when the article does not answer the question
+- Refer back to earlier turns of the conversation when the question depends on them
+
 Return only the JSON object, no additional text.`;
   }
 
@@ -217,6 +582,9 @@ Return JSON array of actionable items.`
 
   /**
    * Build a custom prompt with user-defined template
+   * Placeholders are written as {{name}}. Page values ({{content}}, {{title}}, {{url}},
+   * {{domain}}, {{contentType}}, {{wordCount}}, {{readabilityScore}}, {{hasHeadings}},
+   * {{language}}) take precedence over custom variables; unknown placeholders are kept as is.
    * @param {string} content - Content to summarize
    * @param {Object} metadata - Content metadata
    * @param {string} template - Custom prompt template with placeholders
@@ -224,23 +592,23 @@ Return JSON array of actionable items.`
    * @returns {string} - Custom AI prompt
    */
   buildCustomPrompt(content, metadata, template, variables = {}) {
-    let prompt = template;
-
-    // Replace standard placeholders
-    prompt = prompt.replace(/\{content\}/g, content);
-    prompt = prompt.replace(/\{contentType\}/g, metadata.contentType);
-    prompt = prompt.replace(/\{wordCount\}/g, metadata.wordCount);
-    prompt = prompt.replace(/\{readabilityScore\}/g, metadata.readabilityScore);
-    prompt = prompt.replace(/\{hasHeadings\}/g, metadata.hasHeadings);
-    prompt = prompt.replace(/\{domain\}/g, metadata.domain || '');
-
-    // Replace custom variables
-    Object.entries(variables).forEach(([key, value]) => {
-      const regex = new RegExp(`\\{${key}\\}`, 'g');
-      prompt = prompt.replace(regex, value);
-    });
-
-    return prompt;
+    const values = {
+      ...variables,
+      content,
+      title: metadata.title || '',
+      url: metadata.url || '',
+      domain: metadata.domain || '',
+      contentType: metadata.contentType,
+      wordCount: metadata.wordCount,
+      readabilityScore: metadata.readabilityScore,
+      hasHeadings: metadata.hasHeadings,
+      language: metadata.language || '',
+    };
+
+    // Single pass, so placeholder-like text inside the content is never expanded
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+      values[name] === undefined || values[name] === null ? placeholder : String(values[name]),
+    );
   }
 
   /**
@@ -0,0 +1,347 @@
+/**
+ * AI Provider Client - Talks to an AI service directly instead of the Kuiqlee proxy
+ * Supports the Anthropic Messages API with the user's own key, and OpenAI-compatible
+ * chat completion servers (Ollama, llama.cpp, LM Studio) running locally.
+ * Sends prompts built in the extension by AIPromptBuilder, without sign-in or usage limits;
+ * ProxyAIClient instead sends typed requests whose prompts the Kuiqlee API builds.
+ */
+
+class AIProviderClient {
+  /**
+   * @param {Object} settings - Provider settings (see CONFIG.AI_PROVIDER_DEFAULTS)
+   */
+  constructor(settings = {}) {
+    this.settings = { ...CONFIG.AI_PROVIDER_DEFAULTS, ...settings };
+    this.provider = this.settings.provider;
+    this.requiresAccount = false;
+    this.rateLimitDelay = 1000;
+    this.lastRequestTime = 0;
+  }
+
+  /**
+   * Check the provider settings are complete
+   */
+  async initialize() {
+    if (this.provider === 'anthropic' && !this.settings.anthropicApiKey) {
+      throw new Error('Add your Anthropic API key in Kuiqlee settings.');
+    }
+    if (this.provider === 'local' && !this.settings.localEndpoint) {
+      throw new Error('Add your local model server address in Kuiqlee settings.');
+    }
+    if (this.provider !== 'anthropic' && this.provider !== 'local') {
+      throw new Error(`Unknown AI provider: ${this.provider}`);
+    }
+
+    const endpointError = this.getEndpointError();
+    if (endpointError) {
+      throw new Error(endpointError);
+    }
+
+    return { success: true, message: `${this.getProviderName()} client ready` };
+  }
+
+  /**
+   * Test connection to the provider
+   */
+  async testConnection() {
+    const testPrompt = 'Respond with just "OK" to confirm the connection.';
+
+    try {
+      const response = await this.makeRequest(testPrompt, { maxTokens: 16 });
+      if (response && typeof response === 'string' && response.toLowerCase().includes('ok')) {
+        return true;
+      } else {
+        throw new Error(`Unexpected response from ${this.getProviderName()}`);
+      }
+    } catch (error) {
+      console.error('❌ [AIProviderClient] Connection test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rate limiting check
+   */
+  checkRateLimit() {
+    const now = Date.now();
+    const timeSinceLastRequest = now - this.lastRequestTime;
+
+    if (timeSinceLastRequest < this.rateLimitDelay) {
+      const waitTime = this.rateLimitDelay - timeSinceLastRequest;
+      return new Promise((resolve) => setTimeout(resolve, waitTime));
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Send a prompt (or, in chat mode, a conversation) to the provider
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Additional options (mode, messages, system, maxTokens, temperature)
+   * @returns {string} - Response text
+   */
+  async makeRequest(prompt, options = {}) {
+    await this.checkRateLimit();
+
+    const messages =
+      options.mode === 'chat' && Array.isArray(options.messages)
+        ? options.messages
+        : [{ role: 'user', content: prompt }];
+
+    const result = await this.sendRequest(messages, options);
+    this.lastRequestTime = Date.now();
+
+    if (!result.ok) {
+      throw new Error(this.getErrorMessage(result));
+    }
+
+    const text =
+      this.provider === 'anthropic'
+        ? (result.data?.content || [])
+            .filter((block) => block.type === 'text')
+            .map((block) => block.text)
+            .join('')
+        : result.data?.choices?.[0]?.message?.content;
+
+    if (!text) {
+      throw new Error(`Empty response from ${this.getProviderName()}`);
+    }
+
+    return text;
+  }
+
+  /**
+   * Make a multi-turn chat request
+   * @param {Array<Object>} messages - Conversation as { role: 'user'|'assistant', content }
+   * @param {Object} options - Additional options (system prompt, maxTokens, temperature)
+   * @returns {string} - Assistant reply text
+   */
+  async makeChatRequest(messages, options = {}) {
+    return this.makeRequest(null, { ...options, mode: 'chat', messages });
+  }
+
+  /**
+   * Check the provider address: Anthropic only over https, local models only on this computer
+   * @returns {string|null} - Error message, or null when the address is allowed
+   */
+  getEndpointError() {
+    const parse = (url) => {
+      try {
+        return new URL(url);
+      } catch (error) {
+        return null;
+      }
+    };
+
+    if (this.provider === 'anthropic') {
+      const url = parse(this.settings.anthropicBaseUrl);
+      if (!url || url.protocol !== 'https:') {
+        return 'The Anthropic API address must start with https://.';
+      }
+    }
+
+    if (this.provider === 'local') {
+      const url = parse(this.settings.localEndpoint);
+      const isLocalHost = url && ['localhost', '127.0.0.1'].includes(url.hostname);
+      if (!isLocalHost || !['http:', 'https:'].includes(url.protocol)) {
+        return 'The local model server must run on localhost or 127.0.0.1.';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the provider request for a conversation
+   * @param {Array<Object>} messages - Conversation
+   * @param {Object} options - Request options (system, maxTokens, temperature)
+   * @returns {Object} - { url, headers, body }
+   */
+  buildRequest(messages, options) {
+    return this.provider === 'anthropic'
+      ? this.buildAnthropicRequest(messages, options)
+      : this.buildOpenAIRequest(messages, options);
+  }
+
+  /**
+   * Build an Anthropic Messages API request
+   * @param {Array<Object>} messages - Conversation
+   * @param {Object} options - Request options
+   * @returns {Object} - { url, headers, body }
+   */
+  buildAnthropicRequest(messages, options) {
+    const baseUrl = this.settings.anthropicBaseUrl.replace(/\/+$/, '');
+
+    return {
+      url: `${baseUrl}/v1/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.settings.anthropicApiKey,
+        'anthropic-version': '2023-06-01',
+        // Requests come from the extension's origin rather than a server
+        'anthropic-dangerous-direct-browser-access': 'true',
+      },
+      body: {
+        model: this.settings.anthropicModel,
+        max_tokens: options.maxTokens || 8192,
+        temperature: options.temperature || 0.3,
+        messages,
+        ...(options.system ? { system: options.system } : {}),
+      },
+    };
+  }
+
+  /**
+   * Build an OpenAI-compatible chat completion request
+   * @param {Array<Object>} messages - Conversation
+   * @param {Object} options - Request options
+   * @returns {Object} - { url, headers, body }
+   */
+  buildOpenAIRequest(messages, options) {
+    const endpoint = this.settings.localEndpoint.replace(/\/+$/, '');
+
+    return {
+      url: `${endpoint}/chat/completions`,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        model: this.settings.localModel,
+        max_tokens: options.maxTokens || 8192,
+        temperature: options.temperature || 0.3,
+        stream: false,
+        messages: options.system
+          ? [{ role: 'system', content: options.system }, ...messages]
+          : messages,
+      },
+    };
+  }
+
+  /**
+   * Send a conversation to the provider. Extension pages and the worker send it themselves;
+   * content scripts are bound by the page's CORS rules, so the background worker sends theirs,
+   * building the request from the saved provider settings.
+   * @param {Array<Object>} messages - Conversation
+   * @param {Object} options - Request options (system, maxTokens, temperature)
+   * @returns {Promise<Object>} - { ok, status, data, error }
+   */
+  async sendRequest(messages, options) {
+    if (typeof location !== 'undefined' && location.protocol === 'chrome-extension:') {
+      return this.fetchRequest(this.buildRequest(messages, options));
+    }
+
+    const { system, maxTokens, temperature } = options;
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage({
+        type: 'AI_PROVIDER_REQUEST',
+        request: { messages, options: { system, maxTokens, temperature } },
+      });
+    } catch (error) {
+      throw new Error('Kuiqlee was updated. Please refresh the page and try again.');
+    }
+
+    if (!result) {
+      throw new Error(`No response from ${this.getProviderName()}`);
+    }
+    return result;
+  }
+
+  /**
+   * Post a built request to the provider
+   * @param {Object} request - { url, headers, body }
+   * @returns {Promise<Object>} - { ok, status, data } or { ok: false, status: 0, error } on
+   *   network failure
+   */
+  async fetchRequest({ url, headers, body }) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.AI_PROVIDER_TIMEOUT);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+      const data = await response.json().catch(() => null);
+      return { ok: response.ok, status: response.status, data };
+    } catch (error) {
+      const message = error.name === 'AbortError' ? 'Request timeout' : error.message;
+      console.error('❌ [AIProviderClient] Provider request failed:', message);
+      return { ok: false, status: 0, error: message };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Turn a failed provider response into a user-friendly message
+   * @param {Object} result - { status, data, error, rejected }
+   * @returns {string} - Error message
+   */
+  getErrorMessage(result) {
+    const name = this.getProviderName();
+    const detail = result.data?.error?.message || result.data?.error || result.error || '';
+
+    if (result.error === 'Request timeout') {
+      return 'Request timeout. Please try again.';
+    }
+    if (result.rejected) {
+      return result.error;
+    }
+    if (!result.status) {
+      return this.provider === 'local'
+        ? `Could not reach ${this.settings.localEndpoint}. Is your local model server running?`
+        : `Network connection error: ${detail || 'could not reach the Anthropic API'}`;
+    }
+    if (result.status === 401 || result.status === 403) {
+      return `${name} rejected the API key. Please check it in Kuiqlee settings.`;
+    }
+    if (result.status === 404 && this.provider === 'local') {
+      return `Model "${this.settings.localModel}" was not found on your local server.`;
+    }
+    if (result.status === 429) {
+      return 'Rate limit exceeded. Please wait a moment and try again.';
+    }
+    if (result.status === 529 || result.status >= 500) {
+      return `${name} is temporarily unavailable. Please try again later.`;
+    }
+
+    return `AI analysis failed: ${detail || `HTTP ${result.status}`}`;
+  }
+
+  /**
+   * Get a display name for the provider
+   * @returns {string} - Provider name
+   */
+  getProviderName() {
+    return this.provider === 'anthropic' ? 'Anthropic' : 'Local model';
+  }
+
+  /**
+   * Get usage stats
+   */
+  getUsageStats() {
+    return {
+      isInitialized: true,
+      provider: this.provider,
+      lastRequestTime: this.lastRequestTime,
+    };
+  }
+
+  /**
+   * Reset client
+   */
+  reset() {
+    this.lastRequestTime = 0;
+  }
+}
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.AIProviderClient = AIProviderClient;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AIProviderClient;
+}
@@ -1,6 +1,11 @@
 /**
  * Authentication Manager
  * Manages user authentication state, token storage, and auth operations
+ *
+ * Sign-ins get a short-lived access token and a refresh token that the API rotates on every
+ * use. Refreshes run in the service worker, one at a time, because a refresh token sent twice
+ * (say by two tabs at once) looks stolen and signs the session out. Every context picks up the
+ * new tokens from storage.
  */
 
 class AuthManager {
@@ -9,6 +14,10 @@ class AuthManager {
     this.storageKey = 'kuiqlee_auth';
     this.currentUser = null;
     this.token = null;
+    this.refreshToken = null;
+    this.tokenExpiresAt = null; // Access token expiry (timestamp)
+    this.refreshMargin = 60 * 1000; // Refresh this long before the access token expires
+    this.refreshPromise = null;
     this.initialized = false;
     this.authStateListeners = [];
   }
@@ -27,14 +36,29 @@ class AuthManager {
       const authData = result[this.storageKey];
 
       if (authData && authData.token) {
-        this.token = authData.token;
-        this.currentUser = authData.user;
+        this.applyStoredAuth(authData);
 
         // Optional: Verify token in background, but don't clear auth on failure
         // This allows us to update premium status without logging out users
         this.verifyTokenInBackground();
       }
 
+      // Follow sign-ins, refreshes and sign-outs made in other extension contexts
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes[this.storageKey]) return;
+
+        const authData = changes[this.storageKey].newValue;
+        if (authData?.token) {
+          this.applyStoredAuth(authData);
+        } else {
+          this.token = null;
+          this.refreshToken = null;
+          this.tokenExpiresAt = null;
+          this.currentUser = null;
+        }
+        this.notifyAuthStateChange();
+      });
+
       this.initialized = true;
       this.notifyAuthStateChange();
     } catch (error) {
@@ -51,11 +75,12 @@ class AuthManager {
     if (!this.token) return;
 
     try {
+      const token = await this.getValidToken();
       const response = await fetch(`${this.apiBaseUrl}/auth?action=verify`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          Authorization: `Bearer ${this.token}`,
+          Authorization: `Bearer ${token}`,
         },
       });
 
@@ -89,13 +114,19 @@ class AuthManager {
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Registration failed');
+        throw this.createResponseError(data, 'Registration failed');
       }
 
       console.log('✅ User registered successfully:', email);
 
-      // Auto-login after registration
-      return await this.login(email, password);
+      // Registration signs in; store its session rather than starting a second one
+      await this.storeTokens(data);
+      this.notifyAuthStateChange();
+
+      return {
+        success: true,
+        user: this.currentUser,
+      };
     } catch (error) {
       console.error('❌ Registration error:', error);
       throw error;
@@ -118,20 +149,11 @@ class AuthManager {
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Login failed');
+        throw this.createResponseError(data, 'Login failed');
       }
 
       // Store auth data
-      this.token = data.token;
-      this.currentUser = data.user;
-
-      await chrome.storage.local.set({
-        [this.storageKey]: {
-          token: this.token,
-          user: this.currentUser,
-          timestamp: Date.now(),
-        },
-      });
+      await this.storeTokens(data);
 
       console.log('✅ User logged in successfully:', email);
 
@@ -187,11 +209,14 @@ class AuthManager {
     if (!this.token) return false;
 
     try {
+      const token = await this.getValidToken();
+      if (!token) return false;
+
       const response = await fetch(`${this.apiBaseUrl}/auth?action=verify`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          Authorization: `Bearer ${this.token}`,
+          Authorization: `Bearer ${token}`,
         },
       });
 
@@ -222,6 +247,252 @@ class AuthManager {
     }
   }
 
+  /**
+   * Get an access token that won't expire mid-request, refreshing it first if needed
+   * Returns null when signed out or when the session can no longer be refreshed
+   */
+  async getValidToken() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.token) return null;
+
+    // Tokens from before refresh tokens existed are long-lived and can't be refreshed
+    if (!this.refreshToken || !this.tokenExpiresAt) {
+      return this.token;
+    }
+
+    if (Date.now() < this.tokenExpiresAt - this.refreshMargin) {
+      return this.token;
+    }
+
+    await this.refreshSession();
+    return this.token;
+  }
+
+  /**
+   * Swap the refresh token for new tokens
+   * Extension pages and content scripts ask the service worker to do it so only one refresh
+   * runs at a time; the worker's answer arrives through storage.
+   * @param {string} failedToken - Access token the API just rejected, if any; it is replaced
+   *   even if it hasn't reached its expiry yet
+   * Returns true if there is a usable access token afterwards
+   */
+  async refreshSession(failedToken = null) {
+    const isServiceWorker = typeof window === 'undefined';
+
+    if (!isServiceWorker) {
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'REFRESH_AUTH_SESSION',
+          failedToken,
+        });
+        if (response) {
+          await this.reloadStoredAuth();
+          return !!response.success;
+        }
+      } catch (error) {
+        console.log('⚠️ Service worker unavailable, refreshing here:', error.message);
+      }
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh(failedToken).finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Call the refresh endpoint with the stored refresh token and store the new tokens
+   * Signs out if the API rejects the refresh token; keeps the tokens on network errors
+   */
+  async performRefresh(failedToken = null) {
+    // Another context may have refreshed already
+    await this.reloadStoredAuth();
+    if (!this.refreshToken) return false;
+
+    const isCurrentTokenUsable = failedToken
+      ? this.token !== failedToken
+      : Date.now() < this.tokenExpiresAt - this.refreshMargin;
+    if (isCurrentTokenUsable) return true;
+
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/auth?action=refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken: this.refreshToken }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        await this.storeTokens(data);
+        console.log('✅ Session refreshed');
+        return true;
+      }
+
+      if (response.status === 401 || data.requiresAuth) {
+        console.log('⚠️ Session could not be refreshed:', data.error);
+        await this.clearAuth();
+        return false;
+      }
+
+      throw new Error(data.error || `Server error: ${response.status}`);
+    } catch (error) {
+      console.warn('⚠️ Session refresh failed (treating as temporary):', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the signed-in user's active sessions (devices)
+   */
+  async getSessions() {
+    const data = await this.authenticatedRequest('sessions', { method: 'GET' });
+    return data.sessions || [];
+  }
+
+  /**
+   * Sign out one session; revoking the current one signs out here too
+   */
+  async revokeSession(sessionId) {
+    const data = await this.authenticatedRequest(
+      `sessions&sessionId=${encodeURIComponent(sessionId)}`,
+      { method: 'DELETE' },
+    );
+
+    if (data.current) {
+      await this.clearAuth();
+    }
+
+    return data;
+  }
+
+  /**
+   * Call an auth action with the access token and return the response data
+   * Throws with the server's error message on failure
+   */
+  async authenticatedRequest(action, options = {}) {
+    const token = await this.getValidToken();
+    if (!token) {
+      throw new Error('Please sign in first');
+    }
+
+    const response = await fetch(`${this.apiBaseUrl}/auth?action=${action}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw this.createResponseError(data, 'Request failed');
+    }
+
+    return data;
+  }
+
+  /**
+   * Request a password reset code by email
+   * The server answers the same way whether or not the address has an account
+   */
+  async requestPasswordReset(email) {
+    try {
+      const data = await this.postAuthAction('forgot-password', { email });
+      console.log('✅ Password reset requested:', email);
+      return data;
+    } catch (error) {
+      console.error('❌ Password reset request error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password with a reset code
+   * The server signs out every session, so any stored auth is cleared
+   */
+  async resetPassword(token, password) {
+    try {
+      const data = await this.postAuthAction('reset-password', { token, password });
+      console.log('✅ Password reset successfully');
+
+      if (this.token) {
+        await this.clearAuth();
+      }
+
+      return data;
+    } catch (error) {
+      console.error('❌ Password reset error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm the email address with the code from the verification email
+   */
+  async verifyEmail(token) {
+    try {
+      const data = await this.postAuthAction('verify-email', { token });
+      console.log('✅ Email verified successfully');
+
+      if (this.currentUser) {
+        await this.updateStoredUser({ ...this.currentUser, emailVerified: true });
+      }
+
+      return data;
+    } catch (error) {
+      console.error('❌ Email verification error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the signed-in user another verification email
+   */
+  async resendVerification() {
+    try {
+      const data = await this.authenticatedRequest('resend-verification', {
+        method: 'POST',
+        body: JSON.stringify({}),
+      });
+      console.log('✅ Verification email sent');
+      return data;
+    } catch (error) {
+      console.error('❌ Resend verification error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Post to an auth action and return the response data
+   * Throws with the server's error message on failure
+   */
+  async postAuthAction(action, body) {
+    const response = await fetch(`${this.apiBaseUrl}/auth?action=${action}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw this.createResponseError(data, 'Request failed');
+    }
+
+    return data;
+  }
+
   /**
    * Get current authentication state
    */
@@ -261,6 +532,65 @@ class AuthManager {
     return this.token;
   }
 
+  /**
+   * Build an error from a failed API response
+   * Rate-limited responses keep the seconds to wait as error.retryAfter
+   */
+  createResponseError(data, fallbackMessage) {
+    const error = new Error(data.error || fallbackMessage);
+    if (data.retryAfter) {
+      error.retryAfter = data.retryAfter;
+    }
+    return error;
+  }
+
+  /**
+   * Save tokens (and user) from a sign-in or refresh response
+   */
+  async storeTokens(data) {
+    this.token = data.token;
+    this.refreshToken = data.refreshToken || null;
+    this.tokenExpiresAt = data.expiresIn ? Date.now() + data.expiresIn * 1000 : null;
+    this.currentUser = data.user;
+
+    await chrome.storage.local.set({
+      [this.storageKey]: {
+        token: this.token,
+        refreshToken: this.refreshToken,
+        tokenExpiresAt: this.tokenExpiresAt,
+        user: this.currentUser,
+        timestamp: Date.now(),
+      },
+    });
+  }
+
+  /**
+   * Load auth data saved by any extension context
+   */
+  async reloadStoredAuth() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    const authData = result[this.storageKey];
+
+    if (authData?.token) {
+      this.applyStoredAuth(authData);
+    } else {
+      this.token = null;
+      this.refreshToken = null;
+      this.tokenExpiresAt = null;
+      this.currentUser = null;
+    }
+  }
+
+  /**
+   * Apply stored auth data to this instance
+   */
+  applyStoredAuth(authData) {
+    this.token = authData.token;
+    this.refreshToken = authData.refreshToken || null;
+    this.tokenExpiresAt = authData.tokenExpiresAt || null;
+    this.currentUser = authData.user;
+  }
+
   /**
    * Update stored user data
    */
@@ -285,6 +615,8 @@ class AuthManager {
    */
   async clearAuth() {
     this.token = null;
+    this.refreshToken = null;
+    this.tokenExpiresAt = null;
     this.currentUser = null;
     await chrome.storage.local.remove(this.storageKey);
     this.notifyAuthStateChange();
@@ -354,6 +686,18 @@ class AuthManager {
     }
   }
 
+  /**
+   * Show the dialog for free summaries asked for before the email address is confirmed
+   */
+  showVerificationRequiredDialog() {
+    const message =
+      'Confirm your email address to use your free summaries. Open Kuiqlee to enter the code ' +
+      'from the email or send a new one?';
+    if (confirm(message)) {
+      chrome.tabs.create({ url: chrome.runtime.getURL('auth.html#verify') });
+    }
+  }
+
   /**
    * Handle authentication error from API
    * Only call this when you receive a definitive 401 from the server
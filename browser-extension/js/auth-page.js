@@ -1,9 +1,12 @@
 /**
  * Authentication Page Script
- * Handles tab switching, form submissions, and auth flow
+ * Handles tab switching, form submissions, password reset, email verification, and auth flow
  */
 
 document.addEventListener('DOMContentLoaded', () => {
+  // Countdowns for rate-limited forms (submit button -> interval id)
+  const countdowns = new Map();
+
   // Tab Switching
   const tabButtons = document.querySelectorAll('.tab-button');
 
@@ -34,9 +37,96 @@ document.addEventListener('DOMContentLoaded', () => {
       // Clear errors
       document.getElementById('signin-error').textContent = '';
       document.getElementById('signup-error').textContent = '';
+      document.getElementById('signin-info').textContent = '';
+    });
+  });
+
+  // Forgot password link
+  document.getElementById('link-forgot-password').addEventListener('click', () => {
+    document.getElementById('forgot-email').value = document
+      .getElementById('signin-email')
+      .value.trim();
+    showForm('forgot-form');
+  });
+
+  document.getElementById('link-have-code').addEventListener('click', () => {
+    showForm('reset-form');
+  });
+
+  document.getElementById('link-resend-reset').addEventListener('click', () => {
+    showForm('forgot-form');
+  });
+
+  document.querySelectorAll('[data-back-to-signin]').forEach((link) => {
+    link.addEventListener('click', () => {
+      showForm('signin-form');
     });
   });
 
+  // Forgot Password Form
+  document.getElementById('form-forgot').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const email = document.getElementById('forgot-email').value.trim();
+    const errorEl = document.getElementById('forgot-error');
+    const button = document.getElementById('btn-forgot');
+
+    errorEl.textContent = '';
+    setButtonLoading(button, true);
+
+    try {
+      await authManager.requestPasswordReset(email);
+
+      document.getElementById('reset-description').textContent =
+        `If ${email} has an account, we sent it a reset code. It expires in 30 minutes.`;
+      showForm('reset-form');
+    } catch (error) {
+      showFormError(errorEl, button, error, 'Could not send a reset code. Please try again.');
+    } finally {
+      setButtonLoading(button, false);
+    }
+  });
+
+  // Reset Password Form
+  document.getElementById('form-reset').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const code = document.getElementById('reset-code').value.trim();
+    const password = document.getElementById('reset-password').value;
+    const passwordConfirm = document.getElementById('reset-password-confirm').value;
+    const errorEl = document.getElementById('reset-error');
+    const button = document.getElementById('btn-reset');
+
+    errorEl.textContent = '';
+
+    // Validation
+    if (password !== passwordConfirm) {
+      errorEl.textContent = 'Passwords do not match';
+      return;
+    }
+
+    if (password.length < 8) {
+      errorEl.textContent = 'Password must be at least 8 characters';
+      return;
+    }
+
+    setButtonLoading(button, true);
+
+    try {
+      await authManager.resetPassword(code, password);
+
+      document.getElementById('form-reset').reset();
+      document.getElementById('signin-password').value = '';
+      showForm('signin-form');
+      document.getElementById('signin-info').textContent =
+        'Password reset. Sign in with your new password.';
+    } catch (error) {
+      showFormError(errorEl, button, error, 'Could not reset password. Please try again.');
+    } finally {
+      setButtonLoading(button, false);
+    }
+  });
+
   // Sign In Form
   document.getElementById('form-signin').addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -50,9 +140,7 @@ document.addEventListener('DOMContentLoaded', () => {
     errorEl.textContent = '';
 
     // Show loading state
-    button.disabled = true;
-    button.querySelector('.btn-text').style.display = 'none';
-    button.querySelector('.btn-loader').style.display = 'inline';
+    setButtonLoading(button, true);
 
     try {
       // Initialize auth manager
@@ -69,12 +157,10 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 1500);
       }
     } catch (error) {
-      errorEl.textContent = error.message || 'Invalid email or password';
+      showFormError(errorEl, button, error, 'Invalid email or password');
     } finally {
       // Reset button state
-      button.disabled = false;
-      button.querySelector('.btn-text').style.display = 'inline';
-      button.querySelector('.btn-loader').style.display = 'none';
+      setButtonLoading(button, false);
     }
   });
 
@@ -103,9 +189,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Show loading state
-    button.disabled = true;
-    button.querySelector('.btn-text').style.display = 'none';
-    button.querySelector('.btn-loader').style.display = 'inline';
+    setButtonLoading(button, true);
 
     try {
       // Initialize auth manager
@@ -115,20 +199,60 @@ document.addEventListener('DOMContentLoaded', () => {
       const result = await authManager.register(email, password);
 
       if (result.success) {
-        // Hide forms, show success message
-        document.getElementById('signin-form').style.display = 'none';
-        document.getElementById('signup-form').style.display = 'none';
-        document.querySelector('.tab-switcher').style.display = 'none';
-        document.querySelector('.features-section').style.display = 'none';
-        document.getElementById('success-message').style.display = 'block';
+        showVerifySection(email, true);
       }
     } catch (error) {
-      errorEl.textContent = error.message || 'Registration failed. Please try again.';
+      showFormError(errorEl, button, error, 'Registration failed. Please try again.');
     } finally {
       // Reset button state
-      button.disabled = false;
-      button.querySelector('.btn-text').style.display = 'inline';
-      button.querySelector('.btn-loader').style.display = 'none';
+      setButtonLoading(button, false);
+    }
+  });
+
+  // Verify Email Form
+  document.getElementById('form-verify').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const code = document.getElementById('verify-code').value.trim();
+    const infoEl = document.getElementById('verify-info');
+    const errorEl = document.getElementById('verify-error');
+    const button = document.getElementById('btn-verify');
+
+    infoEl.textContent = '';
+    errorEl.textContent = '';
+    setButtonLoading(button, true);
+
+    try {
+      await authManager.verifyEmail(code);
+
+      const section = document.getElementById('verify-section');
+      section.classList.add('verified');
+      section.querySelector('h3').textContent = 'Email confirmed ✓';
+      section.querySelector('p').textContent = 'Thanks! Your email address is confirmed.';
+    } catch (error) {
+      showFormError(errorEl, button, error, 'Verification failed. Please try again.');
+    } finally {
+      setButtonLoading(button, false);
+    }
+  });
+
+  // Resend verification email
+  document.getElementById('link-resend-verification').addEventListener('click', async (e) => {
+    const link = e.currentTarget;
+    const infoEl = document.getElementById('verify-info');
+    const errorEl = document.getElementById('verify-error');
+
+    infoEl.textContent = '';
+    errorEl.textContent = '';
+    link.disabled = true;
+
+    try {
+      const result = await authManager.resendVerification();
+      infoEl.textContent = result.message || 'Verification email sent';
+    } catch (error) {
+      errorEl.textContent = error.message || 'Could not send the email. Please try again.';
+    } finally {
+      link.disabled = false;
     }
   });
 
@@ -137,6 +261,88 @@ document.addEventListener('DOMContentLoaded', () => {
     window.close();
   });
 
+  // Helper function to show one form, keeping the tab highlight in sync
+  function showForm(formId) {
+    document.querySelectorAll('.auth-form-container').forEach((form) => {
+      form.classList.toggle('active', form.id === formId);
+    });
+
+    document.querySelectorAll('.tab-button').forEach((btn) => {
+      btn.classList.toggle('active', `${btn.dataset.tab}-form` === formId);
+    });
+
+    document.querySelectorAll('.error-message, .info-message').forEach((el) => {
+      el.textContent = '';
+    });
+  }
+
+  // Helper function to hide the forms and show the email verification form, with the welcome
+  // message for a new account
+  function showVerifySection(email, isNewAccount) {
+    document.getElementById('signin-form').style.display = 'none';
+    document.getElementById('signup-form').style.display = 'none';
+    document.querySelector('.tab-switcher').style.display = 'none';
+    document.querySelector('.features-section').style.display = 'none';
+    document.getElementById('verify-email-address').textContent = email;
+
+    if (!isNewAccount) {
+      document
+        .querySelectorAll('#success-message > :not(#verify-section):not(#btn-close-success)')
+        .forEach((el) => {
+          el.style.display = 'none';
+        });
+    }
+
+    document.getElementById('success-message').style.display = 'block';
+  }
+
+  // Helper function to toggle a submit button's loading state (it stays disabled while a
+  // rate limit countdown runs)
+  function setButtonLoading(button, isLoading) {
+    button.disabled = isLoading || countdowns.has(button);
+    button.querySelector('.btn-text').style.display = isLoading ? 'none' : 'inline';
+    button.querySelector('.btn-loader').style.display = isLoading ? 'inline' : 'none';
+  }
+
+  // Helper function to show a form error, or a countdown when the server says to wait
+  function showFormError(errorEl, button, error, fallbackMessage) {
+    if (error.retryAfter) {
+      startCountdown(errorEl, button, error.retryAfter);
+    } else {
+      errorEl.textContent = error.message || fallbackMessage;
+    }
+  }
+
+  // Helper function to count down a rate limit, keeping the form's button disabled until it ends
+  function startCountdown(errorEl, button, seconds) {
+    clearInterval(countdowns.get(button));
+    const endsAt = Date.now() + seconds * 1000;
+
+    const update = () => {
+      const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+
+      if (remaining <= 0) {
+        clearInterval(countdowns.get(button));
+        countdowns.delete(button);
+        errorEl.textContent = '';
+        button.disabled = false;
+        return;
+      }
+
+      errorEl.textContent = `Too many attempts. Try again in ${formatWait(remaining)}.`;
+      button.disabled = true;
+    };
+
+    countdowns.set(button, setInterval(update, 1000));
+    update();
+  }
+
+  // Helper function to format a wait, e.g. "45s" or "4:05"
+  function formatWait(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
   // Helper function to show success message
   function showSuccessMessage(message) {
     const errorEls = document.querySelectorAll('.error-message');
@@ -147,6 +353,12 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
-  // Initialize auth manager on page load
-  authManager.initialize();
+  // Initialize auth manager on page load; auth.html#verify (opened when free summaries need a
+  // confirmed email) goes straight to the verification form
+  authManager.initialize().then(() => {
+    const user = authManager.currentUser;
+    if (window.location.hash === '#verify' && authManager.isAuthenticated() && user) {
+      if (!user.emailVerified) showVerifySection(user.email, false);
+    }
+  });
 });
@@ -15,7 +15,167 @@ const CONFIG = {
   // Content Processing
   // NOTE: Vercel Hobby plan has 10-second timeout. Reduce this if getting timeout errors.
   // Recommended values: 50000 (default), 30000 (safer), 15000 (very safe)
-  MAX_CONTENT_LENGTH: 1000, // Maximum characters to send to API
+  MAX_CONTENT_LENGTH: 50000, // Maximum characters to send to API per request
+
+  // Long content is split into section-aware chunks that are summarized separately
+  // and then merged. Chunks grow beyond MAX_CONTENT_LENGTH to stay within this count, which
+  // must not exceed the API's MAX_PARTS (12) in api/summarize.js.
+  MAX_SUMMARY_CHUNKS: 8,
+
+  // Stream summaries so tabs fill in as each section of the response completes
+  STREAM_SUMMARIES: true,
+
+  // Article text sent with each "ask the page" chat question, and prior turns kept as context
+  MAX_CHAT_CONTEXT_LENGTH: 60000,
+  MAX_CHAT_HISTORY_TURNS: 10,
+
+  // Multi-tab synthesis: tabs compared at once, and article text sent per tab
+  MAX_SYNTHESIS_TABS: 6,
+  MAX_SYNTHESIS_SOURCE_LENGTH: 12000,
+
+  // Summaries that can't reach the API while offline are queued in the background worker
+  // and retried when the connection is back, waiting longer after each failed attempt
+  SUMMARY_QUEUE_STORAGE_KEY: 'kuiqlee_summary_queue',
+  MAX_QUEUED_SUMMARIES: 10,
+  SUMMARY_QUEUE_MAX_ATTEMPTS: 6,
+  SUMMARY_QUEUE_RETRY_MINUTES: [1, 2, 5, 10, 30, 60],
+
+  // Pages saved to read later, with their extracted content, for summarizing in a batch
+  READ_LATER_STORAGE_KEY: 'kuiqlee_read_later',
+  MAX_READ_LATER_ITEMS: 30,
+
+  // Digests of the summaries made in the last day or week, built on a schedule set in
+  // settings ('off', 'daily' or 'weekly')
+  DIGEST_STORAGE_KEY: 'kuiqlee_digests',
+  MAX_STORED_DIGESTS: 12,
+  DEFAULT_DIGEST_SCHEDULE: 'weekly',
+
+  // Summary presets: which sections are generated and the length, tone and audience they
+  // are written for. Users can adjust each preset in settings.
+  DEFAULT_SUMMARY_PRESET: 'standard',
+  SUMMARY_PRESETS: [
+    {
+      id: 'standard',
+      name: 'Standard',
+      sections: {
+        quickSummary: true,
+        detailedSummary: true,
+        keyPoints: true,
+        actionItems: true,
+        concepts: true,
+      },
+      length: 'standard',
+      tone: 'neutral',
+      audience: 'students and professionals',
+    },
+    {
+      id: 'executive',
+      name: 'Executive brief',
+      sections: {
+        quickSummary: true,
+        detailedSummary: false,
+        keyPoints: true,
+        actionItems: true,
+        concepts: false,
+      },
+      length: 'brief',
+      tone: 'direct',
+      audience: 'busy decision makers',
+    },
+    {
+      id: 'study',
+      name: 'Study notes',
+      sections: {
+        quickSummary: true,
+        detailedSummary: true,
+        keyPoints: true,
+        actionItems: false,
+        concepts: true,
+      },
+      length: 'thorough',
+      tone: 'explanatory',
+      audience: 'students learning the subject',
+    },
+    {
+      id: 'technical',
+      name: 'Technical deep-dive',
+      sections: {
+        quickSummary: true,
+        detailedSummary: true,
+        keyPoints: true,
+        actionItems: true,
+        concepts: true,
+      },
+      length: 'thorough',
+      tone: 'precise',
+      audience: 'engineers and specialists in the field',
+    },
+    {
+      id: 'tweet',
+      name: 'Tweet-length',
+      sections: {
+        quickSummary: true,
+        detailedSummary: false,
+        keyPoints: false,
+        actionItems: false,
+        concepts: false,
+      },
+      length: 'tweet',
+      tone: 'casual',
+      audience: 'a general audience',
+    },
+  ],
+
+  // Summary output language: 'auto' writes in the page's language
+  DEFAULT_SUMMARY_LANGUAGE: 'auto',
+  SUMMARY_LANGUAGES: [
+    { code: 'auto', name: 'Page language' },
+    { code: 'en', name: 'English' },
+    { code: 'de', name: 'German' },
+    { code: 'es', name: 'Spanish' },
+    { code: 'fr', name: 'French' },
+    { code: 'it', name: 'Italian' },
+    { code: 'pt', name: 'Portuguese' },
+    { code: 'nl', name: 'Dutch' },
+    { code: 'pl', name: 'Polish' },
+    { code: 'ru', name: 'Russian' },
+    { code: 'ar', name: 'Arabic' },
+    { code: 'hi', name: 'Hindi' },
+    { code: 'zh', name: 'Chinese' },
+    { code: 'ja', name: 'Japanese' },
+    { code: 'ko', name: 'Korean' },
+  ],
+
+  // Highlights made on pages, kept per page with the colours offered when text is selected.
+  // With "focus on my highlights" on, up to MAX_HIGHLIGHTS_IN_PROMPT go into summary prompts.
+  HIGHLIGHTS_STORAGE_KEY: 'kuiqlee_highlights',
+  HIGHLIGHT_COLORS: [
+    { id: 'yellow', name: 'Yellow', value: '#fde68a' },
+    { id: 'green', name: 'Green', value: '#bbf7d0' },
+    { id: 'blue', name: 'Blue', value: '#bfdbfe' },
+    { id: 'pink', name: 'Pink', value: '#fbcfe8' },
+  ],
+  MAX_HIGHLIGHTS_IN_PROMPT: 20,
+
+  // Shortest selection the "Summarize selection" context menu item will summarize
+  MIN_SELECTION_WORDS: 10,
+
+  // Prompt templates written in settings and run from the overlay's Custom tab
+  PROMPT_TEMPLATES_STORAGE_KEY: 'kuiqlee_prompt_templates',
+  MAX_PROMPT_TEMPLATE_LENGTH: 20000,
+
+  // AI providers: the hosted proxy (default), your own Anthropic key, or an
+  // OpenAI-compatible local server such as Ollama or llama.cpp
+  AI_PROVIDER_STORAGE_KEY: 'kuiqlee_ai_provider',
+  AI_PROVIDER_DEFAULTS: {
+    provider: 'proxy',
+    anthropicApiKey: '',
+    anthropicBaseUrl: 'https://api.anthropic.com',
+    anthropicModel: 'claude-sonnet-4-20250514',
+    localEndpoint: 'http://localhost:11434/v1',
+    localModel: 'llama3.1',
+  },
+  AI_PROVIDER_TIMEOUT: 120000, // Local models can be slow on long articles
 
   // Plan Configuration
   PLANS: {
@@ -42,6 +42,28 @@ class ContentAnalyzer {
         'div[class*="content"]',
       ],
     };
+
+    // Common words used to tell Latin-script languages apart
+    this.languageStopwords = {
+      en: 'the and of to is in that it for with was on are this you be as have not',
+      de: 'der die und das ist nicht ein eine zu den mit sich auch auf für von dem ich es wird',
+      es: 'el la de que y en los las del se por un una para es con no al lo más',
+      fr: 'le la les de des et est un une que dans pour pas du en sur qui au ce il',
+      it: 'il la di che e un una per non sono del della gli le con è si nel anche come',
+      pt: 'o a os as de que e do da em um uma para não com é se no na dos',
+      nl: 'de het een en van is dat niet op te in zijn voor met die ook er maar wordt naar',
+      pl: 'i w nie na się z że do to jest jak o po co ale tak dla od przez są',
+    };
+
+    // Scripts that identify a language on their own, with the share of letters required
+    this.languageScripts = [
+      { code: 'ja', pattern: /[\u3040-\u30ff]/gu, share: 0.1 },
+      { code: 'ko', pattern: /[\uac00-\ud7af]/gu, share: 0.3 },
+      { code: 'zh', pattern: /[\u4e00-\u9fff]/gu, share: 0.3 },
+      { code: 'ru', pattern: /[\u0400-\u04ff]/gu, share: 0.3 },
+      { code: 'ar', pattern: /[\u0600-\u06ff]/gu, share: 0.3 },
+      { code: 'hi', pattern: /[\u0900-\u097f]/gu, share: 0.3 },
+    ];
   }
 
   /**
@@ -67,7 +89,13 @@ class ContentAnalyzer {
       // Step 4: Prepare for AI processing
       const processedContent = this.prepareForAI(cleanedText);
 
-      // Step 5: Generate metadata
+      // Step 5: Split long content into chunks for map-reduce summarization
+      const chunks =
+        cleanedText.length > this.maxContentLength
+          ? this.prepareChunksForAI(rawText)
+          : [processedContent];
+
+      // Step 6: Generate metadata
       const metadata = this.generateMetadata(contentElement, cleanedText);
 
       const result = {
@@ -75,6 +103,7 @@ class ContentAnalyzer {
         rawText,
         cleanedText,
         processedContent,
+        chunks,
         metadata,
         validation,
         timestamp: Date.now(),
@@ -186,7 +215,9 @@ class ContentAnalyzer {
 
     // Check maximum length
     if (text.length > this.maxContentLength * 2) {
-      validation.issues.push(`Content very long (${text.length} chars) - will be truncated`);
+      validation.issues.push(
+        `Content very long (${text.length} chars) - will be summarized in parts`,
+      );
     }
 
     // Check for meaningful content
@@ -256,6 +287,99 @@ class ContentAnalyzer {
     return prepared;
   }
 
+  /**
+   * Split long content into section-aware chunks for map-reduce summarization.
+   * Paragraphs are cleaned individually so structure markers survive, and a new
+   * chunk starts at a section header once the current chunk is reasonably full.
+   * Never returns more than CONFIG.MAX_SUMMARY_CHUNKS chunks.
+   * @param {string} rawText - Raw extracted text (paragraphs separated by blank lines)
+   * @returns {Array<string>} - Structure-marked chunks in document order
+   */
+  prepareChunksForAI(rawText) {
+    const paragraphs = rawText
+      .split('\n\n')
+      .map((paragraph) => this.cleanText(paragraph))
+      .filter((paragraph) => paragraph.length > 0);
+
+    const markedParagraphs = this.addEnhancedStructureMarkers(paragraphs.join('\n\n')).split(
+      '\n\n',
+    );
+
+    // Grow chunks past the per-request limit rather than exceeding the chunk count
+    const totalLength = markedParagraphs.reduce((sum, p) => sum + p.length + 2, 0);
+    const chunkLength = Math.max(
+      this.maxContentLength,
+      Math.ceil(totalLength / CONFIG.MAX_SUMMARY_CHUNKS),
+    );
+
+    const chunks = [];
+    let current = [];
+    let currentLength = 0;
+
+    const flush = () => {
+      if (current.length > 0) {
+        chunks.push(current.join('\n\n'));
+        current = [];
+        currentLength = 0;
+      }
+    };
+
+    markedParagraphs.forEach((paragraph) => {
+      const isSectionStart = paragraph.startsWith('[SECTION_HEADER]');
+
+      if (
+        currentLength > 0 &&
+        (currentLength + paragraph.length > chunkLength ||
+          (isSectionStart && currentLength >= chunkLength * 0.5))
+      ) {
+        flush();
+      }
+
+      if (paragraph.length > chunkLength) {
+        // Oversized paragraph - split it at sentence boundaries
+        this.splitAtSentences(paragraph, chunkLength).forEach((piece) => chunks.push(piece));
+        return;
+      }
+
+      current.push(paragraph);
+      currentLength += paragraph.length + 2;
+    });
+
+    flush();
+
+    // Section breaks and split paragraphs can add chunks; fold the extra ones into the last
+    if (chunks.length > CONFIG.MAX_SUMMARY_CHUNKS) {
+      const folded = chunks.splice(CONFIG.MAX_SUMMARY_CHUNKS - 1).join('\n\n');
+      chunks.push(folded);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Split a long block of text into pieces no longer than maxLength, preferring sentence ends
+   * @param {string} text - Text to split
+   * @param {number} maxLength - Maximum characters per piece
+   * @returns {Array<string>} - Text pieces
+   */
+  splitAtSentences(text, maxLength) {
+    const pieces = [];
+    let remaining = text;
+
+    while (remaining.length > maxLength) {
+      const lastSentence = remaining.lastIndexOf('. ', maxLength);
+      const cutPoint = lastSentence > maxLength * 0.5 ? lastSentence + 1 : maxLength;
+      pieces.push(remaining.substring(0, cutPoint).trim());
+      remaining = remaining.substring(cutPoint).trim();
+    }
+
+    if (remaining) {
+      pieces.push(remaining);
+    }
+
+    return pieces;
+  }
+
   /**
    * Add structure markers to help AI understand content hierarchy
    * @param {string} text - Text to enhance
@@ -404,6 +528,7 @@ class ContentAnalyzer {
 
       // Content type hints
       contentType: this.identifyContentType(contentElement, cleanedText),
+      language: this.detectLanguage(contentElement, cleanedText),
 
       // Structure analysis
       hasHeadings: this.hasHeadings(contentElement),
@@ -470,6 +595,10 @@ class ContentAnalyzer {
     const url = window.location.href.toLowerCase();
     const domain = window.location.hostname.toLowerCase();
 
+    // Documents parsed from the PDF viewer and video captions
+    if (contentElement.dataset?.sourceFormat === 'pdf') return 'pdf';
+    if (contentElement.dataset?.sourceFormat === 'transcript') return 'video';
+
     // Check URL patterns
     if (url.includes('/blog/') || url.includes('/post/')) return 'blog';
     if (url.includes('/news/') || url.includes('/article/')) return 'news';
@@ -491,6 +620,61 @@ class ContentAnalyzer {
     return 'article';
   }
 
+  /**
+   * Detect the content's language from its text, falling back to the lang attribute
+   * (often left at a template default, so the text wins when it is conclusive)
+   * @param {Element} contentElement - Content element
+   * @param {string} text - Text content
+   * @returns {string|null} - Primary language subtag such as "en" or "de"
+   */
+  detectLanguage(contentElement, text) {
+    const declared =
+      contentElement.closest?.('[lang]')?.getAttribute('lang') ||
+      document.documentElement.getAttribute('lang') ||
+      '';
+
+    return this.detectTextLanguage(text) || declared.toLowerCase().split('-')[0] || null;
+  }
+
+  /**
+   * Guess the language of a text from its script or most frequent common words
+   * @param {string} text - Text content
+   * @returns {string|null} - Language code, or null when the text is inconclusive
+   */
+  detectTextLanguage(text) {
+    const sample = String(text || '').slice(0, 5000);
+    const letterCount = (sample.match(/\p{L}/gu) || []).length;
+    if (letterCount === 0) {
+      return null;
+    }
+
+    const script = this.languageScripts.find(
+      ({ pattern, share }) => (sample.match(pattern) || []).length >= letterCount * share,
+    );
+    if (script) {
+      return script.code;
+    }
+
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    if (words.length < 20) {
+      return null;
+    }
+
+    const scores = Object.entries(this.languageStopwords)
+      .map(([code, list]) => {
+        const stopwords = new Set(list.split(' '));
+        return { code, score: words.filter((word) => stopwords.has(word)).length };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    // Require a clear winner: enough hits and well ahead of the runner-up
+    const [best, second] = scores;
+    if (best.score < words.length * 0.05 || best.score < second.score * 1.3) {
+      return null;
+    }
+    return best.code;
+  }
+
   /**
    * Check if content has headings
    * @param {Element} contentElement - Content element
@@ -12,7 +12,27 @@ class ContentSummaryService {
     this.storageKey = 'readfocus_summaries';
     this.maxStorageItems = 100;
     this.currentContent = null;
+    this.currentPreset = null; // Preset of the summary last generated or shown
+    this.currentLanguage = null; // Language requested for that summary ('auto' or a code)
     this.activeRequests = new Map(); // Track active API requests to prevent duplicates
+    this.progress = null; // Chunk progress of the running generation ({ stage, current, total })
+    this.chatHistories = new Map(); // Chats for pages whose summary isn't cached yet
+    this.pageDetailsProvider = null; // Returns { title, author, publishDate } for the library
+    this.highlightsProvider = null; // Returns the highlighted passages ([{ text, note }])
+    this.pdfExtractor = null;
+    this.pdfDocument = null; // Parsed text of the PDF open in this tab
+    this.transcriptExtractor = null;
+    this.transcript = null; // Captions of the video on this page ({ url, paragraphs, ... })
+
+    // Summary fields and the raw JSON keys the AI may use for them, in response order
+    this.sectionKeys = {
+      quickSummary: ['quick_summary'],
+      detailedSummary: ['detailed_summary'],
+      eliSummary: ['eliSummary', 'eli_summary'],
+      conceptDictionary: ['conceptDictionary', 'concept_dictionary'],
+      keyPoints: ['key_points'],
+      actionItems: ['action_items'],
+    };
   }
 
   /**
@@ -20,9 +40,9 @@ class ContentSummaryService {
    */
   async initialize() {
     try {
-      // Check if ProxyAIClient is available
-      if (typeof ProxyAIClient === 'undefined') {
-        throw new Error('ProxyAIClient not available. Make sure proxy-ai-client.js is loaded.');
+      // Check if the AI clients are available
+      if (typeof AIClientFactory === 'undefined') {
+        throw new Error('AIClientFactory not available. Make sure ai-client-factory.js is loaded.');
       }
 
       // Check if AIPromptBuilder is available
@@ -40,9 +60,9 @@ class ContentSummaryService {
         await usageTracker.initialize();
       }
 
-      // Initialize Proxy AI client (no API key needed)
-      this.aiClient = new ProxyAIClient();
-      await this.aiClient.initialize();
+      // Initialize the AI client for the chosen provider (the proxy unless set otherwise)
+      this.aiClient = await AIClientFactory.create();
+      AIClientFactory.onSettingsChanged((settings) => this.switchProvider(settings));
 
       // Initialize content analyzer
       this.contentAnalyzer = new ContentAnalyzer();
@@ -50,6 +70,14 @@ class ContentSummaryService {
       // Initialize prompt builder
       this.promptBuilder = new AIPromptBuilder();
 
+      // PDF and video transcript support are optional
+      if (typeof PdfTextExtractor !== 'undefined') {
+        this.pdfExtractor = new PdfTextExtractor();
+      }
+      if (typeof TranscriptExtractor !== 'undefined') {
+        this.transcriptExtractor = new TranscriptExtractor();
+      }
+
       this.initialized = true;
 
       return { success: true };
@@ -60,19 +88,35 @@ class ContentSummaryService {
     }
   }
 
+  /**
+   * Replace the AI client when the provider settings change
+   * @param {Object} settings - New provider settings
+   */
+  async switchProvider(settings) {
+    try {
+      this.aiClient = await AIClientFactory.create(settings);
+    } catch (error) {
+      console.error('Failed to switch AI provider:', error);
+    }
+  }
+
   /**
    * Generate summary from current page content
    * @param {Object} options - Summary options
+   * @param {Function} onPartialSummary - Optional callback receiving partial results while streaming
    * @returns {Object} - Summary result with different formats
    */
-  async generateSummary(options = {}) {
+  async generateSummary(options = {}, onPartialSummary = null) {
     try {
       if (!this.initialized) {
         throw new Error('Summary service not initialized. Please refresh the page and try again.');
       }
 
+      // Own-key and local providers need no account or usage allowance
+      const requiresAccount = this.aiClient.requiresAccount;
+
       // Check authentication first
-      if (typeof authManager !== 'undefined' && !authManager.isAuthenticated()) {
+      if (requiresAccount && typeof authManager !== 'undefined' && !authManager.isAuthenticated()) {
         return {
           success: false,
           error: 'Please sign in to use Kuiqlee summaries.',
@@ -90,7 +134,7 @@ class ContentSummaryService {
       }
 
       // Check usage limits before proceeding (only for non-premium users)
-      if (typeof usageTracker !== 'undefined' && domain) {
+      if (requiresAccount && typeof usageTracker !== 'undefined' && domain) {
         const usageCheck = await usageTracker.canUseDomain(domain);
 
         if (!usageCheck.canUse) {
@@ -105,23 +149,17 @@ class ContentSummaryService {
         }
       }
 
-      // Load user settings to determine what to generate
+      // Load user settings and the preset to determine what to generate
       const settings = await this.loadUserSettings();
+      const summaryOptions = this.buildSummaryOptions(options, settings);
+      this.currentPreset = summaryOptions.preset;
+      this.currentLanguage = summaryOptions.language;
 
       // Extract and analyze content
-      const contentElement = this.findMainContent();
-      if (!contentElement) {
-        throw new Error('No suitable content found on this page');
-      }
-
-      // Analyze content using existing analyzer
-      const analysisResult = this.contentAnalyzer.analyzeContent(contentElement);
-      if (!analysisResult.success) {
-        throw new Error(`Content analysis failed: ${analysisResult.error}`);
-      }
+      const analysisResult = await this.analyzeCurrentPage();
 
       // Check local storage first - ALWAYS
-      const storageKey = this.generateStorageKey(analysisResult.processedContent, options);
+      const storageKey = this.generateStorageKey(analysisResult.processedContent, summaryOptions);
 
       const storedSummary = await this.getStoredSummary(storageKey);
       if (storedSummary) {
@@ -134,7 +172,12 @@ class ContentSummaryService {
       }
 
       // Create and store the API request promise
-      const requestPromise = this.performSummaryGeneration(analysisResult, options, storageKey);
+      const requestPromise = this.performSummaryGeneration(
+        analysisResult,
+        summaryOptions,
+        storageKey,
+        onPartialSummary
+      );
       this.activeRequests.set(storageKey, requestPromise);
 
       try {
@@ -175,35 +218,274 @@ class ContentSummaryService {
     }
   }
 
+  /**
+   * Summarize a passage the user selected on the page. Selection summaries are cached under
+   * the page URL plus a hash of the passage, apart from the page's own summaries, and aren't
+   * added to the library.
+   * @param {string} text - Selected text
+   * @param {Object} options - Summary options ({ preset, language })
+   * @param {Function} onPartialSummary - Optional callback receiving partial results while streaming
+   * @returns {Object} - Summary result with the selection, or { success: false, error }
+   */
+  async summarizeSelection(text, options = {}, onPartialSummary = null) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Summary service not initialized. Please refresh the page and try again.');
+      }
+
+      const selection = String(text || '').trim();
+      if (selection.split(/\s+/).length < CONFIG.MIN_SELECTION_WORDS) {
+        throw new Error('Select at least a full sentence or two to summarize.');
+      }
+
+      if (
+        this.aiClient.requiresAccount &&
+        typeof authManager !== 'undefined' &&
+        !authManager.isAuthenticated()
+      ) {
+        return {
+          success: false,
+          error: 'Please sign in to use Kuiqlee summaries.',
+          requiresAuth: true,
+          timestamp: Date.now(),
+        };
+      }
+
+      // Selections count against the page's domain like page summaries
+      if (this.aiClient.requiresAccount && typeof usageTracker !== 'undefined') {
+        const usageCheck = await usageTracker.canUseDomain(window.location.hostname);
+        if (!usageCheck.canUse) {
+          return {
+            success: false,
+            error: 'You have reached your free tier limit. Upgrade to Premium for unlimited summaries.',
+            limitReached: true,
+            timestamp: Date.now(),
+          };
+        }
+      }
+
+      // Highlights steer page summaries; a selection is already what the user cares about
+      const settings = await this.loadUserSettings();
+      const summaryOptions = { ...this.buildSummaryOptions(options, settings), highlights: [] };
+      const storageKey = this.generateSelectionStorageKey(selection, summaryOptions);
+
+      const storedSummary = await this.getStoredSummary(storageKey);
+      if (storedSummary) {
+        return storedSummary;
+      }
+
+      const onPartial = onPartialSummary
+        ? (partialSummary) => onPartialSummary(this.withSelection(partialSummary, selection))
+        : null;
+      const summaryResult = await this.summarizeContent(
+        this.analyzeSelection(selection),
+        summaryOptions,
+        onPartial
+      );
+
+      const result = this.withSelection(summaryResult, selection);
+      if (result.success) {
+        await this.storeSummary(storageKey, result, window.location.href);
+      }
+      return result;
+    } catch (error) {
+      console.error('Selection summary failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        timestamp: Date.now(),
+      };
+    } finally {
+      this.progress = null;
+    }
+  }
+
+  /**
+   * Analyze selected text as if it were the page's content
+   * @param {string} text - Selected text
+   * @returns {Object} - ContentAnalyzer result with contentType 'selection'
+   */
+  analyzeSelection(text) {
+    const element = document.createElement('article');
+    text
+      .split(/\n+/)
+      .map((paragraph) => paragraph.trim())
+      .filter(Boolean)
+      .forEach((paragraph) => {
+        const p = document.createElement('p');
+        p.textContent = paragraph;
+        element.appendChild(p);
+      });
+
+    const analysisResult = this.contentAnalyzer.analyzeContent(element);
+    if (!analysisResult.success) {
+      throw new Error(`Content analysis failed: ${analysisResult.error}`);
+    }
+
+    analysisResult.metadata.contentType = 'selection';
+    analysisResult.metadata.title = this.getPageDetails().title || document.title;
+    return analysisResult;
+  }
+
+  /**
+   * Mark a summary as covering a selection, keeping the start of the selected text
+   * @param {Object} summary - Summary result
+   * @param {string} text - Selected text
+   * @returns {Object} - Summary with type 'selection' and { selection: { excerpt, wordCount } }
+   */
+  withSelection(summary, text) {
+    const normalized = text.replace(/\s+/g, ' ').trim();
+    const excerpt =
+      normalized.length > 160
+        ? `${normalized.slice(0, 160).replace(/\s+\S*$/, '')}…`
+        : normalized;
+
+    return {
+      ...summary,
+      type: 'selection',
+      selection: { excerpt, wordCount: normalized.split(' ').length },
+    };
+  }
+
+  /**
+   * Generate the cache key for a selection summary
+   * @param {string} text - Selected text
+   * @param {Object} summaryOptions - Summary options from buildSummaryOptions()
+   * @returns {string} - Page key plus a hash of the selection, then the options hash
+   */
+  generateSelectionStorageKey(text, summaryOptions) {
+    // Whitespace differs between the DOM selection and the context menu's copy of it
+    const selectionHash = this.simpleHash(text.replace(/\s+/g, ' ').trim());
+    return this.generateStorageKey(
+      '',
+      summaryOptions,
+      `${this.getPageKey()}#selection-${selectionHash}`
+    );
+  }
+
+  /**
+   * Resolve the summary preset (options.preset, else the default from settings) into
+   * summary options. Sections turned off in settings stay off whatever the preset.
+   * @param {Object} options - Summary options from the caller
+   * @param {Object} settings - User settings
+   * @returns {Object} - Summary options with include flags, length, tone, audience and language
+   */
+  buildSummaryOptions(options = {}, settings = {}) {
+    const preset = SummaryPresets.get(options.preset, settings);
+    const presetOptions = SummaryPresets.toSummaryOptions(preset);
+
+    return {
+      ...options,
+      ...presetOptions,
+      presetName: preset.name,
+      language: options.language || settings.summaryLanguage || CONFIG.DEFAULT_SUMMARY_LANGUAGE,
+      includeKeyPoints: presetOptions.includeKeyPoints && settings.includeKeyPoints !== false,
+      includeActionItems: presetOptions.includeActionItems && settings.includeActionItems !== false,
+      includeConcepts: presetOptions.includeConcepts && settings.includeConcepts !== false,
+      highlights: settings.focusOnHighlights ? this.getHighlightedPassages() : [],
+    };
+  }
+
+  /**
+   * Get the passages highlighted on the page, for summaries that focus on them
+   * @returns {Array<Object>} - [{ text, note }], at most CONFIG.MAX_HIGHLIGHTS_IN_PROMPT
+   */
+  getHighlightedPassages() {
+    try {
+      const highlights = this.highlightsProvider ? this.highlightsProvider() : [];
+      return (highlights || []).slice(0, CONFIG.MAX_HIGHLIGHTS_IN_PROMPT);
+    } catch (error) {
+      console.error('Error reading highlights:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Describe the preset a summary was generated with, for the overlay's preset switcher
+   * @param {Object} summaryOptions - Result of buildSummaryOptions()
+   * @returns {Object} - { id, name, sections }
+   */
+  getPresetInfo(summaryOptions) {
+    return {
+      id: summaryOptions.preset,
+      name: summaryOptions.presetName,
+      sections: {
+        quickSummary: summaryOptions.includeQuickSummary,
+        detailedSummary: summaryOptions.includeDetailedSummary,
+        keyPoints: summaryOptions.includeKeyPoints,
+        actionItems: summaryOptions.includeActionItems,
+        concepts: summaryOptions.includeConcepts,
+      },
+    };
+  }
+
+  /**
+   * Describe the language a summary is written in
+   * @param {string} requested - Language code from settings or the overlay, or 'auto'
+   * @param {string|null} detected - Language detected for the page
+   * @returns {Object} - { requested, code, name } (code and name are null when unknown)
+   */
+  getLanguageInfo(requested, detected) {
+    const code = (requested === 'auto' ? detected : requested) || null;
+    return { requested, code, name: code ? this.getLanguageName(code) : null };
+  }
+
+  /**
+   * Get the English name of a language
+   * @param {string} code - Language code such as "de"
+   * @returns {string} - Language name
+   */
+  getLanguageName(code) {
+    const known = CONFIG.SUMMARY_LANGUAGES.find((language) => language.code === code);
+    if (known) {
+      return known.name;
+    }
+
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code; // Not a valid language tag
+    }
+  }
+
   /**
    * Perform the actual summary generation (extracted for deduplication)
    * @param {Object} analysisResult - Content analysis result
-   * @param {Object} options - Summary options
+   * @param {Object} summaryOptions - Summary options from buildSummaryOptions()
    * @param {string} storageKey - Storage key for caching
+   * @param {Function} onPartialSummary - Optional callback receiving partial results while streaming
    * @returns {Object} - Summary result
    */
-  async performSummaryGeneration(analysisResult, options, storageKey) {
+  async performSummaryGeneration(
+    analysisResult,
+    summaryOptions,
+    storageKey,
+    onPartialSummary = null
+  ) {
     try {
-      // Load user settings
-      const settings = await this.loadUserSettings();
-
-      // Merge user settings with options
-      const summaryOptions = {
-        ...options,
-        includeKeyPoints: settings.includeKeyPoints !== false,
-        includeActionItems: settings.includeActionItems !== false,
-        includeConcepts: settings.includeConcepts !== false,
-      };
+      // Already offline: queue right away rather than waiting for the client's retries
+      if (this.shouldQueueSummary()) {
+        const queued = await this.queueSummary(analysisResult, summaryOptions, storageKey);
+        if (queued) {
+          return queued;
+        }
+      }
 
-      // Generate multiple summary formats
-      const summaryResult = await this.generateMultiFormatSummary(
-        analysisResult.processedContent,
-        analysisResult.metadata,
-        summaryOptions
+      const summaryResult = await this.summarizeContent(
+        analysisResult,
+        summaryOptions,
+        onPartialSummary
       );
 
+      // PDF and video key points cite the page or moment their source quote is from
+      const { contentType } = analysisResult.metadata;
+      if (summaryResult.success && (contentType === 'pdf' || contentType === 'video')) {
+        this.attachCitations(summaryResult);
+      }
+
       // Store the result permanently in local storage
-      await this.storeSummary(storageKey, summaryResult);
+      await this.storeSummary(storageKey, summaryResult, window.location.href);
+      await this.saveToLibrary(storageKey, summaryResult);
 
       // Store current content for future reference
       this.currentContent = {
@@ -215,14 +497,65 @@ class ContentSummaryService {
       return summaryResult;
     } catch (error) {
       console.error('Summary generation failed:', error);
+
+      if (this.shouldQueueSummary(error)) {
+        const queued = await this.queueSummary(analysisResult, summaryOptions, storageKey);
+        if (queued) {
+          return queued;
+        }
+      }
+
       return {
         success: false,
         error: error.message,
         timestamp: Date.now(),
       };
+    } finally {
+      this.progress = null;
     }
   }
 
+  /**
+   * Summarize analyzed content in one request, or chunk by chunk for long content
+   * @param {Object} analysisResult - Content analysis result ({ processedContent, chunks,
+   *   metadata })
+   * @param {Object} summaryOptions - Summary options from buildSummaryOptions()
+   * @param {Function} onPartialSummary - Optional callback receiving partial results while streaming
+   * @returns {Object} - Summary result with its preset and language
+   */
+  async summarizeContent(analysisResult, summaryOptions, onPartialSummary = null) {
+    const preset = this.getPresetInfo(summaryOptions);
+    const language = this.getLanguageInfo(
+      summaryOptions.language,
+      analysisResult.metadata.language
+    );
+    const generationOptions = { ...summaryOptions, languageName: language.name };
+    const onPartial = onPartialSummary
+      ? (partialSummary) => onPartialSummary({ ...partialSummary, preset, language })
+      : null;
+
+    // Long content is summarized chunk by chunk and merged; short content in one request
+    const chunks = analysisResult.chunks || [];
+    const summaryResult =
+      chunks.length > 1
+        ? await this.generateChunkedSummary(
+            chunks,
+            analysisResult.metadata,
+            generationOptions,
+            onPartial
+          )
+        : await this.generateMultiFormatSummary(
+            analysisResult.processedContent,
+            analysisResult.metadata,
+            generationOptions,
+            onPartial
+          );
+    summaryResult.preset = preset;
+    summaryResult.language = language;
+
+    return summaryResult;
+  }
+
   /**
    * Load user settings from Chrome storage
    * @returns {Object} - User settings object
@@ -253,147 +586,466 @@ class ContentSummaryService {
    * @param {string} content - Processed content text
    * @param {Object} metadata - Content metadata
    * @param {Object} options - Summary options
+   * @param {Function} onPartialSummary - Optional callback receiving partial results while streaming
    * @returns {Object} - Multi-format summary result
    */
-  async generateMultiFormatSummary(content, metadata, options = {}) {
+  async generateMultiFormatSummary(content, metadata, options = {}, onPartialSummary = null) {
     const {
       includeKeyPoints = true,
       includeQuickSummary = true,
       includeDetailedSummary = true,
       includeActionItems = true,
       includeConcepts = true,
+      length,
+      tone,
+      audience,
+      language,
+      languageName,
+      highlights,
     } = options;
 
-    // Build comprehensive prompt using the prompt builder
-    const prompt = this.promptBuilder.buildSummaryPrompt(content, metadata, {
+    const promptOptions = {
       includeKeyPoints,
       includeQuickSummary,
       includeDetailedSummary,
       includeActionItems,
       includeConcepts,
-    });
+      length,
+      tone,
+      audience,
+      language,
+      languageName,
+      highlights,
+    };
 
     try {
+      // The summarize API builds the prompt and returns normalized fields
+      if (this.usesSummarizeAPI()) {
+        const { summary, cached } = await this.requestStructuredSummary(
+          'summary',
+          { content, metadata: this.getPromptMetadata(metadata), options: promptOptions },
+          onPartialSummary,
+          options.forceRegenerate
+        );
+        return this.buildSummaryResult(summary, metadata, cached);
+      }
+
+      // Build comprehensive prompt using the prompt builder
+      const prompt = this.promptBuilder.buildSummaryPrompt(content, metadata, promptOptions);
+
       // Request summary from AI
-      const response = await this.aiClient.makeRequest(prompt, {
-        temperature: 0.3, // Balanced creativity for summaries
-        maxTokens: 4096,
-      });
+      const response = await this.requestSummary(
+        prompt,
+        onPartialSummary,
+        options.forceRegenerate
+      );
 
       // Parse and validate response
       const parsedSummary = this.parseSummaryResponse(response);
 
-      // Add metadata to result
-      const result = {
-        success: true,
-        timestamp: Date.now(),
-        metadata: {
-          originalWordCount: metadata.wordCount,
-          contentType: metadata.contentType,
-          readabilityScore: metadata.readabilityScore,
-          processingTime: Date.now(),
-        },
-        ...parsedSummary,
-      };
-
-      return result;
+      return this.buildSummaryResult(parsedSummary, metadata);
     } catch (error) {
       console.error('AI summary generation failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Generate a multi-format summary for long content using map-reduce:
+   * each chunk is summarized separately, then the partial results are merged
+   * @param {Array<string>} chunks - Structure-marked content chunks
+   * @param {Object} metadata - Content metadata
+   * @param {Object} options - Summary options
+   * @param {Function} onPartialSummary - Optional callback receiving partial results while streaming
+   * @returns {Object} - Multi-format summary result
+   */
+  async generateChunkedSummary(chunks, metadata, options = {}, onPartialSummary = null) {
+    if (this.usesSummarizeAPI()) {
+      return this.generateChunkedSummaryWithAPI(chunks, metadata, options, onPartialSummary);
+    }
+
+    const partialSummaries = [];
+
+    // Map: summarize each chunk in document order
+    for (let i = 0; i < chunks.length; i++) {
+      this.progress = { stage: 'chunk', current: i + 1, total: chunks.length };
+
+      const prompt = this.promptBuilder.buildChunkSummaryPrompt(
+        chunks[i],
+        metadata,
+        i,
+        chunks.length
+      );
+
+      const response = await this.aiClient.makeRequest(prompt, {
+        temperature: 0.3,
+        maxTokens: 1024,
+        skipCache: options.forceRegenerate,
+      });
+
+      try {
+        partialSummaries.push(this.parseJSONResponse(response));
+      } catch (error) {
+        // Keep the raw text so the part still contributes to the merge
+        console.error(`Failed to parse summary for part ${i + 1}:`, error);
+        partialSummaries.push({ section_summary: response.trim() });
+      }
+    }
+
+    // Reduce: merge the partial summaries into the usual multi-format JSON
+    this.progress = { stage: 'merge', current: chunks.length, total: chunks.length };
+
+    const mergePrompt = this.promptBuilder.buildMergePrompt(partialSummaries, metadata, {
+      includeKeyPoints: options.includeKeyPoints !== false,
+      includeQuickSummary: options.includeQuickSummary !== false,
+      includeDetailedSummary: options.includeDetailedSummary !== false,
+      includeActionItems: options.includeActionItems !== false,
+      includeConcepts: options.includeConcepts !== false,
+      length: options.length,
+      tone: options.tone,
+      audience: options.audience,
+      language: options.language,
+      languageName: options.languageName,
+      highlights: options.highlights,
+    });
+
+    const response = await this.requestSummary(
+      mergePrompt,
+      onPartialSummary,
+      options.forceRegenerate
+    );
+
+    const result = this.buildSummaryResult(this.parseSummaryResponse(response), metadata);
+    result.metadata.chunkCount = chunks.length;
+
+    return result;
+  }
 
   /**
-   * Parse and validate AI summary response
-   * @param {string} response - Raw AI response
-   * @returns {Object} - Parsed summary object
+   * Generate a multi-format summary for long content with the summarize API, which builds
+   * the chunk and merge prompts on the server
+   * @param {Array<string>} chunks - Structure-marked content chunks
+   * @param {Object} metadata - Content metadata
+   * @param {Object} options - Summary options
+   * @param {Function} onPartialSummary - Optional callback receiving partial results while streaming
+   * @returns {Object} - Multi-format summary result
    */
-  parseSummaryResponse(response) {
-    try {
+  async generateChunkedSummaryWithAPI(chunks, metadata, options = {}, onPartialSummary = null) {
+    const promptMetadata = this.getPromptMetadata(metadata);
+    const partials = [];
+
+    // Map: summarize each chunk in document order
+    for (let i = 0; i < chunks.length; i++) {
+      this.progress = { stage: 'chunk', current: i + 1, total: chunks.length };
+
+      const data = await this.aiClient.summarize(
+        'chunk',
+        { content: chunks[i], metadata: promptMetadata, chunkIndex: i, totalChunks: chunks.length },
+        { skipCache: options.forceRegenerate }
+      );
+      partials.push(data.summary);
+    }
 
-      // Clean response
-      let cleanResponse = response.trim();
+    // Reduce: merge the part summaries into the usual multi-format summary
+    this.progress = { stage: 'merge', current: chunks.length, total: chunks.length };
+
+    const { summary, cached } = await this.requestStructuredSummary(
+      'merge',
+      {
+        partials,
+        metadata: promptMetadata,
+        options: {
+          includeKeyPoints: options.includeKeyPoints !== false,
+          includeQuickSummary: options.includeQuickSummary !== false,
+          includeDetailedSummary: options.includeDetailedSummary !== false,
+          includeActionItems: options.includeActionItems !== false,
+          includeConcepts: options.includeConcepts !== false,
+          length: options.length,
+          tone: options.tone,
+          audience: options.audience,
+          language: options.language,
+          languageName: options.languageName,
+          highlights: options.highlights,
+        },
+      },
+      onPartialSummary,
+      options.forceRegenerate
+    );
+
+    const result = this.buildSummaryResult(summary, metadata, cached);
+    result.metadata.chunkCount = chunks.length;
+
+    return result;
+  }
+
+  /**
+   * Whether summaries come from the summarize API, which builds prompts on the server.
+   * Own-key and local providers are sent the prompt builder's prompts instead.
+   * @returns {boolean} - True for clients with a summarize() method
+   */
+  usesSummarizeAPI() {
+    return typeof this.aiClient.summarize === 'function';
+  }
 
-      // Extract JSON if wrapped in code blocks
-      const jsonMatch = cleanResponse.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-      if (jsonMatch) {
-        cleanResponse = jsonMatch[1];
+  /**
+   * Pick the content metadata the summarize API puts in its prompts
+   * @param {Object} metadata - Content metadata
+   * @returns {Object} - { contentType, wordCount, readabilityScore, hasHeadings, title }
+   */
+  getPromptMetadata(metadata) {
+    const { contentType, wordCount, readabilityScore, hasHeadings, title } = metadata;
+    return { contentType, wordCount, readabilityScore, hasHeadings, title };
+  }
+
+  /**
+   * Request a multi-format summary from the summarize API, streaming partial results when a
+   * callback is given
+   * @param {string} action - 'summary' or 'merge'
+   * @param {Object} payload - Action fields for the API
+   * @param {Function} onPartialSummary - Optional callback receiving partial results
+   * @param {boolean} skipCache - Ask for a fresh summary instead of the API's shared cache
+   * @returns {Object} - { summary, cached }: normalized summary fields and whether the API
+   *   answered from its shared cache
+   */
+  async requestStructuredSummary(action, payload, onPartialSummary = null, skipCache = false) {
+    const onDelta = CONFIG.STREAM_SUMMARIES
+      ? this.createPartialSummaryHandler(onPartialSummary)
+      : null;
+    const data = await this.aiClient.summarize(action, payload, { skipCache }, onDelta);
+
+    return { summary: data.summary, cached: data.cached === true };
+  }
+
+  /**
+   * Request a multi-format summary, streaming partial results when a callback is given
+   * @param {string} prompt - Summary or merge prompt
+   * @param {Function} onPartialSummary - Optional callback receiving partial results
+   * @param {boolean} skipCache - Ask for a fresh response instead of the API's shared cache
+   * @returns {string} - Complete AI response text
+   */
+  async requestSummary(prompt, onPartialSummary = null, skipCache = false) {
+    const requestOptions = {
+      temperature: 0.3, // Balanced creativity for summaries
+      maxTokens: 4096,
+      skipCache,
+    };
+
+    const onDelta =
+      CONFIG.STREAM_SUMMARIES && typeof this.aiClient.makeStreamingRequest === 'function'
+        ? this.createPartialSummaryHandler(onPartialSummary)
+        : null;
+
+    if (!onDelta) {
+      return this.aiClient.makeRequest(prompt, requestOptions);
+    }
+
+    return this.aiClient.makeStreamingRequest(prompt, requestOptions, onDelta);
+  }
+
+  /**
+   * Create the streaming callback that reports partial results as sections of the JSON
+   * response complete
+   * @param {Function} onPartialSummary - Callback receiving partial results, or null
+   * @returns {Function|null} - (delta, fullText) callback, or null without onPartialSummary
+   */
+  createPartialSummaryHandler(onPartialSummary) {
+    if (!onPartialSummary) {
+      return null;
+    }
+
+    let completedCount = -1;
+
+    return (_delta, fullText) => {
+      const sections = this.extractCompletedSections(fullText);
+      const count = Object.keys(sections).length;
+
+      // Only notify when another section has completed
+      if (count === completedCount) {
+        return;
       }
+      completedCount = count;
 
+      try {
+        onPartialSummary(this.buildPartialSummary(sections));
+      } catch (error) {
+        console.error('Partial summary callback failed:', error);
+      }
+    };
+  }
 
-      // Find problematic characters
-      for (let i = 0; i < cleanResponse.length; i++) {
-        const char = cleanResponse[i];
-        const charCode = char.charCodeAt(0);
-        if (charCode < 32 && charCode !== 9 && charCode !== 10 && charCode !== 13) {
+  /**
+   * Extract the top-level JSON fields whose values are complete from a partial response
+   * @param {string} partialText - Response text received so far
+   * @returns {Object} - Completed fields keyed by their raw JSON key
+   */
+  extractCompletedSections(partialText) {
+    const sections = {};
+    const start = partialText.indexOf('{');
+    if (start === -1) {
+      return sections;
+    }
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let expectingKey = true;
+    let keyStart = -1;
+    let key = null;
+    let valueStart = -1;
+
+    const completeValue = (end) => {
+      if (key !== null && valueStart !== -1) {
+        try {
+          sections[key] = JSON.parse(partialText.slice(valueStart, end));
+        } catch (error) {
+          // Value is not valid JSON yet - ignore it
         }
       }
+      key = null;
+      valueStart = -1;
+      expectingKey = true;
+    };
 
-      // Simple but effective JSON parsing with control character handling
-      let summary;
+    for (let i = start; i < partialText.length; i++) {
+      const char = partialText[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (keyStart !== -1) {
+            key = JSON.parse(partialText.slice(keyStart, i + 1));
+            keyStart = -1;
+          }
+        }
+        continue;
+      }
 
-      try {
-        // First attempt: direct parsing
-        summary = JSON.parse(cleanResponse);
-      } catch (firstError) {
+      if (char === '"') {
+        inString = true;
+        if (depth === 1 && expectingKey) {
+          keyStart = i;
+          expectingKey = false;
+        }
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) {
+          completeValue(i);
+          break;
+        }
+      } else if (depth === 1 && char === ':') {
+        valueStart = i + 1;
+      } else if (depth === 1 && char === ',') {
+        completeValue(i);
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * Build a displayable partial summary from the sections completed so far
+   * @param {Object} sections - Completed fields keyed by raw JSON key
+   * @returns {Object} - Partial summary with a list of sections still being written
+   */
+  buildPartialSummary(sections) {
+    const pendingSections = Object.keys(this.sectionKeys).filter(
+      (field) => !this.sectionKeys[field].some((rawKey) => rawKey in sections)
+    );
+
+    return {
+      success: true,
+      partial: true,
+      pendingSections,
+      timestamp: Date.now(),
+      ...this.normalizeSummary(sections),
+    };
+  }
+
+  /**
+   * Wrap a parsed summary with result metadata
+   * @param {Object} parsedSummary - Output of parseSummaryResponse
+   * @param {Object} metadata - Content metadata
+   * @param {boolean} cached - Whether the API answered from its shared summary cache
+   * @returns {Object} - Summary result
+   */
+  buildSummaryResult(parsedSummary, metadata, cached = false) {
+    return {
+      success: true,
+      timestamp: Date.now(),
+      metadata: {
+        originalWordCount: metadata.wordCount,
+        contentType: metadata.contentType,
+        readabilityScore: metadata.readabilityScore,
+        processingTime: Date.now(),
+        cached,
+      },
+      ...parsedSummary,
+    };
+  }
+
+  /**
+   * Get progress of the running summary generation
+   * @returns {Object|null} - { stage: 'chunk'|'merge', current, total } or null
+   */
+  getProgress() {
+    return this.progress;
+  }
 
-        // Extract error position for debugging
-        const posMatch = firstError.message.match(/position (\d+)/);
-        const errorPos = posMatch ? parseInt(posMatch[1]) : 1548;
+  /**
+   * Parse a JSON object from a raw AI response, repairing common formatting problems
+   * @param {string} response - Raw AI response
+   * @returns {Object} - Parsed JSON object
+   */
+  parseJSONResponse(response) {
+    // Clean response
+    let cleanResponse = response.trim();
+
+    // Extract JSON if wrapped in code blocks
+    const jsonMatch = cleanResponse.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
+    if (jsonMatch) {
+      cleanResponse = jsonMatch[1];
+    }
 
+    try {
+      // First attempt: direct parsing
+      return JSON.parse(cleanResponse);
+    } catch (firstError) {
+      try {
+        // Second attempt: clean control characters by simple removal
+        const cleanedResponse = cleanResponse.replace(/[\x00-\x1F\x7F]/g, '');
+        return JSON.parse(cleanedResponse);
+      } catch (secondError) {
         try {
-          // Second attempt: clean control characters by simple removal
-          const cleanedResponse = cleanResponse.replace(/[\x00-\x1F\x7F]/g, '');
-          summary = JSON.parse(cleanedResponse);
-        } catch (secondError) {
-
-          try {
-            // Third attempt: more aggressive cleaning
-            const sanitizedResponse = cleanResponse
-              .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '') // Remove all control chars except \t and \n
-              .replace(/\n/g, '\\n')  // Escape remaining newlines
-              .replace(/\t/g, '\\t'); // Escape remaining tabs
-
-            summary = JSON.parse(sanitizedResponse);
-          } catch (thirdError) {
-            throw new Error(`JSON parsing failed: ${firstError.message}`);
-          }
+          // Third attempt: more aggressive cleaning
+          const sanitizedResponse = cleanResponse
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '') // Remove all control chars except \t and \n
+            .replace(/\n/g, '\\n') // Escape remaining newlines
+            .replace(/\t/g, '\\t'); // Escape remaining tabs
+
+          return JSON.parse(sanitizedResponse);
+        } catch (thirdError) {
+          throw new Error(`JSON parsing failed: ${firstError.message}`);
         }
       }
+    }
+  }
 
-      // Validate and structure
-      const result = {
-        quickSummary: summary.quick_summary || null,
-        detailedSummary: summary.detailed_summary
-          ? {
-              ...summary.detailed_summary,
-              // Ensure we have both text and markdown formats
-              text:
-                summary.detailed_summary.text ||
-                summary.detailed_summary.markdown ||
-                'Detailed summary not available',
-              markdown:
-                summary.detailed_summary.markdown ||
-                summary.detailed_summary.text ||
-                'Detailed summary not available',
-            }
-          : null,
-        eliSummary: summary.eliSummary || summary.eli_summary || 'ELI5 summary not available',
-        conceptDictionary: Array.isArray(summary.conceptDictionary)
-          ? summary.conceptDictionary
-          : Array.isArray(summary.concept_dictionary)
-            ? summary.concept_dictionary
-            : [],
-        keyPoints: Array.isArray(summary.key_points) ? summary.key_points : [],
-        actionItems: Array.isArray(summary.action_items) ? summary.action_items : [],
-        mainTopics: Array.isArray(summary.main_topics) ? summary.main_topics : [],
-        difficultyLevel: summary.difficulty_level || 'Intermediate',
-        estimatedReadTime: summary.estimated_read_time || 'Unknown',
-        contentQuality: summary.content_quality || 'Medium',
-      };
+  /**
+   * Parse and validate AI summary response
+   * @param {string} response - Raw AI response
+   * @returns {Object} - Parsed summary object
+   */
+  parseSummaryResponse(response) {
+    try {
+      const summary = this.parseJSONResponse(response);
 
-      return result;
+      return this.normalizeSummary(summary);
     } catch (error) {
       console.error('Failed to parse summary response:', error);
 
@@ -425,6 +1077,241 @@ class ContentSummaryService {
     }
   }
 
+  /**
+   * Map raw AI summary JSON onto the summary result fields
+   * @param {Object} summary - Parsed AI summary JSON
+   * @returns {Object} - Normalized summary fields
+   */
+  normalizeSummary(summary) {
+    return {
+      quickSummary: summary.quick_summary || null,
+      detailedSummary: summary.detailed_summary
+        ? {
+            ...summary.detailed_summary,
+            // Ensure we have both text and markdown formats
+            text:
+              summary.detailed_summary.text ||
+              summary.detailed_summary.markdown ||
+              'Detailed summary not available',
+            markdown:
+              summary.detailed_summary.markdown ||
+              summary.detailed_summary.text ||
+              'Detailed summary not available',
+          }
+        : null,
+      eliSummary: summary.eliSummary || summary.eli_summary || 'ELI5 summary not available',
+      conceptDictionary: Array.isArray(summary.conceptDictionary)
+        ? summary.conceptDictionary
+        : Array.isArray(summary.concept_dictionary)
+          ? summary.concept_dictionary
+          : [],
+      ...this.normalizeSourcedItems(summary.key_points, 'point', 'keyPoints', 'keyPointSources'),
+      ...this.normalizeSourcedItems(
+        summary.action_items,
+        'action',
+        'actionItems',
+        'actionItemSources',
+      ),
+      mainTopics: Array.isArray(summary.main_topics) ? summary.main_topics : [],
+      difficultyLevel: summary.difficulty_level || 'Intermediate',
+      estimatedReadTime: summary.estimated_read_time || 'Unknown',
+      contentQuality: summary.content_quality || 'Medium',
+    };
+  }
+
+  /**
+   * Split key points or action items into display text and supporting quotes
+   * (older summaries store plain strings without quotes)
+   * @param {Array} items - Raw items as strings or { [textKey], quote } objects
+   * @param {string} textKey - Field holding the item text
+   * @param {string} itemsField - Result field for the texts
+   * @param {string} sourcesField - Result field for the quotes (null where missing)
+   * @returns {Object} - { [itemsField]: string[], [sourcesField]: (string|null)[] }
+   */
+  normalizeSourcedItems(items, textKey, itemsField, sourcesField) {
+    const normalized = (Array.isArray(items) ? items : [])
+      .map((item) =>
+        typeof item === 'string'
+          ? { text: item, quote: null }
+          : { text: item?.[textKey] || item?.text || '', quote: item?.quote || null },
+      )
+      .filter((item) => item.text);
+
+    return {
+      [itemsField]: normalized.map((item) => item.text),
+      [sourcesField]: normalized.map((item) => item.quote),
+    };
+  }
+
+  /**
+   * Extract and analyze the current page's content
+   * @returns {Promise<Object>} - ContentAnalyzer result
+   */
+  async analyzeCurrentPage() {
+    const contentElement = await this.findContentElement();
+    if (!contentElement) {
+      throw new Error('No suitable content found on this page');
+    }
+
+    const analysisResult = this.contentAnalyzer.analyzeContent(contentElement);
+    if (!analysisResult.success) {
+      throw new Error(`Content analysis failed: ${analysisResult.error}`);
+    }
+
+    return analysisResult;
+  }
+
+  /**
+   * Find the content to analyze: the parsed document for PDFs, the captions for videos,
+   * the main element otherwise
+   * @returns {Promise<Element|null>} - Content element
+   */
+  async findContentElement() {
+    if (this.isPdfDocument()) {
+      return this.getPdfContentElement();
+    }
+
+    if (this.transcriptExtractor?.isYouTubeVideo()) {
+      const transcriptElement = await this.getTranscriptContentElement();
+      if (!transcriptElement) {
+        throw new Error('This video has no captions to summarize');
+      }
+      return transcriptElement;
+    }
+
+    // Other pages use their captions only when there is no article text
+    const mainContent = this.findMainContent();
+    if (!mainContent && this.transcriptExtractor?.hasCaptionTrack()) {
+      return this.getTranscriptContentElement();
+    }
+    return mainContent;
+  }
+
+  /**
+   * Check whether the tab shows a PDF in the browser's PDF viewer
+   * @returns {boolean} - True for PDF documents
+   */
+  isPdfDocument() {
+    return !!this.pdfExtractor && document.contentType === 'application/pdf';
+  }
+
+  /**
+   * Parse the open PDF into a detached element the content analyzer can read.
+   * Each page starts with a "Page N of M" marker so the AI sees page boundaries.
+   * @returns {Promise<Element>} - Article element with one heading or paragraph per block
+   */
+  async getPdfContentElement() {
+    if (!this.pdfDocument) {
+      this.pdfDocument = await this.pdfExtractor.extract(window.location.href);
+    }
+
+    const { pages, pageCount } = this.pdfDocument;
+    const article = document.createElement('article');
+    article.dataset.sourceFormat = 'pdf';
+
+    pages.forEach((page) => {
+      const marker = document.createElement('p');
+      marker.textContent = `Page ${page.number} of ${pageCount}`;
+      article.appendChild(marker);
+
+      page.blocks.forEach((block) => {
+        const element = document.createElement(block.type === 'heading' ? 'h2' : 'p');
+        element.textContent = block.text;
+        article.appendChild(element);
+      });
+    });
+
+    return article;
+  }
+
+  /**
+   * Read the video's captions into a detached element the content analyzer can read.
+   * Each paragraph starts with its "(m:ss)" timestamp.
+   * @returns {Promise<Element|null>} - Article element, or null when there are no captions
+   */
+  async getTranscriptContentElement() {
+    const url = window.location.href.split('#')[0];
+    if (this.transcript?.url !== url) {
+      const transcript = await this.transcriptExtractor.extract();
+      this.transcript = transcript ? { ...transcript, url } : null;
+    }
+
+    if (!this.transcript) {
+      return null;
+    }
+
+    const article = document.createElement('article');
+    article.dataset.sourceFormat = 'transcript';
+    if (this.transcript.language) {
+      article.lang = this.transcript.language; // Read by language detection
+    }
+
+    this.transcript.paragraphs.forEach((paragraph) => {
+      const element = document.createElement('p');
+      const timestamp = this.transcriptExtractor.formatTimestamp(paragraph.start);
+      element.textContent = `(${timestamp}) ${paragraph.text}`;
+      article.appendChild(element);
+    });
+
+    return article;
+  }
+
+  /**
+   * Add page or timestamp citations to the key points and action items of a summary
+   * @param {Object} summary - Normalized summary result (modified in place)
+   */
+  attachCitations(summary) {
+    const citationsFor = (sources) => (sources || []).map((quote) => this.getCitation(quote));
+
+    summary.keyPointCitations = citationsFor(summary.keyPointSources);
+    summary.actionItemCitations = citationsFor(summary.actionItemSources);
+  }
+
+  /**
+   * Describe where a quote is in the PDF or video
+   * @param {string} quote - Source quote
+   * @returns {Object|null} - { label, title } for display, or null when not found
+   */
+  getCitation(quote) {
+    const page = this.findPdfPage(quote);
+    if (page) {
+      return { label: `p. ${page}`, title: `Show page ${page}` };
+    }
+
+    const seconds = this.findTranscriptTime(quote);
+    if (seconds !== null) {
+      const timestamp = this.transcriptExtractor.formatTimestamp(seconds);
+      return { label: timestamp, title: `Play from ${timestamp}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find when a quote is said in the current page's video
+   * @param {string} quote - Source quote
+   * @returns {number|null} - Seconds, or null when not found or there is no transcript
+   */
+  findTranscriptTime(quote) {
+    const url = window.location.href.split('#')[0];
+    if (!this.transcript || this.transcript.url !== url || !quote) {
+      return null;
+    }
+    return this.transcriptExtractor.findTimestampForQuote(this.transcript, quote);
+  }
+
+  /**
+   * Find the PDF page a quote comes from
+   * @param {string} quote - Source quote
+   * @returns {number|null} - Page number, or null when not found or not a PDF
+   */
+  findPdfPage(quote) {
+    if (!this.pdfDocument || !quote) {
+      return null;
+    }
+    return this.pdfExtractor.findPageForQuote(this.pdfDocument, quote);
+  }
+
   /**
    * Find main content element on page
    * @returns {Element|null} - Main content element
@@ -492,16 +1379,27 @@ class ContentSummaryService {
     return largest;
   }
 
+  /**
+   * Get the part of the cache key that identifies this page
+   * @returns {string} - Page URL without hash and query (YouTube keeps the video id)
+   */
+  getPageKey() {
+    // Use clean URL as base, without hash and query params
+    const baseUrl = window.location.href.split('#')[0].split('?')[0];
+
+    // YouTube watch pages keep the video id, which lives in the query
+    const videoId = this.transcriptExtractor?.getYouTubeVideoId();
+    return videoId ? `${baseUrl}?v=${videoId}` : baseUrl;
+  }
+
   /**
    * Generate cache key for summary
    * @param {string} _content - Content text (unused but kept for compatibility)
    * @param {Object} options - Summary options for deduplication
+   * @param {string} url - Page key (given when summarizing a page saved earlier)
    * @returns {string} - Cache key based on URL and options
    */
-  generateStorageKey(_content, options = {}) {
-    // Use clean URL as base
-    const url = window.location.href.split('#')[0].split('?')[0]; // Remove hash and query params
-
+  generateStorageKey(_content, options = {}, url = this.getPageKey()) {
     // Create options signature for deduplication
     const optionsSignature = {
       includeKeyPoints: options.includeKeyPoints,
@@ -509,8 +1407,18 @@ class ContentSummaryService {
       includeDetailedSummary: options.includeDetailedSummary,
       includeActionItems: options.includeActionItems,
       includeConcepts: options.includeConcepts,
+      preset: options.preset,
+      length: options.length,
+      tone: options.tone,
+      audience: options.audience,
+      language: options.language,
     };
 
+    // Summaries focused on highlights are cached apart from plain ones (and from each other)
+    if (options.highlights?.length) {
+      optionsSignature.highlights = this.simpleHash(JSON.stringify(options.highlights));
+    }
+
     const optionsHash = this.simpleHash(JSON.stringify(optionsSignature));
     return `${url}_${optionsHash}`;
   }
@@ -534,17 +1442,23 @@ class ContentSummaryService {
    * Store summary result in Chrome storage
    * @param {string} key - Storage key
    * @param {Object} result - Summary result to store
+   * @param {string} url - URL of the summarized page; there is no page to read it from when
+   *   storing from the background queue
    */
-  async storeSummary(key, result) {
+  async storeSummary(key, result, url) {
     try {
       // Get existing summaries
       const existingSummaries = await this.getAllStoredSummaries();
 
+      // Keep any conversation already held for this page
+      const chat = existingSummaries[key]?.chat || this.chatHistories.get(key);
+
       // Add timestamp for cleanup
       const summaryWithTimestamp = {
         ...result,
+        ...(chat ? { chat } : {}),
         storedAt: Date.now(),
-        url: window.location.href,
+        url,
       };
 
       // Add new summary
@@ -560,6 +1474,116 @@ class ContentSummaryService {
     }
   }
 
+  /**
+   * Set the callback that reads the page title, author and publish date
+   * @param {Function} provider - () => { title, author, publishDate }
+   */
+  setPageDetailsProvider(provider) {
+    this.pageDetailsProvider = provider;
+  }
+
+  /**
+   * Set the callback that reads the passages the user highlighted on the page
+   * @param {Function} provider - () => [{ text, note }]
+   */
+  setHighlightsProvider(provider) {
+    this.highlightsProvider = provider;
+  }
+
+  /**
+   * Add a summary to the summary library (stored by the background script)
+   * @param {string} key - Storage key
+   * @param {Object} result - Summary result
+   */
+  async saveToLibrary(key, result) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SAVE_TO_LIBRARY',
+        id: key,
+        summary: result,
+        pageDetails: this.getPageDetails(),
+      });
+
+      if (!response?.success) {
+        console.error('Error saving summary to library:', response?.error);
+      }
+    } catch (error) {
+      console.error('Error saving summary to library:', error);
+    }
+  }
+
+  /**
+   * Get the page details saved with a summary in the library
+   * @returns {Object} - { url, title, author, publishDate }
+   */
+  getPageDetails() {
+    return {
+      ...(this.pageDetailsProvider ? this.pageDetailsProvider() : {}),
+      ...(this.pdfDocument?.title ? { title: this.pdfDocument.title } : {}),
+      url: window.location.href,
+    };
+  }
+
+  /**
+   * Whether a summary should go to the background queue instead of failing: the connection
+   * is down and the Kuiqlee proxy is in use (own-key and local providers report errors as is)
+   * @param {Error|null} error - Error the generation failed with, if it has started
+   * @returns {boolean} - True to queue the summary
+   */
+  shouldQueueSummary(error = null) {
+    if (!this.aiClient?.requiresAccount) {
+      return false;
+    }
+
+    return (
+      navigator.onLine === false ||
+      /network connection error|failed to fetch/i.test(error?.message || '')
+    );
+  }
+
+  /**
+   * Hand a summary to the background queue, which finishes it once the connection is back
+   * @param {Object} analysisResult - Content analysis result
+   * @param {Object} summaryOptions - Summary options
+   * @param {string} storageKey - Storage key for caching
+   * @returns {Object|null} - Result telling the user it was queued, or null if it wasn't
+   */
+  async queueSummary(analysisResult, summaryOptions, storageKey) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'QUEUE_SUMMARY',
+        job: {
+          storageKey,
+          url: window.location.href,
+          pageDetails: this.getPageDetails(),
+          analysis: {
+            processedContent: analysisResult.processedContent,
+            chunks: analysisResult.chunks || [],
+            metadata: analysisResult.metadata,
+          },
+          summaryOptions,
+        },
+      });
+
+      if (!response?.success) {
+        console.error('Error queueing summary:', response?.error);
+        return null;
+      }
+
+      return {
+        success: false,
+        queued: true,
+        error:
+          "You're offline. Kuiqlee will finish this summary when your connection is back " +
+          "and notify you when it's ready.",
+        timestamp: Date.now(),
+      };
+    } catch (error) {
+      console.error('Error queueing summary:', error);
+      return null;
+    }
+  }
+
   /**
    * Get current summary if available
    * @returns {Object|null} - Current summary result
@@ -568,11 +1592,215 @@ class ContentSummaryService {
     return this.currentContent?.summary || null;
   }
 
+  /**
+   * Answer a question about the current page, grounded in the extracted article text
+   * @param {string} question - User's question
+   * @returns {Object} - { success, chat } with the updated conversation, or { success: false, error }
+   */
+  async askQuestion(question) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Summary service not initialized. Please refresh the page and try again.');
+      }
+
+      const trimmedQuestion = (question || '').trim();
+      if (!trimmedQuestion) {
+        throw new Error('Please enter a question.');
+      }
+
+      const analysisResult = await this.analyzeCurrentPage();
+      const articleText = analysisResult.cleanedText.slice(0, CONFIG.MAX_CHAT_CONTEXT_LENGTH);
+      const metadata = {
+        ...analysisResult.metadata,
+        title: this.pdfDocument?.title || document.title,
+      };
+
+      // Earlier turns are stored in user/assistant pairs, so an even slice starts with the user
+      const chat = await this.getChatHistory();
+      const messages = [
+        ...chat
+          .slice(-CONFIG.MAX_CHAT_HISTORY_TURNS * 2)
+          .map(({ role, content }) => ({ role, content })),
+        { role: 'user', content: trimmedQuestion },
+      ];
+
+      let answer;
+      if (this.usesSummarizeAPI()) {
+        // The summarize API builds the system prompt from the article itself
+        const data = await this.aiClient.summarize('chat', {
+          content: articleText,
+          metadata: this.getPromptMetadata(metadata),
+          messages,
+        });
+        answer = this.readChatAnswer(data.reply, analysisResult.cleanedText);
+      } else {
+        const response = await this.aiClient.makeChatRequest(messages, {
+          system: this.promptBuilder.buildChatSystemPrompt(articleText, metadata),
+          maxTokens: 1024,
+          temperature: 0.2,
+        });
+        answer = this.parseChatResponse(response, analysisResult.cleanedText);
+      }
+
+      const updatedChat = [
+        ...chat,
+        { role: 'user', content: trimmedQuestion, timestamp: Date.now() },
+        {
+          role: 'assistant',
+          content: answer.answer,
+          quotes: answer.quotes,
+          timestamp: Date.now(),
+        },
+      ];
+      await this.saveChatHistory(updatedChat);
+
+      return { success: true, chat: updatedChat };
+    } catch (error) {
+      console.error('Chat question failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        requiresAuth: !!error.message?.includes('Authentication required'),
+        limitReached: !!error.message?.includes('limit reached'),
+      };
+    }
+  }
+
+  /**
+   * Run a user prompt template against the current page
+   * @param {Object} template - Stored template ({ name, template, variables })
+   * @param {Object} variables - Values for the template's custom variables
+   * @returns {Object} - { success, markdown } or { success: false, error }
+   */
+  async runPromptTemplate(template, variables = {}) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Summary service not initialized. Please refresh the page and try again.');
+      }
+      if (!template?.template) {
+        throw new Error('This template no longer exists.');
+      }
+
+      // The summarize API only runs prompts it builds itself
+      if (this.usesSummarizeAPI()) {
+        throw new Error(
+          'Prompt templates run with your own Anthropic key or a local model. Choose one under ' +
+            'AI Provider in settings.'
+        );
+      }
+
+      const analysisResult = await this.analyzeCurrentPage();
+      const content = analysisResult.cleanedText.slice(0, CONFIG.MAX_CHAT_CONTEXT_LENGTH);
+      const metadata = {
+        ...analysisResult.metadata,
+        title: this.pdfDocument?.title || document.title,
+      };
+      const templateVariables = { ...template.variables, ...variables };
+
+      const prompt = this.promptBuilder.buildCustomPrompt(
+        content,
+        metadata,
+        template.template,
+        templateVariables
+      );
+
+      const response = await this.aiClient.makeRequest(prompt, {
+        maxTokens: 4096,
+        temperature: 0.3,
+      });
+
+      return { success: true, markdown: response.trim() };
+    } catch (error) {
+      console.error('Prompt template failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        requiresAuth: !!error.message?.includes('Authentication required'),
+        limitReached: !!error.message?.includes('limit reached'),
+      };
+    }
+  }
+
+  /**
+   * Parse a chat answer, keeping only quotes that really appear in the article
+   * @param {string} response - Raw AI response
+   * @param {string} articleText - Article text the answer should be grounded in
+   * @returns {Object} - { answer, quotes }
+   */
+  parseChatResponse(response, articleText) {
+    let parsed;
+    try {
+      parsed = this.parseJSONResponse(response);
+    } catch (error) {
+      // Model answered in plain text
+      return { answer: response.trim(), quotes: [] };
+    }
+
+    return this.readChatAnswer(
+      { ...parsed, answer: typeof parsed.answer === 'string' ? parsed.answer : response.trim() },
+      articleText
+    );
+  }
+
+  /**
+   * Keep only the quotes of a chat answer that really appear in the article
+   * @param {Object} reply - { answer, quotes }
+   * @param {string} articleText - Article text the answer should be grounded in
+   * @returns {Object} - { answer, quotes }
+   */
+  readChatAnswer(reply, articleText) {
+    const normalize = (text) =>
+      String(text)
+        .toLowerCase()
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/[\u201C\u201D]/g, '"')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s"'.…]+|[\s"'.…]+$/g, '');
+    const normalizedArticle = normalize(articleText);
+
+    const quotes = (Array.isArray(reply.quotes) ? reply.quotes : [])
+      .filter((quote) => typeof quote === 'string' && quote.trim())
+      .filter((quote) => normalizedArticle.includes(normalize(quote)));
+
+    return { answer: reply.answer, quotes };
+  }
+
+  /**
+   * Get the conversation for the current page
+   * @returns {Array<Object>} - Chat messages as { role, content, quotes?, timestamp }
+   */
+  async getChatHistory() {
+    const key = await this.getCurrentStorageKey();
+    const storedSummary = await this.getStoredSummary(key);
+    return storedSummary?.chat || this.chatHistories.get(key) || [];
+  }
+
+  /**
+   * Save the conversation for the current page alongside its cached summary
+   * @param {Array<Object>} chat - Chat messages
+   */
+  async saveChatHistory(chat) {
+    try {
+      const key = await this.getCurrentStorageKey();
+      this.chatHistories.set(key, chat);
+
+      // Without a cached summary the chat is attached when the summary is stored
+      const summaries = await this.getAllStoredSummaries();
+      if (summaries[key]) {
+        summaries[key].chat = chat;
+        await chrome.storage.local.set({ [this.storageKey]: summaries });
+      }
+    } catch (error) {
+      console.error('Error storing chat:', error);
+    }
+  }
+
   /**
    * Clear all stored summaries from Chrome storage
    */
   async clearCache() {
     try {
+      this.chatHistories.clear();
       await chrome.storage.local.remove(this.storageKey);
     } catch (error) {
       console.error('Error clearing storage:', error);
@@ -658,16 +1886,14 @@ class ContentSummaryService {
   }
 
   /**
-   * Get current storage key for the current page
-   * @returns {string} - Storage key for current page
+   * Get current storage key for the current page, for the preset last summarized with
+   * (the default preset until a summary is generated)
+   * @returns {Promise<string>} - Storage key for current page
    */
-  getCurrentStorageKey() {
-    return this.generateStorageKey('', {
-      includeKeyPoints: true,
-      includeQuickSummary: true,
-      includeDetailedSummary: true,
-      includeActionItems: true,
-    });
+  async getCurrentStorageKey() {
+    const settings = await this.loadUserSettings();
+    const options = { preset: this.currentPreset, language: this.currentLanguage };
+    return this.generateStorageKey('', this.buildSummaryOptions(options, settings));
   }
 
   /**
@@ -675,7 +1901,7 @@ class ContentSummaryService {
    * @returns {boolean} - True if summary exists in storage
    */
   async hasSummaryForCurrentPage() {
-    const key = this.getCurrentStorageKey();
+    const key = await this.getCurrentStorageKey();
     const summary = await this.getStoredSummary(key);
     return !!summary;
   }
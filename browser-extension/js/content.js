@@ -11,6 +11,8 @@ class KuiqleeContentScript {
     // Summary service integration
     this.summaryService = null;
     this.summaryOverlay = null;
+    this.textAnchor = null;
+    this.highlightManager = null;
 
     // Background generation state
     this.isGeneratingSummary = false;
@@ -45,6 +47,9 @@ class KuiqleeContentScript {
         this.handleKeyboardShortcuts(event);
       });
 
+      // Attach saved highlights and let the user highlight passages
+      this.initializeHighlights();
+
       // Check for existing summary and show immediately
       if (document.readyState === 'complete') {
         this.checkAndShowExistingSummary();
@@ -75,7 +80,7 @@ class KuiqleeContentScript {
   async loadSettings() {
     try {
       const result = await chrome.storage.sync.get('readfocusSettings');
-      this.settings = result.readfocusSettings || this.getDefaultSettings();
+      this.settings = { ...this.getDefaultSettings(), ...result.readfocusSettings };
     } catch (error) {
       console.error('Error loading settings:', error);
       this.settings = this.getDefaultSettings();
@@ -107,7 +112,7 @@ class KuiqleeContentScript {
       }
 
       // Get the existing summary
-      const storageKey = this.summaryService.getCurrentStorageKey();
+      const storageKey = await this.summaryService.getCurrentStorageKey();
       const existingSummary = await this.summaryService.getStoredSummary(storageKey);
 
       if (existingSummary && existingSummary.success) {
@@ -202,24 +207,25 @@ class KuiqleeContentScript {
       return;
     }
 
-    // Only handle other shortcuts if Focus Mode is active
-    if (!this.focusMode?.isActive) return;
+    // Only handle other shortcuts if Focus Mode or the Reading Helper is active
+    const activeReader = this.getActiveReader();
+    if (!activeReader) return;
 
     // Navigate chunks: Cmd/Ctrl + Shift + Arrow keys
     if ((event.metaKey || event.ctrlKey) && event.shiftKey) {
       if (event.key === 'ArrowRight') {
         event.preventDefault();
-        this.focusMode.nextChunk();
+        activeReader.nextChunk();
       } else if (event.key === 'ArrowLeft') {
         event.preventDefault();
-        this.focusMode.prevChunk();
+        activeReader.prevChunk();
       }
     }
 
     // Pause/Resume: Space
     if (event.key === ' ' && !event.target.matches('input, textarea, [contenteditable]')) {
       event.preventDefault();
-      this.focusMode.toggleAutoAdvance();
+      activeReader.toggleAutoAdvance();
     }
 
     // Exit any active mode: Escape
@@ -232,10 +238,20 @@ class KuiqleeContentScript {
     // Show quiz: Q
     if (event.key === 'q' || event.key === 'Q') {
       event.preventDefault();
-      this.focusMode.showQuiz();
+      activeReader.showQuiz();
     }
   }
 
+  /**
+   * Get whichever chunked reader is currently open
+   * @returns {FocusModeOverlay|null} - Active Focus Mode or Reading Helper overlay
+   */
+  getActiveReader() {
+    if (this.focusMode?.isActive) return this.focusMode;
+    if (this.readingHelper?.isActive) return this.readingHelper;
+    return null;
+  }
+
   /**
    * Trigger summarization via keyboard shortcut
    */
@@ -250,13 +266,16 @@ class KuiqleeContentScript {
         }
       }
 
-      // Generate or get cached summary
-      const summaryResult = await this.summaryService.generateSummary({
-        includeKeyPoints: true,
-        includeQuickSummary: true,
-        includeDetailedSummary: true,
-        includeActionItems: true,
-      });
+      // Generate or get cached summary, filling the overlay in as sections stream in
+      const summaryResult = await this.summaryService.generateSummary(
+        {
+          includeKeyPoints: true,
+          includeQuickSummary: true,
+          includeDetailedSummary: true,
+          includeActionItems: true,
+        },
+        (partialSummary) => this.showPartialSummary(partialSummary),
+      );
 
       if (summaryResult.success) {
         // Show the summary overlay
@@ -305,16 +324,19 @@ class KuiqleeContentScript {
               }
             }
 
-            // Generate or get cached summary
-            const summaryResult = await this.summaryService.generateSummary(request.options);
+            // Check display mode from request
+            const displayMode = request.displayMode || 'overlay';
+
+            // Generate or get cached summary, showing sections as they stream in
+            const summaryResult = await this.summaryService.generateSummary(
+              request.options,
+              (partialSummary) => this.showPartialSummary(partialSummary, displayMode),
+            );
 
             // Clear generating flag on success
             if (summaryResult.success) {
               this.isGeneratingSummary = false;
 
-              // Check display mode from request
-              const displayMode = request.displayMode || 'overlay';
-
               if (displayMode === 'sidepanel') {
                 // Store summary in storage for side panel to pick up
                 await chrome.storage.local.set({
@@ -376,6 +398,7 @@ class KuiqleeContentScript {
         case 'CHECK_SUMMARY_EXISTS':
           let exists = false;
           let isGenerating = false;
+          let progress = null;
 
           try {
             // Initialize summary service if needed
@@ -395,6 +418,7 @@ class KuiqleeContentScript {
             if (this.summaryService) {
               exists = await this.summaryService.hasSummaryForCurrentPage();
               isGenerating = this.summaryService.isActivelyGenerating();
+              progress = this.summaryService.getProgress();
             }
 
             // Also check background generation state (takes priority)
@@ -405,6 +429,7 @@ class KuiqleeContentScript {
             sendResponse({
               exists: exists,
               isGenerating: isGenerating,
+              progress: progress,
             });
           } catch (error) {
             console.error('Error checking summary status:', error);
@@ -415,6 +440,49 @@ class KuiqleeContentScript {
           }
           break;
 
+        case 'ASK_PAGE_QUESTION':
+          // Chat questions from the side panel
+          sendResponse(await this.askPageQuestion(request.question));
+          break;
+
+        case 'ANALYZE_CONTENT':
+          // Page text for the multi-tab synthesis page
+          sendResponse(await this.getContentForSynthesis());
+          break;
+
+        case 'GET_READ_LATER_CONTENT':
+          // Extracted article saved to the read later list
+          sendResponse(await this.getContentForReadLater());
+          break;
+
+        case 'LOCATE_PASSAGE':
+          // Source passage links from the side panel
+          sendResponse({ success: true, found: this.locatePassage(request.quote) });
+          break;
+
+        case 'SUMMARIZE_SELECTION':
+          // "Summarize selection" context menu item; the summary shows in the side panel
+          sendResponse(await this.summarizeSelection(request.text));
+          break;
+
+        case 'GET_HIGHLIGHTS':
+          // Highlights tab in the side panel
+          sendResponse({ success: true, highlights: this.getHighlights() });
+          break;
+
+        case 'SCROLL_TO_HIGHLIGHT':
+          sendResponse({
+            success: true,
+            found: this.highlightManager?.scrollTo(request.highlightId) || false,
+          });
+          break;
+
+        case 'KEYBOARD_COMMAND':
+          // Commands registered in manifest.json, relayed by the background script
+          this.handleKeyboardCommand(request.command);
+          sendResponse({ success: true });
+          break;
+
         case 'PING':
           // Simple ping to check if content script is responsive
           sendResponse({ success: true });
@@ -1214,6 +1282,27 @@ class KuiqleeContentScript {
         await this.startFocusMode(this.settings, this.pageAnalysis);
       }
     } else {
+      this.showNotification('Focus Mode works on article pages only', 'error');
+    }
+  }
+
+  /**
+   * Handle a keyboard command from the background script
+   * @param {string} command - Command name from manifest.json
+   */
+  handleKeyboardCommand(command) {
+    const activeReader = this.getActiveReader();
+
+    switch (command) {
+      case 'toggle-focus-mode':
+        this.toggleFocusMode();
+        break;
+      case 'next-chunk':
+        activeReader?.nextChunk();
+        break;
+      case 'prev-chunk':
+        activeReader?.prevChunk();
+        break;
     }
   }
 
@@ -1326,6 +1415,7 @@ class KuiqleeContentScript {
       return true;
     } catch (error) {
       console.error('❌ [ContentScript] Error starting Focus Mode:', error);
+      this.showNotification('Could not start Focus Mode on this page', 'error');
       console.error('📊 [ContentScript] Error details:', {
         message: error.message,
         stack: error.stack,
@@ -1585,6 +1675,61 @@ class KuiqleeContentScript {
     }, 3000);
   }
 
+  /**
+   * Summarize the text selected on the page, streaming the summary to the side panel
+   * @param {string} fallbackText - Selection text from the context menu, used when the page's
+   *   selection can't be read (e.g. it is inside a frame)
+   * @returns {Object} - { success } or { success: false, error }
+   */
+  async summarizeSelection(fallbackText = '') {
+    // The DOM selection keeps the line breaks the context menu's copy drops
+    const text = window.getSelection()?.toString().trim() || fallbackText;
+
+    if (!this.summaryService) {
+      const initialized = await this.initializeSummaryService();
+      if (!initialized) {
+        return { success: false, error: 'Failed to initialize summary service' };
+      }
+    }
+
+    const summaryResult = await this.summaryService.summarizeSelection(text, {}, (partialSummary) =>
+      this.showPartialSummary(partialSummary, 'sidepanel'),
+    );
+    if (!summaryResult.success) {
+      return summaryResult;
+    }
+
+    await chrome.storage.local.set({
+      currentSummary: summaryResult,
+      summaryTimestamp: Date.now(),
+    });
+    return { success: true };
+  }
+
+  /**
+   * Set up highlighting on the page
+   */
+  async initializeHighlights() {
+    if (!window.HighlightManager) {
+      return;
+    }
+
+    try {
+      this.highlightManager = new HighlightManager();
+      await this.highlightManager.initialize();
+    } catch (error) {
+      console.error('Failed to initialize highlights:', error);
+    }
+  }
+
+  /**
+   * Get the highlights made on this page
+   * @returns {Array<Object>} - Highlights in page order
+   */
+  getHighlights() {
+    return this.highlightManager?.getHighlights() || [];
+  }
+
   /**
    * Initialize summary service
    */
@@ -1595,6 +1740,14 @@ class KuiqleeContentScript {
       }
 
       this.summaryService = new ContentSummaryService();
+      this.summaryService.setPageDetailsProvider(() => ({
+        title: this.extractTitle(),
+        author: this.extractAuthor(),
+        publishDate: this.extractPublishDate(),
+      }));
+      this.summaryService.setHighlightsProvider(
+        () => this.highlightManager?.getPromptPassages() || [],
+      );
 
       // Initialize the service (no API key needed with proxy)
       await this.summaryService.initialize();
@@ -1619,6 +1772,17 @@ class KuiqleeContentScript {
           throw new Error('Summary overlay component not loaded');
         }
         this.summaryOverlay = new SummaryOverlay();
+        this.summaryOverlay.setHandlers({
+          onAskQuestion: (question) => this.askPageQuestion(question),
+          onLocatePassage: (quote) => this.locatePassage(quote),
+          onRunTemplate: (template, variables) => this.runPromptTemplate(template, variables),
+          onChangeSummaryOptions: (changes) => this.changeSummaryOptions(changes),
+          getPageDetails: () => ({
+            title: this.summaryService?.pdfDocument?.title || this.extractTitle(),
+            url: window.location.href,
+            highlights: this.getHighlights(),
+          }),
+        });
       }
 
       // If no data provided, try to get current summary from service
@@ -1630,8 +1794,12 @@ class KuiqleeContentScript {
         throw new Error('No summary data available to display');
       }
 
-      // Show the overlay
-      await this.summaryOverlay.show(summaryData);
+      // Update in place when the overlay is already showing (e.g. after streaming)
+      if (this.summaryOverlay.isShowing()) {
+        this.summaryOverlay.update(summaryData);
+      } else {
+        await this.summaryOverlay.show(summaryData);
+      }
 
       return { success: true };
     } catch (error) {
@@ -1643,6 +1811,185 @@ class KuiqleeContentScript {
     }
   }
 
+  /**
+   * Answer a chat question about the current page
+   * @param {string} question - User's question
+   * @returns {Object} - { success, chat } or { success: false, error }
+   */
+  async askPageQuestion(question) {
+    if (!this.summaryService) {
+      const initialized = await this.initializeSummaryService();
+      if (!initialized) {
+        return { success: false, error: 'Failed to initialize summary service' };
+      }
+    }
+
+    return this.summaryService.askQuestion(question);
+  }
+
+  /**
+   * Run one of the user's prompt templates against the current page
+   * @param {Object} template - Stored template
+   * @param {Object} variables - Values for the template's custom variables
+   * @returns {Object} - { success, markdown } or { success: false, error }
+   */
+  async runPromptTemplate(template, variables) {
+    if (!this.summaryService) {
+      const initialized = await this.initializeSummaryService();
+      if (!initialized) {
+        return { success: false, error: 'Failed to initialize summary service' };
+      }
+    }
+
+    return this.summaryService.runPromptTemplate(template, variables);
+  }
+
+  /**
+   * Summarize the page with another preset or language, streaming sections into the overlay.
+   * Each version is cached, so switching back is instant.
+   * @param {Object} changes - { preset } or { language }
+   * @returns {Object} - Summary result
+   */
+  async changeSummaryOptions(changes) {
+    if (!this.summaryService) {
+      const initialized = await this.initializeSummaryService();
+      if (!initialized) {
+        return { success: false, error: 'Failed to initialize summary service' };
+      }
+    }
+
+    // Keep whichever of preset and language isn't changing
+    const options = {
+      preset: this.summaryService.currentPreset,
+      language: this.summaryService.currentLanguage,
+      ...changes,
+    };
+
+    return this.summaryService.generateSummary(options, (partialSummary) =>
+      this.showPartialSummary(partialSummary),
+    );
+  }
+
+  /**
+   * Analyze the page's content for the multi-tab synthesis page
+   * @returns {Object} - { success, title, url, text, metadata } or { success: false, error }
+   */
+  async getContentForSynthesis() {
+    try {
+      if (!this.summaryService) {
+        const initialized = await this.initializeSummaryService();
+        if (!initialized) {
+          return { success: false, error: 'Failed to initialize summary service' };
+        }
+      }
+
+      const analysis = await this.summaryService.analyzeCurrentPage();
+      return {
+        success: true,
+        title: this.summaryService.pdfDocument?.title || this.extractTitle(),
+        url: window.location.href,
+        text: analysis.cleanedText,
+        metadata: {
+          contentType: analysis.metadata.contentType,
+          wordCount: analysis.metadata.wordCount,
+        },
+      };
+    } catch (error) {
+      console.error('Error analyzing page for synthesis:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Extract the page's article for the read later list, ready to be summarized later
+   * @returns {Object} - { success, page } or { success: false, error }
+   */
+  async getContentForReadLater() {
+    try {
+      if (!this.summaryService) {
+        const initialized = await this.initializeSummaryService();
+        if (!initialized) {
+          return { success: false, error: 'Failed to initialize summary service' };
+        }
+      }
+
+      const analysis = await this.summaryService.analyzeCurrentPage();
+      return {
+        success: true,
+        page: {
+          url: window.location.href,
+          pageKey: this.summaryService.getPageKey(),
+          pageDetails: this.summaryService.getPageDetails(),
+          analysis: {
+            processedContent: analysis.processedContent,
+            chunks: analysis.chunks,
+            metadata: analysis.metadata,
+          },
+        },
+      };
+    } catch (error) {
+      console.error('Error extracting page for read later:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Scroll to and highlight the passage a key point was drawn from
+   * @param {string} quote - Source quote from the summary
+   * @returns {boolean} - Whether the passage was found on the page
+   */
+  locatePassage(quote) {
+    // PDFs can't be highlighted; jump the viewer to the quoted page instead
+    const pdfPage = this.summaryService?.findPdfPage(quote);
+    if (pdfPage) {
+      window.location.hash = `page=${pdfPage}`;
+      return true;
+    }
+
+    // Video summaries seek the player to the moment the quote is said
+    const seconds = this.summaryService?.findTranscriptTime(quote);
+    if (seconds !== null && seconds !== undefined) {
+      return this.summaryService.transcriptExtractor.seekTo(seconds);
+    }
+
+    if (!window.TextAnchor || !quote) {
+      return false;
+    }
+
+    if (!this.textAnchor) {
+      this.textAnchor = new TextAnchor();
+    }
+
+    try {
+      return this.textAnchor.locateAndHighlight(quote);
+    } catch (error) {
+      console.error('Failed to locate passage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Show a partially streamed summary while generation is still running
+   * @param {Object} partialSummary - Partial summary from ContentSummaryService
+   * @param {string} displayMode - Where to show the summary ('overlay' or 'sidepanel')
+   */
+  async showPartialSummary(partialSummary, displayMode = 'overlay') {
+    try {
+      if (displayMode === 'sidepanel') {
+        // The side panel re-renders whenever currentSummary changes
+        await chrome.storage.local.set({
+          currentSummary: partialSummary,
+          summaryTimestamp: Date.now(),
+        });
+        return;
+      }
+
+      await this.showSummaryOverlay(partialSummary);
+    } catch (error) {
+      console.error('Failed to show partial summary:', error);
+    }
+  }
+
   /**
    * Hide summary overlay
    */
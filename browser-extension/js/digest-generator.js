@@ -0,0 +1,364 @@
+/**
+ * Digest Generator
+ * Combines the page summaries cached over the last day or week into one brief grouped by
+ * topic, with links back to each page. Built on a chrome.alarms schedule by the background
+ * worker and on demand by the digest page, which also exports digests as Markdown or HTML.
+ */
+
+class DigestGenerator {
+  constructor() {
+    this.summaryService = new ContentSummaryService();
+    this.library = new SummaryLibrary();
+    this.storageKey = CONFIG.DIGEST_STORAGE_KEY;
+    this.maxDigests = CONFIG.MAX_STORED_DIGESTS;
+    this.alarmName = 'kuiqlee-digest';
+    this.maxKeyPoints = 3; // Key points listed per page
+    this.periods = {
+      daily: { name: 'Daily', minutes: 24 * 60 },
+      weekly: { name: 'Weekly', minutes: 7 * 24 * 60 },
+    };
+  }
+
+  /**
+   * Build a digest of the summaries cached in a period
+   * @param {string} period - 'daily' or 'weekly'
+   * @param {number} end - End of the period (timestamp)
+   * @returns {Promise<Object>} - { id, period, start, end, createdAt, summaryCount, topics }
+   */
+  async generate(period = 'daily', end = Date.now()) {
+    const { minutes } = this.periods[period] || this.periods.daily;
+    const start = end - minutes * 60 * 1000;
+    const entries = await this.collectEntries(start, end);
+
+    return {
+      id: `digest_${end.toString(36)}`,
+      period: this.periods[period] ? period : 'daily',
+      start,
+      end,
+      createdAt: Date.now(),
+      summaryCount: entries.length,
+      topics: this.groupByTopic(entries),
+    };
+  }
+
+  /**
+   * Read the page summaries cached in a period, keeping the newest summary of each page
+   * @param {number} start - Start of the period (timestamp)
+   * @param {number} end - End of the period (timestamp)
+   * @returns {Promise<Array<Object>>} - Digest entries, newest first
+   */
+  async collectEntries(start, end) {
+    const summaries = await this.summaryService.getAllStoredSummaries();
+    const titles = await this.getLibraryTitles();
+    const byUrl = new Map();
+
+    Object.entries(summaries).forEach(([key, summary]) => {
+      // Tab syntheses and selection summaries are cached alongside page summaries
+      if (summary.type || !summary.url || !summary.quickSummary) return;
+      if (summary.storedAt < start || summary.storedAt > end) return;
+
+      const url = summary.url.split('#')[0];
+      const existing = byUrl.get(url);
+      if (existing && existing.storedAt >= summary.storedAt) return;
+
+      const domain = this.getDomain(url);
+      byUrl.set(url, {
+        id: key,
+        url,
+        domain,
+        title: titles.get(key) || titles.get(url) || domain || url,
+        quickSummary: summary.quickSummary.text || '',
+        keyPoints: (summary.keyPoints || []).slice(0, this.maxKeyPoints),
+        mainTopics: (summary.mainTopics || []).filter(Boolean),
+        storedAt: summary.storedAt,
+      });
+    });
+
+    return [...byUrl.values()].sort((a, b) => b.storedAt - a.storedAt);
+  }
+
+  /**
+   * Page titles from the summary library, which keeps them alongside each summary
+   * @returns {Promise<Map<string, string>>} - Titles by summary key and by URL
+   */
+  async getLibraryTitles() {
+    const titles = new Map();
+    try {
+      const entries = await this.library.getAll();
+      entries.forEach((entry) => {
+        titles.set(entry.id, entry.title);
+        if (entry.url && !titles.has(entry.url)) {
+          titles.set(entry.url, entry.title);
+        }
+      });
+    } catch (error) {
+      console.error('❌ [DigestGenerator] Failed to read library titles:', error);
+    }
+    return titles;
+  }
+
+  /**
+   * Group entries under their first main topic. Topics are matched case-insensitively and
+   * pages without topics go under "Other", listed last.
+   * @param {Array<Object>} entries - Digest entries
+   * @returns {Array<Object>} - [{ topic, entries }], biggest groups first
+   */
+  groupByTopic(entries) {
+    const groups = new Map();
+
+    entries.forEach((entry) => {
+      const topic = entry.mainTopics[0] || 'Other';
+      const key = topic.toLowerCase();
+      if (!groups.has(key)) {
+        groups.set(key, { topic, entries: [] });
+      }
+      groups.get(key).entries.push(entry);
+    });
+
+    return [...groups.values()].sort((a, b) => {
+      if (a.topic === 'Other' || b.topic === 'Other') return a.topic === 'Other' ? 1 : -1;
+      return b.entries.length - a.entries.length || a.topic.localeCompare(b.topic);
+    });
+  }
+
+  /**
+   * Get the saved digests
+   * @returns {Promise<Array<Object>>} - Digests, newest first
+   */
+  async getDigests() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      const digests = Array.isArray(result[this.storageKey]) ? result[this.storageKey] : [];
+      return digests.sort((a, b) => b.end - a.end);
+    } catch (error) {
+      console.error('❌ [DigestGenerator] Failed to load digests:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a digest, dropping the oldest beyond the limit
+   * @param {Object} digest - Digest to save
+   */
+  async saveDigest(digest) {
+    const digests = (await this.getDigests()).filter((item) => item.id !== digest.id);
+    const kept = [digest, ...digests].slice(0, this.maxDigests);
+    await chrome.storage.local.set({ [this.storageKey]: kept });
+  }
+
+  /**
+   * Set the alarm that builds digests, or clear it when digests are turned off. An alarm
+   * already running on the same schedule is kept so restarts don't push it back.
+   * @param {string} schedule - 'off', 'daily' or 'weekly'
+   */
+  async schedule(schedule) {
+    const period = this.periods[schedule];
+    if (!period) {
+      await chrome.alarms.clear(this.alarmName);
+      return;
+    }
+
+    const existing = await chrome.alarms.get(this.alarmName);
+    if (existing?.periodInMinutes === period.minutes) return;
+
+    await chrome.alarms.create(this.alarmName, {
+      delayInMinutes: period.minutes,
+      periodInMinutes: period.minutes,
+    });
+  }
+
+  /**
+   * Get the period a scheduled alarm covers
+   * @param {Object} alarm - Fired alarm
+   * @returns {string} - 'daily' or 'weekly'
+   */
+  getAlarmPeriod(alarm) {
+    return alarm.periodInMinutes === this.periods.weekly.minutes ? 'weekly' : 'daily';
+  }
+
+  /**
+   * Build the digest title
+   * @param {Object} digest - Digest
+   * @returns {string} - e.g. "Weekly digest: Mar 3 – Mar 10, 2025"
+   */
+  getTitle(digest) {
+    const name = this.periods[digest.period]?.name || 'Daily';
+    const format = (value, withYear) =>
+      new Date(value).toLocaleDateString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        ...(withYear ? { year: 'numeric' } : {}),
+      });
+    const range =
+      digest.period === 'weekly'
+        ? `${format(digest.start, false)} – ${format(digest.end, true)}`
+        : format(digest.end, true);
+    return `${name} digest: ${range}`;
+  }
+
+  /**
+   * Build a Markdown version of a digest
+   * @param {Object} digest - Digest
+   * @returns {string} - Markdown
+   */
+  toMarkdown(digest) {
+    const lines = [`# ${this.getTitle(digest)}`, ''];
+    lines.push(`${this.describeCount(digest)}.`, '');
+
+    digest.topics.forEach(({ topic, entries }) => {
+      lines.push(`## ${topic}`, '');
+      entries.forEach((entry) => {
+        lines.push(`### [${entry.title}](${entry.url})`, '');
+        if (entry.quickSummary) lines.push(entry.quickSummary, '');
+        entry.keyPoints.forEach((point) => lines.push(`- ${point}`));
+        if (entry.keyPoints.length) lines.push('');
+      });
+    });
+
+    return `${lines.join('\n').trim()}\n`;
+  }
+
+  /**
+   * Build a standalone HTML version of a digest
+   * @param {Object} digest - Digest
+   * @returns {string} - HTML document
+   */
+  toHTML(digest) {
+    const title = escapeHtml(this.getTitle(digest));
+    const topics = digest.topics
+      .map(
+        ({ topic, entries }) => `
+      <section>
+        <h2>${escapeHtml(topic)}</h2>
+        ${entries.map((entry) => this.buildEntryHTML(entry)).join('')}
+      </section>`,
+      )
+      .join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title} - Kuiqlee</title>
+    <style>${this.getDocumentStyles()}</style>
+  </head>
+  <body>
+    <article>
+      <header>
+        <h1>${title}</h1>
+        <p class="meta">${escapeHtml(this.describeCount(digest))}</p>
+      </header>
+      ${topics}
+      <footer>Summarized with Kuiqlee</footer>
+    </article>
+  </body>
+</html>
+`;
+  }
+
+  /**
+   * Build the HTML for one page in a digest
+   * @param {Object} entry - Digest entry
+   * @returns {string} - Entry HTML
+   */
+  buildEntryHTML(entry) {
+    const keyPoints = entry.keyPoints.map((point) => `<li>${escapeHtml(point)}</li>`).join('');
+
+    return `
+        <div class="entry">
+          <h3><a href="${escapeHtml(entry.url)}">${escapeHtml(entry.title)}</a></h3>
+          <p class="meta">${escapeHtml(entry.domain)}</p>
+          ${entry.quickSummary ? `<p>${escapeHtml(entry.quickSummary)}</p>` : ''}
+          ${keyPoints ? `<ul>${keyPoints}</ul>` : ''}
+        </div>`;
+  }
+
+  /**
+   * Describe how many pages and topics a digest covers
+   * @param {Object} digest - Digest
+   * @returns {string} - e.g. "5 pages across 3 topics"
+   */
+  describeCount(digest) {
+    const pages = `${digest.summaryCount} ${digest.summaryCount === 1 ? 'page' : 'pages'}`;
+    const topics = `${digest.topics.length} ${digest.topics.length === 1 ? 'topic' : 'topics'}`;
+    return `${pages} across ${topics}`;
+  }
+
+  /**
+   * Build the file name for an exported digest
+   * @param {Object} digest - Digest
+   * @param {string} extension - File extension without the dot
+   * @returns {string} - e.g. "kuiqlee-weekly-digest-2025-03-10.md"
+   */
+  buildFileName(digest, extension) {
+    const date = new Date(digest.end).toISOString().slice(0, 10);
+    return `kuiqlee-${digest.period}-digest-${date}.${extension}`;
+  }
+
+  /**
+   * Styles embedded in exported HTML (same look as exported summaries)
+   * @returns {string} - CSS
+   */
+  getDocumentStyles() {
+    return `
+      body {
+        font-family: Georgia, 'Times New Roman', serif;
+        color: #101828;
+        background: #fffaf3;
+        line-height: 1.6;
+        margin: 0;
+        padding: 40px 20px;
+      }
+      article {
+        max-width: 720px;
+        margin: 0 auto;
+      }
+      h1 { font-size: 28px; margin: 0 0 12px 0; }
+      h2 {
+        font-size: 20px;
+        margin: 32px 0 12px 0;
+        padding-bottom: 4px;
+        border-bottom: 1px solid #d1d1d1;
+      }
+      h3 { font-size: 16px; margin: 20px 0 0 0; }
+      a { color: #101828; }
+      .meta {
+        margin: 0;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+        color: #6a7282;
+      }
+      li { margin-bottom: 6px; }
+      footer {
+        margin-top: 40px;
+        font-size: 12px;
+        color: #6a7282;
+        text-align: center;
+      }
+    `;
+  }
+
+  /**
+   * Get the host name of a URL
+   * @param {string} url - URL
+   * @returns {string} - Host name, or '' for invalid URLs
+   */
+  getDomain(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return '';
+    }
+  }
+}
+
+// Export for extension pages and the service worker
+if (typeof self !== 'undefined') {
+  self.DigestGenerator = DigestGenerator;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DigestGenerator;
+}
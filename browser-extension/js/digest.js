@@ -0,0 +1,200 @@
+/**
+ * Kuiqlee Digest Page Controller
+ * Shows the digests built on the schedule from settings, creates one for the last day or
+ * week on demand, and exports the digest shown as Markdown or a standalone HTML file.
+ */
+
+class KuiqleeDigest {
+  constructor() {
+    this.generator = new DigestGenerator();
+    this.exporter = new SummaryExporter();
+    this.digests = [];
+    this.digest = null;
+    this.isCreating = false;
+    this.init();
+  }
+
+  async init() {
+    this.bindEvents();
+    this.digests = await this.generator.getDigests();
+
+    // Notifications link to the digest they announce
+    const requestedId = new URLSearchParams(window.location.search).get('id');
+    this.digest = this.digests.find((digest) => digest.id === requestedId) || this.digests[0];
+    this.render();
+  }
+
+  /**
+   * Bind toolbar events
+   */
+  bindEvents() {
+    document.getElementById('digest-history')?.addEventListener('change', (e) => {
+      this.digest = this.digests.find((digest) => digest.id === e.target.value) || null;
+      this.render();
+    });
+
+    document.getElementById('create-digest')?.addEventListener('click', () => {
+      this.createDigest();
+    });
+
+    document.getElementById('export-markdown')?.addEventListener('click', () => {
+      this.exportDigest('markdown');
+    });
+
+    document.getElementById('export-html')?.addEventListener('click', () => {
+      this.exportDigest('html');
+    });
+  }
+
+  /**
+   * Create and save a digest for the period picked in the toolbar
+   */
+  async createDigest() {
+    if (this.isCreating) return;
+
+    const period = document.getElementById('digest-period')?.value || 'weekly';
+    this.isCreating = true;
+    this.setStatus('Collecting summaries...');
+
+    try {
+      const digest = await this.generator.generate(period);
+      if (digest.summaryCount === 0) {
+        this.setStatus(
+          `No summaries from the last ${period === 'daily' ? 'day' : 'week'} yet.`,
+          true,
+        );
+        return;
+      }
+
+      await this.generator.saveDigest(digest);
+      this.digests = await this.generator.getDigests();
+      this.digest = digest;
+      this.render();
+      this.setStatus('');
+    } catch (error) {
+      console.error('[Digest] Error creating digest:', error);
+      this.setStatus(error.message, true);
+    } finally {
+      this.isCreating = false;
+    }
+  }
+
+  /**
+   * Download the digest shown
+   * @param {string} format - 'markdown' or 'html'
+   */
+  exportDigest(format) {
+    if (!this.digest) return;
+
+    if (format === 'markdown') {
+      this.exporter.download(
+        this.generator.toMarkdown(this.digest),
+        this.generator.buildFileName(this.digest, 'md'),
+        'text/markdown',
+      );
+    } else {
+      this.exporter.download(
+        this.generator.toHTML(this.digest),
+        this.generator.buildFileName(this.digest, 'html'),
+        'text/html',
+      );
+    }
+  }
+
+  /**
+   * Render the digest picker and the digest shown
+   */
+  render() {
+    const history = document.getElementById('digest-history');
+    const container = document.getElementById('digest-result');
+    if (!container) return;
+
+    if (history) {
+      history.innerHTML = this.digests.length
+        ? this.digests
+            .map(
+              (digest) =>
+                `<option value="${escapeHtml(digest.id)}">${escapeHtml(
+                  this.generator.getTitle(digest),
+                )}</option>`,
+            )
+            .join('')
+        : '<option value="">No digests yet</option>';
+      history.value = this.digest?.id || '';
+      history.disabled = this.digests.length === 0;
+    }
+
+    ['export-markdown', 'export-html'].forEach((id) => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = !this.digest;
+    });
+
+    if (!this.digest) {
+      container.innerHTML = `
+        <p class="digest-empty">
+          Digests are built from the summaries you make. Create one now, or choose how often
+          they are built in settings.
+        </p>
+      `;
+      return;
+    }
+
+    const topicsHTML = this.digest.topics
+      .map(
+        ({ topic, entries }) => `
+          <section class="digest-topic">
+            <h3>${escapeHtml(topic)} <span class="digest-count">${entries.length}</span></h3>
+            ${entries.map((entry) => this.buildEntry(entry)).join('')}
+          </section>
+        `,
+      )
+      .join('');
+
+    container.innerHTML = `
+      <h2>${escapeHtml(this.generator.getTitle(this.digest))}</h2>
+      <p class="digest-summary">${escapeHtml(this.generator.describeCount(this.digest))}</p>
+      ${topicsHTML}
+    `;
+  }
+
+  /**
+   * Build the HTML for one summarized page
+   * @param {Object} entry - Digest entry
+   * @returns {string} - Entry HTML
+   */
+  buildEntry(entry) {
+    const keyPoints = entry.keyPoints.map((point) => `<li>${escapeHtml(point)}</li>`).join('');
+
+    return `
+      <article class="digest-entry">
+        <a
+          class="digest-title"
+          href="${escapeHtml(entry.url)}"
+          target="_blank"
+          rel="noopener"
+        >${escapeHtml(entry.title)}</a>
+        <div class="digest-meta">${escapeHtml(entry.domain)}</div>
+        ${entry.quickSummary ? `<p>${escapeHtml(entry.quickSummary)}</p>` : ''}
+        ${keyPoints ? `<ul>${keyPoints}</ul>` : ''}
+      </article>
+    `;
+  }
+
+  /**
+   * Show a status message next to the toolbar
+   * @param {string} message - Message
+   * @param {boolean} isError - Show as an error
+   */
+  setStatus(message, isError = false) {
+    const status = document.getElementById('digest-status');
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new KuiqleeDigest();
+});
@@ -0,0 +1,522 @@
+/**
+ * Focus Mode Overlay
+ * Distraction-free reader that shows the article one chunk at a time over a dimmed page
+ */
+
+class FocusModeOverlay {
+  constructor(settings = {}, pageAnalysis = null) {
+    this.settings = { ...this.getDefaultSettings(), ...settings };
+    this.pageAnalysis = pageAnalysis;
+    this.chunks = [];
+    this.currentIndex = 0;
+    this.isActive = false;
+    this.overlay = null;
+    this.autoAdvanceTimer = null;
+    this.isAutoAdvancing = false;
+    this.resumedFromSaved = false;
+    this.progressStorageKey = 'readfocus_reading_progress';
+    this.maxStoredPositions = 200;
+    this.boundKeyHandler = this.handleKeydown.bind(this);
+
+    this.fontFamilies = {
+      system: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+      serif: "Georgia, 'Times New Roman', serif",
+      'sans-serif': "'Helvetica Neue', Arial, sans-serif",
+      monospace: "'SF Mono', Menlo, Consolas, monospace",
+      dyslexic: "'OpenDyslexic', 'Comic Sans MS', sans-serif",
+    };
+  }
+
+  /**
+   * Reading settings used when the stored settings don't define them
+   * @returns {Object} - Default reading settings
+   */
+  getDefaultSettings() {
+    return {
+      chunkSize: 150,
+      readingSpeed: 5,
+      fontFamily: 'system',
+      fontSize: 18,
+      lineHeight: 1.6,
+      theme: 'light',
+    };
+  }
+
+  /**
+   * Split the main content into chunks and show the reader
+   */
+  async activate() {
+    if (this.isActive) {
+      return;
+    }
+
+    const mainContent = this.pageAnalysis?.mainContent;
+    if (!(mainContent instanceof Element)) {
+      throw new Error('No main content available for Focus Mode');
+    }
+
+    this.chunks = this.buildChunks(mainContent, this.settings.chunkSize);
+    if (this.chunks.length === 0) {
+      throw new Error('No readable text found for Focus Mode');
+    }
+
+    // Resume from the last chunk read on this page
+    const savedIndex = await this.loadSavedPosition();
+    this.resumedFromSaved = savedIndex > 0;
+    this.currentIndex = savedIndex;
+
+    this.createOverlay();
+    document.body.appendChild(this.overlay);
+    document.documentElement.classList.add('readfocus-scroll-locked');
+    document.addEventListener('keydown', this.boundKeyHandler);
+
+    this.isActive = true;
+    this.renderChunk();
+  }
+
+  /**
+   * Close the reader and remember the current position
+   */
+  deactivate() {
+    if (!this.isActive) {
+      return;
+    }
+
+    this.stopAutoAdvance();
+    this.savePosition();
+
+    document.removeEventListener('keydown', this.boundKeyHandler);
+    document.documentElement.classList.remove('readfocus-scroll-locked');
+
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+
+    this.overlay = null;
+    this.isActive = false;
+  }
+
+  /**
+   * Advance to the next chunk, finishing the article after the last one
+   */
+  nextChunk() {
+    if (!this.isActive) return;
+
+    if (this.currentIndex >= this.chunks.length - 1) {
+      this.finishReading();
+      return;
+    }
+
+    this.goToChunk(this.currentIndex + 1);
+  }
+
+  /**
+   * Go back to the previous chunk
+   */
+  prevChunk() {
+    if (!this.isActive || this.currentIndex === 0) return;
+
+    this.goToChunk(this.currentIndex - 1);
+  }
+
+  /**
+   * Show a specific chunk
+   * @param {number} index - Chunk index
+   */
+  goToChunk(index) {
+    this.currentIndex = Math.max(0, Math.min(index, this.chunks.length - 1));
+    this.resumedFromSaved = false;
+    this.renderChunk();
+    this.savePosition();
+  }
+
+  /**
+   * Start or pause automatic advancing based on the reading speed setting
+   */
+  toggleAutoAdvance() {
+    if (this.isAutoAdvancing) {
+      this.stopAutoAdvance();
+    } else {
+      this.isAutoAdvancing = true;
+      this.scheduleAutoAdvance();
+    }
+    this.updateControls();
+  }
+
+  /**
+   * Schedule the next automatic advance for the current chunk
+   */
+  scheduleAutoAdvance() {
+    clearTimeout(this.autoAdvanceTimer);
+    if (!this.isAutoAdvancing) return;
+
+    // readingSpeed is a 1-10 scale; 5 corresponds to roughly 250 words per minute
+    const wordsPerMinute = Math.max(1, Number(this.settings.readingSpeed) || 5) * 50;
+    const chunk = this.chunks[this.currentIndex];
+    const delay = Math.max(3000, (chunk.wordCount / wordsPerMinute) * 60000);
+
+    this.autoAdvanceTimer = setTimeout(() => {
+      if (this.currentIndex >= this.chunks.length - 1) {
+        this.stopAutoAdvance();
+        this.updateControls();
+        return;
+      }
+      this.nextChunk();
+    }, delay);
+  }
+
+  /**
+   * Stop automatic advancing
+   */
+  stopAutoAdvance() {
+    clearTimeout(this.autoAdvanceTimer);
+    this.autoAdvanceTimer = null;
+    this.isAutoAdvancing = false;
+  }
+
+  /**
+   * Show a comprehension quiz. Plain focus mode has none; the reading helper overrides this.
+   * @returns {boolean} - Whether a quiz was shown
+   */
+  showQuiz() {
+    return false;
+  }
+
+  /**
+   * Mark the article as finished and close the reader
+   */
+  finishReading() {
+    this.stopAutoAdvance();
+    this.clearSavedPosition();
+    this.currentIndex = 0;
+
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+    document.removeEventListener('keydown', this.boundKeyHandler);
+    document.documentElement.classList.remove('readfocus-scroll-locked');
+
+    this.overlay = null;
+    this.isActive = false;
+  }
+
+  /**
+   * Split content into chunks of roughly chunkSize words, keeping paragraphs together
+   * @param {Element} contentElement - Main content element
+   * @param {number} chunkSize - Target words per chunk
+   * @returns {Array<Object>} - Chunks as { paragraphs, wordCount }
+   */
+  buildChunks(contentElement, chunkSize) {
+    const targetWords = Math.max(30, Number(chunkSize) || 150);
+    const chunks = [];
+    let current = { paragraphs: [], wordCount: 0 };
+
+    const pushCurrent = () => {
+      if (current.paragraphs.length > 0) {
+        chunks.push(current);
+        current = { paragraphs: [], wordCount: 0 };
+      }
+    };
+
+    this.extractParagraphs(contentElement).forEach((paragraph) => {
+      const words = paragraph.split(/\s+/).filter(Boolean);
+
+      // Very long paragraphs are split on their own
+      if (words.length > targetWords * 1.5) {
+        pushCurrent();
+        for (let i = 0; i < words.length; i += targetWords) {
+          const slice = words.slice(i, i + targetWords);
+          chunks.push({ paragraphs: [slice.join(' ')], wordCount: slice.length });
+        }
+        return;
+      }
+
+      if (current.wordCount > 0 && current.wordCount + words.length > targetWords) {
+        pushCurrent();
+      }
+
+      current.paragraphs.push(paragraph);
+      current.wordCount += words.length;
+    });
+
+    pushCurrent();
+
+    return chunks;
+  }
+
+  /**
+   * Extract readable paragraphs from the content element
+   * @param {Element} contentElement - Main content element
+   * @returns {Array<string>} - Paragraph texts in document order
+   */
+  extractParagraphs(contentElement) {
+    const elements = contentElement.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, blockquote');
+    const paragraphs = [];
+
+    elements.forEach((el) => {
+      // Skip nested matches (e.g. a <p> inside a <li>) so text isn't repeated
+      const container = el.parentElement?.closest('p, li, blockquote');
+      if (container && contentElement.contains(container)) {
+        return;
+      }
+
+      const text = el.textContent?.replace(/\s+/g, ' ').trim();
+      if (text && text.length > 1) {
+        paragraphs.push(text);
+      }
+    });
+
+    if (paragraphs.length === 0) {
+      const text = contentElement.textContent?.replace(/\s+/g, ' ').trim();
+      if (text) {
+        paragraphs.push(text);
+      }
+    }
+
+    return paragraphs;
+  }
+
+  /**
+   * Create the reader overlay element
+   */
+  createOverlay() {
+    const theme = ['dark', 'sepia'].includes(this.settings.theme) ? this.settings.theme : 'light';
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = `readfocus-overlay readfocus-focus-overlay readfocus-theme-${theme}`;
+    this.overlay.innerHTML = `
+      <div class="readfocus-focus-panel" role="dialog" aria-label="Focus reader">
+        <div class="readfocus-header">
+          <h2 class="readfocus-title"></h2>
+          <div class="readfocus-progress"></div>
+          <button class="readfocus-exit" title="Exit Focus Mode (Esc)">×</button>
+        </div>
+        <div class="readfocus-progress-bar">
+          <div class="readfocus-progress-fill"></div>
+        </div>
+        <div class="readfocus-reading-area">
+          <div class="readfocus-chunk"></div>
+        </div>
+        <div class="readfocus-controls">
+          <button class="readfocus-btn readfocus-btn-secondary" data-action="prev">← Previous</button>
+          <button class="readfocus-btn readfocus-btn-secondary" data-action="auto">▶ Auto</button>
+          <button class="readfocus-btn" data-action="next">Next →</button>
+        </div>
+      </div>
+    `;
+
+    this.overlay.querySelector('.readfocus-title').textContent =
+      this.pageAnalysis?.title || document.title;
+
+    this.applyReadingStyles();
+    this.bindEvents();
+  }
+
+  /**
+   * Apply font and spacing settings to the reader
+   */
+  applyReadingStyles() {
+    const fontFamily = this.fontFamilies[this.settings.fontFamily] || this.fontFamilies.system;
+    const fontSize = Math.min(32, Math.max(12, Number(this.settings.fontSize) || 18));
+    const lineHeight = Math.min(3, Math.max(1, Number(this.settings.lineHeight) || 1.6));
+
+    this.overlay.style.setProperty('--rf-font-family', fontFamily);
+    this.overlay.style.setProperty('--rf-font-size', `${fontSize}px`);
+    this.overlay.style.setProperty('--rf-line-height', String(lineHeight));
+  }
+
+  /**
+   * Bind reader controls
+   */
+  bindEvents() {
+    this.overlay
+      .querySelector('.readfocus-exit')
+      .addEventListener('click', () => this.deactivate());
+
+    this.overlay.querySelectorAll('[data-action]').forEach((button) => {
+      button.addEventListener('click', () => {
+        switch (button.dataset.action) {
+          case 'prev':
+            this.prevChunk();
+            break;
+          case 'next':
+            this.nextChunk();
+            break;
+          case 'auto':
+            this.toggleAutoAdvance();
+            break;
+        }
+      });
+    });
+
+    // Clicking the dimmed backdrop closes the reader
+    this.overlay.addEventListener('click', (event) => {
+      if (event.target === this.overlay) {
+        this.deactivate();
+      }
+    });
+  }
+
+  /**
+   * Plain arrow keys page through the reader (modifier shortcuts are handled by the content script)
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeydown(event) {
+    if (!this.isActive || event.metaKey || event.ctrlKey || event.altKey || event.shiftKey) {
+      return;
+    }
+
+    if (event.key === 'ArrowRight') {
+      event.preventDefault();
+      this.nextChunk();
+    } else if (event.key === 'ArrowLeft') {
+      event.preventDefault();
+      this.prevChunk();
+    }
+  }
+
+  /**
+   * Render the current chunk and progress
+   */
+  renderChunk() {
+    if (!this.overlay) return;
+
+    const chunk = this.chunks[this.currentIndex];
+    const chunkEl = this.overlay.querySelector('.readfocus-chunk');
+
+    chunkEl.innerHTML = chunk.paragraphs
+      .map((paragraph) => `<p>${this.renderParagraph(paragraph)}</p>`)
+      .join('');
+
+    const readingArea = this.overlay.querySelector('.readfocus-reading-area');
+    readingArea.scrollTop = 0;
+
+    const progress = this.overlay.querySelector('.readfocus-progress');
+    const resumedLabel = this.resumedFromSaved ? 'Resumed · ' : '';
+    progress.textContent = `${resumedLabel}${this.currentIndex + 1} / ${this.chunks.length}`;
+
+    const fill = this.overlay.querySelector('.readfocus-progress-fill');
+    fill.style.width = `${((this.currentIndex + 1) / this.chunks.length) * 100}%`;
+
+    this.updateControls();
+    this.onChunkShown(this.currentIndex);
+
+    if (this.isAutoAdvancing) {
+      this.scheduleAutoAdvance();
+    }
+  }
+
+  /**
+   * Convert a paragraph to HTML (subclasses add highlighting)
+   * @param {string} text - Paragraph text
+   * @returns {string} - Safe HTML
+   */
+  renderParagraph(text) {
+    return escapeHtml(text);
+  }
+
+  /**
+   * Hook called after a chunk is displayed
+   * @param {number} _index - Index of the displayed chunk
+   */
+  onChunkShown(_index) {}
+
+  /**
+   * Update control button labels and disabled states
+   */
+  updateControls() {
+    if (!this.overlay) return;
+
+    const prevBtn = this.overlay.querySelector('[data-action="prev"]');
+    const nextBtn = this.overlay.querySelector('[data-action="next"]');
+    const autoBtn = this.overlay.querySelector('[data-action="auto"]');
+
+    prevBtn.disabled = this.currentIndex === 0;
+    nextBtn.textContent = this.currentIndex >= this.chunks.length - 1 ? 'Finish ✓' : 'Next →';
+    autoBtn.textContent = this.isAutoAdvancing ? '⏸ Pause' : '▶ Auto';
+  }
+
+  /**
+   * Get the URL used to remember reading position
+   * @returns {string} - Page URL without hash
+   */
+  getPositionKey() {
+    return window.location.href.split('#')[0];
+  }
+
+  /**
+   * Load the saved chunk index for this page
+   * @returns {number} - Saved chunk index or 0
+   */
+  async loadSavedPosition() {
+    try {
+      const result = await chrome.storage.local.get(this.progressStorageKey);
+      const saved = (result[this.progressStorageKey] || {})[this.getPositionKey()];
+
+      // Only resume if the article still splits the same way
+      if (
+        saved &&
+        saved.totalChunks === this.chunks.length &&
+        saved.chunkIndex < this.chunks.length
+      ) {
+        return saved.chunkIndex;
+      }
+    } catch (error) {
+      console.error('❌ [FocusModeOverlay] Failed to load reading position:', error);
+    }
+    return 0;
+  }
+
+  /**
+   * Save the current chunk index for this page
+   */
+  async savePosition() {
+    try {
+      const result = await chrome.storage.local.get(this.progressStorageKey);
+      const positions = result[this.progressStorageKey] || {};
+
+      positions[this.getPositionKey()] = {
+        chunkIndex: this.currentIndex,
+        totalChunks: this.chunks.length,
+        updatedAt: Date.now(),
+      };
+
+      // Keep only the most recently read pages
+      const keys = Object.keys(positions);
+      if (keys.length > this.maxStoredPositions) {
+        keys
+          .sort((a, b) => positions[a].updatedAt - positions[b].updatedAt)
+          .slice(0, keys.length - this.maxStoredPositions)
+          .forEach((key) => delete positions[key]);
+      }
+
+      await chrome.storage.local.set({ [this.progressStorageKey]: positions });
+    } catch (error) {
+      console.error('❌ [FocusModeOverlay] Failed to save reading position:', error);
+    }
+  }
+
+  /**
+   * Forget the saved position for this page (article finished)
+   */
+  async clearSavedPosition() {
+    try {
+      const result = await chrome.storage.local.get(this.progressStorageKey);
+      const positions = result[this.progressStorageKey] || {};
+      delete positions[this.getPositionKey()];
+      await chrome.storage.local.set({ [this.progressStorageKey]: positions });
+    } catch (error) {
+      console.error('❌ [FocusModeOverlay] Failed to clear reading position:', error);
+    }
+  }
+}
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.FocusModeOverlay = FocusModeOverlay;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FocusModeOverlay;
+}
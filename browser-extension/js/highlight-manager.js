@@ -0,0 +1,474 @@
+/**
+ * Highlight Manager
+ * Lets users highlight passages of the page in colours and attach notes to them. Highlights
+ * are stored per page as TextAnchor selectors ({ prefix, exact, suffix }) so they attach
+ * again after a reload. The side panel lists them, exports include them and summaries can
+ * be asked to focus on them.
+ */
+
+class HighlightManager {
+  /**
+   * @param {Object} options - { textAnchor, pageKey } (the page key defaults to the URL
+   *   without its query and hash, as used for cached summaries)
+   */
+  constructor(options = {}) {
+    this.textAnchor = options.textAnchor || new TextAnchor();
+    this.pageKey = options.pageKey || window.location.href.split('#')[0].split('?')[0];
+    this.storageKey = CONFIG.HIGHLIGHTS_STORAGE_KEY;
+    this.colors = CONFIG.HIGHLIGHT_COLORS;
+    this.markClass = 'kuiqlee-highlight';
+    this.toolbarClass = 'kuiqlee-highlight-toolbar';
+    this.minSelectionLength = 3;
+    this.retryDelay = 2000; // Pages that render late get a second attempt at attaching
+    this.highlights = []; // This page's highlights, in the order they were made
+    this.marks = new Map(); // Highlight id -> mark elements on the page
+    this.toolbar = null;
+    this.pendingRange = null; // Selection the toolbar would highlight
+    this.activeId = null; // Highlight the toolbar is editing
+  }
+
+  /**
+   * Load and attach this page's highlights and start listening for selections
+   */
+  async initialize() {
+    this.highlights = await this.load();
+    if (this.attachAll() > 0) {
+      setTimeout(() => this.attachAll(), this.retryDelay);
+    }
+
+    document.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+    document.addEventListener('click', (e) => this.handleClick(e));
+    document.addEventListener('mousedown', (e) => {
+      if (!e.target.closest?.(`.${this.toolbarClass}`)) {
+        this.hideToolbar();
+      }
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.hideToolbar();
+      }
+    });
+    window.addEventListener(
+      'scroll',
+      () => {
+        // Keep the note editor open while the user scrolls to reread the passage
+        if (!this.toolbar?.querySelector('textarea')) {
+          this.hideToolbar();
+        }
+      },
+      { passive: true },
+    );
+  }
+
+  /**
+   * Read this page's highlights from storage
+   * @returns {Promise<Array<Object>>} - Stored highlights
+   */
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      const highlights = result[this.storageKey]?.[this.pageKey];
+      return Array.isArray(highlights) ? highlights : [];
+    } catch (error) {
+      console.error('❌ [HighlightManager] Failed to load highlights:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Attach the stored highlights that aren't on the page yet
+   * @returns {number} - Highlights that couldn't be found on the page
+   */
+  attachAll() {
+    let missing = 0;
+
+    // One at a time: wrapping a highlight splits the text nodes the next one is found in
+    this.highlights
+      .filter((highlight) => !this.marks.has(highlight.id))
+      .forEach((highlight) => {
+        try {
+          const range = this.textAnchor.locateSelector(highlight.selector);
+          if (range) {
+            this.attach(highlight, range);
+            return;
+          }
+        } catch (error) {
+          console.error('❌ [HighlightManager] Failed to attach highlight:', error);
+        }
+        missing++;
+      });
+
+    return missing;
+  }
+
+  /**
+   * Wrap a highlight's range in marks
+   * @param {Object} highlight - Highlight
+   * @param {Range} range - Range it covers
+   */
+  attach(highlight, range) {
+    const marks = this.textAnchor.wrapRange(range, this.markClass);
+    marks.forEach((mark) => {
+      mark.dataset.highlightId = highlight.id;
+    });
+    this.marks.set(highlight.id, marks);
+    this.styleMarks(highlight);
+  }
+
+  /**
+   * Apply a highlight's colour and note to its marks
+   * @param {Object} highlight - Highlight
+   */
+  styleMarks(highlight) {
+    const color = this.getColor(highlight.color);
+    (this.marks.get(highlight.id) || []).forEach((mark) => {
+      mark.style.backgroundColor = color.value;
+      mark.title = highlight.note || '';
+      mark.classList.toggle(`${this.markClass}-noted`, !!highlight.note);
+    });
+  }
+
+  /**
+   * Offer the toolbar for a new selection
+   * @param {MouseEvent} event - mouseup event
+   */
+  handleMouseUp(event) {
+    if (event.target.closest?.(`.${this.toolbarClass}`)) return;
+
+    // Let the browser finish updating the selection
+    setTimeout(() => {
+      const selection = window.getSelection();
+      if (!selection || selection.isCollapsed || selection.rangeCount === 0) return;
+      if (selection.toString().trim().length < this.minSelectionLength) return;
+
+      const range = selection.getRangeAt(0);
+      const container =
+        range.commonAncestorContainer.nodeType === Node.TEXT_NODE
+          ? range.commonAncestorContainer.parentElement
+          : range.commonAncestorContainer;
+      if (
+        !container?.closest ||
+        container.closest(this.textAnchor.ignoreSelector) ||
+        container.isContentEditable
+      ) {
+        return;
+      }
+
+      this.pendingRange = range.cloneRange();
+      this.activeId = null;
+      this.showToolbar(range.getBoundingClientRect());
+    }, 10);
+  }
+
+  /**
+   * Open the toolbar for a clicked highlight
+   * @param {MouseEvent} event - click event
+   */
+  handleClick(event) {
+    const mark = event.target.closest?.(`.${this.markClass}`);
+    if (!mark || !window.getSelection()?.isCollapsed) return;
+
+    this.activeId = mark.dataset.highlightId;
+    this.pendingRange = null;
+    this.showToolbar(mark.getBoundingClientRect());
+  }
+
+  /**
+   * Show the toolbar above (or below) a rectangle on the page
+   * @param {DOMRect} rect - Selection or highlight bounds
+   * @param {boolean} editingNote - Show the note editor instead of the colours
+   */
+  showToolbar(rect, editingNote = false) {
+    if (!this.toolbar) {
+      this.toolbar = document.createElement('div');
+      this.toolbar.className = this.toolbarClass;
+      // Keep the page selection while the toolbar is clicked
+      this.toolbar.addEventListener('mousedown', (e) => {
+        if (e.target.tagName !== 'TEXTAREA') e.preventDefault();
+      });
+      this.toolbar.addEventListener('click', (e) => this.handleToolbarClick(e));
+      document.body.appendChild(this.toolbar);
+    }
+
+    this.toolbar.innerHTML = this.buildToolbar(editingNote);
+    this.toolbar.style.display = 'flex';
+
+    const top = rect.top - this.toolbar.offsetHeight - 8;
+    const maxLeft = window.innerWidth - this.toolbar.offsetWidth - 8;
+    this.toolbar.style.top = `${top < 8 ? rect.bottom + 8 : top}px`;
+    this.toolbar.style.left = `${Math.max(8, Math.min(rect.left, maxLeft))}px`;
+
+    if (editingNote) {
+      this.toolbar.querySelector('textarea')?.focus();
+    }
+  }
+
+  /**
+   * Build the toolbar contents
+   * @param {boolean} editingNote - Build the note editor
+   * @returns {string} - Toolbar HTML
+   */
+  buildToolbar(editingNote) {
+    const highlight = this.getHighlight(this.activeId);
+
+    if (editingNote) {
+      return `
+        <textarea rows="3" placeholder="Add a note to this highlight...">${escapeHtml(
+          highlight?.note,
+        )}</textarea>
+        <div class="kuiqlee-highlight-row">
+          <button class="kuiqlee-highlight-action" data-action="save-note">Save note</button>
+          <button class="kuiqlee-highlight-action" data-action="cancel">Cancel</button>
+        </div>
+      `;
+    }
+
+    const swatches = this.colors
+      .map(
+        (color) => `
+          <button
+            class="kuiqlee-highlight-swatch${highlight?.color === color.id ? ' selected' : ''}"
+            data-color="${color.id}"
+            title="${escapeHtml(color.name)}"
+            style="background-color: ${color.value}"
+          ></button>`,
+      )
+      .join('');
+
+    return `
+      <div class="kuiqlee-highlight-row">
+        ${swatches}
+        <button class="kuiqlee-highlight-action" data-action="note">
+          ${highlight?.note ? 'Edit note' : 'Note'}
+        </button>
+        ${
+          highlight
+            ? '<button class="kuiqlee-highlight-action" data-action="remove">Remove</button>'
+            : ''
+        }
+      </div>
+    `;
+  }
+
+  /**
+   * Handle toolbar buttons
+   * @param {MouseEvent} event - click event
+   */
+  async handleToolbarClick(event) {
+    const swatch = event.target.closest('[data-color]');
+    const action = event.target.closest('[data-action]')?.dataset.action;
+
+    try {
+      if (swatch) {
+        if (this.activeId) {
+          await this.updateHighlight(this.activeId, { color: swatch.dataset.color });
+        } else {
+          await this.createHighlight(swatch.dataset.color);
+        }
+        this.hideToolbar();
+        return;
+      }
+
+      switch (action) {
+        case 'note': {
+          // A note on a new selection highlights it in the first colour
+          const highlight = this.activeId
+            ? this.getHighlight(this.activeId)
+            : await this.createHighlight(this.colors[0].id);
+          if (!highlight) {
+            this.hideToolbar();
+            return;
+          }
+          this.activeId = highlight.id;
+          this.showToolbar(this.marks.get(highlight.id)[0].getBoundingClientRect(), true);
+          break;
+        }
+        case 'save-note':
+          await this.updateHighlight(this.activeId, {
+            note: this.toolbar.querySelector('textarea').value.trim(),
+          });
+          this.hideToolbar();
+          break;
+        case 'remove':
+          await this.removeHighlight(this.activeId);
+          this.hideToolbar();
+          break;
+        case 'cancel':
+          this.hideToolbar();
+          break;
+      }
+    } catch (error) {
+      console.error('❌ [HighlightManager] Failed to update highlight:', error);
+      this.hideToolbar();
+    }
+  }
+
+  /**
+   * Hide the toolbar
+   */
+  hideToolbar() {
+    if (this.toolbar) {
+      this.toolbar.style.display = 'none';
+    }
+    this.activeId = null;
+  }
+
+  /**
+   * Highlight the pending selection
+   * @param {string} color - Colour id
+   * @returns {Promise<Object|null>} - New highlight, or null when the selection has no text
+   */
+  async createHighlight(color) {
+    const range = this.pendingRange;
+    this.pendingRange = null;
+    if (!range) return null;
+
+    const selector = this.textAnchor.createSelector(range);
+    if (!selector) return null;
+
+    const now = Date.now();
+    const highlight = {
+      id: `hl_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      color,
+      note: '',
+      text: range.toString().replace(/\s+/g, ' ').trim(),
+      selector,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.attach(highlight, range);
+    window.getSelection()?.removeAllRanges();
+    this.highlights.push(highlight);
+    await this.save();
+    return highlight;
+  }
+
+  /**
+   * Change a highlight's colour or note
+   * @param {string} id - Highlight id
+   * @param {Object} changes - { color, note }
+   */
+  async updateHighlight(id, changes) {
+    this.highlights = this.highlights.map((highlight) =>
+      highlight.id === id ? { ...highlight, ...changes, updatedAt: Date.now() } : highlight,
+    );
+
+    const highlight = this.getHighlight(id);
+    if (highlight) {
+      this.styleMarks(highlight);
+      await this.save();
+    }
+  }
+
+  /**
+   * Delete a highlight and remove it from the page
+   * @param {string} id - Highlight id
+   */
+  async removeHighlight(id) {
+    this.textAnchor.unwrapMarks(this.marks.get(id) || []);
+    this.marks.delete(id);
+    this.highlights = this.highlights.filter((highlight) => highlight.id !== id);
+    await this.save();
+  }
+
+  /**
+   * Get one highlight
+   * @param {string} id - Highlight id
+   * @returns {Object|null} - Highlight
+   */
+  getHighlight(id) {
+    return this.highlights.find((highlight) => highlight.id === id) || null;
+  }
+
+  /**
+   * Get this page's highlights in the order they appear on the page (ones that couldn't be
+   * found come last)
+   * @returns {Array<Object>} - Highlights with an `attached` flag
+   */
+  getHighlights() {
+    return [...this.highlights]
+      .sort((a, b) => {
+        const markA = this.marks.get(a.id)?.[0];
+        const markB = this.marks.get(b.id)?.[0];
+        if (markA && markB) {
+          return markA.compareDocumentPosition(markB) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+        }
+        if (markA || markB) {
+          return markA ? -1 : 1;
+        }
+        return a.createdAt - b.createdAt;
+      })
+      .map((highlight) => ({ ...highlight, attached: this.marks.has(highlight.id) }));
+  }
+
+  /**
+   * Get the highlighted passages to send with summary prompts
+   * @returns {Array<Object>} - [{ text, note }] in page order
+   */
+  getPromptPassages() {
+    return this.getHighlights()
+      .slice(0, CONFIG.MAX_HIGHLIGHTS_IN_PROMPT)
+      .map(({ text, note }) => ({ text, note }));
+  }
+
+  /**
+   * Scroll to a highlight and flash it
+   * @param {string} id - Highlight id
+   * @returns {boolean} - Whether the highlight is on the page
+   */
+  scrollTo(id) {
+    if (!this.marks.has(id)) {
+      this.attachAll();
+    }
+
+    const marks = this.marks.get(id);
+    if (!marks?.length) {
+      return false;
+    }
+
+    marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    marks.forEach((mark) => mark.classList.add(`${this.markClass}-flash`));
+    setTimeout(() => {
+      marks.forEach((mark) => mark.classList.remove(`${this.markClass}-flash`));
+    }, 1500);
+    return true;
+  }
+
+  /**
+   * Store this page's highlights
+   */
+  async save() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      const pages = result[this.storageKey] || {};
+      if (this.highlights.length) {
+        pages[this.pageKey] = this.highlights;
+      } else {
+        delete pages[this.pageKey];
+      }
+      await chrome.storage.local.set({ [this.storageKey]: pages });
+    } catch (error) {
+      console.error('❌ [HighlightManager] Failed to save highlights:', error);
+    }
+  }
+
+  /**
+   * Get a colour by id
+   * @param {string} id - Colour id
+   * @returns {Object} - { id, name, value }, the first colour for unknown ids
+   */
+  getColor(id) {
+    return this.colors.find((color) => color.id === id) || this.colors[0];
+  }
+}
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.HighlightManager = HighlightManager;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HighlightManager;
+}
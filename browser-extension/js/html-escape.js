@@ -0,0 +1,30 @@
+/**
+ * HTML Escape
+ * The one escaping helper for every HTML string the extension builds, loaded by the extension
+ * pages, the content scripts and the service worker (which has no DOM to escape with).
+ * Quotes are escaped too, so the result is safe in quoted attribute values.
+ */
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Export for extension pages, content scripts and the service worker
+if (typeof self !== 'undefined') {
+  self.escapeHtml = escapeHtml;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = escapeHtml;
+}
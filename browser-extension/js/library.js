@@ -0,0 +1,317 @@
+/**
+ * Kuiqlee Library Page Controller
+ * Lists saved summaries with full-text search, filters, tags and deletion
+ */
+
+class KuiqleeLibrary {
+  constructor() {
+    this.library = new SummaryLibrary();
+    this.entries = [];
+    this.filters = { query: '', difficulty: '', contentType: '' };
+    this.searchDelay = 200;
+    this.searchTimer = null;
+    this.editingTagsId = null;
+    this.init();
+  }
+
+  async init() {
+    try {
+      await this.library.importLegacySummaries();
+    } catch (error) {
+      console.error('[Library] Error importing cached summaries:', error);
+    }
+
+    this.bindEvents();
+    await this.populateFilters();
+    await this.refresh();
+  }
+
+  /**
+   * Bind toolbar and list events
+   */
+  bindEvents() {
+    document.getElementById('library-search')?.addEventListener('input', (e) => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => {
+        this.filters.query = e.target.value;
+        this.refresh();
+      }, this.searchDelay);
+    });
+
+    document.getElementById('library-difficulty')?.addEventListener('change', (e) => {
+      this.filters.difficulty = e.target.value;
+      this.refresh();
+    });
+
+    document.getElementById('library-content-type')?.addEventListener('change', (e) => {
+      this.filters.contentType = e.target.value;
+      this.refresh();
+    });
+
+    const list = document.getElementById('library-list');
+    list?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const id = button.closest('.library-card')?.dataset.id;
+      switch (button.dataset.action) {
+        case 'delete':
+          this.deleteEntry(id);
+          break;
+        case 'edit-tags':
+          this.editingTagsId = id;
+          this.render();
+          list.querySelector('.library-tags-input')?.focus();
+          break;
+      }
+    });
+
+    list?.addEventListener('keydown', (e) => {
+      if (!e.target.classList.contains('library-tags-input')) return;
+
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.saveTags(e.target.closest('.library-card').dataset.id, e.target.value);
+      } else if (e.key === 'Escape') {
+        this.editingTagsId = null;
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Fill the filter dropdowns with the values present in the library
+   */
+  async populateFilters() {
+    try {
+      const entries = await this.library.getAll();
+      const difficultyOrder = ['Beginner', 'Intermediate', 'Advanced'];
+
+      const difficulties = Array.from(new Set(entries.map((entry) => entry.difficultyLevel)))
+        .filter(Boolean)
+        .sort((a, b) => difficultyOrder.indexOf(a) - difficultyOrder.indexOf(b));
+      const contentTypes = Array.from(new Set(entries.map((entry) => entry.contentType)))
+        .filter(Boolean)
+        .sort();
+
+      this.appendOptions('library-difficulty', difficulties);
+      this.appendOptions('library-content-type', contentTypes);
+    } catch (error) {
+      console.error('[Library] Error loading filters:', error);
+    }
+  }
+
+  /**
+   * Append options to a select element
+   * @param {string} id - Select element id
+   * @param {Array<string>} values - Option values
+   */
+  appendOptions(id, values) {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    values.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value.charAt(0).toUpperCase() + value.slice(1);
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Re-run the search with the current filters
+   */
+  async refresh() {
+    try {
+      this.entries = await this.library.search(this.filters);
+    } catch (error) {
+      console.error('[Library] Error searching library:', error);
+      this.entries = [];
+    }
+    this.render();
+  }
+
+  /**
+   * Render the result list
+   */
+  render() {
+    const list = document.getElementById('library-list');
+    const count = document.getElementById('library-count');
+    const empty = document.getElementById('library-empty');
+    if (!list) return;
+
+    const isFiltered = this.filters.query || this.filters.difficulty || this.filters.contentType;
+
+    if (count) {
+      const noun = this.entries.length === 1 ? 'summary' : 'summaries';
+      count.textContent =
+        this.entries.length === 0 && isFiltered
+          ? 'No summaries match your search'
+          : `${this.entries.length} ${noun}`;
+    }
+    if (empty) {
+      empty.style.display = this.entries.length === 0 && !isFiltered ? 'block' : 'none';
+    }
+
+    list.innerHTML = this.entries.map((entry) => this.buildCard(entry)).join('');
+  }
+
+  /**
+   * Build the card for one library entry
+   * @param {Object} entry - Library entry
+   * @returns {string} - Card HTML
+   */
+  buildCard(entry) {
+    const meta = [
+      entry.domain,
+      entry.author,
+      this.formatDate(entry.publishDate),
+      entry.estimatedReadTime,
+    ]
+      .filter(Boolean)
+      .map((item) => `<span>${escapeHtml(item)}</span>`)
+      .join('');
+
+    const topics = (entry.mainTopics || [])
+      .map((topic) => `<span class="library-topic">${escapeHtml(topic)}</span>`)
+      .join('');
+
+    const summary = escapeHtml(entry.quickSummary);
+
+    const keyPoints = (entry.keyPoints || [])
+      .map((point) => `<li>${escapeHtml(point)}</li>`)
+      .join('');
+
+    const actionItems = (entry.actionItems || [])
+      .map((action) => `<li>${escapeHtml(action)}</li>`)
+      .join('');
+
+    return `
+      <article class="library-card" data-id="${escapeHtml(entry.id)}">
+        <div class="library-card-header">
+          <a
+            class="library-title"
+            href="${escapeHtml(entry.url)}"
+            target="_blank"
+            rel="noopener"
+          >${escapeHtml(entry.title)}</a>
+          <button class="library-delete" data-action="delete" title="Delete summary">✕</button>
+        </div>
+        <div class="library-meta">${meta}</div>
+        <div class="library-badges">
+          <span class="library-badge">${escapeHtml(entry.difficultyLevel)}</span>
+          <span class="library-badge">${escapeHtml(entry.contentType)}</span>
+          <span class="library-saved">Saved ${this.formatDate(entry.savedAt)}</span>
+        </div>
+        ${summary ? `<p class="library-summary">${summary}</p>` : ''}
+        ${topics ? `<div class="library-topics">${topics}</div>` : ''}
+        ${this.buildTags(entry)}
+        ${
+          keyPoints || actionItems
+            ? `<details class="library-details">
+          <summary>Key points and actions</summary>
+          ${keyPoints ? `<h3>Key points</h3><ul>${keyPoints}</ul>` : ''}
+          ${actionItems ? `<h3>Action items</h3><ul>${actionItems}</ul>` : ''}
+        </details>`
+            : ''
+        }
+      </article>
+    `;
+  }
+
+  /**
+   * Build the tag row, or the tag editor for the entry being edited
+   * @param {Object} entry - Library entry
+   * @returns {string} - Tags HTML
+   */
+  buildTags(entry) {
+    const tags = entry.tags || [];
+
+    if (this.editingTagsId === entry.id) {
+      return `
+        <div class="library-tags">
+          <input
+            type="text"
+            class="library-tags-input"
+            value="${escapeHtml(tags.join(', '))}"
+            placeholder="Comma-separated tags, Enter to save"
+          />
+        </div>
+      `;
+    }
+
+    const chips = tags
+      .map((tag) => `<span class="library-tag">#${escapeHtml(tag)}</span>`)
+      .join('');
+
+    return `
+      <div class="library-tags">
+        ${chips}
+        <button class="library-edit-tags" data-action="edit-tags">
+          ${tags.length ? 'Edit tags' : '+ Add tags'}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Save edited tags for an entry
+   * @param {string} id - Entry id
+   * @param {string} value - Comma-separated tags
+   */
+  async saveTags(id, value) {
+    try {
+      await this.library.updateTags(id, value.split(','));
+    } catch (error) {
+      console.error('[Library] Error saving tags:', error);
+    }
+
+    this.editingTagsId = null;
+    await this.refresh();
+  }
+
+  /**
+   * Delete an entry after confirmation
+   * @param {string} id - Entry id
+   */
+  async deleteEntry(id) {
+    const entry = this.entries.find((item) => item.id === id);
+    if (!entry || !confirm(`Delete the summary of "${entry.title}"?`)) {
+      return;
+    }
+
+    try {
+      await this.library.delete(id);
+    } catch (error) {
+      console.error('[Library] Error deleting summary:', error);
+    }
+
+    await this.refresh();
+  }
+
+  /**
+   * Format a timestamp or date string for display
+   * @param {number|string} value - Date value
+   * @returns {string} - Formatted date, the original string if unparseable, or ''
+   */
+  formatDate(value) {
+    if (!value) return '';
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return String(value);
+    }
+
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new KuiqleeLibrary();
+});
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KuiqleeLibrary;
+}
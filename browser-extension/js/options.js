@@ -8,11 +8,33 @@ class KuiqleeOptions {
     this.defaultSettings = {
       // Summary Configuration
       autoSummarize: false,
+
+      // Reading Mode (Cmd/Ctrl + Shift + F)
+      readingMode: 'focus',
+
+      // Summary preset used unless another is picked in the summary header, and edits
+      // to the built-in presets ({ [presetId]: { sections, length, tone, audience } })
+      summaryPreset: CONFIG.DEFAULT_SUMMARY_PRESET,
+      summaryPresets: {},
+
+      // Language summaries are written in ('auto' for the page's language)
+      summaryLanguage: CONFIG.DEFAULT_SUMMARY_LANGUAGE,
+
+      // How often a digest of recent summaries is built ('off', 'daily' or 'weekly')
+      digestSchedule: CONFIG.DEFAULT_DIGEST_SCHEDULE,
+
+      // Ask summaries to focus on the passages highlighted on the page
+      focusOnHighlights: false,
     };
 
     this.currentSettings = { ...this.defaultSettings };
     this.summaryDisplayMode = 'overlay'; // Default to overlay mode
+    this.providerSettings = { ...CONFIG.AI_PROVIDER_DEFAULTS }; // Kept apart: holds the API key
     this.feedbackModal = null; // Feedback modal instance
+    this.templateStore = new PromptTemplateStore();
+    this.promptBuilder = new AIPromptBuilder();
+    this.promptTemplates = [];
+    this.editingTemplateId = null; // Template open in the editor (null for a new one)
     this.init();
   }
 
@@ -26,9 +48,12 @@ class KuiqleeOptions {
     }
 
     await this.loadSettings();
+    this.providerSettings = await AIClientFactory.loadSettings();
     this.bindEvents();
     this.initializeFeedbackModal();
     this.updateUI();
+    this.updateProviderUI();
+    this.updateTemplateUI();
     this.updateAccountUI();
   }
 
@@ -110,6 +135,27 @@ class KuiqleeOptions {
     // Summary Configuration
     this.setElementValue('auto-summarize', this.currentSettings.autoSummarize);
 
+    // Reading Mode
+    this.setElementValue('reading-mode', this.currentSettings.readingMode);
+
+    // Summary Language
+    const languageSelect = document.getElementById('summary-language');
+    if (languageSelect) {
+      languageSelect.innerHTML = CONFIG.SUMMARY_LANGUAGES.map(
+        (language) => `<option value="${language.code}">${language.name}</option>`,
+      ).join('');
+    }
+    this.setElementValue('summary-language', this.currentSettings.summaryLanguage);
+
+    // Summary Presets
+    this.updatePresetUI();
+
+    // Digest
+    this.setElementValue('digest-schedule', this.currentSettings.digestSchedule);
+
+    // Highlights
+    this.setElementValue('focus-on-highlights', this.currentSettings.focusOnHighlights);
+
     // Summary Preferences
     this.setElementValue('include-key-points', this.currentSettings.includeKeyPoints);
     this.setElementValue('include-action-items', this.currentSettings.includeActionItems);
@@ -135,6 +181,7 @@ class KuiqleeOptions {
       'include-action-items',
       'include-concepts',
       'cache-summaries',
+      'focus-on-highlights',
     ];
     checkboxes.forEach((id) => {
       const element = document.getElementById(id);
@@ -144,7 +191,13 @@ class KuiqleeOptions {
     });
 
     // Select dropdowns
-    const selects = ['summary-length'];
+    const selects = [
+      'summary-length',
+      'reading-mode',
+      'summary-preset',
+      'summary-language',
+      'digest-schedule',
+    ];
     selects.forEach((id) => {
       const element = document.getElementById(id);
       if (element) {
@@ -163,6 +216,55 @@ class KuiqleeOptions {
       .getElementById('send-feedback-settings')
       ?.addEventListener('click', () => this.openFeedbackForm());
 
+    // Summary presets
+    document
+      .getElementById('preset-editor-select')
+      ?.addEventListener('change', (e) => this.showPresetEditor(e.target.value));
+    document.getElementById('save-preset-btn')?.addEventListener('click', () => this.savePreset());
+    document
+      .getElementById('reset-preset-btn')
+      ?.addEventListener('click', () => this.resetPreset());
+
+    // AI provider
+    document.getElementById('ai-provider')?.addEventListener('change', () => {
+      this.updateProviderFields();
+      this.setProviderStatus('');
+    });
+    document
+      .getElementById('test-provider-btn')
+      ?.addEventListener('click', () => this.testProviderConnection());
+    document
+      .getElementById('save-provider-btn')
+      ?.addEventListener('click', () => this.saveProviderSettings());
+
+    // Prompt templates
+    document
+      .getElementById('new-template-btn')
+      ?.addEventListener('click', () => this.showTemplateEditor());
+    document
+      .getElementById('cancel-template-btn')
+      ?.addEventListener('click', () => this.hideTemplateEditor());
+    document
+      .getElementById('save-template-btn')
+      ?.addEventListener('click', () => this.saveTemplate());
+    document
+      .getElementById('template-text')
+      ?.addEventListener('input', () => this.updateTemplateVariables());
+    document
+      .getElementById('template-variables')
+      ?.addEventListener('input', () => this.updateTemplatePreview());
+    document
+      .getElementById('export-templates-btn')
+      ?.addEventListener('click', () => this.exportTemplates());
+    document.getElementById('import-templates-btn')?.addEventListener('click', () => {
+      document.getElementById('import-templates-file')?.click();
+    });
+    document.getElementById('import-templates-file')?.addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      e.target.value = ''; // Allow importing the same file again
+      if (file) this.importTemplates(file);
+    });
+
     // Account management buttons
     document.getElementById('logout-btn')?.addEventListener('click', () => this.handleLogout());
     document
@@ -230,6 +332,17 @@ class KuiqleeOptions {
     ];
     if (summaryKeys.includes(settingName) && oldValue !== settingValue) {
       this.saveSettings(); // This will automatically clear cache due to setting change
+    } else if (
+      [
+        'readingMode',
+        'summaryPreset',
+        'summaryLanguage',
+        'digestSchedule',
+        'focusOnHighlights',
+      ].includes(settingName) &&
+      oldValue !== settingValue
+    ) {
+      this.saveSettings();
     }
 
     // Visual feedback
@@ -458,6 +571,402 @@ class KuiqleeOptions {
     }
   }
 
+  /**
+   * Fill the preset selects and show the default preset in the editor
+   */
+  updatePresetUI() {
+    const presets = SummaryPresets.getAll(this.currentSettings);
+    const optionsHTML = presets
+      .map((preset) => `<option value="${preset.id}">${preset.name}</option>`)
+      .join('');
+
+    ['summary-preset', 'preset-editor-select'].forEach((id) => {
+      const select = document.getElementById(id);
+      if (select) select.innerHTML = optionsHTML;
+    });
+
+    const defaultId = SummaryPresets.getDefaultId(this.currentSettings);
+    this.setElementValue('summary-preset', defaultId);
+    this.setElementValue('preset-editor-select', defaultId);
+    this.showPresetEditor(defaultId);
+  }
+
+  /**
+   * Fill the preset editor with a preset's sections, length, tone and audience
+   * @param {string} presetId - Preset id
+   */
+  showPresetEditor(presetId) {
+    const preset = SummaryPresets.get(presetId, this.currentSettings);
+
+    document.querySelectorAll('.preset-section').forEach((checkbox) => {
+      checkbox.checked = preset.sections[checkbox.dataset.section] !== false;
+    });
+    this.setElementValue('preset-length', preset.length);
+    this.setElementValue('preset-tone', preset.tone);
+    this.setElementValue('preset-audience', preset.audience);
+  }
+
+  /**
+   * Save the editor's values as the user's version of the preset
+   */
+  async savePreset() {
+    const presetId = document.getElementById('preset-editor-select')?.value;
+    if (!presetId) return;
+
+    const sections = {};
+    document.querySelectorAll('.preset-section').forEach((checkbox) => {
+      sections[checkbox.dataset.section] = checkbox.checked;
+    });
+
+    if (!Object.values(sections).some(Boolean)) {
+      this.showNotification('Choose at least one section for the preset', 'error');
+      return;
+    }
+
+    const builtIn = CONFIG.SUMMARY_PRESETS.find((preset) => preset.id === presetId);
+    const audience = document.getElementById('preset-audience')?.value.trim();
+
+    this.currentSettings.summaryPresets = {
+      ...this.currentSettings.summaryPresets,
+      [presetId]: {
+        sections,
+        length: document.getElementById('preset-length')?.value || builtIn.length,
+        tone: document.getElementById('preset-tone')?.value || builtIn.tone,
+        audience: audience || builtIn.audience,
+      },
+    };
+    await this.saveSettings();
+  }
+
+  /**
+   * Restore the built-in version of the preset in the editor
+   */
+  async resetPreset() {
+    const presetId = document.getElementById('preset-editor-select')?.value;
+    if (!presetId || !this.currentSettings.summaryPresets?.[presetId]) {
+      this.showPresetEditor(presetId);
+      return;
+    }
+
+    const { [presetId]: _removed, ...remaining } = this.currentSettings.summaryPresets;
+    this.currentSettings.summaryPresets = remaining;
+    this.showPresetEditor(presetId);
+    await this.saveSettings();
+  }
+
+  /**
+   * Fill the AI provider form from the saved provider settings
+   */
+  updateProviderUI() {
+    this.setElementValue('ai-provider', this.providerSettings.provider);
+    this.setElementValue('anthropic-api-key', this.providerSettings.anthropicApiKey);
+    this.setElementValue('anthropic-model', this.providerSettings.anthropicModel);
+    this.setElementValue('anthropic-base-url', this.providerSettings.anthropicBaseUrl);
+    this.setElementValue('local-endpoint', this.providerSettings.localEndpoint);
+    this.setElementValue('local-model', this.providerSettings.localModel);
+    this.updateProviderFields();
+  }
+
+  /**
+   * Show only the fields of the selected provider
+   */
+  updateProviderFields() {
+    const provider = document.getElementById('ai-provider')?.value;
+    const anthropicFields = document.getElementById('anthropic-fields');
+    const localFields = document.getElementById('local-fields');
+
+    if (anthropicFields) anthropicFields.style.display = provider === 'anthropic' ? 'flex' : 'none';
+    if (localFields) localFields.style.display = provider === 'local' ? 'flex' : 'none';
+  }
+
+  /**
+   * Read the AI provider form, falling back to defaults for empty fields
+   * @returns {Object} - Provider settings
+   */
+  readProviderForm() {
+    const value = (id) => document.getElementById(id)?.value.trim() || '';
+    const defaults = CONFIG.AI_PROVIDER_DEFAULTS;
+
+    return {
+      provider: value('ai-provider') || defaults.provider,
+      anthropicApiKey: value('anthropic-api-key'),
+      anthropicModel: value('anthropic-model') || defaults.anthropicModel,
+      anthropicBaseUrl: value('anthropic-base-url') || defaults.anthropicBaseUrl,
+      localEndpoint: value('local-endpoint') || defaults.localEndpoint,
+      localModel: value('local-model') || defaults.localModel,
+    };
+  }
+
+  /**
+   * Test the provider in the form (saved or not) with a short request
+   */
+  async testProviderConnection() {
+    const button = document.getElementById('test-provider-btn');
+    if (button) button.disabled = true;
+    this.setProviderStatus('Testing connection...');
+
+    try {
+      const client = await AIClientFactory.create(this.readProviderForm());
+      await client.testConnection();
+      this.setProviderStatus('Connected', 'success');
+    } catch (error) {
+      this.setProviderStatus(error.message, 'error');
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  /**
+   * Save the AI provider form. Open tabs switch provider right away.
+   */
+  async saveProviderSettings() {
+    const settings = this.readProviderForm();
+
+    try {
+      // Reject incomplete settings (such as a missing API key) before saving
+      await AIClientFactory.create(settings);
+      await AIClientFactory.saveSettings(settings);
+      this.providerSettings = settings;
+      this.updateProviderUI();
+      this.setProviderStatus('');
+      this.showNotification('AI provider saved', 'success');
+    } catch (error) {
+      console.error('Error saving AI provider:', error);
+      this.setProviderStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Show the result of a provider test or save next to the buttons
+   * @param {string} message - Status text
+   * @param {string} type - '', 'success' or 'error'
+   */
+  setProviderStatus(message, type = '') {
+    const status = document.getElementById('provider-status');
+    if (status) {
+      status.textContent = message;
+      status.className = `provider-status ${type}`.trim();
+    }
+  }
+
+  /**
+   * Load the saved prompt templates and list them
+   */
+  async updateTemplateUI() {
+    this.promptTemplates = await this.templateStore.getAll();
+
+    const list = document.getElementById('template-list');
+    const empty = document.getElementById('template-empty');
+    const exportButton = document.getElementById('export-templates-btn');
+    if (!list) return;
+
+    list.innerHTML = '';
+    this.promptTemplates.forEach((template) => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.className = 'template-name';
+      name.textContent = template.name;
+
+      const editButton = document.createElement('button');
+      editButton.type = 'button';
+      editButton.textContent = 'Edit';
+      editButton.addEventListener('click', () => this.showTemplateEditor(template));
+
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', () => this.deleteTemplate(template));
+
+      item.append(name, editButton, deleteButton);
+      list.appendChild(item);
+    });
+
+    if (empty) empty.style.display = this.promptTemplates.length > 0 ? 'none' : 'block';
+    if (exportButton) exportButton.disabled = this.promptTemplates.length === 0;
+  }
+
+  /**
+   * Open the template editor
+   * @param {Object|null} template - Template to edit, or null for a new one
+   */
+  showTemplateEditor(template = null) {
+    this.editingTemplateId = template?.id || null;
+    this.setElementValue('template-name', template?.name || '');
+    this.setElementValue('template-text', template?.template || '');
+
+    const variables = document.getElementById('template-variables');
+    if (variables) variables.innerHTML = '';
+    this.updateTemplateVariables(template?.variables || {});
+
+    const editor = document.getElementById('template-editor');
+    if (editor) editor.style.display = 'flex';
+    document.getElementById('template-name')?.focus();
+  }
+
+  /**
+   * Close the template editor without saving
+   */
+  hideTemplateEditor() {
+    this.editingTemplateId = null;
+    const editor = document.getElementById('template-editor');
+    if (editor) editor.style.display = 'none';
+  }
+
+  /**
+   * Show a default value field for each custom variable in the prompt, keeping typed values
+   * @param {Object} defaults - Default values to fill in when the fields are first built
+   */
+  updateTemplateVariables(defaults = {}) {
+    const container = document.getElementById('template-variables');
+    if (!container) return;
+
+    const current = { ...defaults, ...this.readTemplateVariables() };
+    const text = document.getElementById('template-text')?.value || '';
+
+    container.innerHTML = '';
+    this.templateStore.getVariables(text).forEach((variable) => {
+      const label = document.createElement('label');
+      label.className = 'preset-label';
+      label.textContent = `Default for {{${variable}}}`;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'template-variable';
+      input.dataset.variable = variable;
+      input.value = current[variable] ?? '';
+      input.placeholder = 'Asked for when the template runs';
+
+      input.id = `template-variable-${variable}`;
+      label.htmlFor = input.id;
+      container.append(label, input);
+    });
+
+    this.updateTemplatePreview();
+  }
+
+  /**
+   * Read the default values typed for the template's variables
+   * @returns {Object} - { [variable]: value }
+   */
+  readTemplateVariables() {
+    const values = {};
+    document.querySelectorAll('.template-variable').forEach((input) => {
+      values[input.dataset.variable] = input.value;
+    });
+    return values;
+  }
+
+  /**
+   * Render the prompt for an example page and show its size and estimated cost
+   */
+  updateTemplatePreview() {
+    const preview = document.getElementById('template-preview');
+    const stats = document.getElementById('template-stats');
+    const text = document.getElementById('template-text')?.value.trim() || '';
+    if (!preview || !stats) return;
+
+    if (!text) {
+      preview.textContent = '';
+      stats.textContent = '';
+      return;
+    }
+
+    const prompt = this.promptBuilder.buildCustomPrompt(
+      '[The page text goes here]',
+      {
+        title: 'Example article title',
+        url: 'https://example.com/article',
+        domain: 'example.com',
+        contentType: 'article',
+        wordCount: 1200,
+        readabilityScore: 60,
+        hasHeadings: true,
+        language: 'en',
+      },
+      text,
+      this.readTemplateVariables(),
+    );
+    const { wordCount, estimatedTokens, estimatedCost } = this.promptBuilder.getPromptStats(prompt);
+
+    preview.textContent = prompt;
+    stats.textContent =
+      `${wordCount} words, about ${estimatedTokens} tokens ($${estimatedCost.toFixed(4)}) ` +
+      'plus the page text';
+  }
+
+  /**
+   * Save the template in the editor
+   */
+  async saveTemplate() {
+    try {
+      await this.templateStore.save({
+        id: this.editingTemplateId,
+        name: document.getElementById('template-name')?.value || '',
+        template: document.getElementById('template-text')?.value || '',
+        variables: this.readTemplateVariables(),
+      });
+      this.hideTemplateEditor();
+      await this.updateTemplateUI();
+      this.showNotification('Template saved', 'success');
+    } catch (error) {
+      console.error('Error saving template:', error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * Delete a template after confirmation
+   * @param {Object} template - Template to delete
+   */
+  async deleteTemplate(template) {
+    if (!confirm(`Delete the template "${template.name}"?`)) {
+      return;
+    }
+
+    await this.templateStore.remove(template.id);
+    if (this.editingTemplateId === template.id) {
+      this.hideTemplateEditor();
+    }
+    await this.updateTemplateUI();
+  }
+
+  /**
+   * Download every template as a JSON file
+   */
+  exportTemplates() {
+    if (this.promptTemplates.length === 0) return;
+
+    const blob = new Blob([this.templateStore.exportTemplates(this.promptTemplates)], {
+      type: 'application/json;charset=utf-8',
+    });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'kuiqlee-prompt-templates.json';
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Add the templates from an exported file
+   * @param {File} file - Selected JSON file
+   */
+  async importTemplates(file) {
+    try {
+      const count = await this.templateStore.importTemplates(await file.text());
+      await this.updateTemplateUI();
+      this.showNotification(`Imported ${count} template${count === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+      console.error('Error importing templates:', error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
   /**
    * Broadcast settings update to all tabs
    */
@@ -602,11 +1111,98 @@ Usage Statistics:
         cancelBtn.style.display = 'none';
         upgradeBtn.style.display = 'inline-flex';
       }
+
+      this.updateSessionsUI();
     } else {
       accountSection.style.display = 'none';
     }
   }
 
+  /**
+   * List the devices signed in to the account, each with a sign-out button
+   */
+  async updateSessionsUI() {
+    const list = document.getElementById('session-list');
+    const status = document.getElementById('session-status');
+    if (!list || typeof authManager === 'undefined') return;
+
+    let sessions;
+    try {
+      sessions = await authManager.getSessions();
+      status.textContent = sessions.length ? '' : 'No active sessions.';
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      list.innerHTML = '';
+      status.textContent = 'Could not load sessions.';
+      return;
+    }
+
+    list.innerHTML = '';
+    sessions.forEach((session) => {
+      const item = document.createElement('li');
+      const details = document.createElement('div');
+      details.className = 'session-details';
+
+      const name = document.createElement('span');
+      name.className = 'session-name';
+      name.textContent = session.deviceName || 'Unknown device';
+      if (session.current) {
+        const current = document.createElement('span');
+        current.className = 'session-current';
+        current.textContent = 'This device';
+        name.appendChild(current);
+      }
+
+      const meta = document.createElement('span');
+      meta.className = 'session-meta';
+      meta.textContent = [
+        `Last active ${new Date(session.lastUsedAt).toLocaleString()}`,
+        `signed in ${new Date(session.createdAt).toLocaleDateString()}`,
+        session.ipAddress,
+      ]
+        .filter(Boolean)
+        .join(' · ');
+
+      details.append(name, meta);
+
+      const revokeButton = document.createElement('button');
+      revokeButton.type = 'button';
+      revokeButton.textContent = 'Sign out';
+      revokeButton.addEventListener('click', () => this.revokeSession(session, revokeButton));
+
+      item.append(details, revokeButton);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Sign out one session
+   * @param {Object} session - Session from the sessions list
+   * @param {HTMLButtonElement} button - The session's sign-out button
+   */
+  async revokeSession(session, button) {
+    const message = session.current
+      ? 'Sign out of Kuiqlee on this device?'
+      : `Sign out "${session.deviceName || 'Unknown device'}"?`;
+    if (!confirm(message)) return;
+
+    button.disabled = true;
+    try {
+      await authManager.revokeSession(session.id);
+      this.showNotification('Session signed out', 'success');
+
+      if (session.current) {
+        this.updateAccountUI();
+      } else {
+        this.updateSessionsUI();
+      }
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      this.showNotification(error.message || 'Failed to sign out session', 'error');
+      button.disabled = false;
+    }
+  }
+
   /**
    * Check for recent subscription updates on page load
    */
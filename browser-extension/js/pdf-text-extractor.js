@@ -0,0 +1,352 @@
+/**
+ * PDF Text Extractor
+ * Recovers page text, section headings and page numbers from PDFs opened in Chrome's PDF viewer,
+ * so they can go through the usual analysis pipeline. Parsing is done by the vendored pdf.js
+ * (vendor/pdfjs, a web-accessible resource); this class turns its positioned text into
+ * paragraphs and headings. Encrypted PDFs and scanned pages (images without a text layer)
+ * can't be read.
+ */
+
+class PdfTextExtractor {
+  constructor() {
+    this.headingScale = 1.15; // Lines this much larger than body text are headings
+    this.maxHeadingLength = 120;
+    this.paragraphGapScale = 1.6; // Vertical gaps this many body lines tall start a paragraph
+    this.pdfjsPath = 'vendor/pdfjs/';
+    this.pdfjsPromise = null;
+  }
+
+  /**
+   * Download and parse a PDF
+   * @param {string} url - PDF URL (the file itself is the only request made)
+   * @returns {Promise<Object>} - { title, pageCount, pages: [{ number, blocks, text }] }
+   */
+  async extract(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`Could not download the PDF (HTTP ${response.status})`);
+    }
+
+    return this.parse(new Uint8Array(await response.arrayBuffer()));
+  }
+
+  /**
+   * Parse PDF bytes
+   * @param {Uint8Array} bytes - PDF file contents
+   * @returns {Promise<Object>} - { title, pageCount, pages: [{ number, blocks, text }] }
+   */
+  async parse(bytes) {
+    const pdfjsLib = await this.loadPdfJs();
+    let pdf;
+    try {
+      pdf = await pdfjsLib.getDocument({
+        data: bytes,
+        cMapUrl: this.getResourceUrl('cmaps/'),
+        cMapPacked: true,
+        isEvalSupported: false,
+      }).promise;
+    } catch (error) {
+      if (error?.name === 'PasswordException') {
+        throw new Error('Password-protected PDFs are not supported');
+      }
+      if (error?.name === 'InvalidPDFException') {
+        throw new Error('This file is not a PDF');
+      }
+      throw error;
+    }
+
+    try {
+      const pageLines = [];
+      for (let number = 1; number <= pdf.numPages; number++) {
+        const page = await pdf.getPage(number);
+        pageLines.push(this.buildLines((await page.getTextContent()).items));
+        page.cleanup();
+      }
+
+      const bodySize = this.getBodyFontSize(pageLines);
+      const pages = pageLines.map((lines, index) => {
+        const blocks = this.buildBlocks(lines, bodySize);
+        return {
+          number: index + 1,
+          blocks,
+          text: blocks.map((block) => block.text).join('\n\n'),
+        };
+      });
+
+      if (pages.every((page) => !page.text)) {
+        throw new Error('This PDF has no text layer (it may be a scanned document)');
+      }
+
+      const metadata = await pdf.getMetadata().catch(() => null);
+      return {
+        title: this.getDocumentTitle(metadata?.info?.Title, pages, pageLines[0] || [], bodySize),
+        pageCount: pages.length,
+        pages,
+      };
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  /**
+   * Load pdf.js from the extension package (once per page)
+   * @returns {Promise<Object>} - pdf.js module
+   */
+  loadPdfJs() {
+    if (!this.pdfjsPromise) {
+      this.pdfjsPromise = (async () => {
+        const pdfjsLib = await import(this.getResourceUrl('pdf.min.mjs'));
+        // A worker started from a content script runs under the page's origin and CSP, so give
+        // pdf.js its worker code up front and let it parse on this thread
+        globalThis.pdfjsWorker = await import(this.getResourceUrl('pdf.worker.min.mjs'));
+        return pdfjsLib;
+      })();
+      this.pdfjsPromise.catch(() => {
+        this.pdfjsPromise = null;
+      });
+    }
+    return this.pdfjsPromise;
+  }
+
+  /**
+   * Get the URL of a vendored pdf.js file
+   * @param {string} path - Path inside vendor/pdfjs
+   * @returns {string} - Extension URL
+   */
+  getResourceUrl(path) {
+    return chrome.runtime.getURL(this.pdfjsPath + path);
+  }
+
+  /**
+   * Find the page a quote comes from
+   * @param {Object} pdfDocument - Result of parse()
+   * @param {string} quote - Quote from the summary
+   * @returns {number|null} - Page number or null
+   */
+  findPageForQuote(pdfDocument, quote) {
+    const target = this.normalizeForSearch(quote);
+    if (!target || !pdfDocument?.pages) {
+      return null;
+    }
+
+    // Fall back to the opening words when the quote spans a page break or was paraphrased
+    const opening = target.split(' ').slice(0, 6).join(' ');
+
+    for (const candidate of [target, opening]) {
+      const page = pdfDocument.pages.find((item) => {
+        item.searchText = item.searchText || this.normalizeForSearch(item.text);
+        return item.searchText.includes(candidate);
+      });
+      if (page) {
+        return page.number;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize text for quote lookup (lowercase letters and digits separated by single spaces)
+   * @param {string} text - Text to normalize
+   * @returns {string} - Normalized text
+   */
+  normalizeForSearch(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Layout
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Join pdf.js text items into lines in content order
+   * @param {Array<Object>} items - getTextContent() items ({ str, transform, width, hasEOL })
+   * @returns {Array<Object>} - [{ text, y, size }]
+   */
+  buildLines(items) {
+    const lines = [];
+    let line = null;
+
+    const finishLine = () => {
+      const text = line?.text.replace(/\s+/g, ' ').trim();
+      if (text) {
+        lines.push({ ...line, text });
+      }
+      line = null;
+    };
+
+    items.forEach((item) => {
+      if (typeof item.str !== 'string') return; // Marked content
+
+      const [, , c, d, x, y] = item.transform;
+      const size = Math.hypot(c, d);
+
+      if (line && Math.abs(line.y - y) > Math.max(line.size, size) * 0.5) {
+        finishLine();
+      }
+
+      if (item.str) {
+        if (!line) {
+          line = { text: '', y, size, end: x };
+        }
+        // Items on one line may not carry the space between them
+        const gap = x - line.end;
+        if (gap > size * 0.15 && !/\s$/.test(line.text) && !/^\s/.test(item.str)) {
+          line.text += ' ';
+        }
+        line.text += item.str;
+        line.size = Math.max(line.size, size);
+        line.end = x + item.width;
+      }
+
+      if (item.hasEOL) {
+        finishLine();
+      }
+    });
+
+    finishLine();
+    return lines.map(({ text, y, size }) => ({ text, y, size }));
+  }
+
+  /**
+   * Get the document title from the metadata, or the largest text on page one
+   * @param {string} metadataTitle - Title from the document information
+   * @param {Array<Object>} pages - Parsed pages
+   * @param {Array<Object>} firstPageLines - Text lines of page one
+   * @param {number} bodySize - Body text font size
+   * @returns {string} - Title or ''
+   */
+  getDocumentTitle(metadataTitle, pages, firstPageLines, bodySize) {
+    const title = typeof metadataTitle === 'string' ? metadataTitle.trim() : '';
+    const isPlaceholder =
+      /^(untitled|microsoft word)/i.test(title) || /\.(docx?|pdf|tex)$/i.test(title);
+    if (title && !isPlaceholder) {
+      return title;
+    }
+
+    const largest = firstPageLines
+      .filter((line) => line.size > bodySize && line.text.length > 3)
+      .sort((a, b) => b.size - a.size)[0];
+    if (largest) {
+      // Multi-line titles share the largest size
+      return firstPageLines
+        .filter((line) => Math.abs(line.size - largest.size) < 0.5)
+        .map((line) => line.text)
+        .join(' ')
+        .slice(0, 200);
+    }
+
+    return pages[0]?.blocks[0]?.text.slice(0, 120) || '';
+  }
+
+  /**
+   * Find the most common font size, weighted by amount of text
+   * @param {Array<Array<Object>>} pageLines - Lines of every page
+   * @returns {number} - Body text size
+   */
+  getBodyFontSize(pageLines) {
+    const weights = new Map();
+    pageLines.flat().forEach((line) => {
+      const size = Math.round(line.size * 2) / 2;
+      weights.set(size, (weights.get(size) || 0) + line.text.length);
+    });
+
+    let bodySize = 0;
+    let maxWeight = 0;
+    weights.forEach((weight, size) => {
+      if (weight > maxWeight) {
+        maxWeight = weight;
+        bodySize = size;
+      }
+    });
+    return bodySize || 10;
+  }
+
+  /**
+   * Group lines into headings and paragraphs
+   * @param {Array<Object>} lines - Page lines in content order
+   * @param {number} bodySize - Body text size
+   * @returns {Array<Object>} - [{ type: 'heading'|'paragraph', text }]
+   */
+  buildBlocks(lines, bodySize) {
+    const blocks = [];
+    const maxLineGap = bodySize * 1.2 * this.paragraphGapScale;
+    let previous = null;
+
+    lines.forEach((line) => {
+      // Page numbers and other stray numbers
+      if (/^\d{1,4}$/.test(line.text)) return;
+
+      const type = this.isHeadingLine(line, bodySize) ? 'heading' : 'paragraph';
+      const last = blocks[blocks.length - 1];
+      const gap = previous ? previous.y - line.y : 0;
+
+      const continues =
+        last &&
+        last.type === type &&
+        gap > 0 &&
+        gap <= (type === 'heading' ? line.size * 1.6 : maxLineGap) &&
+        Math.abs(previous.size - line.size) < bodySize * 0.2;
+
+      if (continues) {
+        last.text = this.joinLines(last.text, line.text);
+      } else {
+        blocks.push({ type, text: line.text });
+      }
+      previous = line;
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Whether a line looks like a section heading
+   * @param {Object} line - { text, size }
+   * @param {number} bodySize - Body text size
+   * @returns {boolean} - True for headings
+   */
+  isHeadingLine(line, bodySize) {
+    const { text } = line;
+    if (text.length > this.maxHeadingLength || /[.,;:]$/.test(text) || !/\p{L}/u.test(text)) {
+      return false;
+    }
+
+    if (line.size >= bodySize * this.headingScale) {
+      return true;
+    }
+
+    // pdf.js text has no font weight, so body-size headings are only caught when numbered,
+    // such as "3.1 Method"
+    return (
+      text.length <= 80 &&
+      line.size >= bodySize * 0.95 &&
+      /^\d+(\.\d+)*\.?\s+\p{Lu}[^.!?]*$/u.test(text)
+    );
+  }
+
+  /**
+   * Join two lines of a paragraph, undoing end-of-line hyphenation
+   * @param {string} first - Text so far
+   * @param {string} next - Next line
+   * @returns {string} - Joined text
+   */
+  joinLines(first, next) {
+    if (/\p{L}-$/u.test(first) && /^\p{Ll}/u.test(next)) {
+      return first.slice(0, -1) + next;
+    }
+    return `${first} ${next}`;
+  }
+}
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.PdfTextExtractor = PdfTextExtractor;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PdfTextExtractor;
+}
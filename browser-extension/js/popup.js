@@ -12,6 +12,7 @@ class KuiqleePopup {
     this.initTimeout = null;
     this.statusPolling = null; // Track status polling interval
     this.currentView = 'main'; // Track current view (main or feedback)
+    this.usesProxy = true; // False when summaries use the user's own key or local model
     this.init();
   }
 
@@ -163,6 +164,7 @@ class KuiqleePopup {
     try {
       const result = await chrome.storage.sync.get('readfocusSettings');
       this.settings = result.readfocusSettings || this.getDefaultSettings();
+      this.usesProxy = await AIClientFactory.usesProxy();
     } catch (error) {
       console.error('Error loading settings:', error);
       this.settings = this.getDefaultSettings();
@@ -199,10 +201,24 @@ class KuiqleePopup {
       await chrome.scripting.executeScript({
         target: { tabId: this.currentTab.id },
         files: [
+          'js/config.js',
+          'js/html-escape.js',
           'js/proxy-ai-client.js',
+          'js/ai-provider-client.js',
+          'js/ai-client-factory.js',
           'js/content-analyzer.js',
+          'js/pdf-text-extractor.js',
+          'js/transcript-extractor.js',
+          'js/ai-prompt-builder.js',
+          'js/summary-presets.js',
+          'js/prompt-template-store.js',
           'js/content-summary-service.js',
+          'js/text-anchor.js',
+          'js/highlight-manager.js',
+          'js/summary-exporter.js',
           'js/summary-overlay.js',
+          'js/focus-mode-overlay.js',
+          'js/reading-helper-overlay.js',
           'js/content.js',
         ],
       });
@@ -249,6 +265,30 @@ class KuiqleePopup {
       this.showHowItWorksPage();
     });
 
+    // Library button
+    document.getElementById('open-library')?.addEventListener('click', () => {
+      this.closeMenu();
+      this.openLibrary();
+    });
+
+    // Read later list button
+    document.getElementById('open-read-later')?.addEventListener('click', () => {
+      this.closeMenu();
+      this.openReadLater();
+    });
+
+    // Digest button
+    document.getElementById('open-digest')?.addEventListener('click', () => {
+      this.closeMenu();
+      this.openDigest();
+    });
+
+    // Multi-tab synthesis button
+    document.getElementById('open-synthesis')?.addEventListener('click', () => {
+      this.closeMenu();
+      this.openSynthesis();
+    });
+
     // Settings button
     document.getElementById('open-settings')?.addEventListener('click', () => {
       this.closeMenu();
@@ -288,8 +328,8 @@ class KuiqleePopup {
       const button = document.getElementById('generate-summary');
       if (!button) return;
 
-      // Check if user is authenticated
-      if (authManager && !authManager.isAuthenticated()) {
+      // Check if user is authenticated (only the hosted proxy needs an account)
+      if (this.usesProxy && authManager && !authManager.isAuthenticated()) {
         // Redirect to sign in
         this.handleSignIn();
         return;
@@ -305,6 +345,11 @@ class KuiqleePopup {
       await this.handleSummarizeAction();
     });
 
+    // Save the page to summarize and read later (needs no account or usage)
+    document.getElementById('save-for-later')?.addEventListener('click', () => {
+      this.handleSaveForLater();
+    });
+
     document.getElementById('show-summary')?.addEventListener('click', async () => {
       await this.showSummary();
     });
@@ -321,7 +366,9 @@ class KuiqleePopup {
 
       if (statusDot && statusText) {
         statusDot.className = 'status-dot connected';
-        statusText.textContent = 'API ready via proxy';
+        statusText.textContent = this.usesProxy
+          ? 'API ready via proxy'
+          : 'Using your own AI provider';
       }
 
       // Summary section is always available
@@ -337,6 +384,38 @@ class KuiqleePopup {
     }
   }
 
+  /**
+   * Open the summary library page
+   */
+  openLibrary() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+    window.close();
+  }
+
+  /**
+   * Open the read later list
+   */
+  openReadLater() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('read-later.html') });
+    window.close();
+  }
+
+  /**
+   * Open the digest of recent summaries
+   */
+  openDigest() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('digest.html') });
+    window.close();
+  }
+
+  /**
+   * Open the page that compares and combines several open tabs
+   */
+  openSynthesis() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('synthesis.html') });
+    window.close();
+  }
+
   /**
    * Open settings page
    */
@@ -724,12 +803,52 @@ class KuiqleePopup {
       generateBtn.disabled = true;
       generateBtn.innerHTML = '<span class="button-icon">🚫</span>Invalid Page';
     }
+    const saveBtn = document.getElementById('save-for-later');
+    if (saveBtn) {
+      saveBtn.disabled = true;
+    }
+
+    // PDFs opened from disk can't be downloaded by the content script
+    const isLocalPdf = /^file:\/\/.*\.pdf$/i.test(this.currentTab?.url || '');
 
     this.showErrorMessage(
-      'Kuiqlee only works on regular web pages (http/https). Please navigate to a website to use summary features.',
+      isLocalPdf
+        ? 'Kuiqlee can only summarize PDFs opened from the web (http/https), not local files.'
+        : 'Kuiqlee only works on web pages and online PDFs (http/https). Please navigate to a website to use summary features.',
     );
   }
 
+  /**
+   * Save the current page's article to the read later list
+   */
+  async handleSaveForLater() {
+    const button = document.getElementById('save-for-later');
+    if (!button || button.disabled) return;
+
+    button.disabled = true;
+    button.innerHTML = '<span class="button-icon">⏳</span>Saving...';
+
+    try {
+      await this.ensureContentScriptsInjected();
+
+      const response = await chrome.runtime.sendMessage({
+        type: 'SAVE_FOR_LATER',
+        tabId: this.currentTab.id,
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not save this page');
+      }
+
+      button.innerHTML = '<span class="button-icon">✓</span>Saved';
+      this.showSuccessMessage('Saved to your read later list');
+    } catch (error) {
+      console.error('Save for later failed:', error);
+      button.disabled = false;
+      button.innerHTML = '<span class="button-icon">🔖</span>Save for later';
+      this.showErrorMessage(error.message);
+    }
+  }
+
   /**
    * Handle summarize button action - simplified flow
    */
@@ -769,7 +888,8 @@ class KuiqleePopup {
           },
         }),
         new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Request timeout')), 20000);
+          // Long documents are summarized in several parts, so allow plenty of time
+          setTimeout(() => reject(new Error('Request timeout')), 120000);
         }),
       ]);
 
@@ -836,8 +956,9 @@ class KuiqleePopup {
   /**
    * Update summary button state
    * @param {string} status - Status type (processing, completed, error, ready)
+   * @param {Object|null} progress - Chunk progress ({ stage, current, total }) while processing
    */
-  updateSummaryStatus(status) {
+  updateSummaryStatus(status, progress = null) {
     // Update main button state
     const generateBtn = document.getElementById('generate-summary');
     if (generateBtn) {
@@ -848,7 +969,11 @@ class KuiqleePopup {
       let isPremium = false;
       let hasUsageRemaining = false;
 
-      if (authManager && authManager.isAuthenticated()) {
+      if (!this.usesProxy) {
+        // Own-key and local providers have no account or usage limit
+        isAuthenticated = true;
+        hasUsageRemaining = true;
+      } else if (authManager && authManager.isAuthenticated()) {
         // Use auth manager data if available
         isAuthenticated = true;
         isPremium = authManager.isPremium();
@@ -865,7 +990,7 @@ class KuiqleePopup {
               isPremium = preloadedData.usage ? preloadedData.usage.isPremium : false;
               hasUsageRemaining =
                 isPremium || (preloadedData.usage ? preloadedData.usage.remaining > 0 : true);
-              this.updateSummaryStatus(status); // Recursive call with updated data
+              this.updateSummaryStatus(status, progress); // Recursive call with updated data
             }
           });
         } catch (error) {
@@ -885,7 +1010,9 @@ class KuiqleePopup {
         generateBtn.disabled = isProcessing ? true : !hasUsageRemaining;
 
         if (isProcessing) {
-          generateBtn.innerHTML = '<span class="button-icon">⏳</span>Processing...';
+          generateBtn.innerHTML = `<span class="button-icon">⏳</span>${this.getProgressLabel(
+            progress,
+          )}`;
           // Start polling for completion if not already polling
           this.startStatusPolling();
         } else if (!hasUsageRemaining) {
@@ -909,6 +1036,23 @@ class KuiqleePopup {
     }
   }
 
+  /**
+   * Get the processing label for the summary button
+   * @param {Object|null} progress - Chunk progress ({ stage, current, total })
+   * @returns {string} - Button label
+   */
+  getProgressLabel(progress) {
+    if (!progress || !progress.total) {
+      return 'Processing...';
+    }
+
+    if (progress.stage === 'merge') {
+      return `Combining ${progress.total} parts...`;
+    }
+
+    return `Part ${progress.current} of ${progress.total}...`;
+  }
+
   /**
    * Start polling for status updates when processing
    */
@@ -953,7 +1097,7 @@ class KuiqleePopup {
 
           // If generating, always show processing state
           if (response?.isGenerating) {
-            this.updateSummaryStatus('processing');
+            this.updateSummaryStatus('processing', response.progress);
             return;
           }
 
@@ -1109,6 +1253,13 @@ class KuiqleePopup {
 
     if (!usageStatusDiv || !usageText || !upgradeButton) return;
 
+    // Free tier usage only applies to the hosted proxy
+    if (!this.usesProxy) {
+      usageStatusDiv.style.display = 'none';
+      upgradeButton.style.display = 'none';
+      return;
+    }
+
     // OPTIMIZATION: Check auth and usage with fallback to preloaded data
     let isAuthenticated = false;
     let isPremium = false;
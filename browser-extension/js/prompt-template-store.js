@@ -0,0 +1,223 @@
+/**
+ * Prompt Template Store
+ * Named prompt templates the user writes in settings and runs from the overlay's Custom tab.
+ * Templates use {{placeholder}} variables filled by AIPromptBuilder.buildCustomPrompt and
+ * are kept in chrome.storage.local, which has room for long templates.
+ */
+
+class PromptTemplateStore {
+  constructor() {
+    this.storageKey = CONFIG.PROMPT_TEMPLATES_STORAGE_KEY;
+    this.exportFormat = 'kuiqlee-prompt-templates';
+    this.exportVersion = 1;
+
+    // Filled from the page by buildCustomPrompt, so they never need a value from the user
+    this.pageVariables = [
+      'content',
+      'title',
+      'url',
+      'domain',
+      'contentType',
+      'wordCount',
+      'readabilityScore',
+      'hasHeadings',
+      'language',
+    ];
+  }
+
+  /**
+   * Get every saved template
+   * @returns {Promise<Array<Object>>} - Templates sorted by name
+   */
+  async getAll() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      const templates = Array.isArray(result[this.storageKey]) ? result[this.storageKey] : [];
+      return templates.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('❌ [PromptTemplateStore] Failed to load templates:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get one template
+   * @param {string} id - Template id
+   * @returns {Promise<Object|null>} - Template, or null if it was deleted
+   */
+  async get(id) {
+    const templates = await this.getAll();
+    return templates.find((template) => template.id === id) || null;
+  }
+
+  /**
+   * Create or update a template
+   * @param {Object} template - { id?, name, template, variables }
+   * @returns {Promise<Object>} - Stored template
+   */
+  async save(template) {
+    const normalized = this.normalize(template);
+    const templates = await this.getAll();
+    const existing = templates.find((item) => item.id === template.id);
+    const now = Date.now();
+
+    const stored = {
+      ...normalized,
+      id: existing?.id || this.generateId(),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+
+    await this.write([...templates.filter((item) => item.id !== stored.id), stored]);
+    return stored;
+  }
+
+  /**
+   * Delete a template
+   * @param {string} id - Template id
+   */
+  async remove(id) {
+    const templates = await this.getAll();
+    await this.write(templates.filter((template) => template.id !== id));
+  }
+
+  /**
+   * Serialize templates for download
+   * @param {Array<Object>} templates - Templates to export
+   * @returns {string} - JSON file contents
+   */
+  exportTemplates(templates) {
+    return JSON.stringify(
+      {
+        format: this.exportFormat,
+        version: this.exportVersion,
+        exportedAt: new Date().toISOString(),
+        templates: templates.map(({ name, template, variables }) => ({
+          name,
+          template,
+          variables,
+        })),
+      },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * Import templates from an exported file, renaming any that clash with existing names
+   * @param {string} json - File contents
+   * @returns {Promise<number>} - Number of templates imported
+   */
+  async importTemplates(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('This file is not valid JSON.');
+    }
+
+    // Accept a bare array of templates as well as a full export file
+    const incoming = Array.isArray(data) ? data : data?.templates;
+    if (!Array.isArray(incoming) || (!Array.isArray(data) && data.format !== this.exportFormat)) {
+      throw new Error('This file does not contain Kuiqlee prompt templates.');
+    }
+
+    const templates = await this.getAll();
+    const names = new Set(templates.map((template) => template.name));
+    const now = Date.now();
+
+    const imported = incoming.map((template) => {
+      const normalized = this.normalize(template);
+      const name = this.uniqueName(normalized.name, names);
+      names.add(name);
+      return { ...normalized, name, id: this.generateId(), createdAt: now, updatedAt: now };
+    });
+
+    await this.write([...templates, ...imported]);
+    return imported.length;
+  }
+
+  /**
+   * List the custom variables a template uses, in order of first use
+   * @param {string} templateText - Template text
+   * @returns {Array<string>} - Variable names, excluding page variables
+   */
+  getVariables(templateText) {
+    const names = [];
+    for (const match of (templateText || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+      if (!this.pageVariables.includes(match[1]) && !names.includes(match[1])) {
+        names.push(match[1]);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Validate a template and keep defaults only for variables it uses
+   * @param {Object} template - Template to check
+   * @returns {Object} - { name, template, variables }
+   */
+  normalize(template) {
+    const name = typeof template?.name === 'string' ? template.name.trim() : '';
+    const text = typeof template?.template === 'string' ? template.template.trim() : '';
+
+    if (!name) {
+      throw new Error('Give the template a name.');
+    }
+    if (!text) {
+      throw new Error(`Template "${name}" is empty.`);
+    }
+    if (text.length > CONFIG.MAX_PROMPT_TEMPLATE_LENGTH) {
+      throw new Error(
+        `Template "${name}" is longer than ${CONFIG.MAX_PROMPT_TEMPLATE_LENGTH} characters.`,
+      );
+    }
+
+    const defaults = template.variables || {};
+    const variables = Object.fromEntries(
+      this.getVariables(text).map((variable) => [variable, String(defaults[variable] ?? '')]),
+    );
+
+    return { name, template: text, variables };
+  }
+
+  /**
+   * Add a number to a name until it no longer clashes
+   * @param {string} name - Preferred name
+   * @param {Set<string>} names - Names already taken
+   * @returns {string} - Unused name
+   */
+  uniqueName(name, names) {
+    let candidate = name;
+    for (let count = 2; names.has(candidate); count++) {
+      candidate = `${name} (${count})`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Generate a template id
+   * @returns {string} - Id
+   */
+  generateId() {
+    return `tpl_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Replace the stored templates
+   * @param {Array<Object>} templates - Templates to store
+   */
+  async write(templates) {
+    await chrome.storage.local.set({ [this.storageKey]: templates });
+  }
+}
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.PromptTemplateStore = PromptTemplateStore;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PromptTemplateStore;
+}
@@ -6,6 +6,7 @@
 class ProxyAIClient {
   constructor() {
     this.baseURL = CONFIG.API_BASE_URL;
+    this.requiresAccount = true; // Requests count against the signed-in user's plan
     this.rateLimitDelay = 1000;
     this.lastRequestTime = 0;
   }
@@ -18,18 +19,24 @@ class ProxyAIClient {
   }
 
   /**
-   * Test connection to your proxy API
+   * Test connection to your proxy API with the signed-in user's usage check, which doesn't
+   * count as a summary
    */
   async testConnection() {
-    const testPrompt = 'Respond with just "OK" to confirm the connection.';
-
     try {
-      const response = await this.makeRequest(testPrompt);
-      if (response && typeof response === 'string' && response.toLowerCase().includes('ok')) {
-        return true;
-      } else {
-        throw new Error('Unexpected response from proxy API');
+      if (typeof authManager !== 'undefined' && !authManager.isAuthenticated()) {
+        throw new Error('Authentication required. Please sign in to use Kuiqlee.');
+      }
+
+      const response = await fetch(`${this.baseURL}/usage?action=check`, {
+        method: 'GET',
+        headers: await this.buildHeaders(),
+      });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Request failed: ${response.status}`);
       }
+      return true;
     } catch (error) {
       console.error('❌ [ProxyAIClient] Connection test failed:', error);
       throw error;
@@ -52,11 +59,13 @@ class ProxyAIClient {
   }
 
   /**
-   * Make request to your proxy API with retry logic
-   * @param {string} prompt - The prompt to send
-   * @param {Object} options - Additional options
+   * Send a request to your proxy API with retry logic
+   * @param {string} path - Endpoint path with query, e.g. 'summarize?action=summary'
+   * @param {Object} body - Request body
+   * @param {string} resultField - Response field that must be present for success
+   * @returns {Promise<Object>} - Response data
    */
-  async makeRequest(prompt, options = {}) {
+  async requestWithRetry(path, body, resultField) {
     // Check authentication first
     if (typeof authManager !== 'undefined' && !authManager.isAuthenticated()) {
       throw new Error('Authentication required. Please sign in to use Kuiqlee.');
@@ -72,43 +81,10 @@ class ProxyAIClient {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 seconds
 
-        // Prepare headers
-        const headers = {
-          'Content-Type': 'application/json',
-        };
-
-        // Add authorization token if available
-        if (typeof authManager !== 'undefined') {
-          const token = authManager.getToken();
-          if (token) {
-            headers.Authorization = `Bearer ${token}`;
-          }
-        }
-
-        // Get current page domain for usage tracking
-        let domain = '';
-        let url = '';
-        if (typeof window !== 'undefined' && window.location) {
-          try {
-            url = window.location.href;
-            domain = new URL(url).hostname;
-          } catch (e) {
-            // Ignore URL parsing errors
-          }
-        }
-
-        const response = await fetch(`${this.baseURL}/smart-summarizer`, {
+        const response = await fetch(`${this.baseURL}/${path}`, {
           method: 'POST',
-          headers,
-          body: JSON.stringify({
-            prompt,
-            options: {
-              maxTokens: options.maxTokens || 8192,
-              temperature: options.temperature || 0.3,
-            },
-            domain,
-            url,
-          }),
+          headers: await this.buildHeaders(),
+          body: JSON.stringify(body),
           signal: controller.signal,
         });
 
@@ -116,51 +92,33 @@ class ProxyAIClient {
         this.lastRequestTime = Date.now();
 
         if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-
-          // Handle authentication errors
-          if (response.status === 401 && errorData.requiresAuth) {
-            if (typeof authManager !== 'undefined') {
-              await authManager.handleAuthError();
-            }
-            throw new Error('Authentication required. Please sign in to continue.');
-          }
-
-          // Handle usage limit errors
-          if (response.status === 403 && errorData.limitReached) {
-            if (typeof usageTracker !== 'undefined') {
-              usageTracker.handleLimitReached(errorData);
-            }
-            throw new Error(errorData.error || 'Free tier limit reached. Upgrade to continue.');
-          }
-
-          const error = new Error(
-            errorData.error || `Request failed: ${response.status} ${response.statusText}`,
-          );
-          error.status = response.status;
-          error.data = errorData;
-          throw error;
+          await this.handleErrorResponse(response);
         }
 
         const data = await response.json();
 
-        if (!data.success || !data.response) {
+        if (!data.success || !data[resultField]) {
           throw new Error(data.error || 'Invalid response format from API');
         }
 
         // Refresh usage count after successful API call
-        if (typeof usageTracker !== 'undefined') {
-          usageTracker.forceRefresh().catch((err) => {
-            console.error('Failed to refresh usage:', err);
-          });
-        }
+        this.refreshUsage();
 
-        return data.response;
+        return data;
       } catch (error) {
         lastError = error;
         console.error(`❌ [ProxyAIClient] Attempt ${attempt} failed:`, error.message);
 
+        // The access token was refreshed after a 401; send again with the new one
+        if (error.retryWithNewToken && attempt < maxRetries) {
+          continue;
+        }
+
         // Don't retry certain errors
+        if (error.requiresVerification) {
+          throw error;
+        }
+
         if (error.name === 'AbortError') {
           throw new Error('Request timeout. Please try again.');
         }
@@ -209,6 +167,234 @@ class ProxyAIClient {
     throw new Error('Unexpected error occurred. Please try again.');
   }
 
+  /**
+   * Stream server-sent events from your proxy API
+   * @param {string} path - Endpoint path with query
+   * @param {Object} body - Request body (with stream: true)
+   * @param {string} resultField - Response field that must be present in plain JSON answers
+   * @returns {AsyncGenerator<string, Object>} - Yields text deltas in order and returns the
+   *   done event, or the response data when the API answers with plain JSON
+   */
+  async *streamFromAPI(path, body, resultField) {
+    // Check authentication first
+    if (typeof authManager !== 'undefined' && !authManager.isAuthenticated()) {
+      throw new Error('Authentication required. Please sign in to use Kuiqlee.');
+    }
+
+    await this.checkRateLimit();
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 120000); // 2 minutes
+
+    try {
+      const response = await fetch(`${this.baseURL}/${path}`, {
+        method: 'POST',
+        headers: await this.buildHeaders(),
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+
+      this.lastRequestTime = Date.now();
+
+      if (!response.ok) {
+        await this.handleErrorResponse(response);
+      }
+
+      const contentType = response.headers.get('Content-Type') || '';
+      if (!contentType.includes('text/event-stream')) {
+        const data = await response.json();
+        if (!data.success || !data[resultField]) {
+          throw new Error(data.error || 'Invalid response format from API');
+        }
+        this.refreshUsage();
+        return data;
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const rawEvent of events) {
+          if (!rawEvent.startsWith('data:')) continue;
+
+          const event = JSON.parse(rawEvent.slice(5).trim());
+
+          if (event.type === 'delta') {
+            yield event.text;
+          } else if (event.type === 'error') {
+            throw new Error(event.error || 'AI service temporarily unavailable');
+          } else if (event.type === 'done') {
+            this.refreshUsage();
+            return event;
+          }
+        }
+      }
+
+      throw new Error('Summary stream ended unexpectedly');
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Request a structured result from the summarize API, which builds the prompt on the
+   * server and answers with validated, normalized fields
+   * @param {string} action - 'summary', 'chunk', 'merge', 'chat', 'quiz' or 'synthesis'
+   * @param {Object} payload - Action fields: { content, metadata, options } for summaries,
+   *   { content, metadata, chunkIndex, totalChunks } for chunks, { partials, metadata,
+   *   options } for merges, { content, metadata, messages } for chat, { passage, metadata,
+   *   options } for quizzes and { sources } for syntheses
+   * @param {Object} options - page: { domain, url } when the request is about a page other
+   *   than the one this script runs in, so usage is counted against it; skipCache to bypass
+   *   the API's shared summary cache
+   * @param {Function} onDelta - When given, the response is streamed and this is called with
+   *   (delta, fullText) of the raw JSON as it is written
+   * @returns {Promise<Object>} - { <result field>, promptVersion, cached }, where the result
+   *   field is reply for chat, quiz, synthesis and summary otherwise
+   */
+  async summarize(action, payload, options = {}, onDelta = null) {
+    const { domain, url } = options.page || this.getPageContext();
+    const path = `summarize?action=${encodeURIComponent(action)}`;
+    const body = { ...payload, domain, url, skipCache: options.skipCache === true };
+    const resultField =
+      { chat: 'reply', quiz: 'quiz', synthesis: 'synthesis' }[action] || 'summary';
+
+    if (!onDelta) {
+      return this.requestWithRetry(path, body, resultField);
+    }
+
+    let fullText = '';
+
+    try {
+      const stream = this.streamFromAPI(path, { ...body, stream: true }, resultField);
+      while (true) {
+        const { done, value } = await stream.next();
+        if (done) {
+          return value;
+        }
+
+        fullText += value;
+        onDelta(value, fullText);
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('Request timeout. Please try again.');
+      }
+
+      // Auth/limit errors and partially streamed responses can't be retried transparently
+      if (fullText || error.isResponseError) {
+        throw error;
+      }
+
+      console.error('❌ [ProxyAIClient] Streaming failed, falling back to regular request:', error);
+      return this.requestWithRetry(path, body, resultField);
+    }
+  }
+
+  /**
+   * Build request headers including the auth token, refreshed first if it is about to expire
+   * @returns {Promise<Object>} - Request headers
+   */
+  async buildHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    // Add authorization token if available
+    if (typeof authManager !== 'undefined') {
+      const token = await authManager.getValidToken();
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Get current page domain and URL for usage tracking
+   * @returns {Object} - { domain, url }
+   */
+  getPageContext() {
+    let domain = '';
+    let url = '';
+    if (typeof window !== 'undefined' && window.location) {
+      try {
+        url = window.location.href;
+        domain = new URL(url).hostname;
+      } catch (e) {
+        // Ignore URL parsing errors
+      }
+    }
+
+    return { domain, url };
+  }
+
+  /**
+   * Convert a failed API response into an error, notifying auth/usage managers
+   * @param {Response} response - Failed fetch response
+   */
+  async handleErrorResponse(response) {
+    const errorData = await response.json().catch(() => ({}));
+    let error;
+
+    if (response.status === 401 && errorData.requiresAuth) {
+      const hasAuthManager = typeof authManager !== 'undefined';
+
+      // Expired access tokens are refreshed and the request sent again; sign in otherwise
+      if (hasAuthManager && (await authManager.refreshSession(authManager.getToken()))) {
+        error = new Error('Access token refreshed');
+        error.retryWithNewToken = true;
+        throw error;
+      }
+      if (hasAuthManager) {
+        await authManager.handleAuthError();
+      }
+      error = new Error('Authentication required. Please sign in to continue.');
+    } else if (response.status === 403 && errorData.limitReached) {
+      // Handle usage limit errors
+      if (typeof usageTracker !== 'undefined') {
+        usageTracker.handleLimitReached(errorData);
+      }
+      error = new Error(errorData.error || 'Free tier limit reached. Upgrade to continue.');
+    } else if (response.status === 403 && errorData.requiresVerification) {
+      // Free summaries need a confirmed email address
+      if (typeof authManager !== 'undefined') {
+        authManager.showVerificationRequiredDialog();
+      }
+      error = new Error(errorData.error || 'Confirm your email address to continue.');
+      error.requiresVerification = true;
+    } else {
+      error = new Error(
+        errorData.error || `Request failed: ${response.status} ${response.statusText}`,
+      );
+      error.status = response.status;
+      error.data = errorData;
+    }
+
+    error.isResponseError = true;
+    throw error;
+  }
+
+  /**
+   * Refresh usage count after a successful API call
+   */
+  refreshUsage() {
+    if (typeof usageTracker !== 'undefined') {
+      usageTracker.forceRefresh().catch((err) => {
+        console.error('Failed to refresh usage:', err);
+      });
+    }
+  }
+
   /**
    * Get usage stats (simplified for proxy)
    */
@@ -0,0 +1,137 @@
+/**
+ * Read Later List
+ * Pages saved to summarize and read later, kept in chrome.storage.local with the content
+ * extracted when they were saved. Shared by the background worker (context menu), the popup
+ * and the read later page.
+ */
+
+class ReadLaterList {
+  constructor() {
+    this.storageKey = CONFIG.READ_LATER_STORAGE_KEY;
+    this.maxItems = CONFIG.MAX_READ_LATER_ITEMS;
+  }
+
+  /**
+   * Get every saved page
+   * @returns {Promise<Array<Object>>} - Items, most recently saved first
+   */
+  async getAll() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      const items = Array.isArray(result[this.storageKey]) ? result[this.storageKey] : [];
+      return items.sort((a, b) => b.savedAt - a.savedAt);
+    } catch (error) {
+      console.error('❌ [ReadLaterList] Failed to load saved pages:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a page. Saving a page again replaces its content and marks it unread.
+   * @param {Object} page - { url, pageKey, pageDetails, analysis } where analysis holds the
+   *   extracted { processedContent, chunks, metadata }
+   * @returns {Promise<Object>} - Stored item
+   */
+  async add(page) {
+    if (!page?.url || !page.pageKey || !page.analysis?.processedContent) {
+      throw new Error('No article content found on this page.');
+    }
+
+    const items = (await this.getAll()).filter((item) => item.pageKey !== page.pageKey);
+    if (items.length >= this.maxItems) {
+      throw new Error(
+        `Your read later list is full (${this.maxItems} pages). Remove some pages first.`,
+      );
+    }
+
+    const now = Date.now();
+    const item = {
+      id: `later_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      url: page.url,
+      pageKey: page.pageKey,
+      title: page.pageDetails?.title || page.url,
+      domain: this.getDomain(page.url),
+      pageDetails: page.pageDetails || {},
+      analysis: page.analysis,
+      wordCount: page.analysis.metadata?.wordCount || 0,
+      savedAt: now,
+      read: false,
+      readAt: null,
+      summary: null, // { storageKey, quickSummary, summarizedAt } once summarized
+      error: null, // Why the last summary attempt failed
+    };
+
+    await this.write([item, ...items]);
+    return item;
+  }
+
+  /**
+   * Update a saved page
+   * @param {string} id - Item id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} - Updated item, or null if it was removed
+   */
+  async update(id, changes) {
+    const items = await this.getAll();
+    let updated = null;
+
+    await this.write(
+      items.map((item) => {
+        if (item.id !== id) return item;
+        updated = { ...item, ...changes };
+        return updated;
+      }),
+    );
+    return updated;
+  }
+
+  /**
+   * Mark a saved page read or unread
+   * @param {string} id - Item id
+   * @param {boolean} read - True for read
+   * @returns {Promise<Object|null>} - Updated item
+   */
+  async markRead(id, read = true) {
+    return this.update(id, { read, readAt: read ? Date.now() : null });
+  }
+
+  /**
+   * Remove a saved page
+   * @param {string} id - Item id
+   */
+  async remove(id) {
+    const items = await this.getAll();
+    await this.write(items.filter((item) => item.id !== id));
+  }
+
+  /**
+   * Get the host name of a URL
+   * @param {string} url - URL
+   * @returns {string} - Host name, or '' for invalid URLs
+   */
+  getDomain(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Replace the stored list
+   * @param {Array<Object>} items - Items to store
+   */
+  async write(items) {
+    await chrome.storage.local.set({ [this.storageKey]: items });
+  }
+}
+
+// Export for extension pages and the service worker
+if (typeof self !== 'undefined') {
+  self.ReadLaterList = ReadLaterList;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReadLaterList;
+}
@@ -0,0 +1,341 @@
+/**
+ * Kuiqlee Read Later Page Controller
+ * Lists the pages saved for later, summarizes the unread ones in a batch from the content
+ * extracted when they were saved, and lets users mark pages read. Summaries are cached and
+ * added to the library like summaries made on the page itself.
+ */
+
+class KuiqleeReadLater {
+  constructor() {
+    this.readLater = new ReadLaterList();
+    this.library = new SummaryLibrary();
+    this.items = [];
+    this.filter = 'unread';
+    this.isSummarizing = false;
+    this.init();
+  }
+
+  async init() {
+    try {
+      await authManager.initialize();
+      await usageTracker.initialize();
+    } catch (error) {
+      console.error('[ReadLater] Error initializing auth:', error);
+    }
+
+    this.bindEvents();
+    await this.loadItems();
+
+    // Pages saved from the popup or context menu while this page is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[CONFIG.READ_LATER_STORAGE_KEY] && !this.isSummarizing) {
+        this.loadItems();
+      }
+    });
+  }
+
+  /**
+   * Bind toolbar and list events
+   */
+  bindEvents() {
+    document.getElementById('later-filter')?.addEventListener('change', (e) => {
+      this.filter = e.target.value;
+      this.render();
+    });
+
+    document.getElementById('summarize-all')?.addEventListener('click', () => {
+      this.summarizeAll();
+    });
+
+    document.getElementById('later-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      const card = e.target.closest('.later-card');
+      if (!button || !card) return;
+
+      const { id } = card.dataset;
+      switch (button.dataset.action) {
+        case 'mark-read':
+          this.setRead(id, true);
+          break;
+        case 'mark-unread':
+          this.setRead(id, false);
+          break;
+        case 'remove':
+          this.removeItem(id);
+          break;
+      }
+    });
+  }
+
+  /**
+   * Load the saved pages and render them
+   */
+  async loadItems() {
+    this.items = await this.readLater.getAll();
+    this.render();
+  }
+
+  /**
+   * Items still waiting for a summary
+   * @returns {Array<Object>} - Unread items without a summary
+   */
+  getPendingItems() {
+    return this.items.filter((item) => !item.read && !item.summary);
+  }
+
+  /**
+   * Render the list for the current filter
+   */
+  render() {
+    const list = document.getElementById('later-list');
+    const empty = document.getElementById('later-empty');
+    const button = document.getElementById('summarize-all');
+    if (!list) return;
+
+    const items = this.items.filter((item) => {
+      if (this.filter === 'unread') return !item.read;
+      if (this.filter === 'read') return item.read;
+      return true;
+    });
+
+    list.innerHTML = items.map((item) => this.buildCard(item)).join('');
+    if (empty) {
+      empty.style.display = items.length ? 'none' : 'block';
+    }
+
+    if (button) {
+      const pendingCount = this.getPendingItems().length;
+      button.disabled = this.isSummarizing || pendingCount === 0;
+      button.textContent = pendingCount ? `Summarize all (${pendingCount})` : 'Summarize all';
+    }
+  }
+
+  /**
+   * Build the HTML for one saved page
+   * @param {Object} item - Read later item
+   * @returns {string} - Card HTML
+   */
+  buildCard(item) {
+    const meta = [
+      item.domain,
+      item.wordCount ? `${item.wordCount.toLocaleString()} words` : '',
+      `Saved ${this.formatDate(item.savedAt)}`,
+    ]
+      .filter(Boolean)
+      .map((text) => `<span>${escapeHtml(text)}</span>`)
+      .join('');
+
+    let summary = '';
+    if (item.summary) {
+      summary = `<p class="later-summary">${escapeHtml(item.summary.quickSummary)}</p>`;
+    } else if (item.error) {
+      summary = `<p class="later-error">${escapeHtml(item.error)}</p>`;
+    }
+
+    const badge = item.read
+      ? '<span class="later-badge">Read</span>'
+      : `<span class="later-badge unread">${item.summary ? 'Summarized' : 'Unread'}</span>`;
+
+    return `
+      <article class="later-card${item.read ? ' read' : ''}" data-id="${escapeHtml(item.id)}">
+        <div class="later-card-header">
+          <a
+            class="later-title"
+            href="${escapeHtml(item.url)}"
+            target="_blank"
+            rel="noopener"
+          >${escapeHtml(item.title)}</a>
+          ${badge}
+        </div>
+        <div class="later-meta">${meta}</div>
+        ${summary}
+        <div class="later-actions">
+          ${
+            item.read
+              ? '<button class="later-link" data-action="mark-unread">Mark unread</button>'
+              : '<button class="later-link" data-action="mark-read">Mark read</button>'
+          }
+          <button class="later-link danger" data-action="remove">Remove</button>
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * Summarize every unread page that has no summary yet, one at a time. On the Kuiqlee proxy,
+   * free users can only summarize pages from domains their plan still allows.
+   */
+  async summarizeAll() {
+    if (this.isSummarizing) return;
+
+    let aiClient;
+    try {
+      aiClient = await AIClientFactory.create();
+    } catch (error) {
+      this.setStatus(error.message, true);
+      return;
+    }
+
+    if (aiClient.requiresAccount && !authManager.isAuthenticated()) {
+      this.setStatus('Please sign in to Kuiqlee from the extension popup first.', true);
+      return;
+    }
+
+    this.isSummarizing = true;
+    this.render();
+
+    const items = this.getPendingItems();
+    let summarizedCount = 0;
+    let skippedCount = 0;
+
+    try {
+      for (const [index, item] of items.entries()) {
+        this.setStatus(`Summarizing ${index + 1} of ${items.length}: ${item.title}`);
+
+        if (aiClient.requiresAccount) {
+          const usage = await usageTracker.canUseDomain(item.domain);
+          if (!usage.canUse) {
+            skippedCount++;
+            await this.updateItem(item.id, {
+              error:
+                usage.error ||
+                `Your free plan covers ${CONFIG.FREE_TIER_LIMIT} sites. Upgrade to summarize ` +
+                  'pages from this site.',
+            });
+            continue;
+          }
+        }
+
+        try {
+          await this.summarizeItem(item, aiClient);
+          summarizedCount++;
+        } catch (error) {
+          console.error(`[ReadLater] Error summarizing ${item.url}:`, error);
+          skippedCount++;
+          await this.updateItem(item.id, { error: error.message });
+
+          // Signing in again won't happen mid-batch, so the rest would fail the same way
+          if (aiClient.requiresAccount && !authManager.isAuthenticated()) break;
+        }
+      }
+
+      const skipped = skippedCount ? ` ${skippedCount} could not be summarized.` : '';
+      this.setStatus(`Summarized ${summarizedCount} of ${items.length} pages.${skipped}`);
+    } finally {
+      this.isSummarizing = false;
+      await this.loadItems();
+    }
+  }
+
+  /**
+   * Summarize one saved page with the user's default preset and language, then cache the
+   * summary under the page's key and add it to the library
+   * @param {Object} item - Read later item
+   * @param {Object} aiClient - Client from AIClientFactory
+   */
+  async summarizeItem(item, aiClient) {
+    const page = { domain: item.domain, url: item.url };
+    const service = new ContentSummaryService();
+    service.promptBuilder = new AIPromptBuilder();
+    // Usage is counted against the saved page, not this extension page
+    service.aiClient =
+      typeof aiClient.summarize === 'function'
+        ? {
+            requiresAccount: aiClient.requiresAccount,
+            summarize: (action, payload, options) =>
+              aiClient.summarize(action, payload, { ...options, page }),
+          }
+        : {
+            requiresAccount: aiClient.requiresAccount,
+            makeRequest: (prompt, options) => aiClient.makeRequest(prompt, { ...options, page }),
+          };
+
+    const settings = await service.loadUserSettings();
+    const summaryOptions = service.buildSummaryOptions({}, settings);
+    const storageKey = service.generateStorageKey('', summaryOptions, item.pageKey);
+
+    const summary = await service.summarizeContent(item.analysis, summaryOptions);
+    await service.storeSummary(storageKey, summary, item.url);
+
+    try {
+      await this.library.save(
+        SummaryLibrary.createEntry(storageKey, summary, { ...item.pageDetails, url: item.url }),
+      );
+    } catch (error) {
+      console.error('[ReadLater] Error saving summary to library:', error);
+    }
+
+    await this.updateItem(item.id, {
+      error: null,
+      summary: {
+        storageKey,
+        quickSummary: summary.quickSummary?.text || '',
+        summarizedAt: Date.now(),
+      },
+    });
+  }
+
+  /**
+   * Update an item in storage and in the list
+   * @param {string} id - Item id
+   * @param {Object} changes - Fields to change
+   */
+  async updateItem(id, changes) {
+    const updated = await this.readLater.update(id, changes);
+    this.items = this.items.map((item) => (item.id === id && updated ? updated : item));
+    this.render();
+  }
+
+  /**
+   * Mark a page read or unread
+   * @param {string} id - Item id
+   * @param {boolean} read - True for read
+   */
+  async setRead(id, read) {
+    await this.readLater.markRead(id, read);
+    await this.loadItems();
+  }
+
+  /**
+   * Remove a page from the list
+   * @param {string} id - Item id
+   */
+  async removeItem(id) {
+    await this.readLater.remove(id);
+    await this.loadItems();
+  }
+
+  /**
+   * Show a status message next to the toolbar
+   * @param {string} message - Message
+   * @param {boolean} isError - Show as an error
+   */
+  setStatus(message, isError = false) {
+    const status = document.getElementById('later-status');
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Format a timestamp for display
+   * @param {number} value - Timestamp
+   * @returns {string} - Formatted date
+   */
+  formatDate(value) {
+    if (!value) return '';
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return String(value);
+    }
+
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new KuiqleeReadLater();
+});
@@ -0,0 +1,501 @@
+/**
+ * Reading Helper Overlay
+ * Focus reader with key term highlighting and periodic AI comprehension checks
+ */
+
+class ReadingHelperOverlay extends FocusModeOverlay {
+  constructor() {
+    super();
+    this.keywords = new Map(); // lowercase term -> { term, definition }
+    this.keywordPattern = null;
+    this.maxKeywords = 15;
+    this.quizModal = null;
+    this.quizzedCheckpoints = new Set();
+    this.aiClient = null;
+    this.promptBuilder = null;
+    this.comprehensionStorageKey = 'readfocus_comprehension';
+    this.summariesStorageKey = 'readfocus_summaries';
+
+    this.stopWords = new Set(
+      (
+        'about after again against because before being between cannot could doing during ' +
+        'further having itself myself others should something their theirs themselves there ' +
+        'these things though through under until which while would yourself people really ' +
+        'another around almost always however within without already'
+      ).split(' '),
+    );
+  }
+
+  /**
+   * Start the helper for the current page
+   * @param {Object} settings - User settings
+   * @param {Object} pageAnalysis - Page analysis with mainContent
+   * @returns {Object} - { success, error? }
+   */
+  async activate(settings = {}, pageAnalysis = null) {
+    try {
+      this.settings = { ...this.getDefaultSettings(), ...settings };
+      this.pageAnalysis = pageAnalysis || this.pageAnalysis;
+
+      if (this.settings.keywordHighlighting) {
+        await this.loadKeywords();
+      }
+
+      await super.activate();
+      return { success: true };
+    } catch (error) {
+      console.error('❌ [ReadingHelperOverlay] Failed to activate:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Close the helper
+   */
+  exit() {
+    this.deactivate();
+  }
+
+  /**
+   * Close any open quiz before closing the reader
+   */
+  deactivate() {
+    this.closeQuiz();
+    super.deactivate();
+  }
+
+  /**
+   * Reading settings used when the stored settings don't define them
+   * @returns {Object} - Default reading and quiz settings
+   */
+  getDefaultSettings() {
+    return {
+      ...super.getDefaultSettings(),
+      keywordHighlighting: true,
+      quizFrequency: 5,
+      showQuizHints: true,
+      trackComprehension: true,
+    };
+  }
+
+  /**
+   * Advance to the next chunk, stopping for a comprehension check at quiz checkpoints
+   */
+  nextChunk() {
+    if (!this.isActive || this.quizModal) return;
+
+    if (this.isQuizCheckpoint(this.currentIndex)) {
+      this.quizzedCheckpoints.add(this.currentIndex);
+      this.openQuiz(true);
+      return;
+    }
+
+    super.nextChunk();
+  }
+
+  /**
+   * Ignore backwards navigation while a quiz is open
+   */
+  prevChunk() {
+    if (this.quizModal) return;
+    super.prevChunk();
+  }
+
+  /**
+   * Show a comprehension check for the chunks just read
+   * @returns {boolean} - Whether a quiz was shown
+   */
+  showQuiz() {
+    if (!this.isActive || this.quizModal) return false;
+
+    this.openQuiz(false);
+    return true;
+  }
+
+  /**
+   * Whether finishing the given chunk should trigger a quiz
+   * @param {number} index - Chunk index
+   * @returns {boolean} - True at every quizFrequency-th chunk not yet quizzed
+   */
+  isQuizCheckpoint(index) {
+    const frequency = Number(this.settings.quizFrequency) || 0;
+    return frequency > 0 && (index + 1) % frequency === 0 && !this.quizzedCheckpoints.has(index);
+  }
+
+  /**
+   * Load key terms from the cached summary for this page, falling back to frequent words
+   */
+  async loadKeywords() {
+    const concepts = await this.getCachedConcepts();
+    const terms =
+      concepts.length > 0
+        ? concepts.map((concept) => ({ term: concept.term, definition: concept.definition || '' }))
+        : this.extractFrequentTerms(this.pageAnalysis?.mainContent?.textContent || '');
+
+    this.keywords.clear();
+    terms
+      .filter((item) => item.term && item.term.trim().length > 2)
+      .slice(0, this.maxKeywords)
+      .forEach((item) => {
+        this.keywords.set(item.term.trim().toLowerCase(), {
+          term: item.term.trim(),
+          definition: item.definition,
+        });
+      });
+
+    this.keywordPattern = this.buildKeywordPattern();
+  }
+
+  /**
+   * Find the concept dictionary of the most recent cached summary for this page
+   * @returns {Array<Object>} - Concepts as { term, definition }
+   */
+  async getCachedConcepts() {
+    try {
+      const result = await chrome.storage.local.get(this.summariesStorageKey);
+      const summaries = result[this.summariesStorageKey] || {};
+      // Same URL normalisation as ContentSummaryService.generateStorageKey
+      const pageUrl = window.location.href.split('#')[0].split('?')[0];
+
+      const latest = Object.entries(summaries)
+        .filter(
+          ([key, summary]) =>
+            key.startsWith(`${pageUrl}_`) && summary?.conceptDictionary?.length > 0,
+        )
+        .map(([, summary]) => summary)
+        .sort((a, b) => (b.storedAt || 0) - (a.storedAt || 0))[0];
+
+      return latest ? latest.conceptDictionary.filter((concept) => concept?.term) : [];
+    } catch (error) {
+      console.error('❌ [ReadingHelperOverlay] Failed to read cached concepts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Pick frequently repeated longer words as key terms
+   * @param {string} text - Article text
+   * @returns {Array<Object>} - Terms as { term, definition }
+   */
+  extractFrequentTerms(text) {
+    const counts = new Map();
+    const words = text.toLowerCase().match(/[a-z][a-z-]{5,}/g) || [];
+
+    words.forEach((word) => {
+      if (!this.stopWords.has(word)) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+      }
+    });
+
+    return [...counts.entries()]
+      .filter(([, count]) => count >= 3)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([word]) => ({ term: word, definition: '' }));
+  }
+
+  /**
+   * Build one regex matching every keyword as a whole word, longest first
+   * @returns {RegExp|null} - Keyword pattern or null when there are no keywords
+   */
+  buildKeywordPattern() {
+    if (this.keywords.size === 0) return null;
+
+    const alternatives = [...this.keywords.values()]
+      .map((item) => escapeHtml(item.term))
+      .sort((a, b) => b.length - a.length)
+      .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    return new RegExp(`(?<![\\w-])(${alternatives.join('|')})(?![\\w-])`, 'gi');
+  }
+
+  /**
+   * Escape a paragraph and wrap key terms in highlight marks
+   * @param {string} text - Paragraph text
+   * @returns {string} - Safe HTML
+   */
+  renderParagraph(text) {
+    const html = escapeHtml(text);
+    if (!this.settings.keywordHighlighting || !this.keywordPattern) {
+      return html;
+    }
+
+    return html.replace(this.keywordPattern, (match) => {
+      const keyword = this.keywords.get(this.decodeHtml(match).toLowerCase());
+      const title = keyword?.definition ? ` title="${escapeHtml(keyword.definition)}"` : '';
+      return `<mark class="readfocus-keyword"${title}>${match}</mark>`;
+    });
+  }
+
+  /**
+   * Open the quiz modal and load a question for the recently read chunks
+   * @param {boolean} continueAfter - Advance to the next chunk when the quiz is closed
+   */
+  async openQuiz(continueAfter) {
+    const wasAutoAdvancing = this.isAutoAdvancing;
+    this.stopAutoAdvance();
+    this.updateControls();
+
+    this.quizModal = document.createElement('div');
+    this.quizModal.innerHTML = `
+      <div class="readfocus-quiz-overlay"></div>
+      <div class="readfocus-quiz-modal" role="dialog" aria-label="Comprehension check">
+        <h3 class="readfocus-quiz-title">Quick check</h3>
+        <div class="readfocus-quiz-body">
+          <p class="readfocus-quiz-status">Preparing a question about what you just read...</p>
+        </div>
+        <div class="readfocus-quiz-actions">
+          <button class="readfocus-btn readfocus-btn-secondary" data-quiz-action="skip">Skip</button>
+          <button class="readfocus-btn" data-quiz-action="continue" style="display: none">
+            Continue
+          </button>
+        </div>
+      </div>
+    `;
+    this.overlay.appendChild(this.quizModal);
+
+    const finish = () => {
+      this.closeQuiz();
+      if (wasAutoAdvancing) {
+        this.isAutoAdvancing = true;
+      }
+      if (continueAfter) {
+        super.nextChunk();
+      } else if (wasAutoAdvancing) {
+        this.scheduleAutoAdvance();
+        this.updateControls();
+      }
+    };
+
+    this.quizModal
+      .querySelectorAll('[data-quiz-action]')
+      .forEach((button) => button.addEventListener('click', finish));
+
+    const modal = this.quizModal;
+    try {
+      const question = await this.generateQuestion(this.getQuizPassage());
+      if (this.quizModal === modal) {
+        this.renderQuestion(question);
+      }
+    } catch (error) {
+      console.error('❌ [ReadingHelperOverlay] Failed to generate quiz:', error);
+      if (this.quizModal === modal) {
+        this.renderQuizError(error.message);
+      }
+    }
+  }
+
+  /**
+   * Remove the quiz modal if open
+   */
+  closeQuiz() {
+    if (this.quizModal && this.quizModal.parentNode) {
+      this.quizModal.parentNode.removeChild(this.quizModal);
+    }
+    this.quizModal = null;
+  }
+
+  /**
+   * Text of the chunks since the previous checkpoint
+   * @returns {string} - Passage text
+   */
+  getQuizPassage() {
+    const frequency = Math.max(1, Number(this.settings.quizFrequency) || 1);
+    const start = Math.max(0, this.currentIndex - frequency + 1);
+
+    return this.chunks
+      .slice(start, this.currentIndex + 1)
+      .map((chunk) => chunk.paragraphs.join('\n\n'))
+      .join('\n\n');
+  }
+
+  /**
+   * Ask the AI for a multiple-choice question
+   * @param {string} passage - Passage to quiz on
+   * @returns {Object} - { question, options, correctIndex, hint, explanation }
+   */
+  async generateQuestion(passage) {
+    if (!this.aiClient) {
+      this.aiClient = await AIClientFactory.create();
+      this.promptBuilder = new AIPromptBuilder();
+    }
+
+    const metadata = { title: this.pageAnalysis?.title || document.title };
+    const options = { includeHint: this.settings.showQuizHints === true };
+
+    // The summarize API builds the prompt and checks the question itself
+    if (typeof this.aiClient.summarize === 'function') {
+      const data = await this.aiClient.summarize('quiz', { passage, metadata, options });
+      return data.quiz;
+    }
+
+    const prompt = this.promptBuilder.buildQuizPrompt(passage, metadata, options);
+    const response = await this.aiClient.makeRequest(prompt, { maxTokens: 1024, temperature: 0.5 });
+
+    const jsonMatch = response.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Invalid quiz response');
+    }
+
+    const quiz = JSON.parse(jsonMatch[0]);
+    const correctIndex = Number(quiz.correct_index);
+
+    if (
+      !quiz.question ||
+      !Array.isArray(quiz.options) ||
+      quiz.options.length < 2 ||
+      !Number.isInteger(correctIndex) ||
+      correctIndex < 0 ||
+      correctIndex >= quiz.options.length
+    ) {
+      throw new Error('Invalid quiz response');
+    }
+
+    return {
+      question: String(quiz.question),
+      options: quiz.options.map(String),
+      correctIndex,
+      hint: quiz.hint ? String(quiz.hint) : '',
+      explanation: quiz.explanation ? String(quiz.explanation) : '',
+    };
+  }
+
+  /**
+   * Show the question and handle the answer
+   * @param {Object} quiz - Parsed quiz question
+   */
+  renderQuestion(quiz) {
+    const body = this.quizModal.querySelector('.readfocus-quiz-body');
+    const showHint = this.settings.showQuizHints && quiz.hint;
+
+    body.innerHTML = `
+      <p class="readfocus-quiz-question">${escapeHtml(quiz.question)}</p>
+      <div class="readfocus-quiz-options">
+        ${quiz.options
+          .map(
+            (option, index) =>
+              `<button class="readfocus-quiz-option" data-index="${index}">${escapeHtml(
+                option,
+              )}</button>`,
+          )
+          .join('')}
+      </div>
+      ${
+        showHint
+          ? `<button class="readfocus-quiz-hint-btn">Show hint</button>
+        <p class="readfocus-quiz-hint" style="display: none">💡 ${escapeHtml(quiz.hint)}</p>`
+          : ''
+      }
+      <p class="readfocus-quiz-feedback"></p>
+    `;
+
+    if (showHint) {
+      const hintBtn = body.querySelector('.readfocus-quiz-hint-btn');
+      hintBtn.addEventListener('click', () => {
+        body.querySelector('.readfocus-quiz-hint').style.display = 'block';
+        hintBtn.style.display = 'none';
+      });
+    }
+
+    body.querySelectorAll('.readfocus-quiz-option').forEach((button) => {
+      button.addEventListener('click', () => {
+        const isCorrect = Number(button.dataset.index) === quiz.correctIndex;
+
+        body.querySelectorAll('.readfocus-quiz-option').forEach((option) => {
+          option.disabled = true;
+          if (Number(option.dataset.index) === quiz.correctIndex) {
+            option.classList.add('correct');
+          }
+        });
+        if (!isCorrect) {
+          button.classList.add('incorrect');
+        }
+
+        const feedback = body.querySelector('.readfocus-quiz-feedback');
+        const verdict = isCorrect ? '✅ Correct!' : '❌ Not quite.';
+        feedback.textContent = `${verdict} ${quiz.explanation}`;
+
+        this.showQuizContinue();
+        this.recordAnswer(isCorrect);
+      });
+    });
+  }
+
+  /**
+   * Show an error in place of the question
+   * @param {string} message - Error message
+   */
+  renderQuizError(message) {
+    const body = this.quizModal.querySelector('.readfocus-quiz-body');
+    body.innerHTML = '<p class="readfocus-quiz-status"></p>';
+    body.querySelector('.readfocus-quiz-status').textContent =
+      `Couldn't create a question right now. ${message}`;
+    this.showQuizContinue();
+  }
+
+  /**
+   * Replace the Skip button with Continue
+   */
+  showQuizContinue() {
+    this.quizModal.querySelector('[data-quiz-action="skip"]').style.display = 'none';
+    this.quizModal.querySelector('[data-quiz-action="continue"]').style.display = '';
+  }
+
+  /**
+   * Record a quiz answer in the per-article comprehension scores
+   * @param {boolean} isCorrect - Whether the answer was correct
+   */
+  async recordAnswer(isCorrect) {
+    if (!this.settings.trackComprehension) return;
+
+    try {
+      const result = await chrome.storage.local.get(this.comprehensionStorageKey);
+      const scores = result[this.comprehensionStorageKey] || {};
+      const key = this.getPositionKey();
+      const entry = scores[key] || {
+        title: this.pageAnalysis?.title || document.title,
+        correct: 0,
+        answered: 0,
+      };
+
+      entry.answered += 1;
+      entry.correct += isCorrect ? 1 : 0;
+      entry.updatedAt = Date.now();
+      scores[key] = entry;
+
+      // Keep only the most recently read articles
+      const keys = Object.keys(scores);
+      if (keys.length > this.maxStoredPositions) {
+        keys
+          .sort((a, b) => scores[a].updatedAt - scores[b].updatedAt)
+          .slice(0, keys.length - this.maxStoredPositions)
+          .forEach((oldKey) => delete scores[oldKey]);
+      }
+
+      await chrome.storage.local.set({ [this.comprehensionStorageKey]: scores });
+    } catch (error) {
+      console.error('❌ [ReadingHelperOverlay] Failed to record comprehension score:', error);
+    }
+  }
+
+  /**
+   * Decode the HTML entities produced by escapeHtml
+   * @param {string} html - Escaped text
+   * @returns {string} - Plain text
+   */
+  decodeHtml(html) {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = html;
+    return textarea.value;
+  }
+}
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.ReadingHelperOverlay = ReadingHelperOverlay;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReadingHelperOverlay;
+}
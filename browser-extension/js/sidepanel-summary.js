@@ -7,6 +7,31 @@ class SidePanelSummaryRenderer {
   constructor() {
     this.activeTab = 'quick';
     this.currentSummary = null;
+
+    // Summary field rendered by each tab (used to detect sections still streaming in)
+    this.tabSections = {
+      quick: 'quickSummary',
+      detailed: 'detailedSummary',
+      eli15: 'eliSummary',
+      concepts: 'conceptDictionary',
+      points: 'keyPoints',
+      actions: 'actionItems',
+    };
+
+    // Ask-the-page chat state (set by the side panel controller)
+    this.chatMessages = null; // Falls back to the conversation stored with the summary
+    this.chatDraft = '';
+    this.chatError = null;
+    this.isAsking = false;
+
+    // Highlights made on the page (set by the side panel controller)
+    this.highlights = [];
+
+    this.exporter =
+      typeof SummaryExporter !== 'undefined'
+        ? new SummaryExporter({ renderMarkdown: (markdown) => this.renderMarkdown(markdown) })
+        : null;
+    this.exportError = null; // Set by the side panel controller when an export fails
   }
 
   renderSummary(summaryData) {
@@ -21,42 +46,47 @@ class SidePanelSummaryRenderer {
           <div class="rf-summary-title">
             <span class="rf-summary-icon">🧠</span>
             <h2>Learn Quickly</h2>
+            ${
+              summary.metadata?.cached
+                ? `<span class="rf-summary-badge" title="Served from the summary cache">
+                    Cached
+                  </span>`
+                : ''
+            }
+          </div>
+          <div class="rf-summary-header-actions">
+            ${this.buildExportMenu()}
+            <button class="rf-summary-close" title="Close Summary">×</button>
           </div>
-          <button class="rf-summary-close" title="Close Summary">×</button>
         </div>
+        ${this.buildSelectionNote(summary)}
 
         <!-- Tabs -->
         <div class="rf-summary-tabs">
-          <button class="rf-summary-tab ${
-            this.activeTab === 'quick' ? 'active' : ''
-          }" data-tab="quick">
+          <button class="rf-summary-tab ${this.getTabClasses('quick')}" data-tab="quick">
             TLDR
           </button>
-          <button class="rf-summary-tab ${
-            this.activeTab === 'detailed' ? 'active' : ''
-          }" data-tab="detailed">
+          <button class="rf-summary-tab ${this.getTabClasses('detailed')}" data-tab="detailed">
             Detailed
           </button>
-          <button class="rf-summary-tab ${
-            this.activeTab === 'eli15' ? 'active' : ''
-          }" data-tab="eli15">
+          <button class="rf-summary-tab ${this.getTabClasses('eli15')}" data-tab="eli15">
             ELI5
           </button>
-          <button class="rf-summary-tab ${
-            this.activeTab === 'concepts' ? 'active' : ''
-          }" data-tab="concepts">
+          <button class="rf-summary-tab ${this.getTabClasses('concepts')}" data-tab="concepts">
             Concepts
           </button>
-          <button class="rf-summary-tab ${
-            this.activeTab === 'points' ? 'active' : ''
-          }" data-tab="points">
+          <button class="rf-summary-tab ${this.getTabClasses('points')}" data-tab="points">
             Key Points
           </button>
-          <button class="rf-summary-tab ${
-            this.activeTab === 'actions' ? 'active' : ''
-          }" data-tab="actions">
+          <button class="rf-summary-tab ${this.getTabClasses('actions')}" data-tab="actions">
             Actions
           </button>
+          <button class="rf-summary-tab ${this.getTabClasses('chat')}" data-tab="chat">
+            Chat
+          </button>
+          <button class="rf-summary-tab ${this.getTabClasses('highlights')}" data-tab="highlights">
+            Highlights
+          </button>
         </div>
 
         <!-- Content Area -->
@@ -67,7 +97,34 @@ class SidePanelSummaryRenderer {
     `;
   }
 
+  /**
+   * Build the note shown above summaries of selected text
+   * @param {Object} summary - Summary result
+   * @returns {string} - Note HTML, or '' for page summaries
+   */
+  buildSelectionNote(summary) {
+    if (!summary.selection) {
+      return '';
+    }
+
+    const { excerpt, wordCount } = summary.selection;
+    return `
+      <div class="rf-selection-note">
+        <strong>Selected text</strong> (${wordCount} words): “${escapeHtml(excerpt)}”
+      </div>
+    `;
+  }
+
   buildTabContent() {
+    if (this.isTabPending(this.activeTab)) {
+      return `
+        <div class="rf-summary-loading">
+          <div class="rf-loading-spinner"></div>
+          <p>Writing this section...</p>
+        </div>
+      `;
+    }
+
     switch (this.activeTab) {
       case 'quick':
         return this.buildQuickSummaryTab();
@@ -81,11 +138,37 @@ class SidePanelSummaryRenderer {
         return this.buildKeyPointsTab();
       case 'actions':
         return this.buildActionItemsTab();
+      case 'chat':
+        return this.buildChatTab();
+      case 'highlights':
+        return this.buildHighlightsTab();
       default:
         return this.buildQuickSummaryTab();
     }
   }
 
+  /**
+   * Get CSS classes for a tab button
+   * @param {string} tab - Tab identifier
+   * @returns {string} - Space-separated class names
+   */
+  getTabClasses(tab) {
+    const classes = [];
+    if (this.activeTab === tab) classes.push('active');
+    if (this.isTabPending(tab)) classes.push('rf-tab-pending');
+    return classes.join(' ');
+  }
+
+  /**
+   * Check whether a tab's section is still being streamed in
+   * @param {string} tab - Tab identifier
+   * @returns {boolean} - True if the section has not arrived yet
+   */
+  isTabPending(tab) {
+    const summary = this.currentSummary;
+    return !!(summary?.partial && summary.pendingSections?.includes(this.tabSections[tab]));
+  }
+
   buildQuickSummaryTab() {
     const quickSummary = this.currentSummary.quickSummary;
     if (!quickSummary) {
@@ -96,9 +179,7 @@ class SidePanelSummaryRenderer {
       <div class="rf-tab-content rf-tab-quick">
         <div class="rf-quick-summary">
           <div class="rf-summary-text">
-            <p class="rf-summary-paragraph">${this.escapeHtml(
-              quickSummary.text || quickSummary,
-            )}</p>
+            <p class="rf-summary-paragraph">${escapeHtml(quickSummary.text || quickSummary)}</p>
           </div>
         </div>
       </div>
@@ -145,15 +226,53 @@ class SidePanelSummaryRenderer {
       <div class="rf-tab-content rf-tab-eli15">
         <div class="rf-eli15-simple">
           <div class="rf-summary-text">
-            <p class="rf-summary-paragraph">${this.escapeHtml(eliSummary)}</p>
+            <p class="rf-summary-paragraph">${escapeHtml(eliSummary)}</p>
           </div>
         </div>
       </div>
     `;
   }
 
+  /**
+   * Build the export button and its format menu
+   * @returns {string} - Export menu HTML (empty when the exporter isn't loaded)
+   */
+  buildExportMenu() {
+    if (!this.exporter) {
+      return '';
+    }
+
+    // Wait for streaming to finish so exports contain every section
+    const isPartial = !!this.currentSummary?.partial;
+    const error = this.exportError
+      ? `<div class="rf-export-error">${escapeHtml(this.exportError)}</div>`
+      : '';
+    const options = this.exporter.formats
+      .map(
+        (format) =>
+          `<button class="rf-export-option" data-format="${format.id}">${format.label}</button>`,
+      )
+      .join('');
+
+    return `
+      <div class="rf-export">
+        <button
+          class="rf-summary-export"
+          title="${isPartial ? 'Available when the summary is complete' : 'Export summary'}"
+          ${isPartial ? 'disabled' : ''}
+        >⤓</button>
+        <div class="rf-export-menu" style="display: ${error ? 'flex' : 'none'}">
+          ${options}
+          ${error}
+        </div>
+      </div>
+    `;
+  }
+
   buildKeyPointsTab() {
     const keyPoints = this.currentSummary.keyPoints;
+    const sources = this.currentSummary.keyPointSources || [];
+    const citations = this.currentSummary.keyPointCitations || [];
     if (!keyPoints || keyPoints.length === 0) {
       return '<div class="rf-summary-empty">No key points extracted</div>';
     }
@@ -162,10 +281,11 @@ class SidePanelSummaryRenderer {
       .map((point, index) => {
         // Remove leading bullet points, dashes, or asterisks from the point text
         const cleanedPoint = point.replace(/^[•·\-*]\s*/, '');
+        const source = this.buildSourceLink('points', index, sources[index], citations[index]);
         return `
-      <div class="rf-key-point">
+      <div class="rf-key-point${source.className}"${source.attributes}>
         <div class="rf-point-number">${index + 1}</div>
-        <div class="rf-point-text">${this.escapeHtml(cleanedPoint)}</div>
+        <div class="rf-point-text">${escapeHtml(cleanedPoint)}${source.quote}</div>
       </div>
     `;
       })
@@ -182,6 +302,8 @@ class SidePanelSummaryRenderer {
 
   buildActionItemsTab() {
     const actionItems = this.currentSummary.actionItems;
+    const sources = this.currentSummary.actionItemSources || [];
+    const citations = this.currentSummary.actionItemCitations || [];
     if (!actionItems || actionItems.length === 0) {
       return '<div class="rf-summary-empty">No specific actions identified</div>';
     }
@@ -190,10 +312,11 @@ class SidePanelSummaryRenderer {
       .map((action, index) => {
         // Remove leading bullet points, dashes, or asterisks from the action text
         const cleanedAction = action.replace(/^[•·\-*]\s*/, '');
+        const source = this.buildSourceLink('actions', index, sources[index], citations[index]);
         return `
-      <div class="rf-action-item">
+      <div class="rf-action-item${source.className}"${source.attributes}>
         <div class="rf-action-number">${index + 1}</div>
-        <div class="rf-action-text">${this.escapeHtml(cleanedAction)}</div>
+        <div class="rf-action-text">${escapeHtml(cleanedAction)}${source.quote}</div>
       </div>
     `;
       })
@@ -208,6 +331,33 @@ class SidePanelSummaryRenderer {
     `;
   }
 
+  /**
+   * Build the markup that links a key point or action item to its source passage
+   * @param {string} type - 'points' or 'actions'
+   * @param {number} index - Item index
+   * @param {string|null} quote - Supporting quote from the article
+   * @param {Object|null} citation - { label, title } PDF page or video timestamp of the quote
+   * @returns {Object} - { className, attributes, quote } HTML fragments (empty when no quote)
+   */
+  buildSourceLink(type, index, quote, citation = null) {
+    if (!quote) {
+      return { className: '', attributes: '', quote: '' };
+    }
+
+    const title = escapeHtml(citation?.title || 'Show in article');
+    const badge = citation
+      ? ` <span class="rf-point-citation">${escapeHtml(citation.label)}</span>`
+      : '';
+
+    return {
+      className: ' rf-point-linked',
+      attributes:
+        ` data-source-type="${type}" data-source-index="${index}"` +
+        ` role="button" tabindex="0" title="${title}"`,
+      quote: `<div class="rf-point-source">“${escapeHtml(quote)}”${badge}</div>`,
+    };
+  }
+
   buildConceptsTab() {
     const conceptDictionary = this.currentSummary.conceptDictionary;
     if (!conceptDictionary || conceptDictionary.length === 0) {
@@ -220,21 +370,21 @@ class SidePanelSummaryRenderer {
       <div class="rf-concept-item">
         <div class="rf-concept-term">
           <span class="rf-concept-icon">${index + 1}</span>
-          ${this.escapeHtml(concept.term || concept.concept)}
+          ${escapeHtml(concept.term || concept.concept)}
         </div>
-        <div class="rf-concept-definition">${this.escapeHtml(
+        <div class="rf-concept-definition">${escapeHtml(
           concept.definition || concept.explanation,
         )}</div>
         ${
           concept.analogy
-            ? `<div class="rf-concept-analogy">💡 <strong>Like:</strong> ${this.escapeHtml(
+            ? `<div class="rf-concept-analogy">💡 <strong>Like:</strong> ${escapeHtml(
                 concept.analogy,
               )}</div>`
             : ''
         }
         ${
           concept.example
-            ? `<div class="rf-concept-example">📋 <strong>Example:</strong> ${this.escapeHtml(
+            ? `<div class="rf-concept-example">📋 <strong>Example:</strong> ${escapeHtml(
                 concept.example,
               )}</div>`
             : ''
@@ -484,15 +634,15 @@ class SidePanelSummaryRenderer {
   }
 
   /**
-   * Process inline markdown elements (bold, italic, code)
-   * @param {string} text - Text to process
+   * Escape text and process inline markdown elements (bold, italic, code)
+   * @param {string} text - Raw text to process
    * @returns {string} - Processed HTML
    */
   processInlineMarkdown(text) {
     if (!text) return '';
 
     return (
-      text
+      escapeHtml(text)
         // Bold text
         .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
         // Italic text
@@ -511,15 +661,12 @@ class SidePanelSummaryRenderer {
   renderCodeBlock(code, language = '') {
     if (!code.trim()) return '';
 
-    const escapedCode = code
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#39;');
+    const escapedCode = escapeHtml(code);
 
-    const languageClass = language ? ` class="language-${language}"` : '';
-    const languageLabel = language ? `<div class="rf-code-language">${language}</div>` : '';
+    const languageClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+    const languageLabel = language
+      ? `<div class="rf-code-language">${escapeHtml(language)}</div>`
+      : '';
 
     return `
       <div class="rf-code-block">
@@ -571,17 +718,121 @@ class SidePanelSummaryRenderer {
     return html;
   }
 
+  buildChatTab() {
+    const messages = this.getChatMessages();
+
+    const messagesHTML =
+      messages.length > 0
+        ? messages.map((message) => this.buildChatMessage(message)).join('')
+        : `<div class="rf-summary-empty">
+            Ask anything about this page. Answers come from the article and quote the passages
+            they rely on.
+          </div>`;
+
+    return `
+      <div class="rf-tab-content rf-tab-chat">
+        <div class="rf-chat-messages">
+          ${messagesHTML}
+          ${
+            this.isAsking
+              ? '<div class="rf-chat-message rf-chat-assistant rf-chat-thinking">Thinking...</div>'
+              : ''
+          }
+          ${this.chatError ? `<div class="rf-chat-error">${escapeHtml(this.chatError)}</div>` : ''}
+        </div>
+        <form class="rf-chat-form">
+          <textarea
+            class="rf-chat-input"
+            rows="2"
+            placeholder="Ask a question about this page..."
+            ${this.isAsking ? 'disabled' : ''}
+          >${escapeHtml(this.chatDraft)}</textarea>
+          <button
+            type="submit"
+            class="rf-summary-btn rf-btn-primary"
+            ${this.isAsking ? 'disabled' : ''}
+          >
+            Ask
+          </button>
+        </form>
+      </div>
+    `;
+  }
+
+  buildChatMessage(message) {
+    if (message.role === 'user') {
+      return `<div class="rf-chat-message rf-chat-user">${escapeHtml(message.content)}</div>`;
+    }
+
+    const quotesHTML = (message.quotes || [])
+      .map((quote) => `<blockquote class="rf-chat-quote">“${escapeHtml(quote)}”</blockquote>`)
+      .join('');
+
+    return `
+      <div class="rf-chat-message rf-chat-assistant">
+        <div class="rf-summary-markdown">
+          ${this.renderMarkdown(message.content)}
+        </div>
+        ${quotesHTML}
+      </div>
+    `;
+  }
+
+  buildHighlightsTab() {
+    if (this.highlights.length === 0) {
+      return `<div class="rf-summary-empty">
+        Select text on the page to highlight it in a colour or add a note. Your highlights
+        are listed here.
+      </div>`;
+    }
+
+    const highlightsHTML = this.highlights
+      .map((highlight) => {
+        const color =
+          CONFIG.HIGHLIGHT_COLORS.find((item) => item.id === highlight.color) ||
+          CONFIG.HIGHLIGHT_COLORS[0];
+        // Highlights whose text changed since they were made can't be shown on the page
+        const link = highlight.attached
+          ? { className: ' rf-highlight-linked', attributes: 'role="button" tabindex="0"' }
+          : { className: ' rf-source-missing', attributes: '' };
+        const title = highlight.attached ? 'Show on page' : 'Not found on the page';
+        const note = highlight.note
+          ? `<div class="rf-highlight-note">${escapeHtml(highlight.note)}</div>`
+          : '';
+        return `
+      <div
+        class="rf-highlight-item${link.className}"
+        data-highlight-id="${escapeHtml(highlight.id)}"
+        ${link.attributes}
+        title="${title}"
+      >
+        <div class="rf-highlight-text" style="border-color: ${color.value}">
+          “${escapeHtml(highlight.text)}”
+        </div>
+        ${note}
+      </div>
+    `;
+      })
+      .join('');
+
+    return `
+      <div class="rf-tab-content rf-tab-highlights">
+        <div class="rf-highlights-list">
+          ${highlightsHTML}
+        </div>
+      </div>
+    `;
+  }
+
+  getChatMessages() {
+    return this.chatMessages || this.currentSummary?.chat || [];
+  }
+
   formatMarkdown(text) {
     if (!text) return '';
     return this.renderMarkdown(text);
   }
 
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
-
   switchTab(tabName) {
     this.activeTab = tabName;
   }
@@ -19,6 +19,15 @@ class KuiqleeSidePanel {
       if (namespace === 'local' && changes.currentSummary) {
         this.loadSummary();
       }
+
+      // Highlights added or edited on the page while their tab is open
+      if (
+        namespace === 'local' &&
+        changes[CONFIG.HIGHLIGHTS_STORAGE_KEY] &&
+        this.renderer.activeTab === 'highlights'
+      ) {
+        this.loadHighlights().then(() => this.rerender());
+      }
     });
   }
 
@@ -106,6 +115,10 @@ class KuiqleeSidePanel {
   displaySummary(summaryData) {
     this.currentSummary = summaryData;
 
+    // A new summary brings its own stored conversation
+    this.renderer.chatMessages = null;
+    this.renderer.chatError = null;
+
     // Remove waiting message if it exists
     const waitingMsg = document.getElementById('waiting-message');
     if (waitingMsg) {
@@ -171,19 +184,243 @@ class KuiqleeSidePanel {
         this.hideSummary();
       });
     }
+
+    // Bind export menu
+    const exportButton = document.querySelector('.rf-summary-export');
+    const exportMenu = document.querySelector('.rf-export-menu');
+    if (exportButton && exportMenu) {
+      exportButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        exportMenu.style.display = exportMenu.style.display === 'none' ? 'flex' : 'none';
+      });
+      document.querySelector('.rf-summary-container')?.addEventListener('click', (e) => {
+        if (!e.target.closest('.rf-export')) {
+          exportMenu.style.display = 'none';
+        }
+      });
+      document.querySelectorAll('.rf-export-option').forEach((option) => {
+        option.addEventListener('click', () => this.exportSummary(option.dataset.format));
+      });
+    }
+
+    // Bind key point and action item source links
+    document.querySelectorAll('.rf-point-linked').forEach((item) => {
+      item.addEventListener('click', () => this.locateSource(item));
+      item.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.locateSource(item);
+        }
+      });
+    });
+
+    // Bind highlight links
+    document.querySelectorAll('.rf-highlight-linked').forEach((item) => {
+      item.addEventListener('click', () => this.scrollToHighlight(item));
+      item.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.scrollToHighlight(item);
+        }
+      });
+    });
+
+    // Bind chat form
+    const chatForm = document.querySelector('.rf-chat-form');
+    const chatInput = document.querySelector('.rf-chat-input');
+    if (chatForm && chatInput) {
+      chatForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.askQuestion(chatInput.value);
+      });
+      chatInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+          e.preventDefault();
+          this.askQuestion(chatInput.value);
+        }
+      });
+    }
   }
 
-  switchTab(tabName) {
+  async switchTab(tabName) {
+    this.saveChatDraft();
     this.renderer.switchTab(tabName);
+    if (tabName === 'highlights') {
+      await this.loadHighlights();
+    }
+    this.rerender();
+  }
 
-    // Re-render
+  /**
+   * Read the highlights made on the page in the active tab
+   * @returns {Promise<Array<Object>>} - Highlights in page order
+   */
+  async loadHighlights() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab) {
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_HIGHLIGHTS' });
+        this.renderer.highlights = response?.highlights || [];
+      }
+    } catch (error) {
+      // Pages without the content script (e.g. browser pages) have no highlights
+      this.renderer.highlights = [];
+    }
+    return this.renderer.highlights;
+  }
+
+  /**
+   * Scroll the active tab to a highlight
+   * @param {Element} item - Highlight list item
+   */
+  async scrollToHighlight(item) {
+    let found = false;
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab) {
+        const response = await chrome.tabs.sendMessage(tab.id, {
+          type: 'SCROLL_TO_HIGHLIGHT',
+          highlightId: item.dataset.highlightId,
+        });
+        found = !!response?.found;
+      }
+    } catch (error) {
+      console.error('[SidePanel] Error scrolling to highlight:', error);
+    }
+
+    item.classList.toggle('rf-source-missing', !found);
+    item.title = found ? 'Show on page' : 'Not found on the page';
+  }
+
+  rerender() {
     const summaryContainer = document.getElementById('sidepanel-summary-container');
     if (summaryContainer && this.currentSummary) {
       summaryContainer.innerHTML = this.renderer.renderSummary(this.currentSummary);
       this.bindTabHandlers();
+
+      if (this.renderer.activeTab === 'chat') {
+        const contentArea = summaryContainer.querySelector('.rf-summary-content');
+        if (contentArea) {
+          contentArea.scrollTop = contentArea.scrollHeight;
+        }
+        if (!this.renderer.isAsking) {
+          summaryContainer.querySelector('.rf-chat-input')?.focus();
+        }
+      }
+    }
+  }
+
+  saveChatDraft() {
+    const chatInput = document.querySelector('.rf-chat-input');
+    if (chatInput) {
+      this.renderer.chatDraft = chatInput.value;
     }
   }
 
+  /**
+   * Ask a question about the page in the active tab
+   * @param {string} question - User's question
+   */
+  async askQuestion(question) {
+    const { renderer } = this;
+    const trimmedQuestion = (question || '').trim();
+    if (!trimmedQuestion || renderer.isAsking) return;
+
+    const previousMessages = renderer.getChatMessages();
+    renderer.chatMessages = [...previousMessages, { role: 'user', content: trimmedQuestion }];
+    renderer.chatDraft = '';
+    renderer.chatError = null;
+    renderer.isAsking = true;
+    this.rerender();
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) {
+        throw new Error('No active tab');
+      }
+
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        type: 'ASK_PAGE_QUESTION',
+        question: trimmedQuestion,
+      });
+
+      if (response?.success) {
+        renderer.chatMessages = response.chat;
+      } else {
+        renderer.chatMessages = previousMessages;
+        renderer.chatDraft = trimmedQuestion;
+        renderer.chatError = response?.error || 'Could not answer that question. Please try again.';
+      }
+    } catch (error) {
+      console.error('[SidePanel] Error asking question:', error);
+      renderer.chatMessages = previousMessages;
+      renderer.chatDraft = trimmedQuestion;
+      renderer.chatError = 'Could not reach the page. Reload the tab and try again.';
+    } finally {
+      renderer.isAsking = false;
+      this.rerender();
+    }
+  }
+
+  /**
+   * Export the displayed summary
+   * @param {string} format - Export format id from SummaryExporter
+   */
+  async exportSummary(format) {
+    const { renderer } = this;
+    if (!renderer.exporter || !renderer.currentSummary) return;
+
+    // Name the export after the page the summary belongs to
+    let pageDetails = { url: renderer.currentSummary.url };
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab) {
+        pageDetails = { title: tab.title, url: renderer.currentSummary.url || tab.url };
+      }
+    } catch (error) {
+      console.error('[SidePanel] Error reading active tab:', error);
+    }
+    pageDetails.highlights = await this.loadHighlights();
+
+    try {
+      renderer.exporter.export(format, renderer.currentSummary, pageDetails);
+      renderer.exportError = null;
+    } catch (error) {
+      console.error('[SidePanel] Error exporting summary:', error);
+      renderer.exportError = error.message;
+    }
+
+    this.saveChatDraft();
+    this.rerender();
+  }
+
+  /**
+   * Scroll the active tab to the passage a key point or action item came from
+   * @param {Element} item - Linked item element
+   */
+  async locateSource(item) {
+    const sourceField =
+      item.dataset.sourceType === 'actions' ? 'actionItemSources' : 'keyPointSources';
+    // The renderer holds the unwrapped summary
+    const sources = this.renderer.currentSummary?.[sourceField] || [];
+    const quote = sources[Number(item.dataset.sourceIndex)];
+    if (!quote) return;
+
+    let found = false;
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab) {
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'LOCATE_PASSAGE', quote });
+        found = !!response?.found;
+      }
+    } catch (error) {
+      console.error('[SidePanel] Error locating passage:', error);
+    }
+
+    item.classList.toggle('rf-source-missing', !found);
+    item.title = found ? 'Show in article' : "Couldn't find this passage on the page";
+  }
+
   async hideSummary() {
     try {
       // Switch to popup mode
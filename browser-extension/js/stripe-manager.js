@@ -29,7 +29,7 @@ class StripeManager {
         throw new Error('Invalid plan selected');
       }
 
-      const token = authManager.getToken();
+      const token = await authManager.getValidToken();
       const response = await fetch(`${this.apiBaseUrl}/stripe?action=checkout`, {
         method: 'POST',
         headers: {
@@ -107,7 +107,7 @@ class StripeManager {
         return { isPremium: false, subscription: null };
       }
 
-      const token = authManager.getToken();
+      const token = await authManager.getValidToken();
       const response = await fetch(`${this.apiBaseUrl}/stripe?action=check`, {
         method: 'GET',
         headers: {
@@ -218,7 +218,7 @@ class StripeManager {
         throw new Error('Please sign in to manage subscription');
       }
 
-      const token = authManager.getToken();
+      const token = await authManager.getValidToken();
       const response = await fetch(`${this.apiBaseUrl}/stripe?action=portal`, {
         method: 'POST',
         headers: {
@@ -254,7 +254,7 @@ class StripeManager {
         throw new Error('Please sign in to cancel subscription');
       }
 
-      const token = authManager.getToken();
+      const token = await authManager.getValidToken();
       const response = await fetch(`${this.apiBaseUrl}/stripe?action=cancel`, {
         method: 'POST',
         headers: {
@@ -0,0 +1,516 @@
+/**
+ * Summary Exporter
+ * Turns a multi-format summary into Markdown, standalone HTML, a print view and Anki cards
+ */
+
+class SummaryExporter {
+  /**
+   * @param {Object} options - { renderMarkdown(markdown) => html } from the calling renderer
+   */
+  constructor(options = {}) {
+    this.renderMarkdown =
+      options.renderMarkdown || ((markdown) => `<p>${escapeHtml(markdown)}</p>`);
+
+    // Export menu entries, in display order
+    this.formats = [
+      { id: 'markdown', label: 'Markdown (.md)' },
+      { id: 'html', label: 'HTML page (.html)' },
+      { id: 'print', label: 'Print / Save as PDF' },
+      { id: 'anki', label: 'Anki deck (.txt)' },
+    ];
+  }
+
+  /**
+   * Export a summary in the given format
+   * @param {string} format - 'markdown', 'html', 'print' or 'anki'
+   * @param {Object} summary - Summary result from ContentSummaryService
+   * @param {Object} pageDetails - { title, url, highlights }
+   */
+  export(format, summary, pageDetails = {}) {
+    const details = {
+      title: pageDetails.title || 'Untitled Article',
+      url: pageDetails.url || summary.url || '',
+      highlights: pageDetails.highlights || [],
+    };
+    const baseName = this.buildFileName(details.title);
+
+    switch (format) {
+      case 'markdown':
+        this.download(this.toMarkdown(summary, details), `${baseName}.md`, 'text/markdown');
+        break;
+      case 'html':
+        this.download(this.toHTML(summary, details), `${baseName}.html`, 'text/html');
+        break;
+      case 'print':
+        this.openPrintView(summary, details);
+        break;
+      case 'anki':
+        this.download(this.toAnkiDeck(summary, details), `${baseName}-anki.txt`, 'text/plain');
+        break;
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Build a Markdown document with every summary format and the reader's highlights
+   * @param {Object} summary - Summary result
+   * @param {Object} details - { title, url, highlights }
+   * @returns {string} - Markdown
+   */
+  toMarkdown(summary, details) {
+    const lines = [`# ${details.title}`, ''];
+
+    const meta = this.getMetaItems(summary, details);
+    meta.forEach(({ label, value }) => lines.push(`- **${label}:** ${value}`));
+    if (meta.length) lines.push('');
+
+    if (summary.quickSummary?.text) {
+      lines.push('## TL;DR', '', summary.quickSummary.text, '');
+    }
+
+    const detailed = this.getDetailedMarkdown(summary);
+    if (detailed) {
+      lines.push('## Detailed Summary', '', detailed, '');
+    }
+
+    if (this.hasEliSummary(summary)) {
+      lines.push("## Explain Like I'm 5", '', summary.eliSummary, '');
+    }
+
+    const concepts = summary.conceptDictionary || [];
+    if (concepts.length) {
+      lines.push('## Key Concepts', '');
+      concepts.forEach((concept) => {
+        lines.push(`### ${concept.term}`, '', concept.definition || '');
+
+        const extras = [];
+        if (concept.analogy) extras.push(`- **Like:** ${concept.analogy}`);
+        if (concept.example) extras.push(`- **Example:** ${concept.example}`);
+        if (extras.length) lines.push('', ...extras);
+
+        lines.push('');
+      });
+    }
+
+    this.appendMarkdownList(lines, 'Key Points', summary.keyPoints, {
+      sources: summary.keyPointSources,
+      citations: summary.keyPointCitations,
+    });
+    this.appendMarkdownList(lines, 'Action Items', summary.actionItems, {
+      sources: summary.actionItemSources,
+      citations: summary.actionItemCitations,
+    });
+
+    const highlights = details.highlights || [];
+    if (highlights.length) {
+      lines.push('## My Highlights', '');
+      highlights.forEach((highlight, index) => {
+        lines.push(`${index + 1}. “${highlight.text}”`);
+        if (highlight.note) lines.push(`   - **Note:** ${highlight.note}`);
+      });
+      lines.push('');
+    }
+
+    return `${lines.join('\n').trim()}\n`;
+  }
+
+  /**
+   * Append a numbered list with optional source quotes to Markdown lines
+   * @param {Array<string>} lines - Markdown lines
+   * @param {string} heading - Section heading
+   * @param {Array<string>} items - List items
+   * @param {Object} references - { sources, citations }: supporting quotes and their
+   *   PDF page or video timestamp ({ label })
+   */
+  appendMarkdownList(lines, heading, items = [], { sources = [], citations = [] } = {}) {
+    if (!items?.length) return;
+
+    lines.push(`## ${heading}`, '');
+    items.forEach((item, index) => {
+      lines.push(`${index + 1}. ${item}`);
+      if (sources?.[index]) {
+        const citation = citations?.[index] ? ` (${citations[index].label})` : '';
+        lines.push(`   > “${sources[index]}”${citation}`);
+      }
+    });
+    lines.push('');
+  }
+
+  /**
+   * Build a standalone HTML document with every summary format and the reader's highlights
+   * @param {Object} summary - Summary result
+   * @param {Object} details - { title, url, highlights }
+   * @param {Object} options - { forPrint }
+   * @returns {string} - HTML document
+   */
+  toHTML(summary, details, options = {}) {
+    const sections = [];
+
+    if (summary.quickSummary?.text) {
+      const quickHTML = `<p>${escapeHtml(summary.quickSummary.text)}</p>`;
+      sections.push(this.buildSection('TL;DR', quickHTML));
+    }
+
+    const detailed = this.getDetailedMarkdown(summary);
+    if (detailed) {
+      sections.push(this.buildSection('Detailed Summary', this.renderMarkdown(detailed)));
+    }
+
+    if (this.hasEliSummary(summary)) {
+      sections.push(
+        this.buildSection("Explain Like I'm 5", `<p>${escapeHtml(summary.eliSummary)}</p>`),
+      );
+    }
+
+    const concepts = summary.conceptDictionary || [];
+    if (concepts.length) {
+      const conceptsHTML = concepts
+        .map(
+          (concept) => `
+        <div class="concept">
+          <h3>${escapeHtml(concept.term)}</h3>
+          <p>${escapeHtml(concept.definition)}</p>
+          ${this.buildLabeledParagraph('Like', concept.analogy)}
+          ${this.buildLabeledParagraph('Example', concept.example)}
+        </div>`,
+        )
+        .join('');
+      sections.push(this.buildSection('Key Concepts', conceptsHTML));
+    }
+
+    if (summary.keyPoints?.length) {
+      sections.push(
+        this.buildSection(
+          'Key Points',
+          this.buildHTMLList(
+            summary.keyPoints,
+            summary.keyPointSources,
+            summary.keyPointCitations,
+          ),
+        ),
+      );
+    }
+
+    if (summary.actionItems?.length) {
+      sections.push(
+        this.buildSection(
+          'Action Items',
+          this.buildHTMLList(
+            summary.actionItems,
+            summary.actionItemSources,
+            summary.actionItemCitations,
+          ),
+        ),
+      );
+    }
+
+    if (details.highlights?.length) {
+      const highlightsHTML = details.highlights
+        .map(
+          (highlight) =>
+            `<li>“${escapeHtml(highlight.text)}”${this.buildLabeledParagraph(
+              'Note',
+              highlight.note,
+            )}</li>`,
+        )
+        .join('');
+      sections.push(this.buildSection('My Highlights', `<ol>${highlightsHTML}</ol>`));
+    }
+
+    const meta = this.getMetaItems(summary, details)
+      .map(({ label, value }) => `<li><strong>${label}:</strong> ${escapeHtml(value)}</li>`)
+      .join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(details.title)} - Kuiqlee Summary</title>
+    <style>${this.getDocumentStyles(options.forPrint)}</style>
+  </head>
+  <body>
+    <article>
+      <header>
+        <h1>${escapeHtml(details.title)}</h1>
+        ${meta ? `<ul class="meta">${meta}</ul>` : ''}
+      </header>
+      ${sections.join('\n')}
+      <footer>Summarized with Kuiqlee</footer>
+    </article>
+  </body>
+</html>
+`;
+  }
+
+  /**
+   * Build one HTML section
+   * @param {string} heading - Section heading
+   * @param {string} bodyHTML - Section body (already escaped)
+   * @returns {string} - Section HTML
+   */
+  buildSection(heading, bodyHTML) {
+    return `
+      <section>
+        <h2>${heading}</h2>
+        ${bodyHTML}
+      </section>`;
+  }
+
+  /**
+   * Build a paragraph with a bold label, or nothing when the value is empty
+   * @param {string} label - Label text
+   * @param {string} value - Paragraph text
+   * @returns {string} - Paragraph HTML or ''
+   */
+  buildLabeledParagraph(label, value) {
+    return value ? `<p><strong>${label}:</strong> ${escapeHtml(value)}</p>` : '';
+  }
+
+  /**
+   * Build an ordered list with optional source quotes
+   * @param {Array<string>} items - List items
+   * @param {Array<string|null>} sources - Supporting quotes
+   * @param {Array<Object|null>} citations - PDF page or video timestamp of each quote ({ label })
+   * @returns {string} - List HTML
+   */
+  buildHTMLList(items, sources = [], citations = []) {
+    const itemsHTML = items
+      .map((item, index) => {
+        const label = citations?.[index]?.label;
+        const citation = label ? ` (${escapeHtml(label)})` : '';
+        const quote = sources?.[index]
+          ? `<blockquote>“${escapeHtml(sources[index])}”${citation}</blockquote>`
+          : '';
+        return `<li>${escapeHtml(item)}${quote}</li>`;
+      })
+      .join('');
+    return `<ol>${itemsHTML}</ol>`;
+  }
+
+  /**
+   * Open the summary as a print-optimized page and show the print dialog
+   * @param {Object} summary - Summary result
+   * @param {Object} details - { title, url }
+   */
+  openPrintView(summary, details) {
+    const blob = new Blob([this.toHTML(summary, details, { forPrint: true })], {
+      type: 'text/html',
+    });
+    const url = URL.createObjectURL(blob);
+
+    const printWindow = window.open(url, '_blank');
+    if (!printWindow) {
+      URL.revokeObjectURL(url);
+      throw new Error('Allow pop-ups for this site to open the print view');
+    }
+
+    printWindow.addEventListener('load', () => {
+      printWindow.focus();
+      printWindow.print();
+    });
+
+    // The new tab keeps its document after the URL is revoked
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  /**
+   * Build an Anki import file from concepts and key points
+   * (tab-separated front/back/tags, with the header lines Anki reads on import)
+   * @param {Object} summary - Summary result
+   * @param {Object} details - { title, url }
+   * @returns {string} - Anki import text
+   */
+  toAnkiDeck(summary, details) {
+    const tag = `kuiqlee ${this.buildFileName(details.title)}`;
+    const cards = [];
+
+    (summary.conceptDictionary || []).forEach((concept) => {
+      if (!concept.term || !concept.definition) return;
+
+      const back = [
+        escapeHtml(concept.definition),
+        concept.analogy ? `<i>Like:</i> ${escapeHtml(concept.analogy)}` : '',
+        concept.example ? `<i>Example:</i> ${escapeHtml(concept.example)}` : '',
+      ]
+        .filter(Boolean)
+        .join('<br><br>');
+      cards.push([escapeHtml(concept.term), back, `${tag} concept`]);
+    });
+
+    const keyPoints = summary.keyPoints || [];
+    keyPoints.forEach((point, index) => {
+      const front =
+        `${escapeHtml(details.title)}<br><br>` +
+        `<i>Key point ${index + 1} of ${keyPoints.length}</i>`;
+      cards.push([front, escapeHtml(point), `${tag} key-point`]);
+    });
+
+    const rows = cards.map((card) => card.map((field) => this.toAnkiField(field)).join('\t'));
+    return ['#separator:tab', '#html:true', '#tags column:3', ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Keep tabs and line breaks inside a field from breaking the row
+   * @param {string} value - Field value
+   * @returns {string} - Safe field value
+   */
+  toAnkiField(value) {
+    return String(value || '')
+      .replace(/\t/g, ' ')
+      .replace(/\r?\n/g, '<br>');
+  }
+
+  /**
+   * Get the metadata lines shown at the top of exports
+   * @param {Object} summary - Summary result
+   * @param {Object} details - { title, url }
+   * @returns {Array<Object>} - { label, value } items
+   */
+  getMetaItems(summary, details) {
+    const items = [];
+    if (details.url) items.push({ label: 'Source', value: details.url });
+    if (summary.timestamp) {
+      items.push({ label: 'Summarized', value: new Date(summary.timestamp).toLocaleDateString() });
+    }
+    if (summary.difficultyLevel) {
+      items.push({ label: 'Difficulty', value: summary.difficultyLevel });
+    }
+    if (summary.estimatedReadTime && summary.estimatedReadTime !== 'Unknown') {
+      items.push({ label: 'Reading time', value: summary.estimatedReadTime });
+    }
+    if (summary.mainTopics?.length) {
+      items.push({ label: 'Topics', value: summary.mainTopics.join(', ') });
+    }
+    return items;
+  }
+
+  /**
+   * Get the detailed summary as Markdown
+   * @param {Object} summary - Summary result
+   * @returns {string} - Markdown or ''
+   */
+  getDetailedMarkdown(summary) {
+    const markdown = summary.detailedSummary?.markdown || summary.detailedSummary?.text || '';
+    return markdown === 'Detailed summary not available' ? '' : markdown;
+  }
+
+  /**
+   * Whether the summary has a real ELI5 explanation (not the placeholder)
+   * @param {Object} summary - Summary result
+   * @returns {boolean} - True if present
+   */
+  hasEliSummary(summary) {
+    return !!summary.eliSummary && summary.eliSummary !== 'ELI5 summary not available';
+  }
+
+  /**
+   * Build a file-name-safe slug from a title
+   * @param {string} title - Page title
+   * @returns {string} - Slug
+   */
+  buildFileName(title) {
+    const slug = String(title || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60);
+    return slug || 'summary';
+  }
+
+  /**
+   * Save text as a file through a temporary download link
+   * @param {string} content - File contents
+   * @param {string} fileName - File name
+   * @param {string} mimeType - MIME type
+   */
+  download(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Styles embedded in exported HTML
+   * @param {boolean} forPrint - Whether to optimize for printing
+   * @returns {string} - CSS
+   */
+  getDocumentStyles(forPrint = false) {
+    return `
+      body {
+        font-family: Georgia, 'Times New Roman', serif;
+        color: #101828;
+        background: ${forPrint ? '#ffffff' : '#fffaf3'};
+        line-height: 1.6;
+        margin: 0;
+        padding: ${forPrint ? '0' : '40px 20px'};
+      }
+      article {
+        max-width: 720px;
+        margin: 0 auto;
+      }
+      h1 { font-size: 28px; margin: 0 0 12px 0; }
+      h2 {
+        font-size: 20px;
+        margin: 32px 0 12px 0;
+        padding-bottom: 4px;
+        border-bottom: 1px solid #d1d1d1;
+      }
+      h3 { font-size: 16px; margin: 16px 0 4px 0; }
+      .meta {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+        color: #6a7282;
+        word-break: break-all;
+      }
+      blockquote {
+        margin: 6px 0 0 0;
+        padding-left: 12px;
+        border-left: 3px solid #d1d1d1;
+        font-style: italic;
+        color: #6a7282;
+      }
+      li { margin-bottom: 8px; }
+      pre, code { font-family: Menlo, Consolas, monospace; font-size: 13px; }
+      pre { background: #f5f5f5; padding: 12px; overflow-x: auto; }
+      table { border-collapse: collapse; }
+      th, td { border: 1px solid #d1d1d1; padding: 4px 8px; }
+      footer {
+        margin-top: 40px;
+        font-size: 12px;
+        color: #6a7282;
+        text-align: center;
+      }
+      @media print {
+        body { padding: 0; background: #ffffff; }
+        h2, h3 { break-after: avoid; }
+        li, .concept, blockquote, pre { break-inside: avoid; }
+        a { color: inherit; text-decoration: none; }
+      }
+      @page { margin: 2cm; }
+    `;
+  }
+}
+
+// Export for use in content scripts and the side panel
+if (typeof window !== 'undefined') {
+  window.SummaryExporter = SummaryExporter;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SummaryExporter;
+}
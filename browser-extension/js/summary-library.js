@@ -0,0 +1,342 @@
+/**
+ * Summary Library
+ * IndexedDB store of every generated summary with page details, tags and a full-text index.
+ * Used by the background service worker (which saves summaries sent by content scripts)
+ * and by the library page; both run on the extension origin and share the same database.
+ */
+
+class SummaryLibrary {
+  constructor() {
+    this.dbName = 'kuiqlee_library';
+    this.dbVersion = 1;
+    this.storeName = 'summaries';
+    this.legacyStorageKey = 'readfocus_summaries';
+    this.legacyImportFlag = 'readfocus_library_imported';
+    this.minTermLength = 2;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create or upgrade) the library database
+   * @returns {Promise<IDBDatabase>} - Open database
+   */
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+          store.createIndex('savedAt', 'savedAt');
+          store.createIndex('url', 'url');
+          store.createIndex('terms', 'terms', { multiEntry: true });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Save a summary, keeping the tags and first-saved date of an existing entry
+   * @param {Object} entry - Library entry ({ id, url, title, ... } without terms)
+   * @returns {Promise<Object>} - Stored entry
+   */
+  async save(entry) {
+    if (!entry?.id) {
+      throw new Error('Library entry requires an id');
+    }
+
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      let stored = null;
+
+      const existingRequest = store.get(entry.id);
+      existingRequest.onsuccess = () => {
+        const existing = existingRequest.result;
+        const now = Date.now();
+
+        stored = {
+          ...entry,
+          tags: existing?.tags || this.normalizeTags(entry.tags),
+          savedAt: existing?.savedAt || entry.savedAt || now,
+          updatedAt: now,
+        };
+        stored.terms = this.buildTerms(stored);
+
+        store.put(stored);
+      };
+
+      transaction.oncomplete = () => resolve(stored);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get one entry
+   * @param {string} id - Entry id
+   * @returns {Promise<Object|null>} - Entry or null
+   */
+  async get(id) {
+    const db = await this.open();
+    const request = db.transaction(this.storeName).objectStore(this.storeName).get(id);
+    return (await this.promisifyRequest(request)) || null;
+  }
+
+  /**
+   * Get every entry, newest first
+   * @returns {Promise<Array>} - Entries
+   */
+  async getAll() {
+    const db = await this.open();
+    const request = db.transaction(this.storeName).objectStore(this.storeName).getAll();
+    const entries = await this.promisifyRequest(request);
+    return entries.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Search the library
+   * @param {Object} filters - { query, difficulty, contentType }
+   * @returns {Promise<Array>} - Matching entries, best matches first
+   */
+  async search(filters = {}) {
+    const queryTerms = this.tokenize(filters.query || '');
+    const candidates = queryTerms.length
+      ? await this.getEntriesWithTermPrefix(
+          // The longest term narrows the candidates the most
+          queryTerms.reduce((longest, term) => (term.length > longest.length ? term : longest)),
+        )
+      : await this.getAll();
+
+    return candidates
+      .filter((entry) => !filters.difficulty || entry.difficultyLevel === filters.difficulty)
+      .filter((entry) => !filters.contentType || entry.contentType === filters.contentType)
+      .map((entry) => ({ entry, score: this.scoreEntry(entry, queryTerms) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || b.entry.savedAt - a.entry.savedAt)
+      .map(({ entry }) => entry);
+  }
+
+  /**
+   * Replace the tags of an entry
+   * @param {string} id - Entry id
+   * @param {Array<string>} tags - New tags
+   * @returns {Promise<Object|null>} - Updated entry or null if it doesn't exist
+   */
+  async updateTags(id, tags) {
+    const entry = await this.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    const updated = { ...entry, tags: this.normalizeTags(tags), updatedAt: Date.now() };
+    updated.terms = this.buildTerms(updated);
+
+    const db = await this.open();
+    const store = db.transaction(this.storeName, 'readwrite').objectStore(this.storeName);
+    await this.promisifyRequest(store.put(updated));
+    return updated;
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} id - Entry id
+   */
+  async delete(id) {
+    const db = await this.open();
+    const store = db.transaction(this.storeName, 'readwrite').objectStore(this.storeName);
+    await this.promisifyRequest(store.delete(id));
+  }
+
+  /**
+   * Copy summaries cached before the library existed into it (runs once)
+   * @returns {Promise<number>} - Number of imported summaries
+   */
+  async importLegacySummaries() {
+    const result = await chrome.storage.local.get([this.legacyStorageKey, this.legacyImportFlag]);
+    if (result[this.legacyImportFlag]) {
+      return 0;
+    }
+
+    const summaries = result[this.legacyStorageKey] || {};
+    let imported = 0;
+
+    for (const [id, summary] of Object.entries(summaries)) {
+      // Multi-tab syntheses and selection summaries share the cache but aren't page summaries
+      if (!summary?.success || summary.type || (await this.get(id))) {
+        continue;
+      }
+
+      await this.save(SummaryLibrary.createEntry(id, summary, { url: summary.url }));
+      imported++;
+    }
+
+    await chrome.storage.local.set({ [this.legacyImportFlag]: true });
+    return imported;
+  }
+
+  /**
+   * Build a library entry from a summary result
+   * @param {string} id - Summary storage key
+   * @param {Object} summary - Summary result from ContentSummaryService
+   * @param {Object} pageDetails - { url, title, author, publishDate }
+   * @returns {Object} - Library entry
+   */
+  static createEntry(id, summary, pageDetails = {}) {
+    const url = pageDetails.url || summary.url || '';
+    let domain = '';
+    try {
+      domain = new URL(url).hostname;
+    } catch (error) {
+      // Leave the domain empty for malformed URLs
+    }
+
+    return {
+      id,
+      url,
+      domain,
+      title: pageDetails.title || domain || url || 'Untitled Article',
+      author: pageDetails.author || '',
+      publishDate: pageDetails.publishDate || '',
+      tags: pageDetails.tags || [],
+      mainTopics: summary.mainTopics || [],
+      contentType: summary.metadata?.contentType || 'article',
+      difficultyLevel: summary.difficultyLevel || 'Intermediate',
+      estimatedReadTime: summary.estimatedReadTime || '',
+      wordCount: summary.metadata?.originalWordCount || 0,
+      quickSummary: summary.quickSummary?.text || '',
+      detailedSummary: summary.detailedSummary?.markdown || summary.detailedSummary?.text || '',
+      eliSummary: summary.eliSummary || '',
+      keyPoints: summary.keyPoints || [],
+      actionItems: summary.actionItems || [],
+      conceptDictionary: summary.conceptDictionary || [],
+      savedAt: summary.storedAt || summary.timestamp || Date.now(),
+    };
+  }
+
+  /**
+   * Get entries with an indexed term starting with the given prefix
+   * @param {string} prefix - Term prefix
+   * @returns {Promise<Array>} - Entries
+   */
+  async getEntriesWithTermPrefix(prefix) {
+    const db = await this.open();
+    const index = db.transaction(this.storeName).objectStore(this.storeName).index('terms');
+    const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+    const entries = await this.promisifyRequest(index.getAll(range));
+
+    // An entry appears once per matching term
+    const unique = new Map(entries.map((entry) => [entry.id, entry]));
+    return Array.from(unique.values());
+  }
+
+  /**
+   * Score an entry against the query terms (0 when any term is missing)
+   * @param {Object} entry - Library entry
+   * @param {Array<string>} queryTerms - Tokenized query
+   * @returns {number} - Relevance score
+   */
+  scoreEntry(entry, queryTerms) {
+    if (queryTerms.length === 0) {
+      return 1;
+    }
+
+    const titleTerms = this.tokenize(`${entry.title} ${(entry.tags || []).join(' ')}`);
+    let score = 0;
+
+    for (const queryTerm of queryTerms) {
+      if (!entry.terms.some((term) => term.startsWith(queryTerm))) {
+        return 0;
+      }
+      score += titleTerms.some((term) => term.startsWith(queryTerm)) ? 3 : 1;
+    }
+
+    return score;
+  }
+
+  /**
+   * Build the full-text index terms for an entry
+   * @param {Object} entry - Library entry
+   * @returns {Array<string>} - Unique terms
+   */
+  buildTerms(entry) {
+    const concepts = (entry.conceptDictionary || []).map(
+      (concept) => `${concept.term || ''} ${concept.definition || ''}`,
+    );
+
+    const text = [
+      entry.title,
+      entry.author,
+      entry.domain,
+      ...(entry.tags || []),
+      ...(entry.mainTopics || []),
+      entry.quickSummary,
+      entry.detailedSummary,
+      ...(entry.keyPoints || []),
+      ...(entry.actionItems || []),
+      ...concepts,
+    ].join(' ');
+
+    return Array.from(new Set(this.tokenize(text)));
+  }
+
+  /**
+   * Split text into lowercase search terms
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} - Terms
+   */
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((term) => term.length >= this.minTermLength);
+  }
+
+  /**
+   * Clean up user-entered tags
+   * @param {Array<string>} tags - Raw tags
+   * @returns {Array<string>} - Trimmed, de-duplicated tags
+   */
+  normalizeTags(tags) {
+    const cleaned = (Array.isArray(tags) ? tags : [])
+      .map((tag) => String(tag).trim())
+      .filter(Boolean);
+    return Array.from(new Set(cleaned));
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - Request
+   * @returns {Promise<any>} - Request result
+   */
+  promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+// Export for use in extension pages and the service worker
+if (typeof self !== 'undefined') {
+  self.SummaryLibrary = SummaryLibrary;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SummaryLibrary;
+}
@@ -14,6 +14,51 @@ class SummaryOverlay {
     this.justOpened = false; // Flag to prevent immediate closure
     this.boundKeyboardHandler = this.handleKeyboard.bind(this); // Store bound function
     this.instanceId = 'overlay_' + Date.now(); // Unique instance ID for debugging
+
+    // Summary field rendered by each tab (used to detect sections still streaming in)
+    this.tabSections = {
+      quick: 'quickSummary',
+      detailed: 'detailedSummary',
+      eli15: 'eliSummary',
+      concepts: 'conceptDictionary',
+      points: 'keyPoints',
+      actions: 'actionItems',
+    };
+
+    // Ask-the-page chat state
+    this.chatMessages = null; // Falls back to the conversation stored with the summary
+    this.chatDraft = '';
+    this.chatError = null;
+    this.isAsking = false;
+    this.handlers = {};
+
+    // Custom tab: the user's prompt templates and the last result
+    this.templateStore =
+      typeof PromptTemplateStore !== 'undefined' ? new PromptTemplateStore() : null;
+    this.promptTemplates = [];
+    this.selectedTemplateId = null;
+    this.templateValues = {}; // Variable values typed for the selected template
+    this.templateResult = null; // { templateId, templateName, markdown }
+    this.templateError = null;
+    this.isRunningTemplate = false;
+
+    this.exporter =
+      typeof SummaryExporter !== 'undefined'
+        ? new SummaryExporter({ renderMarkdown: (markdown) => this.renderMarkdown(markdown) })
+        : null;
+    this.exportError = null;
+    this.pendingOptions = null; // Preset or language being generated after a switch
+  }
+
+  /**
+   * Set callbacks provided by the content script
+   * @param {Object} handlers - { onAskQuestion(question) => Promise<{ success, chat, error }>,
+   *   onLocatePassage(quote) => boolean, getPageDetails() => { title, url },
+   *   onChangeSummaryOptions({ preset } or { language }) => Promise<Object> summary result,
+   *   onRunTemplate(template, variables) => Promise<{ success, markdown, error }> }
+   */
+  setHandlers(handlers = {}) {
+    this.handlers = { ...this.handlers, ...handlers };
   }
 
   /**
@@ -26,6 +71,7 @@ class SummaryOverlay {
 
       // Load settings to determine which tabs to show
       await this.loadSettings();
+      await this.loadPromptTemplates();
 
       // Ensure active tab is still visible after loading settings
       this.validateActiveTab();
@@ -71,6 +117,34 @@ class SummaryOverlay {
     }
   }
 
+  /**
+   * Replace the displayed summary without recreating the overlay
+   * (used while a summary streams in section by section)
+   * @param {Object} summaryData - Summary data from ContentSummaryService
+   */
+  async update(summaryData) {
+    if (!this.overlay || !this.isVisible) {
+      return this.show(summaryData);
+    }
+
+    this.currentSummary = summaryData;
+    this.validateActiveTab();
+
+    // Keep the reader's scroll position and any half-typed question while sections are added
+    const contentArea = this.overlay.querySelector('.rf-summary-content');
+    const scrollTop = contentArea ? contentArea.scrollTop : 0;
+    this.saveChatDraft();
+    this.saveTemplateValues();
+
+    this.overlay.innerHTML = this.buildOverlayHTML();
+    this.bindEvents();
+
+    const newContentArea = this.overlay.querySelector('.rf-summary-content');
+    if (newContentArea) {
+      newContentArea.scrollTop = scrollTop;
+    }
+  }
+
   /**
    * Hide summary overlay
    */
@@ -118,6 +192,19 @@ class SummaryOverlay {
     }
   }
 
+  /**
+   * Load the user's prompt templates for the Custom tab
+   */
+  async loadPromptTemplates() {
+    if (!this.templateStore) return;
+
+    this.promptTemplates = await this.templateStore.getAll();
+    if (!this.promptTemplates.some((template) => template.id === this.selectedTemplateId)) {
+      this.selectedTemplateId = this.promptTemplates[0]?.id || null;
+      this.templateValues = {};
+    }
+  }
+
   /**
    * Validate that the current active tab is still visible based on settings
    */
@@ -131,21 +218,38 @@ class SummaryOverlay {
   }
 
   /**
-   * Get list of tabs that should be visible based on settings
+   * Get list of tabs that should be visible based on settings and the summary's preset
    */
   getVisibleTabs() {
-    const visibleTabs = ['quick', 'detailed', 'eli15']; // Always show these basic tabs
+    const sections = this.currentSummary?.preset?.sections || {};
+    const isShown = (section, setting) =>
+      sections[section] !== false && (!setting || this.settings?.[setting] !== false);
+    const visibleTabs = [];
 
-    if (this.settings?.includeConcepts !== false) {
+    if (isShown('quickSummary')) {
+      visibleTabs.push('quick');
+    }
+    if (isShown('detailedSummary')) {
+      visibleTabs.push('detailed');
+    }
+    visibleTabs.push('eli15'); // Always generated
+
+    if (isShown('concepts', 'includeConcepts')) {
       visibleTabs.push('concepts');
     }
-    if (this.settings?.includeKeyPoints !== false) {
+    if (isShown('keyPoints', 'includeKeyPoints')) {
       visibleTabs.push('points');
     }
-    if (this.settings?.includeActionItems !== false) {
+    if (isShown('actionItems', 'includeActionItems')) {
       visibleTabs.push('actions');
     }
 
+    visibleTabs.push('chat');
+
+    if (this.templateStore && this.handlers.onRunTemplate) {
+      visibleTabs.push('custom');
+    }
+
     return visibleTabs;
   }
 
@@ -183,6 +287,8 @@ class SummaryOverlay {
       return this.buildErrorHTML(currentSummary?.error || 'Summary not available');
     }
 
+    const visibleTabs = this.getVisibleTabs();
+
     return `
       <div class="rf-summary-container">
         <!-- Header -->
@@ -190,57 +296,77 @@ class SummaryOverlay {
           <div class="rf-summary-title">
             <span class="rf-summary-icon">🧠</span>
             <h2>Learn Quickly</h2>
+            ${
+              currentSummary.metadata?.cached
+                ? `<span class="rf-summary-badge" title="Served from the summary cache">
+                    Cached
+                  </span>`
+                : ''
+            }
+          </div>
+          <div class="rf-summary-header-actions">
+            ${this.buildSummarySwitchers()}
+            ${this.buildExportMenu()}
+            <button class="rf-summary-close" title="Close Summary">×</button>
           </div>
-          <button class="rf-summary-close" title="Close Summary">×</button>
         </div>
 
         <!-- Tab Navigation -->
         <div class="rf-summary-tabs">
-          <button class="rf-summary-tab ${
-            this.activeTab === 'quick' ? 'active' : ''
-          }" data-tab="quick">
+          ${
+            visibleTabs.includes('quick')
+              ? `
+          <button class="rf-summary-tab ${this.getTabClasses('quick')}" data-tab="quick">
             TLDR
-          </button>
-          <button class="rf-summary-tab ${
-            this.activeTab === 'detailed' ? 'active' : ''
-          }" data-tab="detailed">
+          </button>`
+              : ''
+          }
+          ${
+            visibleTabs.includes('detailed')
+              ? `
+          <button class="rf-summary-tab ${this.getTabClasses('detailed')}" data-tab="detailed">
             Detailed
-          </button>
-          <button class="rf-summary-tab ${
-            this.activeTab === 'eli15' ? 'active' : ''
-          }" data-tab="eli15">
+          </button>`
+              : ''
+          }
+          <button class="rf-summary-tab ${this.getTabClasses('eli15')}" data-tab="eli15">
             ELI5
           </button>
           ${
-            this.settings?.includeConcepts !== false
+            visibleTabs.includes('concepts')
               ? `
-          <button class="rf-summary-tab ${
-            this.activeTab === 'concepts' ? 'active' : ''
-          }" data-tab="concepts">
+          <button class="rf-summary-tab ${this.getTabClasses('concepts')}" data-tab="concepts">
             Concepts
           </button>`
               : ''
           }
           ${
-            this.settings?.includeKeyPoints !== false
+            visibleTabs.includes('points')
               ? `
-          <button class="rf-summary-tab ${
-            this.activeTab === 'points' ? 'active' : ''
-          }" data-tab="points">
+          <button class="rf-summary-tab ${this.getTabClasses('points')}" data-tab="points">
             Key Points
           </button>`
               : ''
           }
           ${
-            this.settings?.includeActionItems !== false
+            visibleTabs.includes('actions')
               ? `
-          <button class="rf-summary-tab ${
-            this.activeTab === 'actions' ? 'active' : ''
-          }" data-tab="actions">
+          <button class="rf-summary-tab ${this.getTabClasses('actions')}" data-tab="actions">
             Actions
           </button>`
               : ''
           }
+          <button class="rf-summary-tab ${this.getTabClasses('chat')}" data-tab="chat">
+            Chat
+          </button>
+          ${
+            visibleTabs.includes('custom')
+              ? `
+          <button class="rf-summary-tab ${this.getTabClasses('custom')}" data-tab="custom">
+            Custom
+          </button>`
+              : ''
+          }
         </div>
 
         <!-- Content Area -->
@@ -251,6 +377,135 @@ class SummaryOverlay {
     `;
   }
 
+  /**
+   * Build the summary preset and language switchers
+   * @returns {string} - Select HTML (empty when summaries can't be regenerated from here)
+   */
+  buildSummarySwitchers() {
+    if (!this.handlers.onChangeSummaryOptions || typeof SummaryPresets === 'undefined') {
+      return '';
+    }
+
+    // Wait for streaming to finish before starting another generation
+    const disabled = this.currentSummary?.partial ? 'disabled' : '';
+    const buildOptions = (items, currentValue) =>
+      items
+        .map(({ value, label }) => {
+          const selected = value === currentValue ? 'selected' : '';
+          const option = `value="${escapeHtml(value)}" ${selected}`;
+          return `<option ${option}>${escapeHtml(label)}</option>`;
+        })
+        .join('');
+
+    const presets = SummaryPresets.getAll(this.settings).map((preset) => ({
+      value: preset.id,
+      label: preset.name,
+    }));
+    // Name the detected language next to "Page language"
+    const { language } = this.currentSummary || {};
+    const detectedName = language?.requested === 'auto' ? language.name : null;
+    const languages = CONFIG.SUMMARY_LANGUAGES.map(({ code, name }) => ({
+      value: code,
+      label: code === 'auto' && detectedName ? `${name} (${detectedName})` : name,
+    }));
+
+    return `
+      <select class="rf-summary-switcher" data-option="preset" title="Summary preset" ${disabled}>
+        ${buildOptions(presets, this.getCurrentPresetId())}
+      </select>
+      <select class="rf-summary-switcher" data-option="language" title="Summary language" ${disabled}>
+        ${buildOptions(languages, this.getCurrentLanguage())}
+      </select>
+    `;
+  }
+
+  /**
+   * Get the preset of the displayed summary (or the one being generated)
+   * @returns {string} - Preset id
+   */
+  getCurrentPresetId() {
+    return (
+      this.pendingOptions?.preset ||
+      this.currentSummary?.preset?.id ||
+      SummaryPresets.getDefaultId(this.settings)
+    );
+  }
+
+  /**
+   * Get the language requested for the displayed summary (or the one being generated)
+   * @returns {string} - Language code or 'auto'
+   */
+  getCurrentLanguage() {
+    return (
+      this.pendingOptions?.language ||
+      this.currentSummary?.language?.requested ||
+      this.settings?.summaryLanguage ||
+      CONFIG.DEFAULT_SUMMARY_LANGUAGE
+    );
+  }
+
+  /**
+   * Summarize the page again with another preset or language
+   * @param {Object} changes - { preset } or { language }
+   */
+  async changeSummaryOptions(changes) {
+    const isUnchanged =
+      (changes.preset && changes.preset === this.getCurrentPresetId()) ||
+      (changes.language && changes.language === this.getCurrentLanguage());
+    if (!this.handlers.onChangeSummaryOptions || isUnchanged) {
+      return;
+    }
+
+    this.pendingOptions = changes;
+    this.showLoading();
+
+    try {
+      const result = await this.handlers.onChangeSummaryOptions(changes);
+      this.pendingOptions = null;
+      this.update(result);
+    } catch (error) {
+      console.error('❌ [SummaryOverlay] Failed to change summary options:', error);
+      this.pendingOptions = null;
+      this.update({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Build the export button and its format menu
+   * @returns {string} - Export menu HTML (empty when the exporter isn't loaded)
+   */
+  buildExportMenu() {
+    if (!this.exporter) {
+      return '';
+    }
+
+    // Wait for streaming to finish so exports contain every section
+    const isPartial = !!this.currentSummary?.partial;
+    const error = this.exportError
+      ? `<div class="rf-export-error">${escapeHtml(this.exportError)}</div>`
+      : '';
+    const options = this.exporter.formats
+      .map(
+        (format) =>
+          `<button class="rf-export-option" data-format="${format.id}">${format.label}</button>`,
+      )
+      .join('');
+
+    return `
+      <div class="rf-export">
+        <button
+          class="rf-summary-export"
+          title="${isPartial ? 'Available when the summary is complete' : 'Export summary'}"
+          ${isPartial ? 'disabled' : ''}
+        >⤓</button>
+        <div class="rf-export-menu" style="display: ${error ? 'flex' : 'none'}">
+          ${options}
+          ${error}
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Build tab content based on active tab
    * @returns {string} - Tab content HTML
@@ -264,6 +519,15 @@ class SummaryOverlay {
       return '<div class="rf-summary-empty">This section is disabled in your settings.</div>';
     }
 
+    if (this.isTabPending(activeTab)) {
+      return `
+        <div class="rf-summary-loading">
+          <div class="rf-loading-spinner"></div>
+          <p>Writing this section...</p>
+        </div>
+      `;
+    }
+
     switch (activeTab) {
       case 'quick':
         return this.buildQuickSummaryTab();
@@ -283,11 +547,37 @@ class SummaryOverlay {
         return this.settings?.includeActionItems !== false
           ? this.buildActionItemsTab()
           : '<div class="rf-summary-empty">Action items are disabled in settings.</div>';
+      case 'chat':
+        return this.buildChatTab();
+      case 'custom':
+        return this.buildCustomTab();
       default:
         return this.buildQuickSummaryTab();
     }
   }
 
+  /**
+   * Get CSS classes for a tab button
+   * @param {string} tab - Tab identifier
+   * @returns {string} - Space-separated class names
+   */
+  getTabClasses(tab) {
+    const classes = [];
+    if (this.activeTab === tab) classes.push('active');
+    if (this.isTabPending(tab)) classes.push('rf-tab-pending');
+    return classes.join(' ');
+  }
+
+  /**
+   * Check whether a tab's section is still being streamed in
+   * @param {string} tab - Tab identifier
+   * @returns {boolean} - True if the section has not arrived yet
+   */
+  isTabPending(tab) {
+    const summary = this.currentSummary;
+    return !!(summary?.partial && summary.pendingSections?.includes(this.tabSections[tab]));
+  }
+
   /**
    * Build quick summary tab content
    * @returns {string} - Quick summary HTML
@@ -343,6 +633,8 @@ class SummaryOverlay {
    */
   buildKeyPointsTab() {
     const keyPoints = this.currentSummary.keyPoints;
+    const sources = this.currentSummary.keyPointSources || [];
+    const citations = this.currentSummary.keyPointCitations || [];
 
     if (!keyPoints || keyPoints.length === 0) {
       return '<div class="rf-summary-empty">No key points extracted</div>';
@@ -352,10 +644,11 @@ class SummaryOverlay {
       .map((point, index) => {
         // Remove leading bullet points, dashes, or asterisks from the point text
         const cleanedPoint = point.replace(/^[•·\-*]\s*/, '');
+        const source = this.buildSourceLink('points', index, sources[index], citations[index]);
         return `
-      <div class="rf-key-point">
+      <div class="rf-key-point${source.className}"${source.attributes}>
         <div class="rf-point-number">${index + 1}</div>
-        <div class="rf-point-text">${cleanedPoint}</div>
+        <div class="rf-point-text">${cleanedPoint}${source.quote}</div>
       </div>
     `;
       })
@@ -376,6 +669,8 @@ class SummaryOverlay {
    */
   buildActionItemsTab() {
     const actionItems = this.currentSummary.actionItems;
+    const sources = this.currentSummary.actionItemSources || [];
+    const citations = this.currentSummary.actionItemCitations || [];
 
     if (!actionItems || actionItems.length === 0) {
       return '<div class="rf-summary-empty">No specific actions identified</div>';
@@ -385,10 +680,11 @@ class SummaryOverlay {
       .map((action, index) => {
         // Remove leading bullet points, dashes, or asterisks from the action text
         const cleanedAction = action.replace(/^[•·\-*]\s*/, '');
+        const source = this.buildSourceLink('actions', index, sources[index], citations[index]);
         return `
-      <div class="rf-action-item">
+      <div class="rf-action-item${source.className}"${source.attributes}>
         <div class="rf-action-number">${index + 1}</div>
-        <div class="rf-action-text">${cleanedAction}</div>
+        <div class="rf-action-text">${cleanedAction}${source.quote}</div>
       </div>
     `;
       })
@@ -403,6 +699,33 @@ class SummaryOverlay {
     `;
   }
 
+  /**
+   * Build the markup that links a key point or action item to its source passage
+   * @param {string} type - 'points' or 'actions'
+   * @param {number} index - Item index
+   * @param {string|null} quote - Supporting quote from the article
+   * @param {Object|null} citation - { label, title } PDF page or video timestamp of the quote
+   * @returns {Object} - { className, attributes, quote } HTML fragments (empty when no quote)
+   */
+  buildSourceLink(type, index, quote, citation = null) {
+    if (!quote) {
+      return { className: '', attributes: '', quote: '' };
+    }
+
+    const title = escapeHtml(citation?.title || 'Show in article');
+    const badge = citation
+      ? ` <span class="rf-point-citation">${escapeHtml(citation.label)}</span>`
+      : '';
+
+    return {
+      className: ' rf-point-linked',
+      attributes:
+        ` data-source-type="${type}" data-source-index="${index}"` +
+        ` role="button" tabindex="0" title="${title}"`,
+      quote: `<div class="rf-point-source">“${escapeHtml(quote)}”${badge}</div>`,
+    };
+  }
+
   /**
    * Build ELI15 (Explain Like I'm 15) summary tab
    * @returns {string} - ELI15 summary HTML
@@ -469,6 +792,328 @@ class SummaryOverlay {
     `;
   }
 
+  /**
+   * Build ask-the-page chat tab
+   * @returns {string} - Chat HTML
+   */
+  buildChatTab() {
+    const messages = this.getChatMessages();
+
+    const messagesHTML =
+      messages.length > 0
+        ? messages.map((message) => this.buildChatMessage(message)).join('')
+        : `<div class="rf-summary-empty">
+            Ask anything about this page. Answers come from the article and quote the passages
+            they rely on.
+          </div>`;
+
+    return `
+      <div class="rf-tab-content rf-tab-chat">
+        <div class="rf-chat-messages">
+          ${messagesHTML}
+          ${
+            this.isAsking
+              ? '<div class="rf-chat-message rf-chat-assistant rf-chat-thinking">Thinking...</div>'
+              : ''
+          }
+          ${this.chatError ? `<div class="rf-chat-error">${escapeHtml(this.chatError)}</div>` : ''}
+        </div>
+        <form class="rf-chat-form">
+          <textarea
+            class="rf-chat-input"
+            rows="2"
+            placeholder="Ask a question about this page..."
+            ${this.isAsking ? 'disabled' : ''}
+          >${escapeHtml(this.chatDraft)}</textarea>
+          <button
+            type="submit"
+            class="rf-summary-btn rf-btn-primary"
+            ${this.isAsking ? 'disabled' : ''}
+          >
+            Ask
+          </button>
+        </form>
+      </div>
+    `;
+  }
+
+  /**
+   * Build a single chat message
+   * @param {Object} message - { role, content, quotes }
+   * @returns {string} - Message HTML
+   */
+  buildChatMessage(message) {
+    if (message.role === 'user') {
+      return `<div class="rf-chat-message rf-chat-user">${escapeHtml(message.content)}</div>`;
+    }
+
+    const quotesHTML = (message.quotes || [])
+      .map((quote) => `<blockquote class="rf-chat-quote">“${escapeHtml(quote)}”</blockquote>`)
+      .join('');
+
+    return `
+      <div class="rf-chat-message rf-chat-assistant">
+        <div class="rf-summary-markdown">
+          ${this.renderMarkdown(message.content)}
+        </div>
+        ${quotesHTML}
+      </div>
+    `;
+  }
+
+  /**
+   * Get the conversation to display
+   * @returns {Array<Object>} - Chat messages
+   */
+  getChatMessages() {
+    return this.chatMessages || this.currentSummary?.chat || [];
+  }
+
+  /**
+   * Send a question to the content script and show the answer
+   * @param {string} question - User's question
+   */
+  async askQuestion(question) {
+    const trimmedQuestion = (question || '').trim();
+    if (!trimmedQuestion || this.isAsking) return;
+
+    if (!this.handlers.onAskQuestion) {
+      this.chatError = 'Chat is not available on this page.';
+      this.refreshChat();
+      return;
+    }
+
+    const previousMessages = this.getChatMessages();
+    this.chatMessages = [...previousMessages, { role: 'user', content: trimmedQuestion }];
+    this.chatDraft = '';
+    this.chatError = null;
+    this.isAsking = true;
+    this.refreshChat();
+
+    try {
+      const result = await this.handlers.onAskQuestion(trimmedQuestion);
+
+      if (result?.success) {
+        this.chatMessages = result.chat;
+      } else {
+        // Put the question back so it can be retried
+        this.chatMessages = previousMessages;
+        this.chatDraft = trimmedQuestion;
+        this.chatError = result?.error || 'Could not answer that question. Please try again.';
+      }
+    } catch (error) {
+      console.error('❌ [SummaryOverlay] Failed to ask question:', error);
+      this.chatMessages = previousMessages;
+      this.chatDraft = trimmedQuestion;
+      this.chatError = 'Could not answer that question. Please try again.';
+    } finally {
+      this.isAsking = false;
+      this.refreshChat();
+    }
+  }
+
+  /**
+   * Re-render the chat tab if it is open
+   */
+  refreshChat() {
+    if (!this.overlay || this.activeTab !== 'chat') return;
+
+    const contentArea = this.overlay.querySelector('.rf-summary-content');
+    if (!contentArea) return;
+
+    contentArea.innerHTML = this.buildTabContent();
+    this.bindActionButtons();
+    contentArea.scrollTop = contentArea.scrollHeight;
+
+    if (!this.isAsking) {
+      this.overlay.querySelector('.rf-chat-input')?.focus();
+    }
+  }
+
+  /**
+   * Remember the question being typed before the content area is rebuilt
+   */
+  saveChatDraft() {
+    const input = this.overlay?.querySelector('.rf-chat-input');
+    if (input) {
+      this.chatDraft = input.value;
+    }
+  }
+
+  /**
+   * Build the Custom tab: pick a prompt template, fill in its variables and run it
+   * @returns {string} - Custom tab HTML
+   */
+  buildCustomTab() {
+    if (this.promptTemplates.length === 0) {
+      return `
+        <div class="rf-summary-empty">
+          <p>
+            Write your own prompts in settings, such as "List every claim and its evidence",
+            then run them on any page from here.
+          </p>
+          <button class="rf-summary-btn rf-btn-secondary rf-template-settings-btn">
+            Create a template
+          </button>
+        </div>
+      `;
+    }
+
+    const selected = this.getSelectedTemplate();
+    const options = this.promptTemplates
+      .map(
+        (template) => `
+          <option value="${escapeHtml(template.id)}"
+            ${template.id === selected.id ? 'selected' : ''}>
+            ${escapeHtml(template.name)}
+          </option>`,
+      )
+      .join('');
+    const variablesHTML = Object.keys(selected.variables || {})
+      .map(
+        (name) => `
+          <label class="rf-template-variable">
+            <span>${escapeHtml(name)}</span>
+            <input
+              type="text"
+              class="rf-template-input"
+              data-variable="${escapeHtml(name)}"
+              value="${escapeHtml(this.getTemplateValue(selected, name))}"
+              ${this.isRunningTemplate ? 'disabled' : ''}
+            />
+          </label>`,
+      )
+      .join('');
+    const result =
+      this.templateResult?.templateId === selected.id ? this.templateResult : null;
+
+    return `
+      <div class="rf-tab-content rf-tab-custom">
+        <form class="rf-template-form">
+          <select class="rf-template-select" ${this.isRunningTemplate ? 'disabled' : ''}>
+            ${options}
+          </select>
+          ${variablesHTML}
+          <button
+            type="submit"
+            class="rf-summary-btn rf-btn-primary"
+            ${this.isRunningTemplate ? 'disabled' : ''}
+          >
+            ${this.isRunningTemplate ? 'Running...' : 'Run'}
+          </button>
+        </form>
+        ${
+          this.templateError
+            ? `<div class="rf-chat-error">${escapeHtml(this.templateError)}</div>`
+            : ''
+        }
+        ${
+          result
+            ? `<div class="rf-summary-markdown rf-template-result">
+                ${this.renderMarkdown(result.markdown)}
+              </div>`
+            : ''
+        }
+      </div>
+    `;
+  }
+
+  /**
+   * Get the template picked in the Custom tab
+   * @returns {Object} - Template
+   */
+  getSelectedTemplate() {
+    return (
+      this.promptTemplates.find((template) => template.id === this.selectedTemplateId) ||
+      this.promptTemplates[0]
+    );
+  }
+
+  /**
+   * Get the value shown for a template variable: what the user typed, else its default
+   * @param {Object} template - Template
+   * @param {string} name - Variable name
+   * @returns {string} - Value
+   */
+  getTemplateValue(template, name) {
+    return this.templateValues[name] ?? template.variables?.[name] ?? '';
+  }
+
+  /**
+   * Run the selected template on the page and show the result
+   */
+  async runPromptTemplate() {
+    if (this.isRunningTemplate || !this.handlers.onRunTemplate) return;
+
+    this.saveTemplateValues();
+    const template = this.getSelectedTemplate();
+    const variables = Object.fromEntries(
+      Object.keys(template.variables || {}).map((name) => [
+        name,
+        this.getTemplateValue(template, name),
+      ]),
+    );
+
+    this.templateError = null;
+    this.isRunningTemplate = true;
+    this.refreshCustomTab();
+
+    try {
+      const result = await this.handlers.onRunTemplate(template, variables);
+
+      if (result?.success) {
+        this.templateResult = {
+          templateId: template.id,
+          templateName: template.name,
+          markdown: result.markdown,
+        };
+      } else {
+        this.templateError = result?.error || 'Could not run this template. Please try again.';
+      }
+    } catch (error) {
+      console.error('❌ [SummaryOverlay] Failed to run prompt template:', error);
+      this.templateError = 'Could not run this template. Please try again.';
+    } finally {
+      this.isRunningTemplate = false;
+      this.refreshCustomTab();
+    }
+  }
+
+  /**
+   * Reload templates (they may have been edited in settings) and re-render the Custom tab
+   */
+  async refreshPromptTemplates() {
+    try {
+      await this.loadPromptTemplates();
+    } catch (error) {
+      console.error('❌ [SummaryOverlay] Failed to load prompt templates:', error);
+    }
+    this.refreshCustomTab();
+  }
+
+  /**
+   * Re-render the Custom tab if it is open
+   */
+  refreshCustomTab() {
+    if (!this.overlay || this.activeTab !== 'custom') return;
+
+    const contentArea = this.overlay.querySelector('.rf-summary-content');
+    if (!contentArea) return;
+
+    this.saveTemplateValues();
+    contentArea.innerHTML = this.buildTabContent();
+    this.bindActionButtons();
+  }
+
+  /**
+   * Remember the variable values being typed before the content area is rebuilt
+   */
+  saveTemplateValues() {
+    this.overlay?.querySelectorAll('.rf-template-input').forEach((input) => {
+      this.templateValues[input.dataset.variable] = input.value;
+    });
+  }
+
   /**
    * Build main topics section
    * @returns {string} - Main topics HTML
@@ -559,9 +1204,34 @@ class SummaryOverlay {
     const settingsBtn = this.overlay.querySelector('#rf-open-settings');
     settingsBtn?.addEventListener('click', () => this.openSettings());
 
+    // Preset and language switchers
+    this.overlay.querySelectorAll('.rf-summary-switcher').forEach((select) => {
+      select.addEventListener('change', (e) => {
+        this.changeSummaryOptions({ [select.dataset.option]: e.target.value });
+      });
+    });
+
+    // Export menu
+    const exportBtn = this.overlay.querySelector('.rf-summary-export');
+    exportBtn?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleExportMenu();
+    });
+    this.overlay.querySelectorAll('.rf-export-option').forEach((option) => {
+      option.addEventListener('click', () => this.exportSummary(option.dataset.format));
+    });
+    this.overlay.querySelector('.rf-summary-container')?.addEventListener('click', (e) => {
+      if (!e.target.closest('.rf-export')) {
+        this.toggleExportMenu(false);
+      }
+    });
+
     // Since there's no background overlay now, we'll rely on ESC key and close button only
     // No click-outside-to-close functionality needed
 
+    // Tab-specific controls
+    this.bindActionButtons();
+
     // Keyboard shortcuts
     document.addEventListener('keydown', this.boundKeyboardHandler);
   }
@@ -575,6 +1245,8 @@ class SummaryOverlay {
       return;
     }
 
+    this.saveChatDraft();
+    this.saveTemplateValues();
     this.activeTab = tab;
 
     // Update tab buttons
@@ -591,6 +1263,10 @@ class SummaryOverlay {
       // Re-bind action buttons for new content
       this.bindActionButtons();
     }
+
+    if (tab === 'custom') {
+      this.refreshPromptTemplates();
+    }
   }
 
   /**
@@ -600,6 +1276,83 @@ class SummaryOverlay {
     if (!this.overlay) {
       return;
     }
+
+    // Key point and action item source links
+    this.overlay.querySelectorAll('.rf-point-linked').forEach((item) => {
+      const locate = () => this.locateSource(item);
+      item.addEventListener('click', locate);
+      item.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          locate();
+        }
+      });
+    });
+
+    // Chat form
+    const chatForm = this.overlay.querySelector('.rf-chat-form');
+    const chatInput = this.overlay.querySelector('.rf-chat-input');
+    chatForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.askQuestion(chatInput.value);
+    });
+    chatInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') return;
+
+      // Keep the page's own shortcuts from reacting to typing
+      e.stopPropagation();
+
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.askQuestion(chatInput.value);
+      }
+    });
+
+    // Custom prompt templates
+    const templateForm = this.overlay.querySelector('.rf-template-form');
+    templateForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.runPromptTemplate();
+    });
+    this.overlay.querySelector('.rf-template-select')?.addEventListener('change', (e) => {
+      this.selectedTemplateId = e.target.value;
+      this.templateValues = {};
+      this.templateError = null;
+      this.refreshCustomTab();
+    });
+    this.overlay.querySelectorAll('.rf-template-input').forEach((input) => {
+      // Keep the page's own shortcuts from reacting to typing
+      input.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') e.stopPropagation();
+      });
+    });
+    this.overlay.querySelector('.rf-template-settings-btn')?.addEventListener('click', () => {
+      this.openSettings();
+    });
+
+    if (this.activeTab === 'chat') {
+      const messages = this.overlay.querySelector('.rf-summary-content');
+      if (messages) {
+        messages.scrollTop = messages.scrollHeight;
+      }
+    }
+  }
+
+  /**
+   * Scroll the page to the passage a key point or action item came from
+   * @param {Element} item - Linked item element
+   */
+  locateSource(item) {
+    const sourceField =
+      item.dataset.sourceType === 'actions' ? 'actionItemSources' : 'keyPointSources';
+    const quote = this.currentSummary?.[sourceField]?.[Number(item.dataset.sourceIndex)];
+    if (!quote || !this.handlers.onLocatePassage) {
+      return;
+    }
+
+    const found = this.handlers.onLocatePassage(quote);
+    item.classList.toggle('rf-source-missing', !found);
+    item.title = found ? 'Show in article' : "Couldn't find this passage on the page";
   }
 
   /**
@@ -649,6 +1402,18 @@ class SummaryOverlay {
           e.preventDefault();
         }
         break;
+      case '7':
+        if (e.ctrlKey || e.metaKey) {
+          this.switchTab('chat');
+          e.preventDefault();
+        }
+        break;
+      case '8':
+        if ((e.ctrlKey || e.metaKey) && this.getVisibleTabs().includes('custom')) {
+          this.switchTab('custom');
+          e.preventDefault();
+        }
+        break;
     }
   }
 
@@ -673,6 +1438,42 @@ class SummaryOverlay {
     }
   }
 
+  /**
+   * Show or hide the export menu
+   * @param {boolean} show - Force a state (toggles when omitted)
+   */
+  toggleExportMenu(show) {
+    const menu = this.overlay?.querySelector('.rf-export-menu');
+    if (!menu) return;
+
+    const shouldShow = show ?? menu.style.display === 'none';
+    menu.style.display = shouldShow ? 'flex' : 'none';
+  }
+
+  /**
+   * Export the current summary
+   * @param {string} format - Export format id from SummaryExporter
+   */
+  exportSummary(format) {
+    if (!this.exporter || !this.currentSummary) return;
+
+    const pageDetails = this.handlers.getPageDetails
+      ? this.handlers.getPageDetails()
+      : { title: document.title, url: window.location.href };
+
+    try {
+      this.exporter.export(format, this.currentSummary, pageDetails);
+      this.exportError = null;
+      this.toggleExportMenu(false);
+    } catch (error) {
+      console.error('❌ [SummaryOverlay] Failed to export summary:', error);
+      this.exportError = error.message;
+
+      // Re-render so the menu stays open with the error
+      this.update(this.currentSummary);
+    }
+  }
+
   /**
    * Start reading mode
    */
@@ -994,15 +1795,15 @@ class SummaryOverlay {
   }
 
   /**
-   * Process inline markdown elements (bold, italic, code)
-   * @param {string} text - Text to process
+   * Escape text and process inline markdown elements (bold, italic, code)
+   * @param {string} text - Raw text to process
    * @returns {string} - Processed HTML
    */
   processInlineMarkdown(text) {
     if (!text) return '';
 
     return (
-      text
+      escapeHtml(text)
         // Bold text
         .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
         // Italic text
@@ -1021,15 +1822,12 @@ class SummaryOverlay {
   renderCodeBlock(code, language = '') {
     if (!code.trim()) return '';
 
-    const escapedCode = code
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#39;');
+    const escapedCode = escapeHtml(code);
 
-    const languageClass = language ? ` class="language-${language}"` : '';
-    const languageLabel = language ? `<div class="rf-code-language">${language}</div>` : '';
+    const languageClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+    const languageLabel = language
+      ? `<div class="rf-code-language">${escapeHtml(language)}</div>`
+      : '';
 
     return `
       <div class="rf-code-block">
@@ -1289,6 +2087,93 @@ for i in range(10):
         background: #e8ddc9;
         transform: translateY(-1px);
       }
+
+      .rf-summary-header-actions {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .rf-summary-switcher {
+        height: 32px;
+        max-width: 150px;
+        padding: 0 8px;
+        background: #fffaf3;
+        border: 1px solid #101828;
+        border-radius: 6px;
+        color: #101828;
+        font-size: 13px;
+        cursor: pointer;
+      }
+
+      .rf-summary-switcher:disabled {
+        opacity: 0.4;
+        cursor: not-allowed;
+      }
+
+      .rf-export {
+        position: relative;
+      }
+
+      .rf-summary-export {
+        background: #fffaf3;
+        border: 1px solid #101828;
+        border-radius: 6px;
+        width: 32px;
+        height: 32px;
+        color: #101828;
+        font-size: 16px;
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transition: all 0.2s;
+      }
+
+      .rf-summary-export:hover:not(:disabled) {
+        background: #e8ddc9;
+        transform: translateY(-1px);
+      }
+
+      .rf-summary-export:disabled {
+        opacity: 0.4;
+        cursor: not-allowed;
+      }
+
+      .rf-export-menu {
+        position: absolute;
+        top: 38px;
+        right: 0;
+        z-index: 10;
+        flex-direction: column;
+        min-width: 190px;
+        padding: 6px;
+        background: #ffffff;
+        border: 1px solid #101828;
+        border-radius: 8px;
+        box-shadow: 0 8px 24px rgba(16, 24, 40, 0.15);
+      }
+
+      .rf-export-option {
+        background: none;
+        border: none;
+        border-radius: 4px;
+        padding: 8px 10px;
+        text-align: left;
+        font-size: 14px;
+        color: #101828;
+        cursor: pointer;
+      }
+
+      .rf-export-option:hover {
+        background: #fffaf3;
+      }
+
+      .rf-export-error {
+        padding: 6px 10px;
+        font-size: 12px;
+        color: #b42318;
+      }
       
       .rf-summary-tabs {
         display: flex;
@@ -1301,6 +2186,10 @@ for i in range(10):
         scrollbar-color: #101828 #fffaf3;
       }
 
+      .rf-summary-tab.rf-tab-pending {
+        opacity: 0.55;
+      }
+
       .rf-summary-tabs::-webkit-scrollbar {
         height: 6px;
       }
@@ -1805,6 +2694,42 @@ for i in range(10):
       .rf-action-text li::before {
         display: none !important;
       }
+
+      .rf-point-linked {
+        cursor: pointer;
+        transition: background 0.15s ease;
+      }
+
+      .rf-point-linked:hover,
+      .rf-point-linked:focus-visible {
+        background: #fffaf3;
+        outline: none;
+      }
+
+      .rf-point-source {
+        margin-top: 8px;
+        padding-left: 10px;
+        border-left: 3px solid #d1d1d1;
+        font-size: 13px;
+        font-style: italic;
+        color: #6a7282;
+      }
+
+      .rf-source-missing .rf-point-source {
+        text-decoration: line-through;
+      }
+
+      .rf-point-citation {
+        margin-left: 6px;
+        padding: 1px 6px;
+        border-radius: 3px;
+        background: #f5f1eb;
+        color: #364153;
+        font-size: 11px;
+        font-style: normal;
+        font-weight: 600;
+        white-space: nowrap;
+      }
       
       
       .rf-summary-footer {
@@ -1901,7 +2826,112 @@ for i in range(10):
         text-align: center;
         padding: 40px 20px;
       }
+
+      .rf-chat-messages {
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+        margin-bottom: 16px;
+      }
+
+      .rf-chat-message {
+        padding: 12px 14px;
+        border-radius: 8px;
+        border: 1px solid #101828;
+        font-size: 15px;
+        line-height: 1.6;
+        color: #101828;
+        text-align: left;
+      }
+
+      .rf-chat-user {
+        align-self: flex-end;
+        max-width: 85%;
+        background: #f5f1eb;
+        white-space: pre-wrap;
+      }
+
+      .rf-chat-assistant {
+        background: #ffffff;
+      }
+
+      .rf-chat-thinking {
+        color: #364153;
+        font-style: italic;
+      }
+
+      .rf-chat-quote {
+        margin: 10px 0 0 0;
+        padding: 8px 12px;
+        border-left: 3px solid #101828;
+        background: #fffaf3;
+        font-size: 14px;
+        font-style: italic;
+        color: #364153;
+      }
+
+      .rf-chat-error {
+        color: #b42318;
+        font-size: 14px;
+      }
+
+      .rf-chat-form {
+        display: flex;
+        gap: 8px;
+        align-items: flex-end;
+      }
+
+      .rf-chat-input {
+        flex: 1;
+        resize: vertical;
+        min-height: 44px;
+        padding: 10px 12px;
+        border: 1px solid #101828;
+        border-radius: 8px;
+        background: #ffffff;
+        color: #101828;
+        font-family: inherit;
+        font-size: 14px;
+      }
       
+      .rf-template-form {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+        align-items: flex-end;
+        margin-bottom: 16px;
+      }
+
+      .rf-template-select,
+      .rf-template-input {
+        padding: 8px 10px;
+        border: 1px solid #101828;
+        border-radius: 8px;
+        background: #ffffff;
+        color: #101828;
+        font-family: inherit;
+        font-size: 14px;
+      }
+
+      .rf-template-select {
+        flex: 1 1 100%;
+      }
+
+      .rf-template-variable {
+        display: flex;
+        flex: 1 1 160px;
+        flex-direction: column;
+        gap: 4px;
+        font-size: 12px;
+        font-weight: 600;
+        color: #101828;
+      }
+
+      .rf-template-result {
+        padding-top: 16px;
+        border-top: 1px solid #e8ddc9;
+      }
+
       .rf-error-actions {
         display: flex;
         gap: 12px;
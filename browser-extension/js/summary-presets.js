@@ -0,0 +1,82 @@
+/**
+ * Summary Presets
+ * Resolves the built-in summary presets (CONFIG.SUMMARY_PRESETS) with the user's edits from
+ * settings, and turns a preset into summary options for the prompt builder.
+ */
+
+class SummaryPresets {
+  /**
+   * Get every preset with the user's edits applied
+   * @param {Object} settings - readfocusSettings (edits live in settings.summaryPresets)
+   * @returns {Array<Object>} - Presets in display order
+   */
+  static getAll(settings = {}) {
+    const edits = settings?.summaryPresets || {};
+
+    return CONFIG.SUMMARY_PRESETS.map((preset) => {
+      const edit = edits[preset.id] || {};
+      return {
+        ...preset,
+        ...edit,
+        id: preset.id,
+        name: preset.name,
+        sections: { ...preset.sections, ...edit.sections },
+      };
+    });
+  }
+
+  /**
+   * Get one preset, falling back to the user's default preset for unknown ids
+   * @param {string} presetId - Preset id
+   * @param {Object} settings - readfocusSettings
+   * @returns {Object} - Preset
+   */
+  static get(presetId, settings = {}) {
+    const presets = this.getAll(settings);
+    const defaultId = this.getDefaultId(settings);
+
+    return (
+      presets.find((preset) => preset.id === presetId) ||
+      presets.find((preset) => preset.id === defaultId) ||
+      presets[0]
+    );
+  }
+
+  /**
+   * Get the id of the preset used unless another one is picked for a summary
+   * @param {Object} settings - readfocusSettings
+   * @returns {string} - Preset id
+   */
+  static getDefaultId(settings = {}) {
+    return settings?.summaryPreset || CONFIG.DEFAULT_SUMMARY_PRESET;
+  }
+
+  /**
+   * Convert a preset into summary generation options
+   * @param {Object} preset - Preset
+   * @returns {Object} - Include flags plus preset, length, tone and audience
+   */
+  static toSummaryOptions(preset) {
+    return {
+      preset: preset.id,
+      includeQuickSummary: preset.sections.quickSummary !== false,
+      includeDetailedSummary: preset.sections.detailedSummary !== false,
+      includeKeyPoints: preset.sections.keyPoints !== false,
+      includeActionItems: preset.sections.actionItems !== false,
+      includeConcepts: preset.sections.concepts !== false,
+      length: preset.length,
+      tone: preset.tone,
+      audience: preset.audience,
+    };
+  }
+}
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.SummaryPresets = SummaryPresets;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SummaryPresets;
+}
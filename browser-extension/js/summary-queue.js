@@ -0,0 +1,265 @@
+/**
+ * Summary Queue
+ * Summaries that couldn't reach the Kuiqlee API because the connection dropped. Runs in the
+ * background service worker: jobs hold the page's extracted content, are kept in
+ * chrome.storage.local so they survive the worker shutting down, and are retried with backoff
+ * from a chrome.alarms alarm or as soon as the browser is back online.
+ */
+
+class SummaryQueue {
+  /**
+   * @param {Object} callbacks - { onComplete(job, summary), onFailed(job, error) }
+   */
+  constructor(callbacks = {}) {
+    this.storageKey = CONFIG.SUMMARY_QUEUE_STORAGE_KEY;
+    this.alarmName = 'kuiqlee-summary-queue';
+    this.requestTimeout = 60000;
+    this.callbacks = callbacks;
+    this.running = null; // Promise of the pass currently working through the queue
+  }
+
+  /**
+   * Get every queued job
+   * @returns {Promise<Array<Object>>} - Jobs in the order they were queued
+   */
+  async getJobs() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      return Array.isArray(result[this.storageKey]) ? result[this.storageKey] : [];
+    } catch (error) {
+      console.error('❌ [SummaryQueue] Failed to load queue:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Queue a summary. A job for the same page and options replaces the earlier one.
+   * @param {Object} job - { storageKey, url, pageDetails, analysis, summaryOptions }, where
+   *   analysis holds the page's { processedContent, chunks, metadata }
+   * @returns {Promise<Object>} - { success, queued } or { success: false, error }
+   */
+  async add(job) {
+    if (!job?.storageKey || !job.url || !job.analysis?.processedContent) {
+      return { success: false, error: 'Summary job is missing its page content' };
+    }
+
+    const jobs = (await this.getJobs()).filter((item) => item.storageKey !== job.storageKey);
+    if (jobs.length >= CONFIG.MAX_QUEUED_SUMMARIES) {
+      return {
+        success: false,
+        error: `${CONFIG.MAX_QUEUED_SUMMARIES} summaries are already waiting for a connection.`,
+      };
+    }
+
+    const now = Date.now();
+    jobs.push({
+      ...job,
+      id: `job_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      attempts: 0,
+      queuedAt: now,
+      nextAttemptAt: now,
+      lastError: null,
+    });
+
+    await this.saveJobs(jobs);
+    await this.schedule();
+    return { success: true, queued: jobs.length };
+  }
+
+  /**
+   * Run every job that is due, unless a pass is already running
+   * @returns {Promise<void>}
+   */
+  process() {
+    if (!this.running) {
+      this.running = this.runDueJobs().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Run the due jobs one by one while online, then set the alarm for the next retry
+   */
+  async runDueJobs() {
+    try {
+      const now = Date.now();
+      const dueJobs = (await this.getJobs()).filter((job) => job.nextAttemptAt <= now);
+
+      for (const job of dueJobs) {
+        // Offline attempts would only use up the job's retries
+        if (!navigator.onLine) break;
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('❌ [SummaryQueue] Failed to process queue:', error);
+    } finally {
+      await this.schedule();
+    }
+  }
+
+  /**
+   * Generate one queued summary, retrying later if it fails for a reason that may pass
+   * @param {Object} job - Queued job
+   */
+  async runJob(job) {
+    try {
+      const summary = await this.generate(job);
+      await this.removeJob(job.id);
+      await this.callbacks.onComplete?.(job, summary);
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      console.error(`❌ [SummaryQueue] Attempt ${attempts} for ${job.url} failed:`, error.message);
+
+      if (error.retryable === false || attempts >= CONFIG.SUMMARY_QUEUE_MAX_ATTEMPTS) {
+        await this.removeJob(job.id);
+        await this.callbacks.onFailed?.(job, error);
+        return;
+      }
+
+      const delays = CONFIG.SUMMARY_QUEUE_RETRY_MINUTES;
+      const delayMinutes = delays[Math.min(attempts, delays.length) - 1];
+      await this.updateJob(job.id, {
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: Date.now() + delayMinutes * 60 * 1000,
+      });
+    }
+  }
+
+  /**
+   * Generate and cache a job's summary through the summarize API, as the page would.
+   * PDF page and video timestamp citations need the open document, so they are left out.
+   * @param {Object} job - Queued job
+   * @returns {Promise<Object>} - Summary result
+   */
+  async generate(job) {
+    const service = new ContentSummaryService();
+    service.aiClient = {
+      summarize: (action, payload, options) => this.request(job, action, payload, options),
+    };
+
+    const summary = await service.summarizeContent(job.analysis, job.summaryOptions);
+
+    // Cached under the page's key, so the summary shows instantly when the page is opened
+    await service.storeSummary(job.storageKey, summary, job.url);
+    return summary;
+  }
+
+  /**
+   * Send one summarize request to the Kuiqlee API as the signed-in user
+   * @param {Object} job - Queued job (for the page's domain and URL)
+   * @param {string} action - 'summary', 'chunk' or 'merge'
+   * @param {Object} payload - Action fields for the API
+   * @param {Object} options - { skipCache }
+   * @returns {Promise<Object>} - Response data ({ summary, ... })
+   */
+  async request(job, action, payload, options = {}) {
+    const token = await authManager.getValidToken();
+    if (!token) {
+      throw this.createError('Sign in to Kuiqlee to finish this summary.', false);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+    let response;
+
+    try {
+      response = await fetch(`${CONFIG.API_BASE_URL}/summarize?action=${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          ...payload,
+          domain: new URL(job.url).hostname,
+          url: job.url,
+          skipCache: options.skipCache === true,
+        }),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      const message = error.name === 'AbortError' ? 'Request timeout' : 'Network connection error';
+      throw this.createError(message, true);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success || !data.summary) {
+      // Sign-in and plan limit errors won't go away by waiting; server errors might
+      const retryable = response.ok || response.status === 429 || response.status >= 500;
+      throw this.createError(data.error || `Request failed: ${response.status}`, retryable);
+    }
+
+    return data;
+  }
+
+  /**
+   * Create an error that says whether the job should be retried
+   * @param {string} message - Error message
+   * @param {boolean} retryable - True if a later attempt may succeed
+   * @returns {Error} - Error
+   */
+  createError(message, retryable) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    return error;
+  }
+
+  /**
+   * Set the alarm for the next due job, or clear it when the queue is empty
+   */
+  async schedule() {
+    const jobs = await this.getJobs();
+    if (jobs.length === 0) {
+      await chrome.alarms.clear(this.alarmName);
+      return;
+    }
+
+    const nextAttemptAt = Math.min(...jobs.map((job) => job.nextAttemptAt));
+    // Alarms fire at most once a minute, and going back online triggers a pass sooner
+    await chrome.alarms.create(this.alarmName, {
+      when: Math.max(nextAttemptAt, Date.now() + 60 * 1000),
+    });
+  }
+
+  /**
+   * Update a queued job
+   * @param {string} id - Job id
+   * @param {Object} changes - Fields to change
+   */
+  async updateJob(id, changes) {
+    const jobs = await this.getJobs();
+    await this.saveJobs(jobs.map((job) => (job.id === id ? { ...job, ...changes } : job)));
+  }
+
+  /**
+   * Remove a job from the queue
+   * @param {string} id - Job id
+   */
+  async removeJob(id) {
+    const jobs = await this.getJobs();
+    await this.saveJobs(jobs.filter((job) => job.id !== id));
+  }
+
+  /**
+   * Replace the stored queue
+   * @param {Array<Object>} jobs - Jobs to store
+   */
+  async saveJobs(jobs) {
+    await chrome.storage.local.set({ [this.storageKey]: jobs });
+  }
+}
+
+// Export for the service worker
+if (typeof self !== 'undefined') {
+  self.SummaryQueue = SummaryQueue;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SummaryQueue;
+}
@@ -0,0 +1,529 @@
+/**
+ * Kuiqlee Tab Synthesis Page Controller
+ * Collects the content of selected tabs, asks the AI to compare and combine them, and shows
+ * consensus points, disagreements and what each source said. Results are cached alongside
+ * page summaries.
+ */
+
+class KuiqleeSynthesis {
+  constructor() {
+    this.aiClient = null;
+    this.promptBuilder = new AIPromptBuilder();
+    this.storageKey = 'readfocus_summaries';
+    this.maxStorageItems = 100;
+    this.maxTabs = CONFIG.MAX_SYNTHESIS_TABS;
+    this.maxSourceLength = CONFIG.MAX_SYNTHESIS_SOURCE_LENGTH;
+    this.tabs = [];
+    this.selectedTabIds = new Set();
+    this.result = null;
+    this.isSynthesizing = false;
+    this.init();
+  }
+
+  async init() {
+    try {
+      await authManager.initialize();
+      await usageTracker.initialize();
+    } catch (error) {
+      console.error('[Synthesis] Error initializing auth:', error);
+    }
+
+    this.bindEvents();
+    await this.loadTabs();
+  }
+
+  /**
+   * Bind picker and result events
+   */
+  bindEvents() {
+    document.getElementById('synthesis-tabs')?.addEventListener('change', (e) => {
+      if (e.target.type !== 'checkbox') return;
+
+      const tabId = Number(e.target.value);
+      if (e.target.checked) {
+        this.selectedTabIds.add(tabId);
+      } else {
+        this.selectedTabIds.delete(tabId);
+      }
+      this.renderTabs();
+    });
+
+    document.getElementById('synthesize-tabs')?.addEventListener('click', () => {
+      this.synthesize();
+    });
+
+    document.getElementById('resynthesize-tabs')?.addEventListener('click', () => {
+      this.synthesize({ force: true });
+    });
+
+    // Source chips switch to the tab the source came from
+    document.getElementById('synthesis-result')?.addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-source-url]');
+      if (chip) {
+        e.preventDefault();
+        this.openSource(chip.dataset.sourceUrl);
+      }
+    });
+  }
+
+  /**
+   * Load the web pages open in this window
+   */
+  async loadTabs() {
+    try {
+      const tabs = await chrome.tabs.query({ currentWindow: true });
+      this.tabs = tabs.filter((tab) => /^https?:\/\//.test(tab.url || ''));
+    } catch (error) {
+      console.error('[Synthesis] Error loading tabs:', error);
+      this.tabs = [];
+    }
+
+    this.renderTabs();
+  }
+
+  /**
+   * Render the tab picker
+   */
+  renderTabs() {
+    const list = document.getElementById('synthesis-tabs');
+    const hint = document.getElementById('synthesis-hint');
+    const button = document.getElementById('synthesize-tabs');
+    if (!list) return;
+
+    const selectedCount = this.selectedTabIds.size;
+    const isFull = selectedCount >= this.maxTabs;
+
+    list.innerHTML = this.tabs
+      .map((tab) => {
+        const checked = this.selectedTabIds.has(tab.id);
+        const disabled = this.isSynthesizing || (isFull && !checked);
+        return `
+          <li class="synthesis-tab${checked ? ' selected' : ''}">
+            <label>
+              <input
+                type="checkbox"
+                value="${tab.id}"
+                ${checked ? 'checked' : ''}
+                ${disabled ? 'disabled' : ''}
+              />
+              ${tab.favIconUrl ? `<img src="${escapeHtml(tab.favIconUrl)}" alt="" />` : ''}
+              <span class="synthesis-tab-title">${escapeHtml(tab.title || tab.url)}</span>
+              <span class="synthesis-tab-domain">${escapeHtml(this.getDomain(tab.url))}</span>
+            </label>
+          </li>
+        `;
+      })
+      .join('');
+
+    if (hint) {
+      hint.textContent =
+        this.tabs.length < 2
+          ? 'Open at least two web pages in this window to compare them.'
+          : `Select 2 to ${this.maxTabs} pages on the same topic (${selectedCount} selected).`;
+    }
+    if (button) {
+      button.disabled = this.isSynthesizing || selectedCount < 2;
+    }
+  }
+
+  /**
+   * Collect the selected tabs' content and synthesize it (or show the cached result)
+   * @param {Object} options - { force } skips the cache
+   */
+  async synthesize({ force = false } = {}) {
+    if (this.isSynthesizing) return;
+
+    // Pick up provider changes made in settings since the page opened
+    try {
+      this.aiClient = await AIClientFactory.create();
+    } catch (error) {
+      this.setStatus(error.message, true);
+      return;
+    }
+
+    if (this.aiClient.requiresAccount && !authManager.isAuthenticated()) {
+      this.setStatus('Please sign in to Kuiqlee from the extension popup first.', true);
+      return;
+    }
+
+    this.isSynthesizing = true;
+    this.renderTabs();
+
+    try {
+      const tabs = this.tabs.filter((tab) => this.selectedTabIds.has(tab.id));
+
+      this.setStatus(`Reading ${tabs.length} pages...`);
+      const { sources, failures } = await this.collectSources(tabs);
+      if (sources.length < 2) {
+        const reasons = failures.map((failure) => `${failure.title}: ${failure.error}`).join('; ');
+        throw new Error(`Need at least two readable pages. ${reasons}`);
+      }
+
+      const key = this.generateStorageKey(sources);
+      let result = force ? null : await this.getStoredSynthesis(key);
+
+      if (!result) {
+        this.setStatus(`Comparing ${sources.length} pages...`);
+        result = await this.requestSynthesis(sources);
+        await this.storeSynthesis(key, result);
+      }
+
+      this.result = result;
+      this.renderResult();
+
+      const skippedTitles = failures.map((failure) => failure.title).join(', ');
+      const skipped = failures.length ? ` Skipped (could not read): ${skippedTitles}.` : '';
+      this.setStatus(`Synthesized ${sources.length} pages.${skipped}`);
+    } catch (error) {
+      console.error('[Synthesis] Error synthesizing tabs:', error);
+      this.setStatus(error.message, true);
+    } finally {
+      this.isSynthesizing = false;
+      this.renderTabs();
+    }
+  }
+
+  /**
+   * Ask each tab's content script for its analyzed content
+   * @param {Array<Object>} tabs - Selected tabs
+   * @returns {Promise<Object>} - { sources: [{ title, url, text }], failures: [{ title, error }] }
+   */
+  async collectSources(tabs) {
+    const responses = await Promise.all(
+      tabs.map((tab) =>
+        chrome.tabs.sendMessage(tab.id, { type: 'ANALYZE_CONTENT' }).catch(() => ({
+          success: false,
+          error: 'Reload the page and try again',
+        })),
+      ),
+    );
+
+    const sources = [];
+    const failures = [];
+
+    responses.forEach((response, index) => {
+      const tab = tabs[index];
+      if (response?.success && response.text) {
+        sources.push({
+          title: response.title || tab.title,
+          url: response.url || tab.url,
+          text: response.text.slice(0, this.maxSourceLength),
+        });
+      } else {
+        failures.push({ title: tab.title || tab.url, error: response?.error || 'No content' });
+      }
+    });
+
+    return { sources, failures };
+  }
+
+  /**
+   * Request and normalize the synthesis
+   * @param {Array<Object>} sources - [{ title, url, text }]
+   * @returns {Promise<Object>} - Synthesis result
+   */
+  async requestSynthesis(sources) {
+    let fields;
+
+    // The summarize API builds the prompt and normalizes the synthesis itself
+    if (typeof this.aiClient.summarize === 'function') {
+      const data = await this.aiClient.summarize('synthesis', { sources });
+      fields = data.synthesis;
+    } else {
+      const prompt = this.promptBuilder.buildSynthesisPrompt(sources);
+      const response = await this.aiClient.makeRequest(prompt);
+      fields = this.normalizeSynthesis(this.parseResponse(response), sources.length);
+    }
+
+    return {
+      success: true,
+      type: 'synthesis',
+      timestamp: Date.now(),
+      sources: sources.map(({ title, url }) => ({ title, url })),
+      ...fields,
+    };
+  }
+
+  /**
+   * Normalize a parsed synthesis, dropping references to source numbers that don't exist
+   * @param {Object} synthesis - Parsed AI response
+   * @param {number} sourceCount - Number of sources compared
+   * @returns {Object} - { topic, overview, consensus, disagreements, sourceSummaries }
+   */
+  normalizeSynthesis(synthesis, sourceCount) {
+    const validSources = (numbers) =>
+      (Array.isArray(numbers) ? numbers : [])
+        .map(Number)
+        .filter((number) => number >= 1 && number <= sourceCount);
+
+    return {
+      topic: synthesis.topic || '',
+      overview: synthesis.overview || '',
+      consensus: (synthesis.consensus || [])
+        .map((item) => ({ point: item.point || '', sources: validSources(item.sources) }))
+        .filter((item) => item.point),
+      disagreements: (synthesis.disagreements || [])
+        .map((item) => ({
+          issue: item.issue || '',
+          positions: (item.positions || [])
+            .filter((position) => validSources([position.source]).length && position.position)
+            .map((position) => ({ source: Number(position.source), position: position.position })),
+        }))
+        .filter((item) => item.issue && item.positions.length),
+      sourceSummaries: (synthesis.source_summaries || [])
+        .filter((item) => validSources([item.source]).length)
+        .map((item) => ({
+          source: Number(item.source),
+          summary: item.summary || '',
+          uniquePoints: Array.isArray(item.unique_points) ? item.unique_points : [],
+        })),
+    };
+  }
+
+  /**
+   * Parse the JSON object from an AI response
+   * @param {string} response - Raw AI response
+   * @returns {Object} - Parsed object
+   */
+  parseResponse(response) {
+    const text = String(response || '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('The AI response could not be read. Please try again.');
+    }
+
+    try {
+      return JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      console.error('[Synthesis] Error parsing response:', error);
+      throw new Error('The AI response could not be read. Please try again.');
+    }
+  }
+
+  /**
+   * Render the combined view
+   */
+  renderResult() {
+    const container = document.getElementById('synthesis-result');
+    const regenerate = document.getElementById('resynthesize-tabs');
+    if (!container || !this.result) return;
+
+    const { topic, overview, consensus, disagreements, sourceSummaries, sources } = this.result;
+
+    const consensusHTML = consensus
+      .map(
+        (item) => `
+          <li>
+            ${escapeHtml(item.point)}
+            <span class="synthesis-chips">${this.buildSourceChips(item.sources)}</span>
+          </li>
+        `,
+      )
+      .join('');
+
+    const disagreementsHTML = disagreements
+      .map(
+        (item) => `
+          <div class="synthesis-disagreement">
+            <h4>${escapeHtml(item.issue)}</h4>
+            <ul>
+              ${item.positions
+                .map(
+                  (position) => `
+                    <li>
+                      ${this.buildSourceChips([position.source])}
+                      ${escapeHtml(position.position)}
+                    </li>
+                  `,
+                )
+                .join('')}
+            </ul>
+          </div>
+        `,
+      )
+      .join('');
+
+    const sourcesHTML = sources
+      .map((source, index) => {
+        const number = index + 1;
+        const details = sourceSummaries.find((item) => item.source === number);
+        const uniquePoints = (details?.uniquePoints || [])
+          .map((point) => `<li>${escapeHtml(point)}</li>`)
+          .join('');
+
+        return `
+          <div class="synthesis-source">
+            <div class="synthesis-source-header">
+              <span class="synthesis-chip">${number}</span>
+              <a href="${escapeHtml(source.url)}" data-source-url="${escapeHtml(
+                source.url,
+              )}">${escapeHtml(source.title)}</a>
+              <span class="synthesis-tab-domain">${escapeHtml(this.getDomain(source.url))}</span>
+            </div>
+            ${details?.summary ? `<p>${escapeHtml(details.summary)}</p>` : ''}
+            ${uniquePoints ? `<h4>Only in this source</h4><ul>${uniquePoints}</ul>` : ''}
+          </div>
+        `;
+      })
+      .join('');
+
+    container.innerHTML = `
+      <h2>${escapeHtml(topic || 'Synthesis')}</h2>
+      ${overview ? `<p class="synthesis-overview">${escapeHtml(overview)}</p>` : ''}
+      <h3>Where the sources agree</h3>
+      ${
+        consensusHTML
+          ? `<ul class="synthesis-consensus">${consensusHTML}</ul>`
+          : '<p class="synthesis-empty">No points shared by several sources.</p>'
+      }
+      <h3>Where they disagree</h3>
+      ${disagreementsHTML || '<p class="synthesis-empty">No disagreements found.</p>'}
+      <h3>Who said what</h3>
+      <div class="synthesis-sources">${sourcesHTML}</div>
+    `;
+
+    container.style.display = 'block';
+    if (regenerate) {
+      regenerate.style.display = 'inline-block';
+    }
+  }
+
+  /**
+   * Build numbered chips linking to sources
+   * @param {Array<number>} numbers - Source numbers
+   * @returns {string} - Chips HTML
+   */
+  buildSourceChips(numbers) {
+    return numbers
+      .map((number) => {
+        const source = this.result.sources[number - 1];
+        return `<a
+          class="synthesis-chip"
+          href="${escapeHtml(source.url)}"
+          data-source-url="${escapeHtml(source.url)}"
+          title="${escapeHtml(source.title)}"
+        >${number}</a>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Switch to the tab showing a source, or open it if it was closed
+   * @param {string} url - Source URL
+   */
+  async openSource(url) {
+    const tab = this.tabs.find((item) => item.url === url);
+
+    try {
+      if (tab) {
+        await chrome.tabs.update(tab.id, { active: true });
+      } else {
+        await chrome.tabs.create({ url });
+      }
+    } catch (error) {
+      await chrome.tabs.create({ url });
+    }
+  }
+
+  /**
+   * Build the cache key for a set of pages (independent of selection order)
+   * @param {Array<Object>} sources - [{ url }]
+   * @returns {string} - Storage key
+   */
+  generateStorageKey(sources) {
+    const urls = sources.map((source) => source.url.split('#')[0]).sort();
+    return `synthesis_${this.simpleHash(urls.join('|'))}`;
+  }
+
+  /**
+   * Simple hash function for cache keys (same as ContentSummaryService)
+   * @param {string} str - String to hash
+   * @returns {string} - Hash string
+   */
+  simpleHash(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      const char = str.charCodeAt(i);
+      hash = (hash << 5) - hash + char;
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+    return Math.abs(hash).toString(36);
+  }
+
+  /**
+   * Read a cached synthesis
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - Cached result
+   */
+  async getStoredSynthesis(key) {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      return result[this.storageKey]?.[key] || null;
+    } catch (error) {
+      console.error('[Synthesis] Error reading cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a synthesis with the page summaries, dropping the oldest entries beyond the limit
+   * @param {string} key - Storage key
+   * @param {Object} result - Synthesis result
+   */
+  async storeSynthesis(key, result) {
+    try {
+      const stored = await chrome.storage.local.get([this.storageKey]);
+      const summaries = stored[this.storageKey] || {};
+      summaries[key] = { ...result, storedAt: Date.now() };
+
+      const keys = Object.keys(summaries);
+      if (keys.length > this.maxStorageItems) {
+        keys
+          .sort((a, b) => (summaries[a].storedAt || 0) - (summaries[b].storedAt || 0))
+          .slice(0, keys.length - this.maxStorageItems)
+          .forEach((oldKey) => delete summaries[oldKey]);
+      }
+
+      await chrome.storage.local.set({ [this.storageKey]: summaries });
+    } catch (error) {
+      console.error('[Synthesis] Error caching synthesis:', error);
+    }
+  }
+
+  /**
+   * Show a status message next to the actions
+   * @param {string} message - Message
+   * @param {boolean} isError - Show as an error
+   */
+  setStatus(message, isError = false) {
+    const status = document.getElementById('synthesis-status');
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Get the hostname of a URL
+   * @param {string} url - URL
+   * @returns {string} - Hostname or ''
+   */
+  getDomain(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return '';
+    }
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new KuiqleeSynthesis();
+});
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KuiqleeSynthesis;
+}
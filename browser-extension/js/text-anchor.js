@@ -0,0 +1,413 @@
+/**
+ * Text Anchor
+ * Finds a quoted passage in the page DOM (tolerating punctuation, whitespace and element
+ * boundaries), scrolls to it and briefly highlights it. Also describes a selection as a
+ * { prefix, exact, suffix } selector that can be found again after the page reloads.
+ */
+
+class TextAnchor {
+  constructor(options = {}) {
+    this.ignoreSelector =
+      options.ignoreSelector ||
+      'script, style, noscript, template, textarea, input, select, ' +
+        '.rf-summary-overlay, .readfocus-overlay, .kuiqlee-highlight-toolbar';
+    this.blockSelector =
+      'p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, th, dd, dt, figcaption, ' +
+      'div, section, article';
+    this.highlightClass = 'kuiqlee-source-highlight';
+    this.highlightDuration = options.highlightDuration || 2500;
+    this.edgeWords = 6; // Words matched at each end of a quote when it doesn't match exactly
+    this.minWindowWords = 4; // Shortest run of quote words accepted as a partial match
+    this.contextLength = 32; // Characters of text kept before and after a selector's passage
+    this.activeMarks = [];
+    this.clearTimer = null;
+  }
+
+  /**
+   * Find a quote in the page, scroll to it and highlight it
+   * @param {string} quote - Passage to find
+   * @param {Element} root - Element to search within
+   * @returns {boolean} - Whether the passage was found
+   */
+  locateAndHighlight(quote, root = document.body) {
+    this.clearHighlights();
+
+    const range = this.locate(quote, root);
+    if (!range) {
+      return false;
+    }
+
+    const marks = this.highlightRange(range);
+    if (marks.length === 0) {
+      return false;
+    }
+
+    marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    this.clearTimer = setTimeout(() => this.clearHighlights(), this.highlightDuration);
+    return true;
+  }
+
+  /**
+   * Find the DOM range matching a quote
+   * @param {string} quote - Passage to find
+   * @param {Element} root - Element to search within
+   * @returns {Range|null} - Matching range or null
+   */
+  locate(quote, root = document.body) {
+    const target = this.normalizeString(quote);
+    if (!target || !root) {
+      return null;
+    }
+
+    const index = this.buildIndex(root);
+    const match = this.findMatch(index.text, target);
+    return match ? this.toRange(index, match) : null;
+  }
+
+  /**
+   * Describe a range by its text and the text around it
+   * @param {Range} range - Range to describe (usually the user's selection)
+   * @param {Element} root - Element the range is in
+   * @returns {Object|null} - { exact, prefix, suffix } in normalized text, or null when the
+   *   range holds no letters or digits
+   */
+  createSelector(range, root = document.body) {
+    const exact = this.normalizeString(range.toString());
+    if (!exact) {
+      return null;
+    }
+
+    // The same text can appear several times; take the occurrence inside the range
+    const index = this.buildIndex(root);
+    const start = this.findOccurrences(index.text, exact).find((offset) => {
+      const position = index.positions[offset];
+      return range.isPointInRange(position.node, position.offset);
+    });
+    if (start === undefined) {
+      return { exact, prefix: '', suffix: '' };
+    }
+
+    const end = start + exact.length;
+    return {
+      exact,
+      prefix: index.text.slice(Math.max(0, start - this.contextLength), start).trim(),
+      suffix: index.text.slice(end, end + this.contextLength).trim(),
+    };
+  }
+
+  /**
+   * Find the range a selector describes. Among several occurrences of its text, the one
+   * whose surrounding text best matches the prefix and suffix wins; text that changed since
+   * is matched the same way as quotes.
+   * @param {Object} selector - { exact, prefix, suffix } from createSelector()
+   * @param {Element} root - Element to search within
+   * @returns {Range|null} - Matching range or null
+   */
+  locateSelector(selector, root = document.body) {
+    if (!selector?.exact || !root) {
+      return null;
+    }
+
+    const index = this.buildIndex(root);
+    const { exact, prefix = '', suffix = '' } = selector;
+    let best = null;
+
+    this.findOccurrences(index.text, exact).forEach((start) => {
+      const end = start + exact.length;
+      const before = index.text.slice(Math.max(0, start - this.contextLength - 1), start).trim();
+      const after = index.text.slice(end, end + this.contextLength + 1).trim();
+      const score =
+        this.commonLength(before, prefix, true) + this.commonLength(after, suffix, false);
+
+      if (!best || score > best.score) {
+        best = { start, end, score };
+      }
+    });
+
+    const match = best || this.findMatch(index.text, exact);
+    return match ? this.toRange(index, match) : null;
+  }
+
+  /**
+   * Find every occurrence of a phrase, including inside words (selections can start or end
+   * mid-word)
+   * @param {string} text - Normalized page text
+   * @param {string} phrase - Normalized phrase
+   * @returns {Array<number>} - Match offsets
+   */
+  findOccurrences(text, phrase) {
+    const offsets = [];
+    let index = text.indexOf(phrase);
+    while (index !== -1) {
+      offsets.push(index);
+      index = text.indexOf(phrase, index + 1);
+    }
+    return offsets;
+  }
+
+  /**
+   * Count the characters two strings share at their end or start
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {boolean} fromEnd - Compare the ends instead of the starts
+   * @returns {number} - Shared length
+   */
+  commonLength(a, b, fromEnd) {
+    let length = 0;
+    while (length < a.length && length < b.length) {
+      const charA = fromEnd ? a[a.length - 1 - length] : a[length];
+      const charB = fromEnd ? b[b.length - 1 - length] : b[length];
+      if (charA !== charB) break;
+      length++;
+    }
+    return length;
+  }
+
+  /**
+   * Convert a match in the normalized text into a DOM range
+   * @param {Object} index - Result of buildIndex()
+   * @param {Object} match - { start, end } offsets into the normalized text
+   * @returns {Range} - DOM range
+   */
+  toRange(index, match) {
+    const start = index.positions[match.start];
+    const end = index.positions[match.end - 1];
+
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset + 1);
+    return range;
+  }
+
+  /**
+   * Build a normalized copy of the page text with a map back to text node offsets
+   * @param {Element} root - Element to index
+   * @returns {Object} - { text, positions } where positions[i] = { node, offset }
+   */
+  buildIndex(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (!parent || !node.nodeValue.trim() || parent.closest(this.ignoreSelector)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        if (parent.checkVisibility && !parent.checkVisibility()) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      },
+    });
+
+    let text = '';
+    const positions = [];
+    let previousBlock = null;
+    let node;
+
+    while ((node = walker.nextNode())) {
+      // Text in different blocks never runs together into one word
+      const block = node.parentElement.closest(this.blockSelector);
+      if (text && block !== previousBlock && !text.endsWith(' ')) {
+        text += ' ';
+        positions.push(positions[positions.length - 1]);
+      }
+      previousBlock = block;
+
+      const value = node.nodeValue;
+      for (let i = 0; i < value.length; i++) {
+        const char = this.normalizeChar(value[i]);
+        if (char === ' ') {
+          if (!text || text.endsWith(' ')) continue;
+        }
+        text += char;
+        positions.push({ node, offset: i });
+      }
+    }
+
+    return { text, positions };
+  }
+
+  /**
+   * Find a normalized quote in the normalized page text
+   * @param {string} text - Normalized page text
+   * @param {string} target - Normalized quote
+   * @returns {Object|null} - { start, end } offsets into text
+   */
+  findMatch(text, target) {
+    // 1. Exact match
+    const exact = this.findPhrase(text, target);
+    if (exact !== -1) {
+      return { start: exact, end: exact + target.length };
+    }
+
+    const words = target.split(' ');
+
+    // 2. Same beginning and end with small differences in between
+    if (words.length >= this.edgeWords * 2) {
+      const head = words.slice(0, this.edgeWords).join(' ');
+      const tail = words.slice(-this.edgeWords).join(' ');
+
+      let start = this.findPhrase(text, head);
+      while (start !== -1) {
+        const tailStart = this.findPhrase(text, tail, start + head.length);
+        if (tailStart !== -1 && tailStart + tail.length - start <= target.length * 1.5) {
+          return { start, end: tailStart + tail.length };
+        }
+        start = this.findPhrase(text, head, start + 1);
+      }
+    }
+
+    // 3. Longest run of consecutive quote words found on the page
+    const maxWindow = Math.min(words.length - 1, this.edgeWords * 2);
+    for (let size = maxWindow; size >= this.minWindowWords; size--) {
+      for (let i = 0; i + size <= words.length; i++) {
+        const phrase = words.slice(i, i + size).join(' ');
+        const start = this.findPhrase(text, phrase);
+        if (start !== -1) {
+          return { start, end: start + phrase.length };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * indexOf that only matches whole words
+   * @param {string} text - Text to search
+   * @param {string} phrase - Phrase to find
+   * @param {number} fromIndex - Offset to start from
+   * @returns {number} - Match offset or -1
+   */
+  findPhrase(text, phrase, fromIndex = 0) {
+    let index = text.indexOf(phrase, fromIndex);
+
+    while (index !== -1) {
+      const before = index === 0 || text[index - 1] === ' ';
+      const after = index + phrase.length === text.length || text[index + phrase.length] === ' ';
+      if (before && after) {
+        return index;
+      }
+      index = text.indexOf(phrase, index + 1);
+    }
+
+    return -1;
+  }
+
+  /**
+   * Normalize a string the same way page text is indexed
+   * @param {string} value - Text to normalize
+   * @returns {string} - Lowercase words separated by single spaces
+   */
+  normalizeString(value) {
+    return Array.from(String(value || ''), (char) => this.normalizeChar(char))
+      .join('')
+      .replace(/ +/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Normalize one character: letters and digits are lowercased, everything else is a space
+   * @param {string} char - Character
+   * @returns {string} - Normalized character
+   */
+  normalizeChar(char) {
+    return /[\p{L}\p{N}]/u.test(char) ? char.toLowerCase() : ' ';
+  }
+
+  /**
+   * Briefly highlight the text inside a range
+   * @param {Range} range - Range to highlight
+   * @returns {Array<Element>} - Created mark elements
+   */
+  highlightRange(range) {
+    this.activeMarks = this.wrapRange(range, this.highlightClass);
+    return this.activeMarks;
+  }
+
+  /**
+   * Wrap the text inside a range in mark elements
+   * @param {Range} range - Range to wrap
+   * @param {string} className - Class of the marks
+   * @returns {Array<Element>} - Created mark elements
+   */
+  wrapRange(range, className) {
+    const container =
+      range.commonAncestorContainer.nodeType === Node.TEXT_NODE
+        ? range.commonAncestorContainer.parentNode
+        : range.commonAncestorContainer;
+
+    // Collect first: wrapping nodes while walking would confuse the walker
+    const textNodes = [];
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      if (range.intersectsNode(node) && !node.parentElement?.closest(this.ignoreSelector)) {
+        textNodes.push(node);
+      }
+    }
+
+    const marks = [];
+    textNodes.forEach((textNode) => {
+      const start = textNode === range.startContainer ? range.startOffset : 0;
+      const end = textNode === range.endContainer ? range.endOffset : textNode.nodeValue.length;
+      if (end <= start || !textNode.nodeValue.slice(start, end).trim()) {
+        return;
+      }
+
+      let target = textNode;
+      if (end < target.nodeValue.length) {
+        target.splitText(end);
+      }
+      if (start > 0) {
+        target = target.splitText(start);
+      }
+
+      const mark = document.createElement('mark');
+      mark.className = className;
+      target.parentNode.insertBefore(mark, target);
+      mark.appendChild(target);
+      marks.push(mark);
+    });
+
+    return marks;
+  }
+
+  /**
+   * Remove highlight marks and restore the original text nodes
+   */
+  clearHighlights() {
+    clearTimeout(this.clearTimer);
+    this.clearTimer = null;
+
+    this.unwrapMarks(this.activeMarks);
+    this.activeMarks = [];
+  }
+
+  /**
+   * Remove mark elements, putting their text back in place
+   * @param {Array<Element>} marks - Marks created by wrapRange()
+   */
+  unwrapMarks(marks) {
+    marks.forEach((mark) => {
+      const parent = mark.parentNode;
+      if (!parent) return;
+
+      while (mark.firstChild) {
+        parent.insertBefore(mark.firstChild, mark);
+      }
+      parent.removeChild(mark);
+      parent.normalize();
+    });
+  }
+}
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.TextAnchor = TextAnchor;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextAnchor;
+}
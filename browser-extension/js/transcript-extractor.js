@@ -0,0 +1,422 @@
+/**
+ * Transcript Extractor
+ * Reads timestamped caption text from YouTube videos and from <video> elements with
+ * <track> captions, and seeks the player to a given time.
+ */
+
+class TranscriptExtractor {
+  constructor() {
+    this.paragraphDuration = 30; // Seconds of captions grouped into one paragraph
+    this.trackLoadTimeout = 3000;
+  }
+
+  /**
+   * Whether the page is a YouTube video
+   * @returns {boolean} - True on watch, shorts and embed pages
+   */
+  isYouTubeVideo() {
+    return !!this.getYouTubeVideoId();
+  }
+
+  /**
+   * Get the YouTube video id from the page URL
+   * @returns {string|null} - Video id
+   */
+  getYouTubeVideoId() {
+    const { hostname, pathname, searchParams } = new URL(window.location.href);
+    if (!/(^|\.)youtube\.com$/.test(hostname)) {
+      return null;
+    }
+
+    if (pathname === '/watch') {
+      return searchParams.get('v');
+    }
+
+    const match = /^\/(shorts|embed|live)\/([\w-]{6,})/.exec(pathname);
+    return match ? match[2] : null;
+  }
+
+  /**
+   * Whether the page has a <video> with caption or subtitle tracks
+   * @returns {boolean} - True when captions are available
+   */
+  hasCaptionTrack() {
+    return !!this.findCaptionTrack();
+  }
+
+  /**
+   * Extract the transcript of the page's video
+   * @returns {Promise<Object|null>} - { source, language, segments, paragraphs } or null
+   */
+  async extract() {
+    const result = this.isYouTubeVideo()
+      ? await this.extractYouTubeTranscript()
+      : await this.extractTrackTranscript();
+
+    if (!result || result.segments.length === 0) {
+      return null;
+    }
+
+    return { ...result, paragraphs: this.groupSegments(result.segments) };
+  }
+
+  /**
+   * Read captions from YouTube's player response
+   * @returns {Promise<Object|null>} - { source, language, segments } or null without captions
+   */
+  async extractYouTubeTranscript() {
+    const videoId = this.getYouTubeVideoId();
+
+    // Fetch the watch page rather than reading the DOM, which goes stale on in-app navigation
+    const response = await fetch(`https://www.youtube.com/watch?v=${videoId}`, {
+      credentials: 'include',
+    });
+    if (!response.ok) {
+      throw new Error(`Could not load the video page (HTTP ${response.status})`);
+    }
+
+    const playerResponse = this.extractJsonAssignment(
+      await response.text(),
+      'ytInitialPlayerResponse',
+    );
+    const tracks =
+      playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+    const track = this.pickYouTubeTrack(tracks);
+    if (!track) {
+      return null;
+    }
+
+    const captionsResponse = await fetch(`${track.baseUrl}&fmt=json3`, { credentials: 'include' });
+    if (!captionsResponse.ok) {
+      throw new Error(`Could not load the video captions (HTTP ${captionsResponse.status})`);
+    }
+
+    const captions = await captionsResponse.json();
+    const segments = (captions.events || [])
+      .filter((event) => Array.isArray(event.segs))
+      .map((event) => ({
+        start: (event.tStartMs || 0) / 1000,
+        text: event.segs.map((seg) => seg.utf8 || '').join(''),
+      }));
+
+    return { source: 'youtube', language: track.languageCode, segments };
+  }
+
+  /**
+   * Choose the best caption track: human captions in the browser language first,
+   * then any human captions, then automatic ones
+   * @param {Array<Object>} tracks - YouTube caption tracks
+   * @returns {Object|null} - Chosen track
+   */
+  pickYouTubeTrack(tracks) {
+    const language = (navigator.language || 'en').split('-')[0];
+    const manual = tracks.filter((track) => track.kind !== 'asr');
+    const inLanguage = (track) => track.languageCode?.split('-')[0] === language;
+
+    return (
+      manual.find(inLanguage) ||
+      manual[0] ||
+      tracks.find(inLanguage) ||
+      tracks[0] ||
+      null
+    );
+  }
+
+  /**
+   * Parse the JSON object assigned to a variable in an inline script
+   * @param {string} html - Page HTML
+   * @param {string} name - Variable name
+   * @returns {Object|null} - Parsed object
+   */
+  extractJsonAssignment(html, name) {
+    const match = new RegExp(`${name}\\s*=\\s*\\{`).exec(html);
+    if (!match) {
+      return null;
+    }
+
+    // Find the matching closing brace, skipping braces inside strings
+    const start = match.index + match[0].length - 1;
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < html.length; i++) {
+      const char = html[i];
+
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === '{') depth++;
+      else if (char === '}' && --depth === 0) {
+        try {
+          return JSON.parse(html.slice(start, i + 1));
+        } catch (error) {
+          console.error('❌ [TranscriptExtractor] Could not parse player response:', error);
+          return null;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the caption track of the page's main video
+   * @returns {HTMLTrackElement|null} - Track element
+   */
+  findCaptionTrack() {
+    const tracks = Array.from(
+      document.querySelectorAll('video track[kind="captions"], video track[kind="subtitles"]'),
+    );
+    const language = (navigator.language || 'en').split('-')[0];
+
+    return (
+      tracks.find((track) => track.srclang?.split('-')[0] === language) ||
+      tracks.find((track) => track.default) ||
+      tracks[0] ||
+      null
+    );
+  }
+
+  /**
+   * Read captions from a <track> element, loading its cues if needed
+   * @returns {Promise<Object|null>} - { source, language, segments } or null without a track
+   */
+  async extractTrackTranscript() {
+    const trackElement = this.findCaptionTrack();
+    if (!trackElement) {
+      return null;
+    }
+
+    let cues = await this.loadTrackCues(trackElement);
+
+    // Fall back to downloading the file when the browser didn't load the cues
+    if (cues.length === 0 && trackElement.src) {
+      const response = await fetch(trackElement.src);
+      if (!response.ok) {
+        throw new Error(`Could not load the video captions (HTTP ${response.status})`);
+      }
+      cues = this.parseWebVTT(await response.text());
+    }
+
+    return { source: 'track', language: trackElement.srclang || '', segments: cues };
+  }
+
+  /**
+   * Get the cues of a text track, enabling it (hidden) so the browser loads them
+   * @param {HTMLTrackElement} trackElement - Track element
+   * @returns {Promise<Array<Object>>} - [{ start, text }]
+   */
+  async loadTrackCues(trackElement) {
+    const { track } = trackElement;
+    if (!track) {
+      return [];
+    }
+
+    if (!track.cues?.length) {
+      if (track.mode === 'disabled') {
+        track.mode = 'hidden';
+      }
+
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, this.trackLoadTimeout);
+        trackElement.addEventListener(
+          'load',
+          () => {
+            clearTimeout(timer);
+            resolve();
+          },
+          { once: true },
+        );
+      });
+    }
+
+    return Array.from(track.cues || []).map((cue) => ({
+      start: cue.startTime,
+      text: this.stripCueMarkup(cue.text),
+    }));
+  }
+
+  /**
+   * Parse a WebVTT file
+   * @param {string} text - WebVTT content
+   * @returns {Array<Object>} - [{ start, text }]
+   */
+  parseWebVTT(text) {
+    return text
+      .replace(/\r\n?/g, '\n')
+      .split(/\n{2,}/)
+      .map((block) => {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex((line) => line.includes('-->'));
+        if (timingIndex === -1) return null;
+
+        return {
+          start: this.parseCueTime(lines[timingIndex].split('-->')[0]),
+          text: this.stripCueMarkup(lines.slice(timingIndex + 1).join(' ')),
+        };
+      })
+      .filter((cue) => cue && cue.text);
+  }
+
+  /**
+   * Parse a cue timestamp such as "01:02:03.500" or "02:03.500"
+   * @param {string} value - Timestamp
+   * @returns {number} - Seconds
+   */
+  parseCueTime(value) {
+    return value
+      .trim()
+      .replace(',', '.')
+      .split(':')
+      .reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+  }
+
+  /**
+   * Remove WebVTT tags (<v Speaker>, <i>, timestamps) and entities from cue text
+   * @param {string} text - Cue text
+   * @returns {string} - Plain text
+   */
+  stripCueMarkup(text) {
+    return String(text || '')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Merge caption segments into paragraphs of roughly paragraphDuration seconds,
+   * breaking at sentence ends where possible
+   * @param {Array<Object>} segments - [{ start, text }]
+   * @returns {Array<Object>} - [{ start, text }]
+   */
+  groupSegments(segments) {
+    const paragraphs = [];
+    let current = null;
+
+    segments.forEach((segment) => {
+      const text = segment.text.replace(/\s+/g, ' ').trim();
+      if (!text || /^\[[^\]]*\]$/.test(text)) return; // Skip empty and [Music]-style cues
+
+      if (!current) {
+        current = { start: segment.start, text };
+        return;
+      }
+
+      const elapsed = segment.start - current.start;
+      const endsSentence = /[.!?]["')\]]?$/.test(current.text);
+      const isLong = elapsed >= this.paragraphDuration * 2;
+      if (isLong || (elapsed >= this.paragraphDuration && endsSentence)) {
+        paragraphs.push(current);
+        current = { start: segment.start, text };
+      } else {
+        current.text += ` ${text}`;
+      }
+    });
+
+    if (current) {
+      paragraphs.push(current);
+    }
+    return paragraphs;
+  }
+
+  /**
+   * Find when a quote is said
+   * @param {Object} transcript - Result of extract()
+   * @param {string} quote - Quote from the summary
+   * @returns {number|null} - Start of the paragraph containing the quote, in seconds
+   */
+  findTimestampForQuote(transcript, quote) {
+    const target = this.normalizeForSearch(quote);
+    if (!target || !transcript?.paragraphs) {
+      return null;
+    }
+
+    // Fall back to the opening words when the quote spans two paragraphs
+    const opening = target.split(' ').slice(0, 6).join(' ');
+
+    for (const candidate of [target, opening]) {
+      const paragraph = transcript.paragraphs.find((item) => {
+        item.searchText = item.searchText || this.normalizeForSearch(item.text);
+        return item.searchText.includes(candidate);
+      });
+      if (paragraph) {
+        return paragraph.start;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize text for quote lookup (lowercase letters and digits separated by single spaces)
+   * @param {string} text - Text to normalize
+   * @returns {string} - Normalized text
+   */
+  normalizeForSearch(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Format seconds as m:ss or h:mm:ss
+   * @param {number} seconds - Time in seconds
+   * @returns {string} - Timestamp
+   */
+  formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+      : `${minutes}:${secs}`;
+  }
+
+  /**
+   * Seek the page's video to a time and play it
+   * @param {number} seconds - Time in seconds
+   * @returns {boolean} - Whether a video was found
+   */
+  seekTo(seconds) {
+    const video = this.findMainVideo();
+    if (!video) {
+      return false;
+    }
+
+    video.currentTime = seconds;
+    video.play?.().catch(() => {});
+    video.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return true;
+  }
+
+  /**
+   * Find the page's main video (the largest one)
+   * @returns {HTMLVideoElement|null} - Video element
+   */
+  findMainVideo() {
+    const videos = Array.from(document.querySelectorAll('video'));
+    const area = (video) => video.offsetWidth * video.offsetHeight;
+    return videos.sort((a, b) => area(b) - area(a))[0] || null;
+  }
+}
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.TranscriptExtractor = TranscriptExtractor;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TranscriptExtractor;
+}
@@ -116,7 +116,7 @@ class UsageTracker {
         return;
       }
 
-      const token = authManager.getToken();
+      const token = await authManager.getValidToken();
       const response = await fetch(`${this.apiBaseUrl}/usage?action=check`, {
         method: 'GET',
         headers: {
@@ -0,0 +1,80 @@
+/**
+ * Content Analyzer tests
+ * Run with `npm test` from the repository root
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import vm from 'vm';
+
+const extensionDir = new URL('../', import.meta.url);
+const apiDir = new URL('../../api/', import.meta.url);
+
+/**
+ * Load the extension's config and content analyzer the way the content scripts see them
+ * @returns {Object} - { CONFIG, ContentAnalyzer }
+ */
+function loadAnalyzer() {
+  const context = vm.createContext({ console });
+  for (const file of ['js/config.js', 'js/content-analyzer.js']) {
+    vm.runInContext(fs.readFileSync(new URL(file, extensionDir), 'utf8'), context);
+  }
+  return vm.runInContext('({ CONFIG, ContentAnalyzer })', context);
+}
+
+/**
+ * Build raw page text with a heading and a paragraph per section
+ * @param {number} sections - Number of sections
+ * @param {number} paragraphLength - Approximate characters per paragraph
+ * @returns {string} - Paragraphs separated by blank lines
+ */
+function buildArticle(sections, paragraphLength) {
+  const sentence = 'Readers remember ideas better when they are explained with an example. ';
+  const paragraph = sentence.repeat(Math.ceil(paragraphLength / sentence.length)).trim();
+
+  return Array.from(
+    { length: sections },
+    (_, index) => `Section number ${index + 1} of the guide\n\n${paragraph}`,
+  ).join('\n\n');
+}
+
+// The API refuses chunk and merge requests with more parts than this
+const apiMaxParts = Number(
+  fs.readFileSync(new URL('summarize.js', apiDir), 'utf8').match(/const MAX_PARTS = (\d+);/)[1],
+);
+
+test('the chunk limit stays within the API part limit', () => {
+  const { CONFIG } = loadAnalyzer();
+
+  assert.ok(CONFIG.MAX_SUMMARY_CHUNKS <= apiMaxParts);
+});
+
+test('articles under the per-request limit are not chunked', () => {
+  const { CONFIG, ContentAnalyzer } = loadAnalyzer();
+  const analyzer = new ContentAnalyzer();
+
+  assert.ok(CONFIG.MAX_CONTENT_LENGTH >= 20000);
+  assert.equal(analyzer.prepareChunksForAI(buildArticle(3, 500)).length, 1);
+});
+
+test('the chunk count never exceeds the limit', () => {
+  const { CONFIG, ContentAnalyzer } = loadAnalyzer();
+  const analyzer = new ContentAnalyzer();
+
+  // Small per-request limits, many sections and oversized paragraphs all add chunks
+  for (const maxContentLength of [1000, 5000, CONFIG.MAX_CONTENT_LENGTH]) {
+    analyzer.maxContentLength = maxContentLength;
+
+    for (const [sections, paragraphLength] of [
+      [40, 500],
+      [200, 2000],
+      [12, 30000],
+    ]) {
+      const chunks = analyzer.prepareChunksForAI(buildArticle(sections, paragraphLength));
+
+      assert.ok(chunks.length <= CONFIG.MAX_SUMMARY_CHUNKS, `${chunks.length} chunks`);
+      assert.ok(chunks.join('\n\n').includes(`Section number ${sections} of the guide`));
+    }
+  }
+});